@@ -0,0 +1,16 @@
+// Worker de análisis: valida la entrada y calcula las estadísticas fuera del hilo de la página,
+// para que analizar un conjunto de datos grande no congele la interfaz (ver validateAndProcess).
+importScripts('messages.js', 'stats-core.js');
+
+self.addEventListener('message', event => {
+    const { id, input, options, locale } = event.data;
+
+    try {
+        // Los mensajes de validación y las etiquetas se escriben en el idioma de la página
+        setLocale(locale || DEFAULT_LOCALE);
+        const { message, transfer } = packAnalysis(analyzeInput(input, options));
+        self.postMessage({ id: id, result: message }, transfer);
+    } catch (error) {
+        self.postMessage({ id: id, error: { message: error.message, diagnostics: error.diagnostics || [] } });
+    }
+});
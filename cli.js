@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+// Interfaz de línea de comandos: analiza archivos de datos o la entrada estándar
+// con el mismo núcleo estadístico que la página (stats-core.js).
+
+const fs = require('fs');
+const core = require('./stats-core.js');
+
+const OUTPUT_FORMATS = ['text', 'json', 'csv'];
+
+/**
+ * Texto de ayuda en el idioma actual
+ * @returns {string} Uso y opciones de la CLI
+ */
+function usage() {
+    return core.t('cli.usage');
+}
+
+// ===========================
+// OPCIONES
+// ===========================
+
+/**
+ * Interpreta los argumentos de la línea de comandos
+ * @param {string[]} args - Argumentos sin el ejecutable ni el script
+ * @returns {Object} Opciones: format, population, percentileK, confidenceLevel, targetMean,
+ *   alternative, binomialTrials, studyFile, locale, help y files
+ * @throws {Error} Si una opción es desconocida o su valor no es válido
+ */
+function parseArgs(args) {
+    const options = {
+        format: 'text', population: true, percentileK: 90, confidenceLevel: 95, targetMean: null,
+        alternative: 'two-sided', binomialTrials: null, studyFile: null, locale: core.DEFAULT_LOCALE,
+        help: false, files: []
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const [flag, inlineValue] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg];
+        const takeValue = () => {
+            const value = inlineValue !== undefined ? inlineValue : args[++i];
+            if (value === undefined) throw new Error(core.t('cli.error.missingValue', { flag: flag }));
+            return value;
+        };
+
+        switch (flag) {
+            case '-f':
+            case '--format':
+                options.format = takeValue();
+                if (!OUTPUT_FORMATS.includes(options.format)) {
+                    throw new Error(core.t('cli.error.format', { format: options.format, formats: OUTPUT_FORMATS.join(', ') }));
+                }
+                break;
+            case '-s':
+            case '--sample':
+                options.population = false;
+                break;
+            case '-p':
+            case '--percentile':
+                options.percentileK = parseFloat(takeValue());
+                if (isNaN(options.percentileK) || options.percentileK < 0 || options.percentileK > 100) {
+                    throw new Error(core.t('stats.error.percentile'));
+                }
+                break;
+            case '-c':
+            case '--confidence':
+                options.confidenceLevel = parseFloat(takeValue());
+                if (isNaN(options.confidenceLevel) || options.confidenceLevel <= 0 || options.confidenceLevel >= 100) {
+                    throw new Error(core.t('inference.error.level'));
+                }
+                break;
+            case '-t':
+            case '--target':
+                options.targetMean = parseFloat(takeValue());
+                if (isNaN(options.targetMean)) throw new Error(core.t('cli.error.target'));
+                break;
+            case '--alternative':
+                options.alternative = takeValue();
+                if (!core.hasOwnKey(core.TEST_ALTERNATIVES, options.alternative)) {
+                    throw new Error(core.t('inference.error.alternative', { alternative: options.alternative }));
+                }
+                break;
+            case '-b':
+            case '--binomial':
+                options.binomialTrials = Number(takeValue());
+                if (!Number.isInteger(options.binomialTrials) || options.binomialTrials < 1) {
+                    throw new Error(core.t('fit.error.trialsInteger'));
+                }
+                break;
+            case '--study':
+                options.studyFile = takeValue();
+                break;
+            case '-l':
+            case '--lang':
+                options.locale = takeValue();
+                if (!core.hasOwnKey(core.LOCALES, options.locale)) {
+                    throw new Error(core.t('locale.unknown', { locale: options.locale, locales: Object.keys(core.LOCALES).join(', ') }));
+                }
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg !== '-' && arg.startsWith('-')) throw new Error(core.t('cli.error.option', { option: arg }));
+                options.files.push(arg);
+        }
+    }
+
+    if (options.files.length === 0) options.files.push('-');
+    return options;
+}
+
+// ===========================
+// ANÁLISIS
+// ===========================
+
+/**
+ * Analiza un texto de entrada con el mismo recorrido que la página (analyzeInput)
+ * @param {string} text - Datos en cualquier formato aceptado por parseRecords
+ * @param {Object} options - Opciones de la línea de comandos y study (estudio ya validado)
+ * @returns {Object} Datos del análisis con la forma de window.currentData y warnings
+ *   (avisos de validación, como los faltantes excluidos o imputados)
+ * @throws {Error} Con el mensaje de validateInput si la entrada no es válida, o de
+ *   checkExpectedCount si el n no cumple el n esperado del estudio
+ */
+function analyzeText(text, options) {
+    const result = core.analyzeInput(text, {
+        study: options.study || core.getDefaultStudy(),
+        population: options.population,
+        percentileK: options.percentileK,
+        confidenceLevel: options.confidenceLevel,
+        targetMean: options.targetMean,
+        alternative: options.alternative,
+        binomialTrials: options.binomialTrials
+    });
+
+    return {
+        records: result.records,
+        values: result.values,
+        stats: result.stats,
+        freqTable: result.freqTable,
+        groupedTable: null,
+        thresholds: core.CONCLUSION_THRESHOLDS,
+        warnings: result.diagnostics.filter(diagnostic => diagnostic.severity === 'warning').map(diagnostic => diagnostic.message)
+    };
+}
+
+// ===========================
+// SALIDA
+// ===========================
+
+/**
+ * Formatea filas como columnas alineadas; las columnas numéricas (con los números ya
+ * formateados en el idioma actual) se alinean a la derecha
+ * @param {Array[]} rows - Filas de celdas; la primera es el encabezado
+ * @returns {string} Tabla en texto
+ */
+function formatAlignedTable(rows) {
+    const cells = rows.map(row => row.map(String));
+    // reduce en vez de Math.max(...), que desborda la pila con tablas de cientos de miles de filas
+    const widths = cells[0].map((_, col) => cells.reduce((width, row) => Math.max(width, row[col].length), 0));
+    const numeric = cells[0].map((_, col) => cells.slice(1).every(row => row[col] === '' || /^-?\d[\d.,]*$/.test(row[col])));
+
+    const formatRow = row => row
+        .map((cell, col) => numeric[col] ? cell.padStart(widths[col]) : cell.padEnd(widths[col]))
+        .join('  ')
+        .trimEnd();
+
+    return [formatRow(cells[0]), widths.map(width => '-'.repeat(width)).join('  '), ...cells.slice(1).map(formatRow)].join('\n');
+}
+
+/**
+ * Construye el informe en texto plano: resumen, tabla de frecuencias y conclusiones,
+ * con los números formateados en el idioma actual
+ * @param {Object} data - Datos del análisis
+ * @returns {string} Informe en texto
+ */
+function buildTextReport(data) {
+    const format = value => (typeof value === 'number' ? core.formatNumber(value) : value);
+    const summary = formatAlignedTable([
+        [core.t('export.measure'), core.t('export.value')],
+        ...core.getSummaryRows(data.stats).map(row => [row.label, format(row.value)])
+    ]);
+    const models = data.freqTable[0].expected ? Object.keys(data.freqTable[0].expected) : [];
+    const frequency = formatAlignedTable([
+        [`${core.capitalize(core.getStudy(data.stats).unitPlural)} (xi)`, 'fa', 'fr', 'Fa', 'Fr', '%', ...models.map(model => `E ${core.DISTRIBUTION_MODELS[model]}`)],
+        ...data.freqTable.map(row => [format(row.value), row.fa, core.formatNumber(row.fr, 4), row.Fa, core.formatNumber(row.Fr, 4),
+            core.formatNumber(row.percentage, 2), ...models.map(model => core.formatNumber(row.expected[model], 2))])
+    ]);
+    const conclusions = core.evaluateConclusionRules(data.freqTable, data.stats, data.thresholds)
+        .map(conclusion => `- ${core.conclusionToPlainText(conclusion)}`);
+
+    return [
+        core.t('cli.heading.summary'), summary, '',
+        core.t('cli.heading.frequency'), frequency, '',
+        core.t('cli.heading.conclusions'), ...conclusions
+    ].join('\n');
+}
+
+/**
+ * Lee el contenido de un archivo o de la entrada estándar
+ * @param {string} file - Ruta del archivo o "-" para la entrada estándar
+ * @returns {string} Contenido
+ */
+function readSource(file) {
+    return fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+}
+
+/**
+ * Lee y valida la definición del estudio de --study
+ * @param {string} file - Ruta del archivo JSON
+ * @param {Function} read - Función de lectura
+ * @returns {Object} Estudio validado
+ * @throws {Error} Si el archivo no se puede leer o la definición no es válida
+ */
+function loadStudy(file, read) {
+    let definition;
+    try {
+        definition = JSON.parse(read(file));
+    } catch (error) {
+        const reason = error.code ? core.t('cli.error.read', { message: error.message }) : core.t('cli.error.json');
+        throw new Error(core.t('cli.error.study', { file: file, reason: reason }));
+    }
+    return core.normalizeStudy(definition);
+}
+
+/**
+ * Ejecuta la CLI
+ * @param {string[]} args - Argumentos de la línea de comandos
+ * @param {Object} io - Funciones de salida { stdout, stderr } y de lectura { read }
+ * @returns {number} Código de salida
+ */
+function main(args, io = {}) {
+    const stdout = io.stdout || (text => process.stdout.write(text));
+    const stderr = io.stderr || (text => process.stderr.write(text));
+    const read = io.read || readSource;
+
+    let options;
+    core.setLocale(core.DEFAULT_LOCALE);
+    try {
+        options = parseArgs(args);
+    } catch (error) {
+        stderr(`${error.message}\n\n${usage()}\n`);
+        return 2;
+    }
+    core.setLocale(options.locale);
+
+    if (options.help) {
+        stdout(`${usage()}\n`);
+        return 0;
+    }
+
+    try {
+        options.study = options.studyFile ? loadStudy(options.studyFile, read) : core.getDefaultStudy();
+    } catch (error) {
+        stderr(`${error.message}\n`);
+        return 1;
+    }
+
+    const results = [];
+    for (const file of options.files) {
+        const source = file === '-' ? 'stdin' : file;
+        try {
+            const data = analyzeText(read(file), options);
+            results.push({ source: source, data: data });
+            data.warnings.forEach(warning => stderr(`${options.files.length > 1 ? `${source}: ` : ''}${core.t('cli.warning', { warning: warning })}\n`));
+        } catch (error) {
+            const message = error.code ? core.t('cli.error.read', { message: error.message }) : error.message;
+            stderr(options.files.length > 1 ? `${source}: ${message}\n` : `${message}\n`);
+            return 1;
+        }
+    }
+
+    const multiple = results.length > 1;
+    let output;
+    if (options.format === 'json') {
+        const reports = results.map(({ source, data }) => ({ source: source, ...core.buildReport(data) }));
+        output = JSON.stringify(multiple ? reports : reports[0], null, 2);
+    } else if (options.format === 'csv') {
+        output = results
+            .map(({ source, data }) => (multiple ? `${core.escapeCSVField(source)}\r\n` : '') + core.buildCSV(data))
+            .join('\r\n\r\n');
+    } else {
+        output = results
+            .map(({ source, data }) => (multiple ? `== ${source} ==\n` : '') + buildTextReport(data))
+            .join('\n\n');
+    }
+
+    stdout(`${output}\n`);
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+    OUTPUT_FORMATS, usage, parseArgs, analyzeText, formatAlignedTable, buildTextReport, readSource, loadStudy, main
+};
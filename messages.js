@@ -0,0 +1,1211 @@
+// Catálogo de mensajes de la interfaz y del núcleo estadístico, por idioma (claves de LOCALES).
+// Los marcadores {nombre} se reemplazan con t() de stats-core.js. En el navegador y en el worker
+// se carga antes que stats-core.js; en Node, stats-core.js lo importa con require.
+const MESSAGES = {
+    es: {
+        // Idiomas
+        'locale.unknown': 'Idioma desconocido: "{locale}". Use {locales}.',
+
+        // Contexto del estudio
+        'study.expectedNMode.exact': 'exactamente',
+        'study.expectedNMode.minimum': 'al menos',
+        'study.expectedNMode.none': 'sin restricción',
+        'study.missing.error': 'rechazar la entrada',
+        'study.missing.exclude': 'excluir y avisar',
+        'study.missing.mean': 'imputar la media',
+        'study.missing.median': 'imputar la mediana',
+        'study.error.names': 'La definición del estudio debe indicar la variable, la unidad (singular y plural) y la unidad de observación (singular y plural).',
+        'study.error.limitsDecimal': 'El n esperado debe ser un número entero y los límites del rango permitido deben ser números.',
+        'study.error.limitsInteger': 'El n esperado y los límites del rango permitido deben ser números enteros.',
+        'study.error.expectedNMode': 'Modo de n esperado desconocido: "{mode}". Use {modes}.',
+        'study.error.missing': 'Tratamiento de faltantes desconocido: "{missing}". Use {treatments}.',
+        'study.error.expectedN': 'El número esperado de {observations} debe ser al menos 1.',
+        'study.error.range': 'El mínimo del rango permitido no puede superar al máximo.',
+        'study.error.expectedCount': 'Se esperaban {mode} {expected} y se ingresaron {n}. Revise los datos o ajuste el n esperado en la definición del estudio.',
+        'study.range.numbers': 'números',
+        'study.range.integers': 'números enteros',
+        'study.range.between': '{kind} entre {min} y {max}',
+        'study.range.nonNegative': '{kind} no negativos',
+        'study.range.atLeast': '{kind} mayores o iguales que {min}',
+        'study.range.atMost': '{kind} menores o iguales que {max}',
+
+        // Validación de la entrada
+        'validation.empty': 'Por favor, ingrese la cantidad de {variable} por cada {observation}.',
+        'validation.emptyToken': '(vacío)',
+        'validation.lineLabel': 'línea {line} ("{text}")',
+        'validation.where.line': 'Línea {line}',
+        'validation.where.value': 'Valor {token} (línea {line})',
+        'validation.problem.notNumber': 'no es un número',
+        'validation.problem.commas': 'no es un número; con la coma como separador decimal, separe los valores con punto y coma o espacios',
+        'validation.problem.decimals': 'tiene decimales y la variable solo admite enteros',
+        'validation.problem.range': 'está fuera del rango permitido ({range})',
+        'validation.line.format': 'Línea {line}: no tiene el formato "Nombre: cantidad".',
+        'validation.line.categoryCount': 'Línea {line}: se esperaba una cantidad o {categories} cantidades por categoría y hay {count}.',
+        'validation.line.categoryValue': 'Línea {line}: la cantidad por categoría {token} debe ser un entero no negativo.',
+        'validation.line.sumRange': 'Línea {line}: la suma {total} está fuera del rango permitido ({range}).',
+        'validation.line.duplicate': 'Línea {line}: "{name}" ya apareció antes.',
+        'validation.missing.error': '{where}: valor faltante; elija en la definición del estudio si se excluye o se imputa.',
+        'validation.missing.excluded': '{where}: valor faltante excluido del análisis.',
+        'validation.missing.mean': '{where}: valor faltante reemplazado por la media ({value}).',
+        'validation.missing.median': '{where}: valor faltante reemplazado por la mediana ({value}).',
+        'validation.invalidLines': 'Las siguientes líneas no tienen el formato "Nombre: cantidad" (o una cantidad por cada una de las {categories} categorías) con cantidades válidas de {variable}: {invalid}. Debe ingresar {range}.',
+        'validation.invalidValues': 'Los siguientes valores no son cantidades válidas de {variable}: {invalid}. Debe ingresar {range}.',
+        'validation.noValues': 'No se encontraron cantidades válidas de {variable}.',
+        'validation.mixedCategories': 'Hay {observations} con desglose por categoría y otros sin él. Ingrese para todos una cantidad total o las {categories} cantidades por categoría.',
+        'validation.duplicates': 'Los siguientes nombres están repetidos: {names}. Cada {observation} debe aparecer una sola vez.',
+
+        // Categorías de errores
+        'category.validation': 'Validación de entradas',
+        'category.logic': 'Lógica del código',
+        'category.database': 'Consultas a base de datos',
+        'category.ui': 'Interfaz de usuario (UI)',
+        'category.integration': 'Integración',
+
+        // Estadísticas
+        'stats.noMode': 'No hay moda',
+        'stats.noOutliers': 'Ninguno',
+        'stats.error.percentile': 'El percentil solicitado debe ser un número entre 0 y 100.',
+        'mode.ninguna': 'sin moda',
+        'mode.unimodal': 'unimodal',
+        'mode.bimodal': 'bimodal',
+        'mode.multimodal': 'multimodal',
+        'grouping.error.width': 'El ancho de clase debe ser un número mayor que cero.',
+        'grouping.error.classCount': 'Con un ancho de clase de {width} habría {count} clases; el máximo es {max}. Elija un ancho mayor.',
+
+        // Vistas de la distribución
+        'frequency.series.absolute': 'Frecuencia absoluta (fa)',
+        'frequency.series.relative': 'Frecuencia relativa (%)',
+        'frequency.series.cumulative': 'Frecuencia relativa acumulada (%)',
+        'frequency.error.series': 'Serie de frecuencias desconocida: "{type}".',
+        'stemLeaf.key': 'Clave: {stem} | {leaf} = {value}',
+
+        // Inferencia y ajuste
+        'inference.method.bootstrap': 'bootstrap',
+        'inference.method.ranks': 'por rangos',
+        'inference.alternative.twoSided': 'distinta de',
+        'inference.alternative.greater': 'mayor que',
+        'inference.alternative.less': 'menor que',
+        'inference.error.level': 'El nivel de confianza debe ser un número mayor que 0 y menor que 100.',
+        'inference.error.alternative': 'Hipótesis alternativa desconocida: "{alternative}".',
+        'fit.error.trials': 'El número de ensayos del modelo binomial debe ser un entero mayor o igual que el máximo observado ({max}).',
+        'fit.error.trialsInteger': 'El número de ensayos del modelo binomial debe ser un entero positivo.',
+
+        // Palabras que concuerdan con la unidad de observación
+        'word.theMasculine': 'los',
+        'word.theFeminine': 'las',
+        'word.fewMasculine': 'unos pocos',
+        'word.fewFeminine': 'unas pocas',
+        'word.noneMasculine': 'Ningún',
+        'word.noneFeminine': 'Ninguna',
+        'word.population': 'poblacional',
+        'word.sample': 'muestral',
+
+        // Conclusiones automáticas
+        'rule.mean.title': 'Carga promedio',
+        'rule.mean.text': 'Entre {the} {n} {observations} el total de {variable} es {sum}, lo que equivale a una media de {mean} {units} por {observation}.',
+        'rule.extremes.title': 'Menor y mayor carga',
+        'rule.extremes.text': 'La menor carga fue de {min} ({minCount}, {minShare} del total{minWho}) y la mayor de {max} ({maxCount}, {maxShare} del total{maxWho}).',
+        'rule.mode.title': 'Moda',
+        'rule.mode.none': 'No hay moda: ninguna cantidad de {units} se repite, cada {observation} tuvo un resultado distinto.',
+        'rule.mode.unimodal': 'La cantidad más frecuente es {mode}, alcanzada por {count}.',
+        'rule.mode.warningTitle': 'Advertencia: distribución {type}',
+        'rule.mode.multimodal': 'Las cantidades {modes} se repiten {frequency} veces cada una. Una distribución {type} sugiere que {the} {observations} se dividen en grupos con niveles de carga distintos.',
+        'rule.dispersion.title': 'Equilibrio de la carga',
+        'rule.dispersion.text': 'El coeficiente de variación {estimator} es {cv}, lo que indica {verdict}.',
+        'rule.dispersion.balancedLabel': 'carga equilibrada',
+        'rule.dispersion.moderateLabel': 'carga moderadamente equilibrada',
+        'rule.dispersion.unbalancedLabel': 'carga desigual',
+        'rule.dispersion.balanced': '{label}: los datos son homogéneos (CV menor que {balanced}%)',
+        'rule.dispersion.moderate': '{label}: la dispersión es moderada (CV entre {balanced}% y {unbalanced}%)',
+        'rule.dispersion.unbalanced': '{label}: los datos son heterogéneos (CV mayor que {unbalanced}%)',
+        'rule.symmetry.title': 'Simetría',
+        'rule.symmetry.text': 'Con media {mean} y mediana {median} (asimetría {skewness}), {shape}.',
+        'rule.symmetry.symmetric': 'la distribución es aproximadamente simétrica',
+        'rule.symmetry.rightLabel': 'sesgo a la derecha',
+        'rule.symmetry.leftLabel': 'sesgo a la izquierda',
+        'rule.symmetry.right': 'hay {label}: {few} registraron muchos más {units} que el resto',
+        'rule.symmetry.left': 'hay {label}: {few} registraron muchos menos {units} que el resto',
+        'word.someMasculine': 'algunos',
+        'word.someFeminine': 'algunas',
+        'word.overloaded': 'sobrecargado',
+        'word.overloadedFeminine': 'sobrecargada',
+        'word.underloaded': 'subcargado',
+        'word.underloadedFeminine': 'subcargada',
+        'word.overloadedPlural': 'sobrecargados',
+        'word.overloadedFemininePlural': 'sobrecargadas',
+        'word.underloadedPlural': 'subcargados',
+        'word.underloadedFemininePlural': 'subcargadas',
+        'word.flagged': 'señalados',
+        'word.flaggedFeminine': 'señaladas',
+        'rule.kurtosis.title': 'Apuntamiento',
+        'rule.kurtosis.text': 'La curtosis en exceso es {kurtosis}, por lo que la distribución es {shape}.',
+        'rule.kurtosis.mesokurtic': 'mesocúrtica: la concentración alrededor de la media es similar a la de una distribución normal',
+        'rule.kurtosis.leptokurtic': 'leptocúrtica: la mayoría de {observations} se concentra cerca de la media, con algunos casos alejados',
+        'rule.kurtosis.platykurtic': 'platicúrtica: las cargas están repartidas de forma aplanada, sin un valor central dominante',
+        'rule.outliers.title': 'Valores atípicos',
+        'rule.outliers.fences': '{lower} a {upper} {units}',
+        'rule.outliers.none': '{none} {observation} queda fuera de las vallas de Tukey ({fences}).',
+        'rule.outliers.callout': '{who} con {value} ({load})',
+        'rule.outliers.text': 'Fuera de las vallas de Tukey ({fences}) están: {callouts}. Conviene revisar la asignación de estos casos.',
+        'rule.loadFlags.title': '{observations} {flagged}',
+        'rule.loadFlags.text': 'Con |z| ≥ {threshold} se señalan como {parts}.',
+        'rule.categories.title': 'Categorías',
+        'rule.categories.dominant': '{category} domina la carga con {share} del total de {variable} ({total})',
+        'rule.categories.noDominant': 'ninguna categoría domina la carga; la mayor es {category} con {share} ({total}), seguida de {next} con {nextShare}%',
+        'rule.categories.text': '{verdict}. La categoría repartida de forma más desigual entre {observations} es {category} (CV {cv}%).',
+        'rule.inequality.title': 'Equidad del esfuerzo',
+        'rule.inequality.unbalancedLabel': 'no está equilibrado',
+        'rule.inequality.balancedLabel': 'equilibrado',
+        'rule.inequality.moderateLabel': 'moderadamente equilibrado',
+        'rule.inequality.unbalanced': 'el esfuerzo {label}: una parte de {the} {observations} concentra la carga (Gini ≥ {unbalanced} o {topPercent}% superior ≥ {topUnbalanced}%)',
+        'rule.inequality.balanced': 'el esfuerzo está {label} entre {the} {observations} (Gini menor que {balanced})',
+        'rule.inequality.moderate': 'el esfuerzo está {label} (Gini entre {balanced} y {unbalanced}); conviene vigilar la asignación',
+        'rule.inequality.text': 'El coeficiente de Gini es {gini} y el {topPercent}% de {observations} con más carga ({topCount}) concentra el {topShare} del total de {variable} (índice de Theil {theil}), por lo que {verdict}.',
+        'rule.fit.title': 'Ajuste de distribuciones',
+        'rule.fit.dispersion': 'índice de dispersión s² / media = {index}',
+        'rule.fit.test': 'χ² = {statistic}, gl = {df}, {p}',
+        'rule.fit.insufficient': 'Con {count} no quedan suficientes clases con frecuencia esperada ≥ {minimum} para la prueba χ² del modelo de Poisson; el {dispersion} (cercano a 1 si la llegada es aleatoria) sirve solo como referencia.',
+        'rule.fit.randomLabel': 'llegada aleatoria de {units}',
+        'rule.fit.random': 'La carga es compatible con una {label}: el modelo {model} no se rechaza ({test}) y el {dispersion}.',
+        'rule.fit.overdispersedLabel': 'desequilibrio estructural',
+        'rule.fit.overdispersed': 'La carga muestra un {label}: se rechaza el modelo {model} ({test}) y el {dispersion} indica más variabilidad que la que produciría el azar, por lo que la asignación concentra {units} en {some} {observations}.',
+        'rule.fit.underdispersedLabel': 'más uniforme que el azar',
+        'rule.fit.underdispersed': 'La carga es {label}: se rechaza el modelo {model} ({test}) y el {dispersion} indica menos variabilidad que una llegada aleatoria, como ocurre cuando el trabajo se reparte por cupos.',
+        'rule.fit.otherInsufficient': 'El modelo {model} no tiene clases suficientes para la prueba χ².',
+        'rule.fit.otherCompatible': 'El modelo {model} también es compatible con los datos ({test}).',
+        'rule.fit.otherRejected': 'El modelo {model} se rechaza ({test}).',
+        'rule.inference.title': 'Inferencia sobre la media',
+        'rule.inference.text': 'Con un {level}% de confianza, la media de {units} por {observation} está entre {lower} y {upper} (t crítico = {tCritical} con {df} grados de libertad); {method}, la mediana está entre {medianLower} y {medianUpper}.',
+        'rule.inference.bootstrap': 'según {iterations} remuestreos bootstrap',
+        'rule.inference.ranks': 'según el intervalo por rangos',
+        'rule.inference.claim': 'la media es {alternative} {target} {units} por {observation}',
+        'rule.inference.significantLabel': 'hay evidencia estadística',
+        'rule.inference.notSignificantLabel': 'no hay evidencia suficiente',
+        'rule.inference.significant': 'como p < {alpha}, {label} de que {claim}',
+        'rule.inference.notSignificant': 'como p ≥ {alpha}, {label} para afirmar que {claim}',
+        'rule.inference.test': 'En la prueba t frente a μ₀ = {target} se obtuvo t = {t}, gl = {df} y {p}: {verdict}.',
+
+        // Importación
+        'import.noLabel': 'línea {line} (sin etiqueta)',
+        'import.error.invalidRows': 'Las siguientes filas del archivo no son cantidades válidas de {variable}: {rows}. Debe ingresar {range}.',
+        'import.error.empty': 'El archivo no contiene filas con cantidades de {variable}.',
+
+        // Comparación entre sprints
+        'compare.meanSame': 'la media se mantuvo en {mean} {units}',
+        'compare.meanUp': 'la media subió de {previous} a {mean} {units}{percent}',
+        'compare.meanDown': 'la media bajó de {previous} a {mean} {units}{percent}',
+        'compare.cvSame': 'la dispersión no cambió (CV {current}%)',
+        'compare.cvDownLabel': 'se redujo',
+        'compare.cvUpLabel': 'aumentó',
+        'compare.cvDown': 'la dispersión {label} (CV de {previous}% a {current}%): la carga quedó más equilibrada',
+        'compare.cvUp': 'la dispersión {label} (CV de {previous}% a {current}%): la carga quedó menos equilibrada',
+        'compare.text': 'Entre ambos conjuntos de datos {mean}, y {cv}.',
+
+        // Resumen estadístico
+        'word.evaluated': 'evaluados',
+        'word.evaluatedFeminine': 'evaluadas',
+        'summary.n': '{observations} {evaluated} (n)',
+        'summary.total': 'Total de {variable}',
+        'summary.min': 'Mínimo',
+        'summary.max': 'Máximo',
+        'summary.mean': 'Media',
+        'summary.median': 'Mediana',
+        'summary.mode': 'Moda',
+        'summary.range': 'Rango',
+        'summary.populationVariance': 'Varianza poblacional',
+        'summary.populationStdDev': 'Desviación estándar poblacional',
+        'summary.sampleVariance': 'Varianza muestral',
+        'summary.sampleStdDev': 'Desviación estándar muestral',
+        'summary.meanAbsDev': 'Desviación media absoluta',
+        'summary.cv': 'Coeficiente de variación (%, {estimator})',
+        'summary.skewness': 'Asimetría',
+        'summary.kurtosis': 'Curtosis en exceso',
+        'summary.iqr': 'Rango intercuartílico',
+        'summary.percentile': 'Percentil P{k}',
+        'summary.lowerFence': 'Valla inferior de Tukey',
+        'summary.upperFence': 'Valla superior de Tukey',
+        'summary.outliers': 'Valores atípicos',
+        'summary.gini': 'Coeficiente de Gini',
+        'summary.theil': 'Índice de Theil',
+        'summary.topShare': 'Participación del {percent}% superior (%)',
+        'summary.dispersionIndex': 'Índice de dispersión (s² / media)',
+        'summary.model': 'Modelo {name}',
+        'summary.chiSquareDf': 'gl χ² {name}',
+        'summary.chiSquarePValue': 'Valor p χ² {name}',
+        'summary.insufficientClasses': 'Clases insuficientes',
+        'summary.meanLower': 'IC {level}% de la media (inferior)',
+        'summary.meanUpper': 'IC {level}% de la media (superior)',
+        'summary.medianLower': 'IC {method} {level}% de la mediana (inferior)',
+        'summary.medianUpper': 'IC {method} {level}% de la mediana (superior)',
+        'summary.tTest': 'Prueba t: H₁ media {alternative}',
+        'summary.tStatistic': 'Estadístico t',
+        'summary.df': 'Grados de libertad',
+        'summary.pValue': 'Valor p',
+
+        // Exportación
+        'export.summary': 'Resumen estadístico',
+        'export.measure': 'Medida',
+        'export.value': 'Valor',
+        'export.frequencyTable': 'Tabla de frecuencias',
+        'export.groupedTable': 'Tabla de frecuencias agrupada',
+        'export.percentage': 'Porcentaje (%)',
+        'frequency.expected': 'Esperada {model}',
+        'grouping.class': 'Clase',
+        'grouping.mark': 'Marca de clase',
+
+        // Línea de comandos
+        'cli.usage': `Uso: programa-estadistica [opciones] [archivo ...]
+
+Analiza una variable de conteo por unidad de observación (por defecto, errores corregidos
+por programador). Sin archivos (o con "-") lee la entrada estándar. Acepta los mismos
+formatos que el área de datos de la página.
+
+Opciones:
+  -f, --format <text|json|csv>  Formato de salida (por defecto: text)
+  -s, --sample                  Usar estimadores muestrales (n - 1)
+  -p, --percentile <k>          Percentil adicional a calcular (por defecto: 90)
+  -c, --confidence <nivel>      Nivel de confianza de los intervalos en % (por defecto: 95)
+  -t, --target <μ₀>             Media hipotética para la prueba t de una muestra
+      --alternative <tipo>      Hipótesis alternativa: two-sided, greater o less (por defecto: two-sided)
+  -b, --binomial <m>            Ajustar también un modelo binomial con m ensayos
+      --study <archivo.json>    Definición del estudio: variable, unidades, n esperado, rango,
+                                decimales y tratamiento de faltantes
+  -l, --lang <es|en>            Idioma de los mensajes y del formato de los números (por defecto: es)
+  -h, --help                    Mostrar esta ayuda
+
+Códigos de salida: 0 éxito, 1 datos inválidos o archivo ilegible, 2 opciones inválidas.`,
+        'cli.error.missingValue': 'La opción {flag} requiere un valor.',
+        'cli.error.format': 'Formato desconocido: "{format}". Use {formats}.',
+        'cli.error.target': 'La media hipotética debe ser un número.',
+        'cli.error.option': 'Opción desconocida: {option}',
+        'cli.error.read': 'No se pudo leer el archivo: {message}',
+        'cli.error.json': 'El archivo no es JSON válido.',
+        'cli.error.study': 'Estudio {file}: {reason}',
+        'cli.warning': 'Aviso: {warning}',
+        'cli.heading.summary': 'RESUMEN ESTADÍSTICO',
+        'cli.heading.frequency': 'TABLA DE FRECUENCIAS',
+        'cli.heading.conclusions': 'CONCLUSIONES',
+
+        // Paneles de la interfaz
+        'ui.interval': '{lower} a {upper}',
+        'ui.dispersion.populationVariance': 'Varianza poblacional (σ²)',
+        'ui.dispersion.sampleVariance': 'Varianza muestral (s²)',
+        'ui.dispersion.populationStdDev': 'Desviación estándar poblacional (σ)',
+        'ui.dispersion.sampleStdDev': 'Desviación estándar muestral (s)',
+        'ui.dispersion.cv': 'Coeficiente de variación ({estimator})',
+        'ui.dispersion.skewness': 'Asimetría de Fisher-Pearson ({estimator})',
+        'ui.dispersion.kurtosis': 'Curtosis en exceso ({estimator})',
+        'ui.inequality.negative': 'Las medidas de desigualdad requieren valores no negativos.',
+        'ui.inequality.topShare': 'Participación del {percent}% superior ({count})',
+        'ui.inequality.theil': 'Índice de Theil (máximo ln n = {max})',
+        'ui.inference.twoSided': 'bilateral',
+        'ui.inference.greater': 'unilateral derecha',
+        'ui.inference.less': 'unilateral izquierda',
+        'ui.inference.tooFew': 'Se necesitan al menos dos {observations} para calcular intervalos de confianza.',
+        'ui.inference.meanInterval': 'IC {level}% de la media',
+        'ui.inference.standardError': 'Error estándar de la media',
+        'ui.inference.tCritical': 't crítico (gl = {df})',
+        'ui.inference.medianInterval': 'IC {method} {level}% de la mediana',
+        'ui.inference.tStatistic': 'Estadístico t (μ₀ = {target})',
+        'ui.inference.pValue': 'Valor p ({alternative})',
+        'ui.person.z': 'Puntuación z',
+        'ui.person.percentileRank': 'Rango Percentil',
+        'ui.person.limit': 'Se muestran {shown} de {total} {observations}; ordene por otra columna para ver otros extremos.',
+        'ui.person.filterClass': '{variable} en la clase {label}',
+        'ui.person.filter': 'Se muestran {count} con {value}.',
+        'ui.person.showAll': 'Mostrar todos',
+        'ui.category.category': 'Categoría',
+        'ui.category.total': 'Total',
+        'ui.category.share': 'Participación (%)',
+        'ui.category.stdDev': 'Desviación Estándar',
+        'ui.category.cv': 'Coef. de Variación (%)',
+        'ui.frequency.relative': 'Frecuencia Relativa (fr)',
+        'ui.frequency.cumulative': 'Acumulado (Fa)',
+        'ui.frequency.cumulativeRelative': 'Acumulado Relativo (Fr)',
+        'ui.frequency.autoGrouped': 'Hay {count} valores distintos (más de {max}): la tabla y los gráficos los agrupan en {classes} clases con la regla de Sturges. Elija datos agrupados en las opciones para cambiar las clases.',
+        'ui.fit.zeroMean': 'Con media 0 no hay un modelo de conteo que ajustar.',
+        'ui.fit.counts': 'Los modelos de conteo solo se ajustan a valores enteros no negativos de hasta {max}.',
+        'ui.fit.dispersion': 'Índice de dispersión s² / media = {index} (1 en un proceso de Poisson).',
+        'ui.fit.observed': 'Observada (O)',
+        'ui.fit.expected': 'Esperada (E)',
+        'ui.fit.insufficient': 'No quedan clases suficientes para la prueba (gl = {df}); se necesitan más datos.',
+        'ui.grouping.class': 'Clase [Li - Ls)',
+        'ui.grouping.mark': 'Marca de clase (xᵢ)',
+        'ui.grouping.ungrouped': 'Datos sin agrupar',
+        'ui.grouping.grouped': 'Datos agrupados',
+        'ui.grouping.czuberMode': 'Moda (Czuber)',
+        'ui.grouping.k': 'Número de clases (k)',
+        'ui.grouping.width': 'Ancho de clase (A)',
+
+        // Gráficos
+        'ui.chart.count': 'Número de {observations}',
+        'ui.chart.expected': '{model} esperada',
+        'ui.chart.barTitle': 'Distribución de {variable} por {observation}',
+        'ui.chart.quantity': 'Cantidad de {variable}',
+        'ui.chart.polygon': 'Polígono de frecuencias',
+        'ui.chart.histogramTitle': 'Histograma y Polígono de Frecuencias',
+        'ui.chart.classes': 'Clases de {variable}',
+        'ui.chart.pieTitle': 'Distribución Porcentual de la Carga de Trabajo',
+        'ui.chart.ogiveTitle': 'Ojiva (Frecuencia Relativa Acumulada)',
+        'ui.chart.ogiveTooltip': '{percentage}% de {observations} con hasta {quantity}',
+        'ui.chart.upperLimit': 'Límite superior de clase de {variable}',
+        'ui.chart.dotTitle': 'Diagrama de Puntos',
+        'ui.chart.whiskers': 'Bigotes',
+        'ui.chart.lowerBox': 'Q1 - Mediana',
+        'ui.chart.upperBox': 'Mediana - Q3',
+        'ui.chart.boxTitle': 'Diagrama de Caja y Bigotes',
+        'ui.chart.outlierTooltip': '{observation} #{position}: {quantity} (atípico {side})',
+        'ui.chart.side.inferior': 'inferior',
+        'ui.chart.side.superior': 'superior',
+        'ui.chart.lorenz': 'Curva de Lorenz',
+        'ui.chart.equality': 'Igualdad perfecta',
+        'ui.chart.lorenzTooltip': '{population}% de {observations} acumula el {share}% del total de {variable}',
+        'ui.chart.lorenzX': '% acumulado de {observations} (de menor a mayor carga)',
+        'ui.chart.lorenzY': '% acumulado de {variable}',
+        'ui.chart.stackedTitle': '{variable} por {observation} y Categoría',
+        'ui.chart.categoryPieTitle': 'Participación de cada Categoría en el Total',
+        'ui.chart.smallSampleOnly': 'Disponible con hasta {count}',
+
+        // Resumen
+        'ui.summary.n': '{observations} {evaluated}',
+        'ui.summary.min': 'Mínimo de {units} (por {observation})',
+        'ui.summary.max': 'Máximo de {units} (por {observation})',
+        'ui.summary.mean': 'Media de {units}',
+        'ui.summary.median': 'Mediana de {units}',
+        'ui.summary.mode': 'Moda de {units}',
+        'ui.summary.q1': 'Primer cuartil (Q1)',
+        'ui.summary.q3': 'Tercer cuartil (Q3)',
+        'ui.summary.iqr': 'Rango intercuartílico (RIC)',
+        'ui.summary.fences': 'Vallas de Tukey',
+
+        // Umbrales
+        'ui.thresholds.negative': 'Los umbrales de interpretación deben ser números no negativos.',
+        'ui.thresholds.cv': 'El umbral de carga equilibrada no puede superar al de carga desigual.',
+        'ui.thresholds.gini': 'Los umbrales de Gini deben cumplir equilibrado ≤ desequilibrado ≤ 1.',
+        'ui.thresholds.topShare': 'El umbral de participación del 20% superior no puede superar el 100%.',
+
+        // Mensajes de la página
+        'ui.error': 'Error',
+        'ui.warning': 'Aviso',
+        'ui.diagnostics.select': 'Seleccionar en el área de datos',
+        'ui.diagnostics.more': '… y {count} más.',
+        'ui.diagnostics.missing': 'Se encontraron {count} valores faltantes.',
+
+        // Importación
+        'ui.import.column': 'Columna {number}',
+        'ui.import.noLabel': '(sin etiqueta)',
+        'ui.import.line': 'Línea',
+        'ui.import.rows': '{file}: {count} filas de datos',
+        'ui.import.rowsWithHeader': '{file}: {count} filas de datos (con encabezado)',
+
+        // Comparación
+        'ui.comparison.remove': 'Quitar {name}',
+        'ui.comparison.stdDev': 'Desviación estándar',
+        'ui.comparison.cv': 'Coeficiente de variación',
+        'ui.comparison.chartTitle': 'Frecuencia Relativa por Sprint',
+        'ui.comparison.empty': 'Guarde al menos dos sprints para comparar su evolución.',
+        'ui.comparison.defaultName': 'Sprint {number}',
+
+        // Textos del estudio
+        'ui.study.subtitle': 'Análisis de la distribución de {variable} por {observation}',
+        'ui.study.count': '{n} ',
+        'ui.study.countMinimum': 'al menos {n} ',
+        'ui.study.values': 'valores',
+        'ui.study.integerValues': 'valores enteros',
+        'ui.study.inputLabel': 'Ingrese la cantidad de {variable} por cada {observation} ({count}{values} separados por coma, espacio, punto y coma o salto de línea, o una línea "Nombre: cantidad" por {observation}):',
+        'ui.study.personHeading': 'Carga por {observation}',
+        'ui.study.stackedHeading': 'Carga por {observation} y Categoría',
+        'ui.study.frequencyHeading': 'Distribución de {variable}',
+        'ui.study.barHeading': 'Distribución de {units} por Cantidad',
+
+        // Preajustes
+        'ui.presets.storage': 'No se pudo guardar el preajuste en el navegador.',
+        'ui.presets.builtIn': 'Predefinidos',
+        'ui.presets.saved': 'Guardados',
+        'ui.presets.custom': 'Personalizado',
+        'ui.presets.suggestion': '{variable} por {observation}',
+        'ui.presets.prompt': 'Nombre del preajuste:',
+        'ui.presets.builtInName': '"{name}" es un estudio predefinido; elija otro nombre.',
+        'ui.presets.confirmDelete': '¿Eliminar el preajuste "{name}"?',
+
+        // Historial
+        'ui.history.storage': 'No se pudo guardar el historial en el navegador. Libere espacio eliminando análisis antiguos.',
+        'ui.history.labelPrompt': 'Etiqueta para este análisis:',
+        'ui.history.confirmDelete': '¿Eliminar este análisis del historial?',
+        'ui.history.invalid': 'El archivo no es un historial válido exportado por esta aplicación.',
+        'ui.history.restoreFailed': 'No se pudo restaurar el análisis del historial: {message}',
+        'ui.history.empty': 'Todavía no hay análisis guardados. Cada análisis se guarda automáticamente al procesarlo.',
+        'ui.history.noLabel': 'Sin etiqueta',
+        'ui.history.details': '{date} · n = {n} · media {mean}',
+        'ui.history.restore': 'Restaurar',
+        'ui.history.rename': 'Renombrar',
+        'ui.history.delete': 'Eliminar',
+        'ui.analysis.background': 'Analizando en segundo plano…',
+        'page.title': 'Estadistica Descriptiva',
+        'page.heading': 'Variable cuantitativa discreta no agrupable',
+        'page.context.heading': 'Contexto del Problema',
+        'page.context.situationLabel': 'Situación:',
+        'page.context.situation': 'El equipo de calidad ha finalizado la revisión del sprint de 2 semanas. Se registró la cantidad de errores funcionales críticos corregidos satisfactoriamente por cada uno de los 10 programadores del equipo.',
+        'page.context.goalLabel': 'Objetivo:',
+        'page.context.goal': 'Analizar la distribución de la carga de corrección de errores y determinar si el esfuerzo está equilibrado entre los miembros del equipo.',
+        'page.context.typesLabel': 'Tipos de errores evaluados:',
+        'page.context.type.validation': 'Errores de validación de entradas',
+        'page.context.type.logic': 'Errores de lógica en el código',
+        'page.context.type.database': 'Errores en consultas a la base de datos',
+        'page.context.type.ui': 'Errores en la interfaz de usuario (UI)',
+        'page.context.type.integration': 'Errores de integración',
+        'page.context.breakdownLabel': 'Desglose opcional:',
+        'page.context.breakdown': 'Para analizar cada tipo de error, ingrese por programador una cantidad por categoría en el orden de la lista anterior, por ejemplo',
+        'page.context.variableLabel': 'Variable de estudio:',
+        'page.context.variable': 'Cantidad de errores funcionales críticos corregidos satisfactoriamente por cada programador (Variable cuantitativa discreta, nivel de razón).',
+        'page.input.heading': 'Datos del Sprint',
+        'page.study.heading': 'Definición del estudio',
+        'page.study.preset': 'Estudio guardado:',
+        'page.study.variable': 'Variable medida:',
+        'page.study.unit': 'Unidad (singular):',
+        'page.study.unitPlural': 'Unidad (plural):',
+        'page.study.observation': 'Unidad de observación (singular):',
+        'page.study.observationPlural': 'Unidad de observación (plural):',
+        'page.study.feminine': 'Unidad de observación en femenino',
+        'page.study.expectedNMode': 'Número de valores:',
+        'page.study.exact': 'Exactamente n',
+        'page.study.minimum': 'Al menos n',
+        'page.study.noLimit': 'Sin restricción',
+        'page.study.expectedN': 'n esperado:',
+        'page.study.min': 'Mínimo permitido:',
+        'page.study.max': 'Máximo permitido:',
+        'page.study.allowDecimals': 'Admitir decimales (variable continua)',
+        'page.study.missing': 'Valores faltantes (vacío, NA, N/A, -):',
+        'page.study.missingError': 'Rechazar la entrada',
+        'page.study.missingExclude': 'Excluir y avisar',
+        'page.study.missingMean': 'Imputar la media',
+        'page.study.missingMedian': 'Imputar la mediana',
+        'page.study.apply': 'Aplicar estudio',
+        'page.study.savePreset': 'Guardar como preajuste',
+        'page.study.deletePreset': 'Eliminar preajuste',
+        'page.import.drop': 'Arrastre aquí un archivo CSV o TSV exportado del gestor de tareas o de una hoja de cálculo, o',
+        'page.import.select': 'seleccione un archivo',
+        'page.import.delimiter': 'Separador de columnas:',
+        'page.import.comma': 'Coma (,)',
+        'page.import.semicolon': 'Punto y coma (;)',
+        'page.import.tab': 'Tabulador',
+        'page.import.pipe': 'Barra vertical (|)',
+        'page.import.decimal': 'Separador decimal:',
+        'page.import.point': 'Punto (.)',
+        'page.import.valueColumn': 'Columna de la variable:',
+        'page.import.labelColumn': 'Columna de etiquetas:',
+        'page.import.apply': 'Importar columnas',
+        'page.import.cancel': 'Cancelar',
+        'page.options.mode': 'Tipo de análisis:',
+        'page.options.discrete': 'Datos no agrupados (un valor por fila)',
+        'page.options.grouped': 'Datos agrupados en intervalos de clase',
+        'page.options.estimator': 'Estimador para las conclusiones:',
+        'page.options.population': 'Poblacional (divide entre n)',
+        'page.options.sample': 'Muestral (divide entre n - 1)',
+        'page.options.percentileMethod': 'Método de percentiles:',
+        'page.options.inclusive': 'Interpolación inclusiva (n - 1)',
+        'page.options.exclusive': 'Interpolación exclusiva (n + 1)',
+        'page.options.nearest': 'Rango más cercano',
+        'page.options.confidence': 'Nivel de confianza:',
+        'page.options.targetMean': 'Media hipotética μ₀ (prueba t):',
+        'page.options.alternative': 'Hipótesis alternativa:',
+        'page.options.twoSided': 'Media distinta de μ₀',
+        'page.options.greater': 'Media mayor que μ₀',
+        'page.options.less': 'Media menor que μ₀',
+        'page.options.binomialTrials': 'Ensayos del modelo binomial (m):',
+        'page.options.classRule': 'Número de clases:',
+        'page.options.sturges': 'Regla de Sturges',
+        'page.options.sqrt': 'Raíz cuadrada de n',
+        'page.options.customWidth': 'Ancho de clase personalizado',
+        'page.options.classWidth': 'Ancho de clase (A):',
+        'page.thresholds.heading': 'Umbrales de interpretación',
+        'page.thresholds.cvBalanced': 'Carga equilibrada si CV < (%):',
+        'page.thresholds.cvUnbalanced': 'Carga desigual si CV > (%):',
+        'page.thresholds.symmetry': 'Tolerancia de simetría |media - mediana| / σ:',
+        'page.thresholds.giniBalanced': 'Esfuerzo equilibrado si Gini <:',
+        'page.thresholds.giniUnbalanced': 'Esfuerzo desequilibrado si Gini ≥:',
+        'page.thresholds.topShare': 'Desequilibrado si el 20% superior concentra ≥ (%):',
+        'page.actions.analyze': 'Analizar Rendimiento',
+        'page.actions.example': 'Cargar Ejemplo',
+        'page.actions.live': 'Analizar mientras escribo',
+        'page.history.heading': 'Historial de Análisis',
+        'page.history.export': 'Exportar historial',
+        'page.history.import': 'Importar historial',
+        'page.export.csv': 'Descargar CSV',
+        'page.export.json': 'Descargar JSON',
+        'page.export.print': 'Imprimir informe',
+        'page.compare.label': 'Guardar este análisis para comparar como:',
+        'page.compare.add': 'Agregar a la comparación',
+        'page.results.summary': 'Análisis del Rendimiento del Equipo',
+        'page.results.dispersion': 'Dispersión y Forma de la Distribución',
+        'page.results.inequality': 'Equidad del Esfuerzo',
+        'page.results.inference': 'Inferencia sobre la Media',
+        'page.results.inferenceHint': 'Intervalos calculados con la desviación estándar muestral y la distribución t de Student.',
+        'page.results.personHint': 'Haga clic en un encabezado para ordenar la tabla.',
+        'page.results.categories': 'Desglose por Tipo de Error',
+        'page.results.categoryShare': 'Participación por Categoría',
+        'page.results.frequencyHint': 'Pase el puntero sobre una fila para resaltarla en los gráficos; haga clic para ver solo esos valores en la tabla por programador.',
+        'page.results.fit': 'Ajuste de Distribuciones',
+        'page.results.fitHint': 'Prueba χ² de bondad de ajuste; las clases con frecuencia esperada menor que 5 se unen con sus vecinas.',
+        'page.results.grouped': 'Medidas con Datos Agrupados',
+        'page.results.charts': 'Visualización del Rendimiento',
+        'page.results.chartType': 'Tipo de gráfico:',
+        'page.results.absolute': 'Frecuencia absoluta',
+        'page.results.relative': 'Frecuencia relativa',
+        'page.results.ogive': 'Acumulada (ojiva)',
+        'page.results.dotPlot': 'Diagrama de puntos',
+        'page.results.stemLeaf': 'Tallo y hojas',
+        'page.results.pie': 'Proporción de la Carga de Trabajo',
+        'page.results.lorenz': 'Curva de Lorenz de la Carga',
+        'page.results.box': 'Cuartiles y Valores Atípicos',
+        'page.results.conclusions': 'Evaluación del Equilibrio del Equipo',
+        'page.comparison.heading': 'Comparación entre Sprints',
+        'page.comparison.chart': 'Distribución Relativa por Sprint',
+        'page.placeholder.variable': 'p. ej. errores corregidos',
+        'page.placeholder.unit': 'p. ej. error',
+        'page.placeholder.unitPlural': 'p. ej. errores',
+        'page.placeholder.observation': 'p. ej. programador',
+        'page.placeholder.observationPlural': 'p. ej. programadores',
+        'page.placeholder.noLimit': 'Sin restricción',
+        'page.placeholder.min': 'Sin mínimo (admite negativos)',
+        'page.placeholder.max': 'Sin máximo',
+        'page.placeholder.data': `Ejemplo: 5,8,3,12,7,9,4,11,6,8
+
+o con nombres:
+Ana: 13
+Luis: 9`,
+        'page.placeholder.targetMean': 'Opcional, p. ej. 10',
+        'page.placeholder.optional': 'Opcional',
+        'page.options.percentile': 'Percentil',
+        'page.language': 'Idioma:',
+
+        // Accesibilidad
+        'palette.default': 'Predeterminada',
+        'palette.colorblind': 'Apta para daltonismo',
+        'palette.highContrast': 'Alto contraste',
+        'palette.error.unknown': 'Paleta desconocida: "{palette}". Use {palettes}.',
+        'ui.a11y.label': 'Etiqueta',
+        'ui.a11y.value': 'Valor',
+        'ui.a11y.series': 'Serie',
+        'ui.a11y.chart': 'Gráfico',
+        'ui.a11y.chartLabel': '{title}. Sus datos están en la tabla que acompaña al gráfico.',
+        'ui.a11y.showData': 'Ver los datos del gráfico',
+        'ui.a11y.tableLimit': 'Se muestran las primeras {shown} de {total} filas.',
+        'ui.a11y.sortBy': 'Ordenar por {column}',
+        'ui.a11y.frequencyCaption': 'Tabla de frecuencias de {variable}',
+        'ui.a11y.groupedCaption': 'Tabla de frecuencias de {variable} agrupada en clases',
+        'page.palette': 'Colores de los gráficos:',
+
+        // Enlaces permanentes
+        'permalink.error.invalid': 'El enlace no contiene un análisis válido; puede haberse copiado incompleto.',
+        'permalink.error.tooLong': 'El enlace tendría {length} caracteres y el máximo es {limit}. Comparta los datos como archivo (CSV o JSON) o reduzca el conjunto de datos.',
+        'ui.permalink.copied': 'Enlace copiado al portapapeles.',
+        'ui.permalink.manual': 'No se pudo copiar el enlace: cópielo desde la barra de direcciones.',
+        'page.export.link': 'Copiar enlace'
+    },
+    en: {
+        // Idiomas
+        'locale.unknown': 'Unknown language: "{locale}". Use {locales}.',
+
+        // Contexto del estudio
+        'study.expectedNMode.exact': 'exactly',
+        'study.expectedNMode.minimum': 'at least',
+        'study.expectedNMode.none': 'no restriction',
+        'study.missing.error': 'reject the input',
+        'study.missing.exclude': 'exclude and warn',
+        'study.missing.mean': 'impute the mean',
+        'study.missing.median': 'impute the median',
+        'study.error.names': 'The study definition must name the variable, the unit (singular and plural) and the unit of observation (singular and plural).',
+        'study.error.limitsDecimal': 'The expected n must be an integer and the limits of the allowed range must be numbers.',
+        'study.error.limitsInteger': 'The expected n and the limits of the allowed range must be integers.',
+        'study.error.expectedNMode': 'Unknown expected n mode: "{mode}". Use {modes}.',
+        'study.error.missing': 'Unknown missing-value treatment: "{missing}". Use {treatments}.',
+        'study.error.expectedN': 'The expected number of {observations} must be at least 1.',
+        'study.error.range': 'The minimum of the allowed range cannot exceed the maximum.',
+        'study.error.expectedCount': 'Expected {mode} {expected} but {n} were entered. Check the data or adjust the expected n in the study definition.',
+        'study.range.numbers': 'numbers',
+        'study.range.integers': 'integers',
+        'study.range.between': '{kind} between {min} and {max}',
+        'study.range.nonNegative': 'non-negative {kind}',
+        'study.range.atLeast': '{kind} greater than or equal to {min}',
+        'study.range.atMost': '{kind} less than or equal to {max}',
+
+        // Validación de la entrada
+        'validation.empty': 'Please enter the number of {variable} for each {observation}.',
+        'validation.emptyToken': '(empty)',
+        'validation.lineLabel': 'line {line} ("{text}")',
+        'validation.where.line': 'Line {line}',
+        'validation.where.value': 'Value {token} (line {line})',
+        'validation.problem.notNumber': 'is not a number',
+        'validation.problem.commas': 'is not a number; with the comma as decimal separator, separate values with semicolons or spaces',
+        'validation.problem.decimals': 'has decimals and the variable only accepts integers',
+        'validation.problem.range': 'is outside the allowed range ({range})',
+        'validation.line.format': 'Line {line}: does not follow the "Name: amount" format.',
+        'validation.line.categoryCount': 'Line {line}: expected one amount or {categories} amounts per category but found {count}.',
+        'validation.line.categoryValue': 'Line {line}: the category amount {token} must be a non-negative integer.',
+        'validation.line.sumRange': 'Line {line}: the sum {total} is outside the allowed range ({range}).',
+        'validation.line.duplicate': 'Line {line}: "{name}" already appeared earlier.',
+        'validation.missing.error': '{where}: missing value; choose in the study definition whether to exclude or impute it.',
+        'validation.missing.excluded': '{where}: missing value excluded from the analysis.',
+        'validation.missing.mean': '{where}: missing value replaced by the mean ({value}).',
+        'validation.missing.median': '{where}: missing value replaced by the median ({value}).',
+        'validation.invalidLines': 'The following lines do not follow the "Name: amount" format (or one amount for each of the {categories} categories) with valid amounts of {variable}: {invalid}. Enter {range}.',
+        'validation.invalidValues': 'The following values are not valid amounts of {variable}: {invalid}. Enter {range}.',
+        'validation.noValues': 'No valid amounts of {variable} were found.',
+        'validation.mixedCategories': 'Some {observations} have a breakdown by category and others do not. Enter either a total or the {categories} category amounts for all of them.',
+        'validation.duplicates': 'The following names are repeated: {names}. Each {observation} must appear only once.',
+
+        // Categorías de errores
+        'category.validation': 'Input validation',
+        'category.logic': 'Code logic',
+        'category.database': 'Database queries',
+        'category.ui': 'User interface (UI)',
+        'category.integration': 'Integration',
+
+        // Estadísticas
+        'stats.noMode': 'No mode',
+        'stats.noOutliers': 'None',
+        'stats.error.percentile': 'The requested percentile must be a number between 0 and 100.',
+        'mode.ninguna': 'no mode',
+        'mode.unimodal': 'unimodal',
+        'mode.bimodal': 'bimodal',
+        'mode.multimodal': 'multimodal',
+        'grouping.error.width': 'The class width must be a number greater than zero.',
+        'grouping.error.classCount': 'A class width of {width} would give {count} classes; the maximum is {max}. Choose a larger width.',
+
+        // Vistas de la distribución
+        'frequency.series.absolute': 'Absolute frequency (fa)',
+        'frequency.series.relative': 'Relative frequency (%)',
+        'frequency.series.cumulative': 'Cumulative relative frequency (%)',
+        'frequency.error.series': 'Unknown frequency series: "{type}".',
+        'stemLeaf.key': 'Key: {stem} | {leaf} = {value}',
+
+        // Inferencia y ajuste
+        'inference.method.bootstrap': 'bootstrap',
+        'inference.method.ranks': 'rank-based',
+        'inference.alternative.twoSided': 'different from',
+        'inference.alternative.greater': 'greater than',
+        'inference.alternative.less': 'less than',
+        'inference.error.level': 'The confidence level must be a number greater than 0 and less than 100.',
+        'inference.error.alternative': 'Unknown alternative hypothesis: "{alternative}".',
+        'fit.error.trials': 'The number of trials of the binomial model must be an integer greater than or equal to the observed maximum ({max}).',
+        'fit.error.trialsInteger': 'The number of trials of the binomial model must be a positive integer.',
+
+        // Palabras que concuerdan con la unidad de observación
+        'word.theMasculine': 'the',
+        'word.theFeminine': 'the',
+        'word.fewMasculine': 'a few',
+        'word.fewFeminine': 'a few',
+        'word.noneMasculine': 'No',
+        'word.noneFeminine': 'No',
+        'word.population': 'population',
+        'word.sample': 'sample',
+
+        // Conclusiones automáticas
+        'rule.mean.title': 'Average load',
+        'rule.mean.text': 'Across {the} {n} {observations} the total of {variable} is {sum}, which is a mean of {mean} {units} per {observation}.',
+        'rule.extremes.title': 'Lowest and highest load',
+        'rule.extremes.text': 'The lowest load was {min} ({minCount}, {minShare} of the total{minWho}) and the highest {max} ({maxCount}, {maxShare} of the total{maxWho}).',
+        'rule.mode.title': 'Mode',
+        'rule.mode.none': 'There is no mode: no number of {units} repeats, each {observation} had a different result.',
+        'rule.mode.unimodal': 'The most frequent amount is {mode}, reached by {count}.',
+        'rule.mode.warningTitle': 'Warning: {type} distribution',
+        'rule.mode.multimodal': 'The amounts {modes} repeat {frequency} times each. A {type} distribution suggests that {the} {observations} split into groups with different load levels.',
+        'rule.dispersion.title': 'Load balance',
+        'rule.dispersion.text': 'The {estimator} coefficient of variation is {cv}, which indicates {verdict}.',
+        'rule.dispersion.balancedLabel': 'a balanced load',
+        'rule.dispersion.moderateLabel': 'a moderately balanced load',
+        'rule.dispersion.unbalancedLabel': 'an uneven load',
+        'rule.dispersion.balanced': '{label}: the data are homogeneous (CV below {balanced}%)',
+        'rule.dispersion.moderate': '{label}: the spread is moderate (CV between {balanced}% and {unbalanced}%)',
+        'rule.dispersion.unbalanced': '{label}: the data are heterogeneous (CV above {unbalanced}%)',
+        'rule.symmetry.title': 'Symmetry',
+        'rule.symmetry.text': 'With mean {mean} and median {median} (skewness {skewness}), {shape}.',
+        'rule.symmetry.symmetric': 'the distribution is approximately symmetric',
+        'rule.symmetry.rightLabel': 'right skew',
+        'rule.symmetry.leftLabel': 'left skew',
+        'rule.symmetry.right': 'there is {label}: {few} recorded many more {units} than the rest',
+        'rule.symmetry.left': 'there is {label}: {few} recorded many fewer {units} than the rest',
+        'word.someMasculine': 'some',
+        'word.someFeminine': 'some',
+        'word.overloaded': 'overloaded',
+        'word.overloadedFeminine': 'overloaded',
+        'word.underloaded': 'underloaded',
+        'word.underloadedFeminine': 'underloaded',
+        'word.overloadedPlural': 'overloaded',
+        'word.overloadedFemininePlural': 'overloaded',
+        'word.underloadedPlural': 'underloaded',
+        'word.underloadedFemininePlural': 'underloaded',
+        'word.flagged': 'flagged',
+        'word.flaggedFeminine': 'flagged',
+        'rule.kurtosis.title': 'Peakedness',
+        'rule.kurtosis.text': 'The excess kurtosis is {kurtosis}, so the distribution is {shape}.',
+        'rule.kurtosis.mesokurtic': 'mesokurtic: the concentration around the mean is similar to that of a normal distribution',
+        'rule.kurtosis.leptokurtic': 'leptokurtic: most {observations} are concentrated near the mean, with a few distant cases',
+        'rule.kurtosis.platykurtic': 'platykurtic: the loads are spread out flat, with no dominant central value',
+        'rule.outliers.title': 'Outliers',
+        'rule.outliers.fences': '{lower} to {upper} {units}',
+        'rule.outliers.none': '{none} {observation} falls outside the Tukey fences ({fences}).',
+        'rule.outliers.callout': '{who} with {value} ({load})',
+        'rule.outliers.text': 'Outside the Tukey fences ({fences}): {callouts}. The assignment of these cases should be reviewed.',
+        'rule.loadFlags.title': '{flagged} {observations}',
+        'rule.loadFlags.text': 'With |z| ≥ {threshold} the following are flagged as {parts}.',
+        'rule.categories.title': 'Categories',
+        'rule.categories.dominant': '{category} dominates the load with {share} of the total {variable} ({total})',
+        'rule.categories.noDominant': 'no category dominates the load; the largest is {category} with {share} ({total}), followed by {next} with {nextShare}%',
+        'rule.categories.text': '{verdict}. The category spread most unevenly across {observations} is {category} (CV {cv}%).',
+        'rule.inequality.title': 'Effort equity',
+        'rule.inequality.unbalancedLabel': 'is not balanced',
+        'rule.inequality.balancedLabel': 'balanced',
+        'rule.inequality.moderateLabel': 'moderately balanced',
+        'rule.inequality.unbalanced': 'the effort {label}: part of {the} {observations} concentrates the load (Gini ≥ {unbalanced} or top {topPercent}% ≥ {topUnbalanced}%)',
+        'rule.inequality.balanced': 'the effort is {label} across {the} {observations} (Gini below {balanced})',
+        'rule.inequality.moderate': 'the effort is {label} (Gini between {balanced} and {unbalanced}); the assignment should be monitored',
+        'rule.inequality.text': 'The Gini coefficient is {gini} and the top {topPercent}% of {observations} by load ({topCount}) account for {topShare} of the total {variable} (Theil index {theil}), so {verdict}.',
+        'rule.fit.title': 'Distribution fit',
+        'rule.fit.dispersion': 'dispersion index s² / mean = {index}',
+        'rule.fit.test': 'χ² = {statistic}, df = {df}, {p}',
+        'rule.fit.insufficient': 'With {count} there are not enough classes with expected frequency ≥ {minimum} for the χ² test of the Poisson model; the {dispersion} (close to 1 if arrivals are random) is only a reference.',
+        'rule.fit.randomLabel': 'random arrival of {units}',
+        'rule.fit.random': 'The load is consistent with a {label}: the {model} model is not rejected ({test}) and the {dispersion}.',
+        'rule.fit.overdispersedLabel': 'structural imbalance',
+        'rule.fit.overdispersed': 'The load shows a {label}: the {model} model is rejected ({test}) and the {dispersion} indicates more variability than chance would produce, so the assignment concentrates {units} on {some} {observations}.',
+        'rule.fit.underdispersedLabel': 'more uniform than chance',
+        'rule.fit.underdispersed': 'The load is {label}: the {model} model is rejected ({test}) and the {dispersion} indicates less variability than random arrivals, as happens when work is handed out by quota.',
+        'rule.fit.otherInsufficient': 'The {model} model does not have enough classes for the χ² test.',
+        'rule.fit.otherCompatible': 'The {model} model is also consistent with the data ({test}).',
+        'rule.fit.otherRejected': 'The {model} model is rejected ({test}).',
+        'rule.inference.title': 'Inference about the mean',
+        'rule.inference.text': 'With {level}% confidence, the mean {units} per {observation} is between {lower} and {upper} (critical t = {tCritical} with {df} degrees of freedom); {method}, the median is between {medianLower} and {medianUpper}.',
+        'rule.inference.bootstrap': 'according to {iterations} bootstrap resamples',
+        'rule.inference.ranks': 'according to the rank-based interval',
+        'rule.inference.claim': 'the mean is {alternative} {target} {units} per {observation}',
+        'rule.inference.significantLabel': 'there is statistical evidence',
+        'rule.inference.notSignificantLabel': 'there is not enough evidence',
+        'rule.inference.significant': 'since p < {alpha}, {label} that {claim}',
+        'rule.inference.notSignificant': 'since p ≥ {alpha}, {label} to claim that {claim}',
+        'rule.inference.test': 'The t test against μ₀ = {target} gave t = {t}, df = {df} and {p}: {verdict}.',
+
+        // Importación
+        'import.noLabel': 'line {line} (no label)',
+        'import.error.invalidRows': 'The following rows of the file are not valid amounts of {variable}: {rows}. Enter {range}.',
+        'import.error.empty': 'The file has no rows with amounts of {variable}.',
+
+        // Comparación entre sprints
+        'compare.meanSame': 'the mean stayed at {mean} {units}',
+        'compare.meanUp': 'the mean rose from {previous} to {mean} {units}{percent}',
+        'compare.meanDown': 'the mean fell from {previous} to {mean} {units}{percent}',
+        'compare.cvSame': 'the spread did not change (CV {current}%)',
+        'compare.cvDownLabel': 'decreased',
+        'compare.cvUpLabel': 'increased',
+        'compare.cvDown': 'the spread {label} (CV from {previous}% to {current}%): the load became more balanced',
+        'compare.cvUp': 'the spread {label} (CV from {previous}% to {current}%): the load became less balanced',
+        'compare.text': 'Between the two datasets {mean}, and {cv}.',
+
+        // Resumen estadístico
+        'word.evaluated': 'evaluated',
+        'word.evaluatedFeminine': 'evaluated',
+        'summary.n': '{observations} {evaluated} (n)',
+        'summary.total': 'Total {variable}',
+        'summary.min': 'Minimum',
+        'summary.max': 'Maximum',
+        'summary.mean': 'Mean',
+        'summary.median': 'Median',
+        'summary.mode': 'Mode',
+        'summary.range': 'Range',
+        'summary.populationVariance': 'Population variance',
+        'summary.populationStdDev': 'Population standard deviation',
+        'summary.sampleVariance': 'Sample variance',
+        'summary.sampleStdDev': 'Sample standard deviation',
+        'summary.meanAbsDev': 'Mean absolute deviation',
+        'summary.cv': 'Coefficient of variation (%, {estimator})',
+        'summary.skewness': 'Skewness',
+        'summary.kurtosis': 'Excess kurtosis',
+        'summary.iqr': 'Interquartile range',
+        'summary.percentile': 'Percentile P{k}',
+        'summary.lowerFence': 'Lower Tukey fence',
+        'summary.upperFence': 'Upper Tukey fence',
+        'summary.outliers': 'Outliers',
+        'summary.gini': 'Gini coefficient',
+        'summary.theil': 'Theil index',
+        'summary.topShare': 'Share of the top {percent}% (%)',
+        'summary.dispersionIndex': 'Dispersion index (s² / mean)',
+        'summary.model': '{name} model',
+        'summary.chiSquareDf': 'χ² df {name}',
+        'summary.chiSquarePValue': 'χ² p-value {name}',
+        'summary.insufficientClasses': 'Not enough classes',
+        'summary.meanLower': '{level}% CI of the mean (lower)',
+        'summary.meanUpper': '{level}% CI of the mean (upper)',
+        'summary.medianLower': '{level}% {method} CI of the median (lower)',
+        'summary.medianUpper': '{level}% {method} CI of the median (upper)',
+        'summary.tTest': 't test: H₁ mean {alternative}',
+        'summary.tStatistic': 't statistic',
+        'summary.df': 'Degrees of freedom',
+        'summary.pValue': 'p-value',
+
+        // Exportación
+        'export.summary': 'Statistical summary',
+        'export.measure': 'Measure',
+        'export.value': 'Value',
+        'export.frequencyTable': 'Frequency table',
+        'export.groupedTable': 'Grouped frequency table',
+        'export.percentage': 'Percentage (%)',
+        'frequency.expected': 'Expected {model}',
+        'grouping.class': 'Class',
+        'grouping.mark': 'Class mark',
+
+        // Línea de comandos
+        'cli.usage': `Usage: programa-estadistica [options] [file ...]
+
+Analyzes a count variable per unit of observation (by default, bugs fixed per
+programmer). Without files (or with "-") it reads standard input. Accepts the same
+formats as the data area of the page.
+
+Options:
+  -f, --format <text|json|csv>  Output format (default: text)
+  -s, --sample                  Use sample estimators (n - 1)
+  -p, --percentile <k>          Additional percentile to compute (default: 90)
+  -c, --confidence <level>      Confidence level of the intervals in % (default: 95)
+  -t, --target <μ₀>             Hypothesized mean for the one-sample t test
+      --alternative <type>      Alternative hypothesis: two-sided, greater or less (default: two-sided)
+  -b, --binomial <m>            Also fit a binomial model with m trials
+      --study <file.json>       Study definition: variable, units, expected n, range,
+                                decimals and missing-value treatment
+  -l, --lang <es|en>            Language of messages and number formatting (default: es)
+  -h, --help                    Show this help
+
+Exit codes: 0 success, 1 invalid data or unreadable file, 2 invalid options.`,
+        'cli.error.missingValue': 'The {flag} option requires a value.',
+        'cli.error.format': 'Unknown format: "{format}". Use {formats}.',
+        'cli.error.target': 'The hypothesized mean must be a number.',
+        'cli.error.option': 'Unknown option: {option}',
+        'cli.error.read': 'Could not read the file: {message}',
+        'cli.error.json': 'The file is not valid JSON.',
+        'cli.error.study': 'Study {file}: {reason}',
+        'cli.warning': 'Warning: {warning}',
+        'cli.heading.summary': 'STATISTICAL SUMMARY',
+        'cli.heading.frequency': 'FREQUENCY TABLE',
+        'cli.heading.conclusions': 'CONCLUSIONS',
+
+        // Paneles de la interfaz
+        'ui.interval': '{lower} to {upper}',
+        'ui.dispersion.populationVariance': 'Population variance (σ²)',
+        'ui.dispersion.sampleVariance': 'Sample variance (s²)',
+        'ui.dispersion.populationStdDev': 'Population standard deviation (σ)',
+        'ui.dispersion.sampleStdDev': 'Sample standard deviation (s)',
+        'ui.dispersion.cv': 'Coefficient of variation ({estimator})',
+        'ui.dispersion.skewness': 'Fisher-Pearson skewness ({estimator})',
+        'ui.dispersion.kurtosis': 'Excess kurtosis ({estimator})',
+        'ui.inequality.negative': 'Inequality measures require non-negative values.',
+        'ui.inequality.topShare': 'Share of the top {percent}% ({count})',
+        'ui.inequality.theil': 'Theil index (maximum ln n = {max})',
+        'ui.inference.twoSided': 'two-sided',
+        'ui.inference.greater': 'right-tailed',
+        'ui.inference.less': 'left-tailed',
+        'ui.inference.tooFew': 'At least two {observations} are needed to compute confidence intervals.',
+        'ui.inference.meanInterval': '{level}% CI of the mean',
+        'ui.inference.standardError': 'Standard error of the mean',
+        'ui.inference.tCritical': 'Critical t (df = {df})',
+        'ui.inference.medianInterval': '{level}% {method} CI of the median',
+        'ui.inference.tStatistic': 't statistic (μ₀ = {target})',
+        'ui.inference.pValue': 'p-value ({alternative})',
+        'ui.person.z': 'z-score',
+        'ui.person.percentileRank': 'Percentile Rank',
+        'ui.person.limit': 'Showing {shown} of {total} {observations}; sort by another column to see other extremes.',
+        'ui.person.filterClass': '{variable} in class {label}',
+        'ui.person.filter': 'Showing {count} with {value}.',
+        'ui.person.showAll': 'Show all',
+        'ui.category.category': 'Category',
+        'ui.category.total': 'Total',
+        'ui.category.share': 'Share (%)',
+        'ui.category.stdDev': 'Standard Deviation',
+        'ui.category.cv': 'Coef. of Variation (%)',
+        'ui.frequency.relative': 'Relative Frequency (fr)',
+        'ui.frequency.cumulative': 'Cumulative (Fa)',
+        'ui.frequency.cumulativeRelative': 'Cumulative Relative (Fr)',
+        'ui.frequency.autoGrouped': 'There are {count} distinct values (more than {max}): the table and charts group them into {classes} classes using Sturges\' rule. Choose grouped data in the options to change the classes.',
+        'ui.fit.zeroMean': 'With mean 0 there is no count model to fit.',
+        'ui.fit.counts': 'Count models are only fitted to non-negative integer values up to {max}.',
+        'ui.fit.dispersion': 'Dispersion index s² / mean = {index} (1 in a Poisson process).',
+        'ui.fit.observed': 'Observed (O)',
+        'ui.fit.expected': 'Expected (E)',
+        'ui.fit.insufficient': 'Not enough classes remain for the test (df = {df}); more data is needed.',
+        'ui.grouping.class': 'Class [Li - Ls)',
+        'ui.grouping.mark': 'Class mark (xᵢ)',
+        'ui.grouping.ungrouped': 'Ungrouped data',
+        'ui.grouping.grouped': 'Grouped data',
+        'ui.grouping.czuberMode': 'Mode (Czuber)',
+        'ui.grouping.k': 'Number of classes (k)',
+        'ui.grouping.width': 'Class width (A)',
+
+        // Gráficos
+        'ui.chart.count': 'Number of {observations}',
+        'ui.chart.expected': 'Expected {model}',
+        'ui.chart.barTitle': 'Distribution of {variable} per {observation}',
+        'ui.chart.quantity': 'Number of {variable}',
+        'ui.chart.polygon': 'Frequency polygon',
+        'ui.chart.histogramTitle': 'Histogram and Frequency Polygon',
+        'ui.chart.classes': 'Classes of {variable}',
+        'ui.chart.pieTitle': 'Percentage Distribution of the Workload',
+        'ui.chart.ogiveTitle': 'Ogive (Cumulative Relative Frequency)',
+        'ui.chart.ogiveTooltip': '{percentage}% of {observations} with up to {quantity}',
+        'ui.chart.upperLimit': 'Upper class limit of {variable}',
+        'ui.chart.dotTitle': 'Dot Plot',
+        'ui.chart.whiskers': 'Whiskers',
+        'ui.chart.lowerBox': 'Q1 - Median',
+        'ui.chart.upperBox': 'Median - Q3',
+        'ui.chart.boxTitle': 'Box and Whisker Plot',
+        'ui.chart.outlierTooltip': '{observation} #{position}: {quantity} ({side} outlier)',
+        'ui.chart.side.inferior': 'lower',
+        'ui.chart.side.superior': 'upper',
+        'ui.chart.lorenz': 'Lorenz Curve',
+        'ui.chart.equality': 'Perfect equality',
+        'ui.chart.lorenzTooltip': '{population}% of {observations} accounts for {share}% of total {variable}',
+        'ui.chart.lorenzX': 'Cumulative % of {observations} (from lowest to highest load)',
+        'ui.chart.lorenzY': 'Cumulative % of {variable}',
+        'ui.chart.stackedTitle': '{variable} per {observation} and Category',
+        'ui.chart.categoryPieTitle': 'Share of each Category in the Total',
+        'ui.chart.smallSampleOnly': 'Available with up to {count}',
+
+        // Resumen
+        'ui.summary.n': '{observations} {evaluated}',
+        'ui.summary.min': 'Minimum {units} (per {observation})',
+        'ui.summary.max': 'Maximum {units} (per {observation})',
+        'ui.summary.mean': 'Mean {units}',
+        'ui.summary.median': 'Median {units}',
+        'ui.summary.mode': 'Mode of {units}',
+        'ui.summary.q1': 'First quartile (Q1)',
+        'ui.summary.q3': 'Third quartile (Q3)',
+        'ui.summary.iqr': 'Interquartile range (IQR)',
+        'ui.summary.fences': 'Tukey fences',
+
+        // Umbrales
+        'ui.thresholds.negative': 'Interpretation thresholds must be non-negative numbers.',
+        'ui.thresholds.cv': 'The balanced-load threshold cannot exceed the unbalanced-load threshold.',
+        'ui.thresholds.gini': 'Gini thresholds must satisfy balanced ≤ unbalanced ≤ 1.',
+        'ui.thresholds.topShare': 'The top 20% share threshold cannot exceed 100%.',
+
+        // Mensajes de la página
+        'ui.error': 'Error',
+        'ui.warning': 'Warning',
+        'ui.diagnostics.select': 'Select in the data area',
+        'ui.diagnostics.more': '… and {count} more.',
+        'ui.diagnostics.missing': '{count} missing values were found.',
+
+        // Importación
+        'ui.import.column': 'Column {number}',
+        'ui.import.noLabel': '(no label)',
+        'ui.import.line': 'Line',
+        'ui.import.rows': '{file}: {count} data rows',
+        'ui.import.rowsWithHeader': '{file}: {count} data rows (with header)',
+
+        // Comparación
+        'ui.comparison.remove': 'Remove {name}',
+        'ui.comparison.stdDev': 'Standard deviation',
+        'ui.comparison.cv': 'Coefficient of variation',
+        'ui.comparison.chartTitle': 'Relative Frequency per Sprint',
+        'ui.comparison.empty': 'Save at least two sprints to compare how they evolve.',
+        'ui.comparison.defaultName': 'Sprint {number}',
+
+        // Textos del estudio
+        'ui.study.subtitle': 'Analysis of the distribution of {variable} per {observation}',
+        'ui.study.count': '{n} ',
+        'ui.study.countMinimum': 'at least {n} ',
+        'ui.study.values': 'values',
+        'ui.study.integerValues': 'integer values',
+        'ui.study.inputLabel': 'Enter the number of {variable} for each {observation} ({count}{values} separated by comma, space, semicolon or line break, or one "Name: amount" line per {observation}):',
+        'ui.study.personHeading': 'Load per {observation}',
+        'ui.study.stackedHeading': 'Load per {observation} and Category',
+        'ui.study.frequencyHeading': 'Distribution of {variable}',
+        'ui.study.barHeading': 'Distribution of {units} by Amount',
+
+        // Preajustes
+        'ui.presets.storage': 'The preset could not be saved in the browser.',
+        'ui.presets.builtIn': 'Built-in',
+        'ui.presets.saved': 'Saved',
+        'ui.presets.custom': 'Custom',
+        'ui.presets.suggestion': '{variable} per {observation}',
+        'ui.presets.prompt': 'Preset name:',
+        'ui.presets.builtInName': '"{name}" is a built-in study; choose another name.',
+        'ui.presets.confirmDelete': 'Delete the preset "{name}"?',
+
+        // Historial
+        'ui.history.storage': 'The history could not be saved in the browser. Free up space by deleting old analyses.',
+        'ui.history.labelPrompt': 'Label for this analysis:',
+        'ui.history.confirmDelete': 'Delete this analysis from the history?',
+        'ui.history.invalid': 'The file is not a valid history exported by this application.',
+        'ui.history.restoreFailed': 'The analysis could not be restored from the history: {message}',
+        'ui.history.empty': 'There are no saved analyses yet. Each analysis is saved automatically when it is processed.',
+        'ui.history.noLabel': 'Unlabeled',
+        'ui.history.details': '{date} · n = {n} · mean {mean}',
+        'ui.history.restore': 'Restore',
+        'ui.history.rename': 'Rename',
+        'ui.history.delete': 'Delete',
+        'ui.analysis.background': 'Analyzing in the background…',
+        'page.title': 'Descriptive Statistics',
+        'page.heading': 'Discrete quantitative variable, ungrouped',
+        'page.context.heading': 'Problem Context',
+        'page.context.situationLabel': 'Situation:',
+        'page.context.situation': 'The quality team has finished reviewing the 2-week sprint. The number of critical functional bugs successfully fixed by each of the 10 programmers on the team was recorded.',
+        'page.context.goalLabel': 'Goal:',
+        'page.context.goal': 'Analyze the distribution of the bug-fixing load and determine whether the effort is balanced among the team members.',
+        'page.context.typesLabel': 'Bug types evaluated:',
+        'page.context.type.validation': 'Input validation bugs',
+        'page.context.type.logic': 'Logic bugs in the code',
+        'page.context.type.database': 'Database query bugs',
+        'page.context.type.ui': 'User interface (UI) bugs',
+        'page.context.type.integration': 'Integration bugs',
+        'page.context.breakdownLabel': 'Optional breakdown:',
+        'page.context.breakdown': 'To analyze each bug type, enter for each programmer one amount per category in the order of the list above, for example',
+        'page.context.variableLabel': 'Study variable:',
+        'page.context.variable': 'Number of critical functional bugs successfully fixed by each programmer (discrete quantitative variable, ratio level).',
+        'page.input.heading': 'Sprint Data',
+        'page.study.heading': 'Study definition',
+        'page.study.preset': 'Saved study:',
+        'page.study.variable': 'Measured variable:',
+        'page.study.unit': 'Unit (singular):',
+        'page.study.unitPlural': 'Unit (plural):',
+        'page.study.observation': 'Observation unit (singular):',
+        'page.study.observationPlural': 'Observation unit (plural):',
+        'page.study.feminine': 'Feminine observation unit (Spanish labels)',
+        'page.study.expectedNMode': 'Number of values:',
+        'page.study.exact': 'Exactly n',
+        'page.study.minimum': 'At least n',
+        'page.study.noLimit': 'No restriction',
+        'page.study.expectedN': 'Expected n:',
+        'page.study.min': 'Minimum allowed:',
+        'page.study.max': 'Maximum allowed:',
+        'page.study.allowDecimals': 'Allow decimals (continuous variable)',
+        'page.study.missing': 'Missing values (empty, NA, N/A, -):',
+        'page.study.missingError': 'Reject the input',
+        'page.study.missingExclude': 'Exclude and warn',
+        'page.study.missingMean': 'Impute the mean',
+        'page.study.missingMedian': 'Impute the median',
+        'page.study.apply': 'Apply study',
+        'page.study.savePreset': 'Save as preset',
+        'page.study.deletePreset': 'Delete preset',
+        'page.import.drop': 'Drop here a CSV or TSV file exported from the task tracker or a spreadsheet, or',
+        'page.import.select': 'choose a file',
+        'page.import.delimiter': 'Column separator:',
+        'page.import.comma': 'Comma (,)',
+        'page.import.semicolon': 'Semicolon (;)',
+        'page.import.tab': 'Tab',
+        'page.import.pipe': 'Vertical bar (|)',
+        'page.import.decimal': 'Decimal separator:',
+        'page.import.point': 'Point (.)',
+        'page.import.valueColumn': 'Variable column:',
+        'page.import.labelColumn': 'Label column:',
+        'page.import.apply': 'Import columns',
+        'page.import.cancel': 'Cancel',
+        'page.options.mode': 'Analysis type:',
+        'page.options.discrete': 'Ungrouped data (one value per row)',
+        'page.options.grouped': 'Data grouped in class intervals',
+        'page.options.estimator': 'Estimator for the conclusions:',
+        'page.options.population': 'Population (divides by n)',
+        'page.options.sample': 'Sample (divides by n - 1)',
+        'page.options.percentileMethod': 'Percentile method:',
+        'page.options.inclusive': 'Inclusive interpolation (n - 1)',
+        'page.options.exclusive': 'Exclusive interpolation (n + 1)',
+        'page.options.nearest': 'Nearest rank',
+        'page.options.confidence': 'Confidence level:',
+        'page.options.targetMean': 'Hypothesized mean μ₀ (t test):',
+        'page.options.alternative': 'Alternative hypothesis:',
+        'page.options.twoSided': 'Mean different from μ₀',
+        'page.options.greater': 'Mean greater than μ₀',
+        'page.options.less': 'Mean less than μ₀',
+        'page.options.binomialTrials': 'Binomial model trials (m):',
+        'page.options.classRule': 'Number of classes:',
+        'page.options.sturges': 'Sturges\' rule',
+        'page.options.sqrt': 'Square root of n',
+        'page.options.customWidth': 'Custom class width',
+        'page.options.classWidth': 'Class width (A):',
+        'page.thresholds.heading': 'Interpretation thresholds',
+        'page.thresholds.cvBalanced': 'Balanced load if CV < (%):',
+        'page.thresholds.cvUnbalanced': 'Unbalanced load if CV > (%):',
+        'page.thresholds.symmetry': 'Symmetry tolerance |mean - median| / σ:',
+        'page.thresholds.giniBalanced': 'Balanced effort if Gini <:',
+        'page.thresholds.giniUnbalanced': 'Unbalanced effort if Gini ≥:',
+        'page.thresholds.topShare': 'Unbalanced if the top 20% holds ≥ (%):',
+        'page.actions.analyze': 'Analyze Performance',
+        'page.actions.example': 'Load Example',
+        'page.actions.live': 'Analyze as I type',
+        'page.history.heading': 'Analysis History',
+        'page.history.export': 'Export history',
+        'page.history.import': 'Import history',
+        'page.export.csv': 'Download CSV',
+        'page.export.json': 'Download JSON',
+        'page.export.print': 'Print report',
+        'page.compare.label': 'Save this analysis for comparison as:',
+        'page.compare.add': 'Add to comparison',
+        'page.results.summary': 'Team Performance Analysis',
+        'page.results.dispersion': 'Dispersion and Shape of the Distribution',
+        'page.results.inequality': 'Effort Equity',
+        'page.results.inference': 'Inference about the Mean',
+        'page.results.inferenceHint': 'Intervals computed with the sample standard deviation and Student\'s t distribution.',
+        'page.results.personHint': 'Click a header to sort the table.',
+        'page.results.categories': 'Breakdown by Bug Type',
+        'page.results.categoryShare': 'Share by Category',
+        'page.results.frequencyHint': 'Hover over a row to highlight it in the charts; click it to see only those values in the per-programmer table.',
+        'page.results.fit': 'Distribution Fitting',
+        'page.results.fitHint': 'χ² goodness-of-fit test; classes with an expected frequency below 5 are merged with their neighbours.',
+        'page.results.grouped': 'Measures with Grouped Data',
+        'page.results.charts': 'Performance Visualization',
+        'page.results.chartType': 'Chart type:',
+        'page.results.absolute': 'Absolute frequency',
+        'page.results.relative': 'Relative frequency',
+        'page.results.ogive': 'Cumulative (ogive)',
+        'page.results.dotPlot': 'Dot plot',
+        'page.results.stemLeaf': 'Stem and leaf',
+        'page.results.pie': 'Share of the Workload',
+        'page.results.lorenz': 'Lorenz Curve of the Load',
+        'page.results.box': 'Quartiles and Outliers',
+        'page.results.conclusions': 'Team Balance Assessment',
+        'page.comparison.heading': 'Sprint Comparison',
+        'page.comparison.chart': 'Relative Distribution per Sprint',
+        'page.placeholder.variable': 'e.g. bugs fixed',
+        'page.placeholder.unit': 'e.g. bug',
+        'page.placeholder.unitPlural': 'e.g. bugs',
+        'page.placeholder.observation': 'e.g. programmer',
+        'page.placeholder.observationPlural': 'e.g. programmers',
+        'page.placeholder.noLimit': 'No restriction',
+        'page.placeholder.min': 'No minimum (allows negatives)',
+        'page.placeholder.max': 'No maximum',
+        'page.placeholder.data': `Example: 5,8,3,12,7,9,4,11,6,8
+
+or with names:
+Ana: 13
+Luis: 9`,
+        'page.placeholder.targetMean': 'Optional, e.g. 10',
+        'page.placeholder.optional': 'Optional',
+        'page.options.percentile': 'Percentile',
+        'page.language': 'Language:',
+
+        // Accesibilidad
+        'palette.default': 'Default',
+        'palette.colorblind': 'Colour-blind safe',
+        'palette.highContrast': 'High contrast',
+        'palette.error.unknown': 'Unknown palette: "{palette}". Use {palettes}.',
+        'ui.a11y.label': 'Label',
+        'ui.a11y.value': 'Value',
+        'ui.a11y.series': 'Series',
+        'ui.a11y.chart': 'Chart',
+        'ui.a11y.chartLabel': '{title}. Its data is in the table that follows the chart.',
+        'ui.a11y.showData': 'Show the chart data',
+        'ui.a11y.tableLimit': 'Showing the first {shown} of {total} rows.',
+        'ui.a11y.sortBy': 'Sort by {column}',
+        'ui.a11y.frequencyCaption': 'Frequency table of {variable}',
+        'ui.a11y.groupedCaption': 'Frequency table of {variable} grouped in classes',
+        'page.palette': 'Chart colours:',
+
+        // Enlaces permanentes
+        'permalink.error.invalid': 'The link does not contain a valid analysis; it may have been copied incompletely.',
+        'permalink.error.tooLong': 'The link would have {length} characters and the maximum is {limit}. Share the data as a file (CSV or JSON) or reduce the dataset.',
+        'ui.permalink.copied': 'Link copied to the clipboard.',
+        'ui.permalink.manual': 'The link could not be copied: copy it from the address bar.',
+        'page.export.link': 'Copy link'
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MESSAGES;
+}
@@ -1,211 +1,370 @@
+// Interfaz de la aplicación: DOM, gráficos, importación, exportación e historial.
+// Los cálculos estadísticos están en stats-core.js y los textos en messages.js (ver t), que se
+// cargan antes que este archivo.
+
 // ===========================
-// FUNCIONES DE VALIDACIÓN Y PARSING
+// FUNCIONES DE DISPERSIÓN Y FORMA
 // ===========================
 
 /**
- * Convierte string de entrada en array de enteros válidos
- * @param {string} inputString - String con datos separados por coma, espacio, punto y coma o salto de línea
- * @returns {number[]} Array de números enteros
- * @throws {Error} Si hay valores inválidos
+ * Muestra el panel de dispersión y forma
+ * @param {Object} stats - Objeto con estadísticas calculadas
+ * @param {string} containerId - ID del contenedor
  */
-function parseInput(inputString) {
-    if (!inputString || inputString.trim() === '') {
-        throw new Error('Por favor, ingrese la cantidad de errores corregidos por cada programador.');
-    }
-
-    // Separar por diferentes delimitadores
-    const rawValues = inputString
-        .trim()
-        .split(/[,;\s\n\r]+/)
-        .filter(val => val.trim() !== '');
-
-    if (rawValues.length === 0) {
-        throw new Error('No se encontraron valores válidos en la entrada.');
-    }
-
-    const numbers = [];
-    const invalidValues = [];
-
-    for (let i = 0; i < rawValues.length; i++) {
-        const trimmed = rawValues[i].trim();
-        const parsed = parseInt(trimmed);
+function renderDispersionPanel(stats, containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    container.innerHTML = '';
+    
+    const estimator = { estimator: t(stats.population ? 'word.population' : 'word.sample') };
+    const statsData = [
+        { label: t('summary.range'), value: formatNumber(stats.range) },
+        { label: t('ui.dispersion.populationVariance'), value: formatNumber(stats.variance, 2) },
+        { label: t('ui.dispersion.sampleVariance'), value: formatNumber(stats.sampleVariance, 2) },
+        { label: t('ui.dispersion.populationStdDev'), value: formatNumber(stats.stdDev, 2) },
+        { label: t('ui.dispersion.sampleStdDev'), value: formatNumber(stats.sampleStdDev, 2) },
+        { label: t('summary.meanAbsDev'), value: formatNumber(stats.meanAbsDev, 2) },
+        { label: t('ui.dispersion.cv', estimator), value: formatNumber(stats.cv, 2) + '%' },
+        { label: t('ui.dispersion.skewness', estimator), value: formatNumber(stats.skewness, 3) },
+        { label: t('ui.dispersion.kurtosis', estimator), value: formatNumber(stats.kurtosis, 3) }
+    ];
+    
+    statsData.forEach(stat => {
+        const card = document.createElement('div');
+        card.className = 'stat-card';
         
-        // Verificar que sea un número entero válido y no negativo (no puede haber errores negativos)
-        if (isNaN(parsed) || !Number.isInteger(parsed) || parsed.toString() !== trimmed || parsed < 0) {
-            invalidValues.push(trimmed);
-        } else {
-            numbers.push(parsed);
-        }
-    }
-
-    if (invalidValues.length > 0) {
-        throw new Error(`Los siguientes valores no son cantidades válidas de errores corregidos: ${invalidValues.join(', ')}. Debe ingresar números enteros no negativos.`);
-    }
-
-    if (numbers.length === 0) {
-        throw new Error('No se encontraron cantidades válidas de errores corregidos.');
-    }
-
-    return numbers;
+        const title = document.createElement('h3');
+        title.textContent = stat.label;
+        
+        const value = document.createElement('div');
+        value.className = 'value';
+        value.textContent = stat.value;
+        
+        card.appendChild(title);
+        card.appendChild(value);
+        container.appendChild(card);
+    });
 }
 
 // ===========================
-// FUNCIONES DE CÁLCULOS ESTADÍSTICOS
+// FUNCIONES DE EQUIDAD DE LA CARGA
 // ===========================
 
 /**
- * Calcula la media aritmética
- * @param {number[]} values - Array de valores
- * @returns {number} Media aritmética
- */
-function calcMean(values) {
-    if (values.length === 0) return 0;
-    const sum = values.reduce((acc, val) => acc + val, 0);
-    return sum / values.length;
-}
-
-/**
- * Calcula la mediana
- * @param {number[]} values - Array de valores
- * @returns {number} Mediana
+ * Muestra el panel de desigualdad: Gini, Theil y participación del 20% superior
+ * @param {Object} stats - Objeto con estadísticas calculadas
+ * @param {string} containerId - ID del contenedor
  */
-function calcMedian(values) {
-    if (values.length === 0) return 0;
+function renderInequalityPanel(stats, containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
     
-    const sorted = [...values].sort((a, b) => a - b);
-    const middle = Math.floor(sorted.length / 2);
+    container.innerHTML = '';
     
-    if (sorted.length % 2 === 0) {
-        return (sorted[middle - 1] + sorted[middle]) / 2;
-    } else {
-        return sorted[middle];
+    if (!stats.inequality) {
+        const hint = document.createElement('p');
+        hint.className = 'section-hint';
+        hint.textContent = t('ui.inequality.negative');
+        container.appendChild(hint);
+        return;
     }
+    
+    const { gini, theil, theilMax, topShare } = stats.inequality;
+    const statsData = [
+        { label: t('summary.gini'), value: formatNumber(gini, 3) },
+        {
+            label: t('ui.inequality.topShare', {
+                percent: formatNumber(Math.round(topShare.fraction * 100)), count: formatObservations(topShare.count, currentStudy)
+            }),
+            value: formatNumber(topShare.share, 2) + '%'
+        },
+        { label: t('ui.inequality.theil', { max: formatNumber(theilMax, 2) }), value: formatNumber(theil, 3) }
+    ];
+    
+    statsData.forEach(stat => {
+        const card = document.createElement('div');
+        card.className = 'stat-card';
+        
+        const title = document.createElement('h3');
+        title.textContent = stat.label;
+        
+        const value = document.createElement('div');
+        value.className = 'value';
+        value.textContent = stat.value;
+        
+        card.appendChild(title);
+        card.appendChild(value);
+        container.appendChild(card);
+    });
 }
 
+// ===========================
+// FUNCIONES DE INFERENCIA
+// ===========================
+
+// Descripción de cada hipótesis alternativa para el panel de inferencia (clave → mensaje)
+const ALTERNATIVE_LABELS = {
+    'two-sided': 'ui.inference.twoSided',
+    'greater': 'ui.inference.greater',
+    'less': 'ui.inference.less'
+};
+
 /**
- * Calcula la moda (valor o valores más frecuentes)
- * @param {number[]} values - Array de valores
- * @returns {Object} Objeto con moda(s) y información adicional
+ * Muestra el panel de inferencia: IC de la media, IC de la mediana (bootstrap o por rangos) y prueba t
+ * @param {Object} stats - Objeto con estadísticas calculadas
+ * @param {string} containerId - ID del contenedor
  */
-function calcMode(values) {
-    if (values.length === 0) return { modes: [], frequency: 0, type: 'ninguna' };
+function renderInferencePanel(stats, containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
     
-    // Contar frecuencias
-    const frequency = {};
-    values.forEach(val => {
-        frequency[val] = (frequency[val] || 0) + 1;
-    });
+    container.innerHTML = '';
     
-    // Encontrar la frecuencia máxima
-    const maxFreq = Math.max(...Object.values(frequency));
+    if (!stats.inference) {
+        const hint = document.createElement('p');
+        hint.className = 'section-hint';
+        hint.textContent = t('ui.inference.tooFew', { observations: currentStudy.observationPlural });
+        container.appendChild(hint);
+        return;
+    }
     
-    // Encontrar todos los valores con frecuencia máxima
-    const modes = Object.keys(frequency)
-        .filter(key => frequency[key] === maxFreq)
-        .map(key => parseInt(key))
-        .sort((a, b) => a - b);
+    const { level, meanInterval, medianInterval, tTest } = stats.inference;
+    const statsData = [
+        {
+            label: t('ui.inference.meanInterval', { level: formatNumber(level) }),
+            value: t('ui.interval', { lower: formatNumber(meanInterval.lower, 2), upper: formatNumber(meanInterval.upper, 2) })
+        },
+        { label: t('ui.inference.standardError'), value: formatNumber(meanInterval.standardError, 3) },
+        { label: t('ui.inference.tCritical', { df: formatNumber(meanInterval.df) }), value: formatNumber(meanInterval.tCritical, 3) },
+        {
+            label: t('ui.inference.medianInterval', { level: formatNumber(level), method: t(MEDIAN_INTERVAL_METHODS[medianInterval.method]) }),
+            value: t('ui.interval', { lower: formatNumber(medianInterval.lower), upper: formatNumber(medianInterval.upper) })
+        }
+    ];
     
-    let type;
-    if (maxFreq === 1) {
-        type = 'ninguna';
-    } else if (modes.length === 1) {
-        type = 'unimodal';
-    } else if (modes.length === 2) {
-        type = 'bimodal';
-    } else {
-        type = 'multimodal';
+    if (tTest) {
+        statsData.push(
+            {
+                label: t('ui.inference.tStatistic', { target: formatNumber(tTest.targetMean) }),
+                value: Number.isFinite(tTest.t) ? formatNumber(tTest.t, 3) : (tTest.t > 0 ? '∞' : '-∞')
+            },
+            { label: t('summary.df'), value: formatNumber(tTest.df) },
+            { label: t('ui.inference.pValue', { alternative: t(ALTERNATIVE_LABELS[tTest.alternative]) }), value: formatPValue(tTest.pValue) }
+        );
     }
     
-    return {
-        modes: modes,
-        frequency: maxFreq,
-        type: type
-    };
+    statsData.forEach(stat => {
+        const card = document.createElement('div');
+        card.className = 'stat-card';
+        
+        const title = document.createElement('h3');
+        title.textContent = stat.label;
+        
+        const value = document.createElement('div');
+        value.className = 'value';
+        value.textContent = stat.value;
+        
+        card.appendChild(title);
+        card.appendChild(value);
+        container.appendChild(card);
+    });
 }
 
-/**
- * Calcula el rango
- * @param {number[]} values - Array de valores
- * @returns {number} Rango (máximo - mínimo)
- */
-function calcRange(values) {
-    if (values.length === 0) return 0;
-    return Math.max(...values) - Math.min(...values);
-}
+// ===========================
+// FUNCIONES POR PROGRAMADOR
+// ===========================
+
+// Orden actual de la tabla por programador
+let personTableSort = { key: 'position', ascending: true };
+
+// Filas que se dibujan como máximo; con más datos se muestran las primeras según el orden elegido
+const PERSON_TABLE_LIMIT = 500;
 
 /**
- * Calcula la varianza
- * @param {number[]} values - Array de valores
- * @param {boolean} population - true para varianza poblacional, false para muestral
- * @returns {number} Varianza
+ * Construye la tabla por programador en el DOM; los encabezados permiten ordenar.
+ * Si hay una fila de la tabla de frecuencias elegida (selectFrequencyRow), solo se muestran
+ * sus valores. Se dibujan como máximo las primeras PERSON_TABLE_LIMIT filas del orden actual
+ * @param {Array} personRows - Filas de getPersonTable
+ * @param {string} containerId - ID del contenedor donde insertar la tabla
  */
-function calcVariance(values, population = true) {
-    if (values.length === 0) return 0;
-    if (values.length === 1) return 0;
+function buildPersonTableDOM(personRows, containerId) {
+    const container = document.getElementById(containerId);
+    if (!container || personRows.length === 0) return;
+    
+    const frequencyRows = selectedFrequencyRow !== null ? getFrequencyViewRows() : null;
+    const visibleRows = frequencyRows
+        ? personRows.filter(row => findFrequencyRowIndex(frequencyRows, row.value) === selectedFrequencyRow)
+        : personRows;
+    
+    const { key, ascending } = personTableSort;
+    const sortedRows = [...visibleRows].sort((a, b) => {
+        const comparison = typeof a[key] === 'string' ? a[key].localeCompare(b[key]) : a[key] - b[key];
+        return ascending ? comparison : -comparison;
+    });
+    
+    const table = document.createElement('table');
+    table.className = 'frequency-table sortable-table';
+    
+    const columns = [
+        { key: 'position', label: '#' },
+        { key: 'name', label: toTitleCase(currentStudy.observation) },
+        { key: 'value', label: toTitleCase(currentStudy.variable) },
+        { key: 'z', label: t('ui.person.z') },
+        { key: 'percentileRank', label: t('ui.person.percentileRank') }
+    ];
+    
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    columns.forEach(column => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        const sorted = column.key === key;
+        th.setAttribute('aria-sort', sorted ? (ascending ? 'ascending' : 'descending') : 'none');
+        
+        // Un botón dentro del encabezado permite ordenar también con el teclado
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'sort-button';
+        button.title = t('ui.a11y.sortBy', { column: column.label });
+        button.textContent = column.label + (sorted ? (ascending ? ' ▲' : ' ▼') : '');
+        button.addEventListener('click', () => {
+            personTableSort = {
+                key: column.key,
+                ascending: sorted ? !ascending : true
+            };
+            buildPersonTableDOM(personRows, containerId);
+            container.querySelectorAll('.sort-button')[columns.indexOf(column)].focus();
+        });
+        th.appendChild(button);
+        headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+    
+    const tbody = document.createElement('tbody');
+    sortedRows.slice(0, PERSON_TABLE_LIMIT).forEach(row => {
+        const tr = document.createElement('tr');
+        const cells = [row.position, row.name, formatNumber(row.value), formatNumber(row.z), formatNumber(row.percentileRank) + '%'];
+        
+        cells.forEach(cellValue => {
+            const td = document.createElement('td');
+            td.textContent = cellValue;
+            tr.appendChild(td);
+        });
+        
+        tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
     
-    const mean = calcMean(values);
-    const sumSquaredDiffs = values.reduce((acc, val) => acc + Math.pow(val - mean, 2), 0);
+    container.innerHTML = '';
+    if (frequencyRows) container.appendChild(buildPersonFilterNote(frequencyRows[selectedFrequencyRow], sortedRows.length));
+    container.appendChild(table);
     
-    const divisor = population ? values.length : values.length - 1;
-    return sumSquaredDiffs / divisor;
+    if (sortedRows.length > PERSON_TABLE_LIMIT) {
+        const note = document.createElement('p');
+        note.className = 'section-hint';
+        note.textContent = t('ui.person.limit', {
+            shown: formatNumber(PERSON_TABLE_LIMIT), total: formatNumber(sortedRows.length), observations: currentStudy.observationPlural
+        });
+        container.appendChild(note);
+    }
 }
 
 /**
- * Calcula la desviación estándar
- * @param {number[]} values - Array de valores
- * @param {boolean} population - true para desviación poblacional, false para muestral
- * @returns {number} Desviación estándar
+ * Aviso del filtro de la tabla por programador con el botón para quitarlo
+ * @param {Object} frequencyRow - Fila elegida de la tabla de frecuencias (simple o agrupada)
+ * @param {number} count - Unidades de observación que quedan en la tabla
+ * @returns {HTMLElement} Párrafo con el aviso
  */
-function calcStdDev(values, population = true) {
-    return Math.sqrt(calcVariance(values, population));
+function buildPersonFilterNote(frequencyRow, count) {
+    const note = document.createElement('p');
+    note.className = 'section-hint person-filter';
+    note.setAttribute('role', 'status');
+    const valueText = frequencyRow.label !== undefined
+        ? t('ui.person.filterClass', { variable: currentStudy.variable, label: frequencyRow.label })
+        : formatQuantity(frequencyRow.value, currentStudy);
+    note.textContent = t('ui.person.filter', { count: formatObservations(count, currentStudy), value: valueText }) + ' ';
+    
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'secondary-btn history-action';
+    button.textContent = t('ui.person.showAll');
+    button.addEventListener('click', () => selectFrequencyRow(null));
+    note.appendChild(button);
+    return note;
 }
 
 // ===========================
-// FUNCIONES DE TABLA DE FRECUENCIAS
+// FUNCIONES POR CATEGORÍA DE ERROR
 // ===========================
 
 /**
- * Genera la tabla de frecuencias
- * @param {number[]} values - Array de valores
- * @returns {Array} Array de objetos con información de frecuencias
+ * Construye la tabla de estadísticas por categoría en el DOM
+ * @param {Array} categoryRows - Filas de getCategoryStats
+ * @param {string} containerId - ID del contenedor donde insertar la tabla
  */
-function getFrequencyTable(values) {
-    if (values.length === 0) return [];
+function buildCategoryTableDOM(categoryRows, containerId) {
+    const container = document.getElementById(containerId);
+    if (!container || categoryRows.length === 0) return;
     
-    // Contar frecuencias absolutas
-    const frequency = {};
-    values.forEach(val => {
-        frequency[val] = (frequency[val] || 0) + 1;
-    });
+    const table = document.createElement('table');
+    table.className = 'frequency-table';
     
-    // Ordenar valores únicos
-    const uniqueValues = Object.keys(frequency)
-        .map(key => parseInt(key))
-        .sort((a, b) => a - b);
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    const headers = [t('ui.category.category'), t('ui.category.total'), t('ui.category.share'), t('summary.mean'),
+                    t('summary.median'), t('summary.mode'), t('ui.category.stdDev'), t('ui.category.cv')];
     
-    const n = values.length;
-    let cumulativeFreq = 0;
-    let cumulativeRelFreq = 0;
+    headers.forEach(headerText => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = headerText;
+        headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
     
-    // Crear tabla de frecuencias
-    const freqTable = uniqueValues.map(value => {
-        const fa = frequency[value]; // Frecuencia absoluta
-        const fr = fa / n; // Frecuencia relativa
-        cumulativeFreq += fa; // Frecuencia absoluta acumulada
-        cumulativeRelFreq += fr; // Frecuencia relativa acumulada
-        const percentage = fr * 100; // Porcentaje
+    const tbody = document.createElement('tbody');
+    categoryRows.forEach(row => {
+        const tr = document.createElement('tr');
+        const cells = [row.category, formatNumber(row.total), formatNumber(row.share) + '%', formatNumber(row.mean, 2),
+                      formatNumber(row.median), row.modeText, formatNumber(row.stdDev, 2), formatNumber(row.cv, 2) + '%'];
+        
+        cells.forEach(cellValue => {
+            const td = document.createElement('td');
+            td.textContent = cellValue;
+            tr.appendChild(td);
+        });
         
-        return {
-            value: value,
-            fa: fa,
-            fr: parseFloat(fr.toFixed(4)),
-            Fa: cumulativeFreq,
-            Fr: parseFloat(cumulativeRelFreq.toFixed(4)),
-            percentage: parseFloat(percentage.toFixed(2))
-        };
+        tbody.appendChild(tr);
     });
+    table.appendChild(tbody);
+    
+    container.innerHTML = '';
+    container.appendChild(table);
+}
+
+// ===========================
+// FUNCIONES DE TABLA DE FRECUENCIAS
+// ===========================
+
+/**
+ * Aviso de que los datos se agruparon solos por tener más de FREQUENCY_VALUE_LIMIT valores distintos
+ * @param {number} valueCount - Valores distintos
+ * @param {number} classCount - Clases de la tabla agrupada
+ * @param {string} containerId - ID del contenedor de la tabla
+ */
+function appendAutoGroupedNote(valueCount, classCount, containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
     
-    return freqTable;
+    const note = document.createElement('p');
+    note.className = 'section-hint';
+    note.textContent = t('ui.frequency.autoGrouped', {
+        count: formatNumber(valueCount), max: formatNumber(FREQUENCY_VALUE_LIMIT), classes: formatNumber(classCount)
+    });
+    container.appendChild(note);
 }
 
 /**
@@ -220,14 +379,23 @@ function buildFreqTableDOM(freqRows, containerId) {
     const table = document.createElement('table');
     table.className = 'frequency-table';
     
+    // Título de la tabla para los lectores de pantalla
+    const caption = document.createElement('caption');
+    caption.className = 'sr-only';
+    caption.textContent = t('ui.a11y.frequencyCaption', { variable: currentStudy.variable });
+    table.appendChild(caption);
+    
     // Crear encabezados
     const thead = document.createElement('thead');
     const headerRow = document.createElement('tr');
-    const headers = ['Errores Corregidos', 'Programadores (fa)', 'Frecuencia Relativa (fr)', 
-                    'Acumulado (Fa)', 'Acumulado Relativo (Fr)', 'Porcentaje (%)'];
+    const models = freqRows[0].expected ? Object.keys(freqRows[0].expected) : [];
+    const headers = [toTitleCase(currentStudy.variable), `${toTitleCase(currentStudy.observationPlural)} (fa)`, t('ui.frequency.relative'),
+                    t('ui.frequency.cumulative'), t('ui.frequency.cumulativeRelative'), t('export.percentage'),
+                    ...models.map(model => t('frequency.expected', { model: DISTRIBUTION_MODELS[model] }))];
     
     headers.forEach(headerText => {
         const th = document.createElement('th');
+        th.scope = 'col';
         th.textContent = headerText;
         headerRow.appendChild(th);
     });
@@ -241,144 +409,532 @@ function buildFreqTableDOM(freqRows, containerId) {
         
         // Valor
         const tdValue = document.createElement('td');
-        tdValue.textContent = row.value;
+        tdValue.textContent = formatNumber(row.value);
         tr.appendChild(tdValue);
         
         // Frecuencia absoluta
         const tdFa = document.createElement('td');
-        tdFa.textContent = row.fa;
+        tdFa.textContent = formatNumber(row.fa);
         tr.appendChild(tdFa);
         
         // Frecuencia relativa
         const tdFr = document.createElement('td');
-        tdFr.textContent = row.fr;
+        tdFr.textContent = formatNumber(row.fr);
         tr.appendChild(tdFr);
         
         // Frecuencia absoluta acumulada
         const tdFa_acc = document.createElement('td');
-        tdFa_acc.textContent = row.Fa;
+        tdFa_acc.textContent = formatNumber(row.Fa);
         tr.appendChild(tdFa_acc);
         
         // Frecuencia relativa acumulada
         const tdFr_acc = document.createElement('td');
-        tdFr_acc.textContent = row.Fr;
+        tdFr_acc.textContent = formatNumber(row.Fr);
         tr.appendChild(tdFr_acc);
         
         // Porcentaje
         const tdPercentage = document.createElement('td');
-        tdPercentage.textContent = row.percentage + '%';
+        tdPercentage.textContent = formatNumber(row.percentage) + '%';
         tr.appendChild(tdPercentage);
         
+        // Frecuencias esperadas de los modelos ajustados
+        models.forEach(model => {
+            const tdExpected = document.createElement('td');
+            tdExpected.textContent = formatNumber(row.expected[model], 2);
+            tr.appendChild(tdExpected);
+        });
+        
         tbody.appendChild(tr);
     });
     
     table.appendChild(tbody);
+    linkFrequencyTableRows(table);
     container.innerHTML = '';
     container.appendChild(table);
 }
 
-// Variables globales para los gráficos
-let barChart = null;
-let pieChart = null;
-
 // ===========================
-// FUNCIONES DE GRÁFICOS
+// FUNCIONES DE AJUSTE DE DISTRIBUCIONES
 // ===========================
 
 /**
- * Dibuja gráfico de barras
- * @param {string} canvasId - ID del canvas
- * @param {Array} freqRows - Datos de frecuencias
+ * Muestra cada modelo ajustado con su tabla de clases y el resultado de la prueba chi-cuadrado
+ * @param {Object} stats - Objeto con estadísticas calculadas
+ * @param {string} containerId - ID del contenedor
  */
-function drawBarChart(canvasId, freqRows) {
-    const ctx = document.getElementById(canvasId).getContext('2d');
+function renderDistributionFitPanel(stats, containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    container.innerHTML = '';
+    const fit = stats.distributionFit;
     
-    // Destruir gráfico anterior si existe
-    if (barChart) {
-        barChart.destroy();
+    if (!fit || fit.dispersionIndex === null) {
+        const hint = document.createElement('p');
+        hint.className = 'section-hint';
+        hint.textContent = fit ? t('ui.fit.zeroMean') : t('ui.fit.counts', { max: formatNumber(MAX_FIT_VALUE) });
+        container.appendChild(hint);
+        return;
     }
     
-    const labels = freqRows.map(row => `${row.value} errores`);
-    const data = freqRows.map(row => row.fa);
+    const dispersion = document.createElement('p');
+    dispersion.className = 'fit-result';
+    dispersion.textContent = t('ui.fit.dispersion', { index: formatNumber(fit.dispersionIndex, 3) });
+    container.appendChild(dispersion);
     
-    barChart = new Chart(ctx, {
-        type: 'bar',
-        data: {
-            labels: labels,
-            datasets: [{
-                label: 'Número de Programadores',
-                data: data,
-                backgroundColor: 'rgba(102, 126, 234, 0.8)',
-                borderColor: 'rgba(102, 126, 234, 1)',
-                borderWidth: 2,
-                borderRadius: 5,
-                borderSkipped: false,
-            }]
-        },
-        options: {
-            responsive: true,
-            maintainAspectRatio: true,
-            plugins: {
-                title: {
-                    display: true,
-                    text: 'Distribución de Errores Corregidos por Programador',
-                    font: {
-                        size: 16,
-                        weight: 'bold'
-                    }
-                },
-                legend: {
-                    display: false
-                }
-            },
-            scales: {
-                y: {
-                    beginAtZero: true,
-                    ticks: {
-                        stepSize: 1
-                    },
-                    title: {
-                        display: true,
-                        text: 'Número de Programadores'
-                    }
-                },
-                x: {
-                    title: {
-                        display: true,
-                        text: 'Cantidad de Errores Corregidos'
-                    }
-                }
-            }
-        }
+    fit.fits.forEach(model => {
+        const title = document.createElement('h3');
+        title.textContent = model.label;
+        container.appendChild(title);
+        
+        const table = document.createElement('table');
+        table.className = 'frequency-table';
+        
+        const thead = document.createElement('thead');
+        const headerRow = document.createElement('tr');
+        [t('grouping.class'), t('ui.fit.observed'), t('ui.fit.expected'), '(O - E)² / E'].forEach(headerText => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = headerText;
+            headerRow.appendChild(th);
+        });
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
+        
+        const tbody = document.createElement('tbody');
+        model.test.classes.forEach(cls => {
+            const tr = document.createElement('tr');
+            [cls.label, formatNumber(cls.observed), formatNumber(cls.expected, 2), formatNumber(cls.contribution, 3)].forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+        container.appendChild(table);
+        
+        const result = document.createElement('p');
+        result.className = 'fit-result';
+        result.textContent = model.test.pValue === null
+            ? t('ui.fit.insufficient', { df: formatNumber(model.test.df) })
+            : t('rule.fit.test', {
+                statistic: formatNumber(model.test.statistic, 3), df: formatNumber(model.test.df), p: `p = ${formatPValue(model.test.pValue)}`
+            });
+        container.appendChild(result);
     });
 }
 
+// ===========================
+// FUNCIONES DE DATOS AGRUPADOS
+// ===========================
+
 /**
- * Dibuja gráfico de pastel
- * @param {string} canvasId - ID del canvas
- * @param {Array} freqRows - Datos de frecuencias
+ * Construye la tabla de frecuencias agrupada en el DOM
+ * @param {Array} groupedRows - Tabla de frecuencias agrupada
+ * @param {string} containerId - ID del contenedor donde insertar la tabla
  */
-function drawPieChart(canvasId, freqRows) {
-    const ctx = document.getElementById(canvasId).getContext('2d');
+function buildGroupedFreqTableDOM(groupedRows, containerId) {
+    const container = document.getElementById(containerId);
+    if (!container || groupedRows.length === 0) return;
     
-    // Destruir gráfico anterior si existe
-    if (pieChart) {
-        pieChart.destroy();
-    }
+    const table = document.createElement('table');
+    table.className = 'frequency-table';
     
-    const labels = freqRows.map(row => `${row.value} errores`);
-    const data = freqRows.map(row => row.percentage);
+    const caption = document.createElement('caption');
+    caption.className = 'sr-only';
+    caption.textContent = t('ui.a11y.groupedCaption', { variable: currentStudy.variable });
+    table.appendChild(caption);
     
-    // Generar colores dinámicamente
-    const colors = generateColors(freqRows.length);
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    const headers = [t('ui.grouping.class'), t('ui.grouping.mark'), `${toTitleCase(currentStudy.observationPlural)} (fa)`, t('ui.frequency.relative'),
+                    t('ui.frequency.cumulative'), t('ui.frequency.cumulativeRelative'), t('export.percentage')];
     
-    pieChart = new Chart(ctx, {
-        type: 'pie',
+    headers.forEach(headerText => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = headerText;
+        headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+    
+    const tbody = document.createElement('tbody');
+    groupedRows.forEach(row => {
+        const tr = document.createElement('tr');
+        const cells = [row.label, formatNumber(row.value), formatNumber(row.fa), formatNumber(row.fr), formatNumber(row.Fa),
+                      formatNumber(row.Fr), formatNumber(row.percentage) + '%'];
+        
+        cells.forEach(cellValue => {
+            const td = document.createElement('td');
+            td.textContent = cellValue;
+            tr.appendChild(td);
+        });
+        
+        tbody.appendChild(tr);
+    });
+    
+    table.appendChild(tbody);
+    linkFrequencyTableRows(table);
+    container.innerHTML = '';
+    container.appendChild(table);
+}
+
+/**
+ * Muestra las medidas de datos agrupados junto a las de datos sin agrupar
+ * @param {Object} stats - Estadísticas calculadas con los datos originales
+ * @param {Object} groupedStats - Estadísticas calculadas con la tabla agrupada
+ * @param {string} containerId - ID del contenedor
+ */
+function renderGroupedComparison(stats, groupedStats, containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    const table = document.createElement('table');
+    table.className = 'frequency-table';
+    
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    [t('export.measure'), t('ui.grouping.ungrouped'), t('ui.grouping.grouped')].forEach(headerText => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = headerText;
+        headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+    
+    const groupedModeText = formatNumberList(groupedStats.modeInfo.modes.map(mode => parseFloat(mode.toFixed(2))));
+    const rows = [
+        [t('summary.mean'), formatNumber(stats.mean, 2), formatNumber(groupedStats.mean, 2)],
+        [t('summary.median'), formatNumber(stats.median), formatNumber(groupedStats.median, 2)],
+        [t('ui.grouping.czuberMode'), stats.modeText, groupedModeText],
+        [t('summary.populationVariance'), formatNumber(stats.variance, 2), formatNumber(groupedStats.variance, 2)],
+        [t('summary.populationStdDev'), formatNumber(stats.stdDev, 2), formatNumber(Math.sqrt(groupedStats.variance), 2)],
+        [t('ui.grouping.k'), '-', formatNumber(groupedStats.k)],
+        [t('ui.grouping.width'), '-', formatNumber(groupedStats.width)]
+    ];
+    
+    const tbody = document.createElement('tbody');
+    rows.forEach(cells => {
+        const tr = document.createElement('tr');
+        cells.forEach(cellValue => {
+            const td = document.createElement('td');
+            td.textContent = cellValue;
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    
+    container.innerHTML = '';
+    container.appendChild(table);
+}
+
+// Variables globales para los gráficos
+let barChart = null;
+let pieChart = null;
+let boxPlotChart = null;
+let lorenzChart = null;
+let stackedBarChart = null;
+let categoryPieChart = null;
+
+// ===========================
+// FUNCIONES DE GRÁFICOS
+// ===========================
+
+/**
+ * Crea un gráfico o, si el canvas ya tiene uno del mismo tipo, actualiza sus datos y opciones
+ * en el lugar: Chart.js anima la transición en vez de destruir y volver a crear el gráfico,
+ * lo que importa cuando el análisis se repite mientras se escribe. También actualiza la
+ * descripción accesible del gráfico (describeChart). Si Chart.js no se cargó, el gráfico es
+ * el de createFallbackChart
+ * @param {Chart|null} chart - Gráfico actual del canvas
+ * @param {string} canvasId - ID del canvas
+ * @param {Object} config - Configuración de Chart.js
+ * @param {Object} table - Tabla de datos del gráfico (por defecto, chartConfigToTable(config))
+ * @returns {Chart} Gráfico creado o actualizado
+ */
+function renderChart(chart, canvasId, config, table = chartConfigToTable(config)) {
+    describeChart(canvasId, table);
+    if (!chart || chart.config.type !== config.type) {
+        if (chart) chart.destroy();
+        const canvas = document.getElementById(canvasId);
+        // Sin Chart.js (sin conexión y sin la copia de vendor/) se dibuja una versión estática
+        return typeof Chart === 'undefined' ? createFallbackChart(canvas, config) : new Chart(canvas.getContext('2d'), config);
+    }
+    
+    // Una serie con el mismo tipo y etiqueta que la anterior conserva su objeto para que
+    // Chart.js anime el cambio de valores; las demás se reemplazan
+    const previous = chart.data.datasets;
+    chart.data.labels = config.data.labels;
+    chart.data.datasets = config.data.datasets.map((dataset, i) => {
+        const current = previous[i];
+        const sameSeries = current && current.type === dataset.type && current.label === dataset.label;
+        return sameSeries ? Object.assign(current, dataset) : dataset;
+    });
+    chart.options = config.options;
+    chart.update();
+    return chart;
+}
+
+/**
+ * Describe un gráfico para los lectores de pantalla: el canvas pasa a ser una imagen con el
+ * título del gráfico y, debajo, un desplegable muestra sus datos en una tabla
+ * @param {string} canvasId - ID del canvas
+ * @param {Object} table - Tabla de chartConfigToTable
+ */
+function describeChart(canvasId, table) {
+    const canvas = document.getElementById(canvasId);
+    const item = canvas.parentElement;
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', t('ui.a11y.chartLabel', { title: table.caption || t('ui.a11y.chart') }));
+    
+    let details = item.querySelector('.chart-data');
+    if (!details) {
+        details = document.createElement('details');
+        details.className = 'chart-data';
+        item.appendChild(details);
+    }
+    details.style.display = '';
+    
+    const summary = document.createElement('summary');
+    summary.textContent = t('ui.a11y.showData');
+    
+    const tableElement = document.createElement('table');
+    tableElement.className = 'frequency-table';
+    const caption = document.createElement('caption');
+    caption.textContent = table.caption || t('ui.a11y.chart');
+    tableElement.appendChild(caption);
+    
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    table.headers.forEach(headerText => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = headerText;
+        headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+    tableElement.appendChild(thead);
+    
+    const tbody = document.createElement('tbody');
+    table.rows.forEach(row => {
+        const tr = document.createElement('tr');
+        row.forEach((cellValue, i) => {
+            // La primera celda nombra la fila
+            const cell = document.createElement(i === 0 ? 'th' : 'td');
+            if (i === 0) cell.scope = 'row';
+            cell.textContent = cellValue;
+            tr.appendChild(cell);
+        });
+        tbody.appendChild(tr);
+    });
+    tableElement.appendChild(tbody);
+    
+    details.replaceChildren(summary, tableElement);
+    if (table.total > table.rows.length) {
+        const note = document.createElement('p');
+        note.className = 'section-hint';
+        note.textContent = t('ui.a11y.tableLimit', { shown: formatNumber(table.rows.length), total: formatNumber(table.total) });
+        details.appendChild(note);
+    }
+}
+
+/**
+ * Oculta la tabla de datos de un gráfico que no se está mostrando
+ * @param {string} canvasId - ID del canvas
+ */
+function hideChartData(canvasId) {
+    const details = document.getElementById(canvasId).parentElement.querySelector('.chart-data');
+    if (details) details.style.display = 'none';
+}
+
+/**
+ * Dibuja gráfico de barras; si las filas traen frecuencias esperadas, superpone cada modelo como línea
+ * @param {string} canvasId - ID del canvas
+ * @param {Array} freqRows - Datos de frecuencias
+ * @param {string} type - 'absolute' (fa) o 'relative' (porcentaje)
+ */
+function drawBarChart(canvasId, freqRows, type = 'absolute') {
+    const labels = freqRows.map(row => formatQuantity(row.value, currentStudy));
+    const data = getFrequencySeries(freqRows, type);
+    const absolute = type === 'absolute';
+    const axisLabel = absolute ? t('ui.chart.count', { observations: toTitleCase(currentStudy.observationPlural) }) : t(FREQUENCY_SERIES[type]);
+    
+    // Frecuencias esperadas (n · P(X = x)) de los modelos ajustados, superpuestas como líneas;
+    // en la vista relativa se expresan como porcentaje de n
+    const n = freqRows.length > 0 ? freqRows[freqRows.length - 1].Fa : 0;
+    const models = freqRows.length > 0 && freqRows[0].expected ? Object.keys(freqRows[0].expected) : [];
+    const overlays = models.map(model => ({
+        type: 'line',
+        label: t('ui.chart.expected', { model: DISTRIBUTION_MODELS[model] }),
+        data: freqRows.map(row => absolute ? row.expected[model] : row.expected[model] / n * 100),
+        borderColor: seriesColor(model),
+        backgroundColor: seriesColor(model),
+        borderWidth: 2,
+        pointRadius: 3,
+        fill: false,
+        tension: 0.3
+    }));
+    
+    barChart = renderChart(barChart, canvasId, {
+        type: 'bar',
+        data: {
+            labels: labels,
+            datasets: [{
+                label: axisLabel,
+                data: data,
+                rows: freqRows.map((row, i) => i),
+                backgroundColor: seriesColor('primary', 0.8),
+                borderColor: seriesColor('primary'),
+                borderWidth: 2,
+                borderRadius: 5,
+                borderSkipped: false,
+            }, ...overlays]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            onHover: handleFrequencyChartHover,
+            onClick: handleFrequencyChartClick,
+            plugins: {
+                title: {
+                    display: true,
+                    text: t('ui.chart.barTitle', { variable: toTitleCase(currentStudy.variable), observation: toTitleCase(currentStudy.observation) }),
+                    font: {
+                        size: 16,
+                        weight: 'bold'
+                    }
+                },
+                legend: {
+                    display: overlays.length > 0
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        stepSize: absolute ? 1 : undefined
+                    },
+                    title: {
+                        display: true,
+                        text: axisLabel
+                    }
+                },
+                x: {
+                    title: {
+                        display: true,
+                        text: t('ui.chart.quantity', { variable: toTitleCase(currentStudy.variable) })
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Dibuja histograma con polígono de frecuencias para datos agrupados
+ * @param {string} canvasId - ID del canvas
+ * @param {Array} groupedRows - Tabla de frecuencias agrupada
+ * @param {string} type - 'absolute' (fa) o 'relative' (porcentaje)
+ */
+function drawHistogram(canvasId, groupedRows, type = 'absolute') {
+    // El polígono se cierra sobre el eje con una clase vacía en cada extremo
+    const labels = ['', ...groupedRows.map(row => row.label), ''];
+    const data = [0, ...getFrequencySeries(groupedRows, type), 0];
+    const absolute = type === 'absolute';
+    const axisLabel = absolute ? t('ui.chart.count', { observations: toTitleCase(currentStudy.observationPlural) }) : t(FREQUENCY_SERIES[type]);
+    
+    barChart = renderChart(barChart, canvasId, {
+        type: 'bar',
+        data: {
+            labels: labels,
+            datasets: [{
+                type: 'line',
+                label: t('ui.chart.polygon'),
+                data: data,
+                borderColor: seriesColor('accent'),
+                backgroundColor: seriesColor('accent'),
+                borderWidth: 2,
+                tension: 0,
+                fill: false
+            }, {
+                label: axisLabel,
+                data: data,
+                rows: [null, ...groupedRows.map((row, i) => i), null],
+                backgroundColor: seriesColor('primary', 0.8),
+                borderColor: seriesColor('primary'),
+                borderWidth: 1,
+                // Barras contiguas: en un histograma no hay espacio entre clases
+                barPercentage: 1.0,
+                categoryPercentage: 1.0
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            onHover: handleFrequencyChartHover,
+            onClick: handleFrequencyChartClick,
+            plugins: {
+                title: {
+                    display: true,
+                    text: t('ui.chart.histogramTitle'),
+                    font: {
+                        size: 16,
+                        weight: 'bold'
+                    }
+                },
+                legend: {
+                    display: true,
+                    position: 'bottom'
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        stepSize: absolute ? 1 : undefined
+                    },
+                    title: {
+                        display: true,
+                        text: axisLabel
+                    }
+                },
+                x: {
+                    title: {
+                        display: true,
+                        text: t('ui.chart.classes', { variable: toTitleCase(currentStudy.variable) })
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Dibuja gráfico de pastel
+ * @param {string} canvasId - ID del canvas
+ * @param {Array} freqRows - Datos de frecuencias
+ */
+function drawPieChart(canvasId, freqRows) {
+    // Las filas agrupadas traen su propia etiqueta de clase
+    const labels = freqRows.map(row => row.label || formatQuantity(row.value, currentStudy));
+    const data = freqRows.map(row => row.percentage);
+    
+    // Generar colores dinámicamente
+    const colors = generateColors(freqRows.length);
+    
+    pieChart = renderChart(pieChart, canvasId, {
+        type: 'pie',
         data: {
             labels: labels,
             datasets: [{
+                label: t('export.percentage'),
                 data: data,
-                backgroundColor: colors.background,
+                rows: freqRows.map((row, i) => i),
+                backgroundColor: getPieFills(colors),
                 borderColor: colors.border,
                 borderWidth: 2
             }]
@@ -386,10 +942,12 @@ function drawPieChart(canvasId, freqRows) {
         options: {
             responsive: true,
             maintainAspectRatio: true,
+            onHover: handleFrequencyChartHover,
+            onClick: handleFrequencyChartClick,
             plugins: {
                 title: {
                     display: true,
-                    text: 'Distribución Porcentual de la Carga de Trabajo',
+                    text: t('ui.chart.pieTitle'),
                     font: {
                         size: 16,
                         weight: 'bold'
@@ -405,7 +963,7 @@ function drawPieChart(canvasId, freqRows) {
                                     const percentage = data.datasets[0].data[i];
                                     const count = freqRows[i].fa;
                                     return {
-                                        text: `${label}: ${percentage}% (${count} prog.)`,
+                                        text: `${label}: ${formatNumber(percentage)}% (${formatObservations(count, currentStudy)})`,
                                         fillStyle: data.datasets[0].backgroundColor[i],
                                         strokeStyle: data.datasets[0].borderColor[i],
                                         lineWidth: data.datasets[0].borderWidth,
@@ -423,7 +981,7 @@ function drawPieChart(canvasId, freqRows) {
                             const label = context.label || '';
                             const value = context.parsed || 0;
                             const count = freqRows[context.dataIndex].fa;
-                            return `${label}: ${value}% (${count} programadores)`;
+                            return `${label}: ${formatNumber(value)}% (${formatObservations(count, currentStudy)})`;
                         }
                     }
                 }
@@ -433,192 +991,2829 @@ function drawPieChart(canvasId, freqRows) {
 }
 
 /**
- * Genera colores para los gráficos
- * @param {number} count - Número de colores a generar
- * @returns {Object} Objeto con arrays de colores de fondo y borde
+ * Dibuja la ojiva: frecuencias relativas acumuladas (Fr) sobre cada valor o, con datos
+ * agrupados, sobre el límite superior de cada clase
+ * @param {string} canvasId - ID del canvas
+ * @param {Array} freqRows - Tabla de frecuencias, simple o agrupada
  */
-function generateColors(count) {
-    const baseColors = [
-        'rgba(102, 126, 234, 0.8)',
-        'rgba(245, 87, 108, 0.8)',
-        'rgba(79, 172, 254, 0.8)',
-        'rgba(240, 147, 251, 0.8)',
-        'rgba(129, 236, 236, 0.8)',
-        'rgba(255, 195, 18, 0.8)',
-        'rgba(255, 107, 107, 0.8)',
-        'rgba(130, 88, 159, 0.8)',
-        'rgba(54, 215, 183, 0.8)',
-        'rgba(255, 159, 67, 0.8)'
-    ];
-    
-    const borderColors = [
-        'rgba(102, 126, 234, 1)',
-        'rgba(245, 87, 108, 1)',
-        'rgba(79, 172, 254, 1)',
-        'rgba(240, 147, 251, 1)',
-        'rgba(129, 236, 236, 1)',
-        'rgba(255, 195, 18, 1)',
-        'rgba(255, 107, 107, 1)',
-        'rgba(130, 88, 159, 1)',
-        'rgba(54, 215, 183, 1)',
-        'rgba(255, 159, 67, 1)'
-    ];
+function drawOgive(canvasId, freqRows) {
+    const points = getOgivePoints(freqRows);
+    const grouped = freqRows.length > 0 && freqRows[0].lower !== undefined;
     
-    const background = [];
-    const border = [];
-    
-    for (let i = 0; i < count; i++) {
-        background.push(baseColors[i % baseColors.length]);
-        border.push(borderColors[i % borderColors.length]);
-    }
-    
-    return { background, border };
+    barChart = renderChart(barChart, canvasId, {
+        type: 'line',
+        data: {
+            datasets: [{
+                label: t(FREQUENCY_SERIES.cumulative),
+                data: points.map(point => ({ x: point.x, y: point.y })),
+                rows: points.map(point => point.row),
+                borderColor: seriesColor('primary'),
+                backgroundColor: seriesColor('primary', 0.2),
+                borderWidth: 2,
+                pointRadius: 4,
+                pointHoverRadius: 7,
+                tension: 0,
+                fill: true
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            onHover: handleFrequencyChartHover,
+            onClick: handleFrequencyChartClick,
+            plugins: {
+                title: {
+                    display: true,
+                    text: t('ui.chart.ogiveTitle'),
+                    font: {
+                        size: 16,
+                        weight: 'bold'
+                    }
+                },
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            return t('ui.chart.ogiveTooltip', {
+                                percentage: formatNumber(context.parsed.y), observations: currentStudy.observationPlural,
+                                quantity: formatQuantity(context.parsed.x, currentStudy)
+                            });
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    title: {
+                        display: true,
+                        text: t(grouped ? 'ui.chart.upperLimit' : 'ui.chart.quantity', { variable: toTitleCase(currentStudy.variable) })
+                    }
+                },
+                y: {
+                    min: 0,
+                    max: 100,
+                    title: {
+                        display: true,
+                        text: t(FREQUENCY_SERIES.cumulative)
+                    }
+                }
+            }
+        }
+    });
 }
 
-// ===========================
-// FUNCIONES DE RESUMEN Y CONCLUSIONES
-// ===========================
-
 /**
- * Muestra el resumen estadístico específico para el análisis de errores
- * @param {Object} stats - Objeto con estadísticas calculadas
+ * Dibuja el diagrama de puntos: una marca por observación, apilada sobre su valor
+ * @param {string} canvasId - ID del canvas
+ * @param {number[]} values - Valores analizados
+ * @param {Array} freqRows - Tabla de frecuencias con la que se enlaza cada punto
+ */
+function drawDotPlot(canvasId, values, freqRows) {
+    const points = buildDotPlotPoints(values, freqRows);
+    
+    // El último punto de cada pila tiene la altura de su frecuencia
+    const counts = new Map(points.map(point => [point.x, point.y]));
+    const xTitle = t('ui.chart.quantity', { variable: toTitleCase(currentStudy.variable) });
+    const yTitle = t('ui.chart.count', { observations: toTitleCase(currentStudy.observationPlural) });
+    
+    // La tabla de datos resume cada pila en una fila en vez de listar un punto por observación
+    const rows = [...counts].map(([value, count]) => [formatNumber(value), formatNumber(count)]);
+    const table = { caption: t('ui.chart.dotTitle'), headers: [xTitle, yTitle], rows: rows.slice(0, CHART_TABLE_LIMIT), total: rows.length };
+    
+    barChart = renderChart(barChart, canvasId, {
+        type: 'scatter',
+        data: {
+            datasets: [{
+                label: toTitleCase(currentStudy.observationPlural),
+                data: points.map(point => ({ x: point.x, y: point.y })),
+                rows: points.map(point => point.row),
+                backgroundColor: seriesColor('primary', 0.8),
+                borderColor: seriesColor('primary'),
+                pointRadius: 6,
+                pointHoverRadius: 9
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            onHover: handleFrequencyChartHover,
+            onClick: handleFrequencyChartClick,
+            plugins: {
+                title: {
+                    display: true,
+                    text: t('ui.chart.dotTitle'),
+                    font: {
+                        size: 16,
+                        weight: 'bold'
+                    }
+                },
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            const value = context.parsed.x;
+                            return `${formatQuantity(value, currentStudy)}: ${formatObservations(counts.get(value), currentStudy)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    title: {
+                        display: true,
+                        text: xTitle
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        stepSize: 1
+                    },
+                    title: {
+                        display: true,
+                        text: yTitle
+                    }
+                }
+            }
+        }
+    }, table);
+}
+
+/**
+ * Dibuja diagrama de caja y bigotes horizontal con los atípicos de Tukey
+ * @param {string} canvasId - ID del canvas
+ * @param {Object} boxData - Resultado de calcBoxPlotData
+ */
+function drawBoxPlot(canvasId, boxData) {
+    const category = capitalize(currentStudy.unitPlural);
+    
+    // La caja se arma con barras flotantes superpuestas en la misma categoría
+    boxPlotChart = renderChart(boxPlotChart, canvasId, {
+        type: 'bar',
+        data: {
+            labels: [category],
+            datasets: [{
+                label: t('ui.chart.whiskers'),
+                data: [[boxData.whiskerLow, boxData.whiskerHigh]],
+                backgroundColor: seriesColor('neutral'),
+                barPercentage: 0.03,
+                grouped: false
+            }, {
+                label: t('ui.chart.lowerBox'),
+                data: [[boxData.q1, boxData.median]],
+                backgroundColor: seriesColor('primary', 0.8),
+                borderColor: seriesColor('neutral'),
+                borderWidth: 2,
+                borderSkipped: false,
+                barPercentage: 0.5,
+                grouped: false
+            }, {
+                label: t('ui.chart.upperBox'),
+                data: [[boxData.median, boxData.q3]],
+                backgroundColor: seriesColor('secondary', 0.8),
+                borderColor: seriesColor('neutral'),
+                borderWidth: 2,
+                borderSkipped: false,
+                barPercentage: 0.5,
+                grouped: false
+            }, {
+                type: 'scatter',
+                label: t('summary.outliers'),
+                data: boxData.outliers.map(outlier => ({ x: outlier.value, y: category })),
+                backgroundColor: seriesColor('accent'),
+                pointRadius: 6,
+                pointStyle: 'crossRot',
+                borderColor: seriesColor('accent'),
+                borderWidth: 2
+            }]
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                title: {
+                    display: true,
+                    text: t('ui.chart.boxTitle'),
+                    font: {
+                        size: 16,
+                        weight: 'bold'
+                    }
+                },
+                legend: {
+                    display: true,
+                    position: 'bottom'
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            const raw = context.raw;
+                            if (Array.isArray(raw)) {
+                                return `${context.dataset.label}: ${t('ui.interval', { lower: formatNumber(raw[0]), upper: formatNumber(raw[1]) })}`;
+                            }
+                            const outlier = boxData.outliers[context.dataIndex];
+                            return t('ui.chart.outlierTooltip', {
+                                observation: capitalize(currentStudy.observation), position: outlier.position,
+                                quantity: formatQuantity(outlier.value, currentStudy), side: t(`ui.chart.side.${outlier.side}`)
+                            });
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: t('ui.chart.quantity', { variable: toTitleCase(currentStudy.variable) })
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Dibuja la curva de Lorenz de la carga junto a la recta de igualdad perfecta
+ * @param {string} canvasId - ID del canvas
+ * @param {Object[]} lorenzPoints - Puntos de calcLorenzCurve
+ */
+function drawLorenzChart(canvasId, lorenzPoints) {
+    // Sin curva (valores negativos) se quita el gráfico anterior
+    if (!lorenzPoints) {
+        if (lorenzChart) lorenzChart.destroy();
+        lorenzChart = null;
+        hideChartData(canvasId);
+        return;
+    }
+    
+    const toPercent = point => ({ x: point.population * 100, y: point.share * 100 });
+    
+    lorenzChart = renderChart(lorenzChart, canvasId, {
+        type: 'line',
+        data: {
+            datasets: [{
+                label: t('ui.chart.lorenz'),
+                data: lorenzPoints.map(toPercent),
+                borderColor: seriesColor('primary'),
+                backgroundColor: seriesColor('primary', 0.2),
+                borderWidth: 2,
+                pointRadius: 3,
+                fill: true
+            }, {
+                label: t('ui.chart.equality'),
+                data: [{ x: 0, y: 0 }, { x: 100, y: 100 }],
+                borderColor: seriesColor('neutral', 0.8),
+                borderWidth: 1,
+                borderDash: [6, 4],
+                pointRadius: 0,
+                fill: false
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                title: {
+                    display: true,
+                    text: t('ui.chart.lorenz'),
+                    font: {
+                        size: 16,
+                        weight: 'bold'
+                    }
+                },
+                legend: {
+                    display: true,
+                    position: 'bottom'
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            return t('ui.chart.lorenzTooltip', {
+                                population: formatNumber(context.parsed.x, 1), observations: currentStudy.observationPlural,
+                                share: formatNumber(context.parsed.y, 1), variable: currentStudy.variable
+                            });
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    min: 0,
+                    max: 100,
+                    title: {
+                        display: true,
+                        text: t('ui.chart.lorenzX', { observations: currentStudy.observationPlural })
+                    }
+                },
+                y: {
+                    min: 0,
+                    max: 100,
+                    title: {
+                        display: true,
+                        text: t('ui.chart.lorenzY', { variable: currentStudy.variable })
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Dibuja gráfico de barras apiladas: una unidad de observación por barra, una categoría por segmento
+ * @param {string} canvasId - ID del canvas
+ * @param {Object[]} records - Registros con cantidades por categoría
+ */
+function drawStackedBarChart(canvasId, records) {
+    const colors = generateColors(ERROR_CATEGORIES.length);
+    
+    stackedBarChart = renderChart(stackedBarChart, canvasId, {
+        type: 'bar',
+        data: {
+            labels: records.map(record => record.name),
+            datasets: ERROR_CATEGORIES.map((category, c) => ({
+                label: t(category),
+                data: records.map(record => record.categories[c]),
+                backgroundColor: colors.background[c],
+                borderColor: colors.border[c],
+                borderWidth: 1
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                title: {
+                    display: true,
+                    text: t('ui.chart.stackedTitle', { variable: toTitleCase(currentStudy.variable), observation: toTitleCase(currentStudy.observation) }),
+                    font: {
+                        size: 16,
+                        weight: 'bold'
+                    }
+                },
+                legend: {
+                    position: 'bottom'
+                }
+            },
+            scales: {
+                x: {
+                    stacked: true,
+                    title: {
+                        display: true,
+                        text: toTitleCase(currentStudy.observation)
+                    }
+                },
+                y: {
+                    stacked: true,
+                    beginAtZero: true,
+                    ticks: {
+                        stepSize: 1
+                    },
+                    title: {
+                        display: true,
+                        text: toTitleCase(currentStudy.variable)
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Dibuja gráfico de pastel con la participación de cada categoría en el total
+ * @param {string} canvasId - ID del canvas
+ * @param {Array} categoryRows - Filas de getCategoryStats
+ */
+function drawCategoryPieChart(canvasId, categoryRows) {
+    const colors = generateColors(categoryRows.length);
+    
+    categoryPieChart = renderChart(categoryPieChart, canvasId, {
+        type: 'pie',
+        data: {
+            labels: categoryRows.map(row => row.category),
+            datasets: [{
+                label: t('ui.category.share'),
+                data: categoryRows.map(row => row.share),
+                backgroundColor: getPieFills(colors),
+                borderColor: colors.border,
+                borderWidth: 2
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                title: {
+                    display: true,
+                    text: t('ui.chart.categoryPieTitle'),
+                    font: {
+                        size: 16,
+                        weight: 'bold'
+                    }
+                },
+                legend: {
+                    position: 'right'
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            const row = categoryRows[context.dataIndex];
+                            return `${row.category}: ${formatNumber(row.share)}% (${formatQuantity(row.total, currentStudy)})`;
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Genera colores para los gráficos con la paleta elegida (ver getPaletteColors)
+ * @param {number} count - Número de colores a generar
+ * @returns {Object} Objeto con arrays de colores de fondo y borde y la trama de cada color
+ */
+function generateColors(count) {
+    return getPaletteColors(chartPalette, count);
+}
+
+/**
+ * Color de una serie fija del gráfico con la paleta elegida
+ * @param {string} role - 'primary', 'secondary', 'accent', 'neutral' o un modelo de DISTRIBUTION_MODELS
+ * @param {number} alpha - Opacidad
+ * @returns {string} Color CSS
+ */
+function seriesColor(role, alpha = 1) {
+    return getPaletteRoleColor(chartPalette, role, alpha);
+}
+
+// Lado en píxeles del mosaico que se repite en las tramas
+const PATTERN_SIZE = 12;
+
+/**
+ * Crea un relleno con trama para Chart.js: el color de la porción con líneas o puntos encima,
+ * negros o blancos según lo claro que sea el color
+ * @param {string} color - Color "rgba(r, g, b, a)" de la porción
+ * @param {string} pattern - Clave de CHART_PATTERNS
+ * @returns {CanvasPattern} Relleno
+ */
+function createPatternFill(color, pattern) {
+    const tile = document.createElement('canvas');
+    tile.width = PATTERN_SIZE;
+    tile.height = PATTERN_SIZE;
+    const ctx = tile.getContext('2d');
+    const size = PATTERN_SIZE;
+    
+    const [r, g, b] = color.match(/\d+(\.\d+)?/g).map(Number);
+    const light = 0.299 * r + 0.587 * g + 0.114 * b > 140;
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, size, size);
+    ctx.strokeStyle = light ? 'rgba(0, 0, 0, 0.6)' : 'rgba(255, 255, 255, 0.8)';
+    ctx.fillStyle = ctx.strokeStyle;
+    ctx.lineWidth = 2;
+    
+    ctx.beginPath();
+    switch (pattern) {
+        case 'diagonal':
+            // Las dos esquinas completan la línea al repetir el mosaico
+            ctx.moveTo(0, size);
+            ctx.lineTo(size, 0);
+            ctx.moveTo(-size / 2, size / 2);
+            ctx.lineTo(size / 2, -size / 2);
+            ctx.moveTo(size / 2, size * 1.5);
+            ctx.lineTo(size * 1.5, size / 2);
+            break;
+        case 'dots':
+            ctx.arc(size / 2, size / 2, 2, 0, 2 * Math.PI);
+            ctx.fill();
+            break;
+        case 'horizontal':
+            ctx.moveTo(0, size / 2);
+            ctx.lineTo(size, size / 2);
+            break;
+        case 'vertical':
+            ctx.moveTo(size / 2, 0);
+            ctx.lineTo(size / 2, size);
+            break;
+        case 'crosshatch':
+            ctx.moveTo(0, size / 2);
+            ctx.lineTo(size, size / 2);
+            ctx.moveTo(size / 2, 0);
+            ctx.lineTo(size / 2, size);
+            break;
+        case 'zigzag':
+            ctx.moveTo(0, size * 0.75);
+            ctx.lineTo(size / 2, size * 0.25);
+            ctx.lineTo(size, size * 0.75);
+            break;
+    }
+    ctx.stroke();
+    
+    return ctx.createPattern(tile, 'repeat');
+}
+
+/**
+ * Rellenos de las porciones de un gráfico de pastel: el color liso o, si la paleta lo pide,
+ * con su trama
+ * @param {Object} colors - Resultado de generateColors
+ * @returns {Array} Colores CSS o CanvasPattern, uno por porción
+ */
+function getPieFills(colors) {
+    return colors.background.map((color, i) => (colors.patterns[i] ? createPatternFill(color, colors.patterns[i]) : color));
+}
+
+// ===========================
+// FUNCIONES DE GRÁFICOS SIN CHART.JS
+// ===========================
+
+// Gráficos dibujados sin Chart.js, por ID del canvas (ver createFallbackChart)
+const fallbackCharts = new Map();
+
+// Márgenes del área de trazado (px): arriba el título, abajo las etiquetas del eje y la leyenda
+const FALLBACK_CHART_MARGIN = { top: 36, right: 16, bottom: 64, left: 56 };
+
+// Tipografía y colores del texto y de la grilla, los mismos de la página
+const FALLBACK_CHART_FONT = '12px sans-serif';
+const FALLBACK_CHART_TEXT_COLOR = '#4a5568';
+const FALLBACK_CHART_GRID_COLOR = 'rgba(0, 0, 0, 0.1)';
+
+/**
+ * Gráfico de reemplazo para cuando Chart.js no se cargó (sin conexión y sin la copia de
+ * vendor/): dibuja el gráfico en el canvas con la API 2D, sin animaciones ni tooltips, y
+ * ofrece los métodos de Chart que usa la página (renderChart, las vistas enlazadas y la
+ * descarga en PNG). Los elementos activos se marcan con un borde
+ * @param {HTMLCanvasElement} canvas - Canvas del gráfico
+ * @param {Object} config - Configuración de Chart.js
+ * @returns {Object} Gráfico con config.type, data, options, update, destroy, setActiveElements,
+ *   tooltip.setActiveElements y toBase64Image
+ */
+function createFallbackChart(canvas, config) {
+    const chart = {
+        config: { type: config.type },
+        data: config.data,
+        options: config.options || {},
+        activeElements: [],
+        tooltip: { setActiveElements() {} },
+        setActiveElements(elements) {
+            chart.activeElements = elements;
+        },
+        update() {
+            drawFallbackChart(canvas, chart);
+        },
+        destroy() {
+            canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+            fallbackCharts.delete(canvas.id);
+        },
+        toBase64Image(type, quality) {
+            return canvas.toDataURL(type, quality);
+        }
+    };
+    
+    fallbackCharts.set(canvas.id, chart);
+    chart.update();
+    return chart;
+}
+
+/**
+ * Valor de una opción de Chart.js que puede ser uno para toda la serie o uno por dato
+ * @param {*} option - Valor o arreglo de valores
+ * @param {number} index - Índice del dato
+ * @returns {*} Valor del dato
+ */
+function pickChartOption(option, index) {
+    return Array.isArray(option) ? option[index % option.length] : option;
+}
+
+/**
+ * Dibuja un gráfico de createFallbackChart: título, leyenda y, según el tipo, las porciones
+ * del pastel o los ejes con sus series
+ * @param {HTMLCanvasElement} canvas - Canvas del gráfico
+ * @param {Object} chart - Gráfico de createFallbackChart
+ */
+function drawFallbackChart(canvas, chart) {
+    const ctx = canvas.getContext('2d');
+    const plugins = chart.options.plugins || {};
+    const datasets = chart.data.datasets;
+    const isPie = chart.config.type === 'pie';
+    
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.font = FALLBACK_CHART_FONT;
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = FALLBACK_CHART_TEXT_COLOR;
+    
+    if (plugins.title && plugins.title.text) {
+        ctx.font = `bold ${FALLBACK_CHART_FONT}`;
+        ctx.textAlign = 'center';
+        ctx.fillText(plugins.title.text, canvas.width / 2, FALLBACK_CHART_MARGIN.top / 2, canvas.width);
+        ctx.font = FALLBACK_CHART_FONT;
+    }
+    
+    const area = {
+        left: isPie ? FALLBACK_CHART_MARGIN.right : FALLBACK_CHART_MARGIN.left,
+        top: FALLBACK_CHART_MARGIN.top,
+        right: canvas.width - FALLBACK_CHART_MARGIN.right,
+        bottom: canvas.height - (isPie ? FALLBACK_CHART_MARGIN.bottom / 2 : FALLBACK_CHART_MARGIN.bottom)
+    };
+    const isActive = (datasetIndex, index) => chart.activeElements
+        .some(element => element.datasetIndex === datasetIndex && element.index === index);
+    
+    let legend;
+    if (isPie) {
+        drawFallbackPie(ctx, chart, area, isActive);
+        legend = (chart.data.labels || []).map((label, i) => ({ label: label, color: pickChartOption(datasets[0].backgroundColor, i) }));
+    } else {
+        drawFallbackAxes(ctx, chart, area, isActive);
+        legend = datasets.filter(dataset => dataset.label).map(dataset => ({
+            label: dataset.label,
+            color: pickChartOption((dataset.type || chart.config.type) === 'line' ? dataset.borderColor : dataset.backgroundColor, 0)
+        }));
+    }
+    
+    if (!plugins.legend || plugins.legend.display !== false) drawFallbackLegend(ctx, legend, canvas.width, canvas.height - 10);
+}
+
+/**
+ * Dibuja la leyenda en una línea; lo que no entra se omite (la tabla de datos lo muestra)
+ * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+ * @param {Object[]} items - Entradas { label, color }
+ * @param {number} width - Ancho del canvas
+ * @param {number} y - Altura de la línea
+ */
+function drawFallbackLegend(ctx, items, width, y) {
+    let x = FALLBACK_CHART_MARGIN.right;
+    ctx.textAlign = 'left';
+    for (const item of items) {
+        const itemWidth = 16 + ctx.measureText(item.label).width + 12;
+        if (x + itemWidth > width) break;
+        ctx.fillStyle = item.color || FALLBACK_CHART_TEXT_COLOR;
+        ctx.fillRect(x, y - 5, 10, 10);
+        ctx.fillStyle = FALLBACK_CHART_TEXT_COLOR;
+        ctx.fillText(item.label, x + 16, y);
+        x += itemWidth;
+    }
+}
+
+/**
+ * Dibuja las porciones de un gráfico de pastel (la primera serie)
+ * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+ * @param {Object} chart - Gráfico de createFallbackChart
+ * @param {Object} area - Área de trazado { left, top, right, bottom }
+ * @param {Function} isActive - Indica si un dato (serie, índice) está activo
+ */
+function drawFallbackPie(ctx, chart, area, isActive) {
+    const dataset = chart.data.datasets[0];
+    const total = dataset.data.reduce((sum, value) => sum + (value || 0), 0);
+    if (total <= 0) return;
+    
+    const centerX = (area.left + area.right) / 2;
+    const centerY = (area.top + area.bottom) / 2;
+    const radius = Math.min(area.right - area.left, area.bottom - area.top) / 2;
+    let angle = -Math.PI / 2;
+    
+    dataset.data.forEach((value, i) => {
+        const sweep = ((value || 0) / total) * 2 * Math.PI;
+        ctx.beginPath();
+        ctx.moveTo(centerX, centerY);
+        ctx.arc(centerX, centerY, radius, angle, angle + sweep);
+        ctx.closePath();
+        ctx.fillStyle = pickChartOption(dataset.backgroundColor, i);
+        ctx.fill();
+        ctx.lineWidth = isActive(0, i) ? 3 : 1;
+        ctx.strokeStyle = isActive(0, i) ? FALLBACK_CHART_TEXT_COLOR : pickChartOption(dataset.borderColor, i) || '#fff';
+        ctx.stroke();
+        angle += sweep;
+    });
+}
+
+/**
+ * Dibuja un gráfico con ejes: las marcas y la grilla de los ejes de valores, las etiquetas del
+ * eje de categorías y las series de barras (agrupadas, apiladas o flotantes), líneas y puntos
+ * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+ * @param {Object} chart - Gráfico de createFallbackChart
+ * @param {Object} area - Área de trazado { left, top, right, bottom }
+ * @param {Function} isActive - Indica si un dato (serie, índice) está activo
+ */
+function drawFallbackAxes(ctx, chart, area, isActive) {
+    const ranges = getChartAxisRanges({ type: chart.config.type, data: chart.data, options: chart.options });
+    const scales = chart.options.scales || {};
+    const labels = chart.data.labels || [];
+    const { indexAxis, categorical } = ranges;
+    const valueAxis = indexAxis === 'x' ? 'y' : 'x';
+    const stacked = Boolean(scales[valueAxis] && scales[valueAxis].stacked);
+    
+    // Posición en píxeles de un valor en un eje lineal y del centro de una categoría
+    const ticks = {};
+    const position = (axis, value) => {
+        const axisTicks = ticks[axis];
+        const fraction = (value - axisTicks[0]) / (axisTicks[axisTicks.length - 1] - axisTicks[0]);
+        return axis === 'x' ? area.left + fraction * (area.right - area.left) : area.bottom - fraction * (area.bottom - area.top);
+    };
+    const band = categorical ? (indexAxis === 'x' ? area.right - area.left : area.bottom - area.top) / Math.max(labels.length, 1) : 0;
+    const categoryCenter = i => (indexAxis === 'x' ? area.left : area.top) + band * (i + 0.5);
+    const coordinate = (axis, value, i) => {
+        if (!categorical || axis !== indexAxis) return position(axis, value);
+        return categoryCenter(value === undefined ? i : labels.indexOf(value));
+    };
+    const pointAt = (point, i) => (typeof point === 'object'
+        ? { x: coordinate('x', point.x, i), y: coordinate('y', point.y, i) }
+        : { [indexAxis]: categoryCenter(i), [valueAxis]: position(valueAxis, point) });
+    
+    ctx.lineWidth = 1;
+    ['x', 'y'].forEach(axis => {
+        if (!ranges[axis]) return;
+        // El eje va de la primera a la última marca, que cubren el rango de los datos
+        ticks[axis] = calcAxisTicks(ranges[axis].min, ranges[axis].max);
+        ticks[axis].forEach(tick => {
+            const at = position(axis, tick);
+            ctx.strokeStyle = FALLBACK_CHART_GRID_COLOR;
+            ctx.beginPath();
+            if (axis === 'x') {
+                ctx.moveTo(at, area.top);
+                ctx.lineTo(at, area.bottom);
+            } else {
+                ctx.moveTo(area.left, at);
+                ctx.lineTo(area.right, at);
+            }
+            ctx.stroke();
+            ctx.fillStyle = FALLBACK_CHART_TEXT_COLOR;
+            ctx.textAlign = axis === 'x' ? 'center' : 'right';
+            ctx.fillText(formatNumber(tick), axis === 'x' ? at : area.left - 6, axis === 'x' ? area.bottom + 12 : at);
+        });
+    });
+    
+    if (categorical) {
+        // Se omiten etiquetas para que no se pisen (una cada step)
+        const step = Math.max(1, Math.ceil((indexAxis === 'x' ? 48 : 16) / band));
+        ctx.fillStyle = FALLBACK_CHART_TEXT_COLOR;
+        ctx.textAlign = indexAxis === 'x' ? 'center' : 'right';
+        labels.forEach((label, i) => {
+            if (i % step !== 0 || label === '') return;
+            if (indexAxis === 'x') ctx.fillText(String(label), categoryCenter(i), area.bottom + 12, band * step);
+            else ctx.fillText(String(label), area.left - 6, categoryCenter(i), FALLBACK_CHART_MARGIN.left - 8);
+        });
+    }
+    
+    ['x', 'y'].forEach(axis => {
+        const title = scales[axis] && scales[axis].title ? scales[axis].title.text : '';
+        if (!title) return;
+        ctx.save();
+        ctx.textAlign = 'center';
+        if (axis === 'x') {
+            ctx.fillText(title, (area.left + area.right) / 2, area.bottom + 30, area.right - area.left);
+        } else {
+            ctx.translate(12, (area.top + area.bottom) / 2);
+            ctx.rotate(-Math.PI / 2);
+            ctx.fillText(title, 0, 0, area.bottom - area.top);
+        }
+        ctx.restore();
+    });
+    
+    ctx.strokeStyle = FALLBACK_CHART_TEXT_COLOR;
+    ctx.beginPath();
+    ctx.moveTo(area.left, area.top);
+    ctx.lineTo(area.left, area.bottom);
+    ctx.lineTo(area.right, area.bottom);
+    ctx.stroke();
+    
+    const groupedBars = chart.data.datasets.filter(dataset => (dataset.type || chart.config.type) === 'bar' && dataset.grouped !== false);
+    const stackBases = [];
+    
+    chart.data.datasets.forEach((dataset, datasetIndex) => {
+        const type = dataset.type || chart.config.type;
+        const points = dataset.data.map((point, i) => ({ point: point, i: i })).filter(({ point }) => point !== null && point !== undefined);
+        
+        if (type === 'bar' && categorical) {
+            const slots = stacked || dataset.grouped === false ? 1 : groupedBars.length;
+            const slotWidth = (band * (dataset.categoryPercentage !== undefined ? dataset.categoryPercentage : 0.8)) / slots;
+            const width = slotWidth * (dataset.barPercentage !== undefined ? dataset.barPercentage : 0.9);
+            const offset = slots > 1 ? (groupedBars.indexOf(dataset) - (slots - 1) / 2) * slotWidth : 0;
+            
+            points.forEach(({ point, i }) => {
+                let [start, end] = Array.isArray(point) ? point : [0, point];
+                if (stacked && !Array.isArray(point)) {
+                    start = stackBases[i] || 0;
+                    end = start + point;
+                    stackBases[i] = end;
+                }
+                const from = position(valueAxis, start);
+                const to = position(valueAxis, end);
+                const center = categoryCenter(i) + offset;
+                const rect = indexAxis === 'x'
+                    ? [center - width / 2, Math.min(from, to), width, Math.abs(to - from)]
+                    : [Math.min(from, to), center - width / 2, Math.abs(to - from), width];
+                
+                ctx.fillStyle = pickChartOption(dataset.backgroundColor, i) || FALLBACK_CHART_TEXT_COLOR;
+                ctx.fillRect(...rect);
+                const borderWidth = isActive(datasetIndex, i) ? 3 : pickChartOption(dataset.borderWidth, i) || 0;
+                if (borderWidth > 0) {
+                    ctx.lineWidth = borderWidth;
+                    ctx.strokeStyle = isActive(datasetIndex, i) ? FALLBACK_CHART_TEXT_COLOR : pickChartOption(dataset.borderColor, i);
+                    ctx.strokeRect(...rect);
+                }
+            });
+            return;
+        }
+        
+        const pixels = points.map(({ point, i }) => ({ ...pointAt(point, i), i: i }));
+        if (type === 'line' && pixels.length > 1) {
+            const tracePath = () => {
+                ctx.beginPath();
+                pixels.forEach(({ x, y }, k) => (k === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+            };
+            if (dataset.fill) {
+                // Relleno hasta el borde inferior del área, como fill: true en Chart.js
+                tracePath();
+                ctx.lineTo(pixels[pixels.length - 1].x, area.bottom);
+                ctx.lineTo(pixels[0].x, area.bottom);
+                ctx.closePath();
+                ctx.fillStyle = pickChartOption(dataset.backgroundColor, 0);
+                ctx.fill();
+            }
+            tracePath();
+            ctx.lineWidth = dataset.borderWidth || 2;
+            ctx.strokeStyle = pickChartOption(dataset.borderColor, 0) || FALLBACK_CHART_TEXT_COLOR;
+            ctx.setLineDash(dataset.borderDash || []);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+        
+        const radius = dataset.pointRadius !== undefined ? dataset.pointRadius : 3;
+        pixels.forEach(({ x, y, i }) => {
+            const active = isActive(datasetIndex, i);
+            if (radius === 0 && !active) return;
+            ctx.beginPath();
+            ctx.arc(x, y, Math.max(radius, 3) + (active ? 2 : 0), 0, 2 * Math.PI);
+            ctx.fillStyle = pickChartOption(dataset.backgroundColor, i) || FALLBACK_CHART_TEXT_COLOR;
+            ctx.fill();
+            if (active) {
+                ctx.lineWidth = 2;
+                ctx.strokeStyle = FALLBACK_CHART_TEXT_COLOR;
+                ctx.stroke();
+            }
+        });
+    });
+}
+
+// ===========================
+// FUNCIONES DE VISTAS ENLAZADAS DE LA DISTRIBUCIÓN
+// ===========================
+
+// Vistas del gráfico de frecuencias que solo se ofrecen con pocos datos
+const SMALL_SAMPLE_VIEWS = ['dotPlot', 'stemLeaf'];
+
+// Fila de la tabla de frecuencias bajo el puntero (en la tabla o en un gráfico) y fila elegida
+// con un clic, que además filtra la tabla por programador; null si no hay ninguna
+let hoveredFrequencyRow = null;
+let selectedFrequencyRow = null;
+
+/**
+ * Filas de la tabla de frecuencias que se muestra: la agrupada en el modo agrupado
+ * @returns {Array|null} Filas, o null si todavía no hay análisis
+ */
+function getFrequencyViewRows() {
+    const data = window.currentData;
+    if (!data) return null;
+    return data.groupedTable || data.freqTable;
+}
+
+/**
+ * Dibuja el gráfico de frecuencias con el tipo elegido en #frequencyChartType: barras
+ * (o histograma) absolutas o relativas, ojiva, diagrama de puntos o, en #stemLeafContainer
+ * en lugar del canvas, tallo y hojas. Las dos últimas vistas se desactivan con más de
+ * SMALL_SAMPLE_PLOT_LIMIT valores
+ * @param {string} canvasId - ID del canvas
+ * @param {number[]} values - Valores analizados
+ * @param {Array} freqRows - Tabla de frecuencias, simple o agrupada
+ */
+function drawFrequencyChart(canvasId, values, freqRows) {
+    const select = document.getElementById('frequencyChartType');
+    const smallSample = values.length <= SMALL_SAMPLE_PLOT_LIMIT;
+    Array.from(select.options).forEach(option => {
+        if (!SMALL_SAMPLE_VIEWS.includes(option.value)) return;
+        option.disabled = !smallSample;
+        option.title = smallSample ? '' : t('ui.chart.smallSampleOnly', { count: formatObservations(SMALL_SAMPLE_PLOT_LIMIT, currentStudy) });
+    });
+    if (select.selectedOptions[0].disabled) select.value = 'absolute';
+    const type = select.value;
+    
+    const canvas = document.getElementById(canvasId);
+    const stemLeafContainer = document.getElementById('stemLeafContainer');
+    const stemLeaf = type === 'stemLeaf';
+    canvas.style.display = stemLeaf ? 'none' : '';
+    canvas.parentElement.querySelector('.chart-download').style.display = stemLeaf ? 'none' : '';
+    stemLeafContainer.style.display = stemLeaf ? 'block' : 'none';
+    
+    if (stemLeaf) {
+        if (barChart) barChart.destroy();
+        barChart = null;
+        // El diagrama de tallo y hojas ya es texto: no necesita tabla de datos
+        hideChartData(canvasId);
+        stemLeafContainer.textContent = stemAndLeafToText(buildStemAndLeaf(values));
+    } else if (type === 'dotPlot') {
+        drawDotPlot(canvasId, values, freqRows);
+    } else if (type === 'cumulative') {
+        drawOgive(canvasId, freqRows);
+    } else if (freqRows.length > 0 && freqRows[0].lower !== undefined) {
+        drawHistogram(canvasId, freqRows, type);
+    } else {
+        drawBarChart(canvasId, freqRows, type);
+    }
+}
+
+/**
+ * Vuelve a dibujar el gráfico de frecuencias del análisis actual al cambiar su tipo
+ */
+function redrawFrequencyChart() {
+    const data = window.currentData;
+    if (!data) return;
+    
+    drawFrequencyChart('barChart', data.values, getFrequencyViewRows());
+    applyFrequencyHighlight();
+}
+
+/**
+ * Enlaza las filas de una tabla de frecuencias con los gráficos: pasar el puntero (o el foco
+ * del teclado) resalta la barra y la porción correspondientes, y un clic (o Intro o Espacio)
+ * elige la fila
+ * @param {HTMLTableElement} table - Tabla de frecuencias, simple o agrupada
+ */
+function linkFrequencyTableRows(table) {
+    table.classList.add('linked-table');
+    Array.from(table.tBodies[0].rows).forEach((tr, i) => {
+        tr.tabIndex = 0;
+        tr.addEventListener('mouseenter', () => setHoveredFrequencyRow(i));
+        tr.addEventListener('mouseleave', () => setHoveredFrequencyRow(null));
+        tr.addEventListener('focus', () => setHoveredFrequencyRow(i));
+        tr.addEventListener('blur', () => setHoveredFrequencyRow(null));
+        tr.addEventListener('click', () => selectFrequencyRow(i));
+        tr.addEventListener('keydown', event => {
+            if (event.key !== 'Enter' && event.key !== ' ') return;
+            event.preventDefault();
+            selectFrequencyRow(i);
+        });
+    });
+}
+
+/**
+ * Elementos de un gráfico que representan una fila de la tabla de frecuencias. Las series
+ * enlazadas guardan en rows la fila de cada dato (null en los puntos auxiliares)
+ * @param {Chart} chart - Gráfico
+ * @param {number|null} rowIndex - Fila de la tabla de frecuencias
+ * @returns {Object[]} Elementos { datasetIndex, index } para setActiveElements
+ */
+function getFrequencyRowElements(chart, rowIndex) {
+    if (rowIndex === null) return [];
+    
+    return chart.data.datasets.flatMap((dataset, datasetIndex) => (dataset.rows || [])
+        .map((row, index) => (row === rowIndex ? { datasetIndex: datasetIndex, index: index } : null))
+        .filter(element => element !== null));
+}
+
+/**
+ * Fila de la tabla de frecuencias del primer elemento bajo el puntero en un gráfico
+ * @param {Chart} chart - Gráfico
+ * @param {Object[]} elements - Elementos activos que entrega Chart.js
+ * @returns {number|null} Índice de la fila, o null si el elemento no está enlazado
+ */
+function getChartFrequencyRow(chart, elements) {
+    if (elements.length === 0) return null;
+    
+    const rows = chart.data.datasets[elements[0].datasetIndex].rows;
+    const row = rows ? rows[elements[0].index] : null;
+    return row === undefined ? null : row;
+}
+
+/**
+ * Resalta la fila bajo el puntero o, si no hay ninguna, la elegida, en la tabla de frecuencias,
+ * el gráfico de frecuencias y el de pastel
+ * @param {Chart|null} source - Gráfico donde está el puntero, que ya resalta su propio elemento
+ */
+function applyFrequencyHighlight(source = null) {
+    const rowIndex = hoveredFrequencyRow !== null ? hoveredFrequencyRow : selectedFrequencyRow;
+    
+    document.querySelectorAll('#frequencyTableContainer tbody tr').forEach((tr, i) => {
+        tr.classList.toggle('row-highlighted', i === rowIndex);
+        tr.classList.toggle('row-selected', i === selectedFrequencyRow);
+    });
+    
+    [barChart, pieChart].forEach(chart => {
+        if (!chart || chart === source) return;
+        const elements = getFrequencyRowElements(chart, rowIndex);
+        chart.setActiveElements(elements);
+        chart.tooltip.setActiveElements(elements.slice(0, 1), { x: 0, y: 0 });
+        chart.update();
+    });
+}
+
+/**
+ * Cambia la fila bajo el puntero
+ * @param {number|null} rowIndex - Fila de la tabla de frecuencias
+ * @param {Chart|null} source - Gráfico donde está el puntero
+ */
+function setHoveredFrequencyRow(rowIndex, source = null) {
+    if (rowIndex === hoveredFrequencyRow) return;
+    
+    hoveredFrequencyRow = rowIndex;
+    applyFrequencyHighlight(source);
+}
+
+/**
+ * Elige una fila de la tabla de frecuencias (o la deja de elegir si ya lo estaba): queda
+ * resaltada y la tabla por programador muestra solo sus valores
+ * @param {number|null} rowIndex - Fila de la tabla de frecuencias, o null para quitar el filtro
+ */
+function selectFrequencyRow(rowIndex) {
+    selectedFrequencyRow = rowIndex === selectedFrequencyRow ? null : rowIndex;
+    applyFrequencyHighlight();
+    
+    if (window.currentData) buildPersonTableDOM(window.currentData.stats.personRows, 'personTableContainer');
+}
+
+/**
+ * onHover de los gráficos enlazados con la tabla de frecuencias
+ * @param {Event} event - Evento de Chart.js
+ * @param {Object[]} elements - Elementos bajo el puntero
+ * @param {Chart} chart - Gráfico
+ */
+function handleFrequencyChartHover(event, elements, chart) {
+    setHoveredFrequencyRow(getChartFrequencyRow(chart, elements), chart);
+}
+
+/**
+ * onClick de los gráficos enlazados con la tabla de frecuencias
+ * @param {Event} event - Evento de Chart.js
+ * @param {Object[]} elements - Elementos bajo el puntero
+ * @param {Chart} chart - Gráfico
+ */
+function handleFrequencyChartClick(event, elements, chart) {
+    const row = getChartFrequencyRow(chart, elements);
+    if (row !== null) selectFrequencyRow(row);
+}
+
+// ===========================
+// FUNCIONES DE RESUMEN Y CONCLUSIONES
+// ===========================
+
+/**
+ * Muestra el resumen estadístico con las etiquetas del estudio actual
+ * @param {Object} stats - Objeto con estadísticas calculadas
+ * @param {string} containerId - ID del contenedor
+ */
+function renderSummary(stats, containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    container.innerHTML = '';
+    
+    const study = currentStudy;
+    const statsData = [
+        {
+            label: t('ui.summary.n', {
+                observations: capitalize(study.observationPlural),
+                evaluated: studyAgree(study, t('word.evaluated'), t('word.evaluatedFeminine'))
+            }),
+            value: formatNumber(stats.n)
+        },
+        { label: t('summary.total', { variable: study.variable }), value: formatNumber(stats.sum) },
+        { label: t('ui.summary.min', { units: study.unitPlural, observation: study.observation }), value: formatNumber(stats.min) },
+        { label: t('ui.summary.max', { units: study.unitPlural, observation: study.observation }), value: formatNumber(stats.max) },
+        { label: t('ui.summary.mean', { units: study.unitPlural }), value: formatNumber(stats.mean, 2) },
+        { label: t('ui.summary.median', { units: study.unitPlural }), value: formatNumber(stats.median) },
+        { label: t('ui.summary.mode', { units: study.unitPlural }), value: stats.modeText },
+        { label: t('ui.summary.q1'), value: formatNumber(stats.quartiles.q1, null, 2) },
+        { label: t('ui.summary.q3'), value: formatNumber(stats.quartiles.q3, null, 2) },
+        { label: t('ui.summary.iqr'), value: formatNumber(stats.iqr, null, 2) },
+        { label: t('summary.percentile', { k: formatNumber(stats.percentile.k) }), value: formatNumber(stats.percentile.value, null, 2) },
+        {
+            label: t('ui.summary.fences'),
+            value: t('ui.interval', { lower: formatNumber(stats.fences.lower, null, 2), upper: formatNumber(stats.fences.upper, null, 2) })
+        },
+        { label: t('summary.outliers'), value: stats.outliersText }
+    ];
+    
+    statsData.forEach(stat => {
+        const card = document.createElement('div');
+        card.className = 'stat-card';
+        
+        const title = document.createElement('h3');
+        title.textContent = stat.label;
+        
+        const value = document.createElement('div');
+        value.className = 'value';
+        value.textContent = stat.value;
+        
+        card.appendChild(title);
+        card.appendChild(value);
+        container.appendChild(card);
+    });
+}
+
+/**
+ * Crea los nodos de un texto enriquecido: un nodo de texto por fragmento, dentro de un
+ * span.highlight si está resaltado. El texto nunca se interpreta como HTML
+ * @param {Object[]} fragments - Texto enriquecido
+ * @returns {DocumentFragment} Nodos del texto
+ */
+function renderRichText(fragments) {
+    const nodes = document.createDocumentFragment();
+    fragments.forEach(fragment => {
+        if (fragment.type === 'highlight') {
+            const span = document.createElement('span');
+            span.className = 'highlight';
+            span.textContent = fragment.text;
+            nodes.appendChild(span);
+        } else {
+            nodes.appendChild(document.createTextNode(fragment.text));
+        }
+    });
+    return nodes;
+}
+
+/**
+ * Muestra las conclusiones, una por párrafo con su icono y su título
+ * @param {Object[]} conclusions - Conclusiones de evaluateConclusionRules o compareDatasets
  * @param {string} containerId - ID del contenedor
+ * @param {string} emptyMessage - Texto que se muestra si no hay conclusiones
+ */
+function renderConclusions(conclusions, containerId, emptyMessage = '') {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    const items = conclusions.length === 0 && emptyMessage
+        ? [{ icon: 'fa-info-circle', title: null, text: concatRichText(emptyMessage) }]
+        : conclusions;
+    
+    container.innerHTML = '';
+    items.forEach(conclusion => {
+        const paragraph = document.createElement('p');
+        const icon = document.createElement('i');
+        icon.className = `fas ${conclusion.icon}`;
+        paragraph.appendChild(icon);
+        paragraph.appendChild(document.createTextNode(' '));
+        
+        if (conclusion.title !== null) {
+            const title = document.createElement('strong');
+            title.textContent = `${conclusion.title}:`;
+            paragraph.appendChild(title);
+            paragraph.appendChild(document.createTextNode(' '));
+        }
+        
+        paragraph.appendChild(renderRichText(conclusion.text));
+        container.appendChild(paragraph);
+    });
+}
+
+// ===========================
+// MOTOR DE REGLAS DE CONCLUSIONES
+// ===========================
+
+/**
+ * Lee los umbrales configurados en la interfaz
+ * @returns {Object} Umbrales del motor de conclusiones
+ * @throws {Error} Si los umbrales no son coherentes
+ */
+function readConclusionThresholds() {
+    const thresholds = {
+        cvBalanced: parseFloat(document.getElementById('cvBalanced').value),
+        cvUnbalanced: parseFloat(document.getElementById('cvUnbalanced').value),
+        symmetryTolerance: parseFloat(document.getElementById('symmetryTolerance').value),
+        giniBalanced: parseFloat(document.getElementById('giniBalanced').value),
+        giniUnbalanced: parseFloat(document.getElementById('giniUnbalanced').value),
+        topShareUnbalanced: parseFloat(document.getElementById('topShareUnbalanced').value)
+    };
+    
+    if (Object.values(thresholds).some(value => isNaN(value) || value < 0)) {
+        throw new Error(t('ui.thresholds.negative'));
+    }
+    if (thresholds.cvBalanced > thresholds.cvUnbalanced) {
+        throw new Error(t('ui.thresholds.cv'));
+    }
+    if (thresholds.giniBalanced > thresholds.giniUnbalanced || thresholds.giniUnbalanced > 1) {
+        throw new Error(t('ui.thresholds.gini'));
+    }
+    if (thresholds.topShareUnbalanced > 100) {
+        throw new Error(t('ui.thresholds.topShare'));
+    }
+    
+    return thresholds;
+}
+
+// ===========================
+// FUNCIONES DE VALIDACIÓN DE LA ENTRADA
+// ===========================
+
+// Diagnósticos que se marcan y se listan como máximo (con datos muy grandes pueden ser miles)
+const DIAGNOSTICS_DISPLAY_LIMIT = 100;
+
+/**
+ * Marca en el área de datos los valores con diagnósticos. El texto se copia en una capa
+ * detrás del textarea, con cada rango envuelto en <mark>
+ * @param {Object[]} diagnostics - Diagnósticos de validateInput
+ */
+function highlightInputDiagnostics(diagnostics) {
+    const input = document.getElementById('dataInput');
+    const backdrop = document.getElementById('dataInputBackdrop');
+    if (!input || !backdrop) return;
+    
+    backdrop.innerHTML = '';
+    const text = input.value;
+    const ranges = diagnostics
+        .filter(diagnostic => diagnostic.start !== null)
+        .slice(0, DIAGNOSTICS_DISPLAY_LIMIT)
+        .sort((a, b) => a.start - b.start);
+    // Sin marcas no hace falta copiar el texto (puede ser muy largo)
+    if (ranges.length === 0) return;
+    
+    let position = 0;
+    ranges.forEach(diagnostic => {
+        if (diagnostic.start < position) return;
+        backdrop.appendChild(document.createTextNode(text.slice(position, diagnostic.start)));
+        
+        const mark = document.createElement('mark');
+        mark.className = `diagnostic-${diagnostic.severity}${diagnostic.start === diagnostic.end ? ' diagnostic-empty' : ''}`;
+        // Un faltante vacío se marca con un espacio de ancho cero para no desplazar el texto
+        mark.textContent = diagnostic.start === diagnostic.end ? '\u200B' : text.slice(diagnostic.start, diagnostic.end);
+        backdrop.appendChild(mark);
+        position = diagnostic.end;
+    });
+    // El salto final mantiene la altura de la capa igual a la del textarea
+    backdrop.appendChild(document.createTextNode(text.slice(position) + '\n'));
+    backdrop.scrollTop = input.scrollTop;
+}
+
+/**
+ * Quita las marcas del área de datos (al editar, las posiciones dejan de ser válidas)
+ */
+function clearInputDiagnostics() {
+    const backdrop = document.getElementById('dataInputBackdrop');
+    if (backdrop) backdrop.innerHTML = '';
+}
+
+/**
+ * Selecciona en el área de datos el rango de un diagnóstico
+ * @param {Object} diagnostic - Diagnóstico con start y end
+ */
+function selectDiagnostic(diagnostic) {
+    const input = document.getElementById('dataInput');
+    input.focus();
+    input.setSelectionRange(diagnostic.start, diagnostic.end);
+}
+
+/**
+ * Muestra un error o aviso con la lista de diagnósticos; cada uno selecciona su valor al pulsarlo
+ * @param {string} kind - 'error' o 'warning'
+ * @param {string} message - Mensaje principal
+ * @param {Object[]} diagnostics - Diagnósticos con posición
+ */
+function renderValidationMessage(kind, message, diagnostics = []) {
+    const errorContainer = document.getElementById('errorContainer');
+    errorContainer.innerHTML = '';
+    
+    const title = document.createElement('strong');
+    const icon = document.createElement('i');
+    icon.className = `fas ${kind === 'error' ? 'fa-times-circle' : 'fa-exclamation-triangle'}`;
+    title.appendChild(icon);
+    title.appendChild(document.createTextNode(` ${t(`ui.${kind}`)}:`));
+    errorContainer.appendChild(title);
+    errorContainer.appendChild(document.createTextNode(` ${message}`));
+    
+    if (diagnostics.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'diagnostics-list';
+        diagnostics.slice(0, DIAGNOSTICS_DISPLAY_LIMIT).forEach(diagnostic => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `diagnostic-link diagnostic-${diagnostic.severity}`;
+            button.textContent = diagnostic.message;
+            button.title = t('ui.diagnostics.select');
+            button.addEventListener('click', () => selectDiagnostic(diagnostic));
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+        if (diagnostics.length > DIAGNOSTICS_DISPLAY_LIMIT) {
+            const more = document.createElement('li');
+            more.textContent = t('ui.diagnostics.more', { count: formatNumber(diagnostics.length - DIAGNOSTICS_DISPLAY_LIMIT) });
+            list.appendChild(more);
+        }
+        errorContainer.appendChild(list);
+    }
+    
+    errorContainer.style.display = 'block';
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const input = document.getElementById('dataInput');
+    const backdrop = document.getElementById('dataInputBackdrop');
+    if (!input || !backdrop) return;
+    
+    input.addEventListener('input', clearInputDiagnostics);
+    input.addEventListener('scroll', () => {
+        backdrop.scrollTop = input.scrollTop;
+    });
+});
+
+// ===========================
+// FUNCIONES DE IMPORTACIÓN DE ARCHIVOS
+// ===========================
+
+// Archivo cargado pendiente de importar
+let pendingImport = null;
+
+/**
+ * Lee un archivo CSV/TSV y muestra la vista previa para elegir columnas
+ * @param {File} file - Archivo seleccionado o arrastrado
+ */
+function handleImportFile(file) {
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+        const text = reader.result;
+        const delimiter = detectDelimiter(text);
+        pendingImport = { fileName: file.name, text };
+        
+        document.getElementById('importDelimiter').value = delimiter;
+        document.getElementById('importDecimal').value =
+            detectDecimalSeparator(parseDelimitedText(text, delimiter), delimiter);
+        renderImportPreview(true);
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Muestra la vista previa del archivo con el separador elegido
+ * @param {boolean} resetColumns - true para volver a sugerir columnas
+ */
+function renderImportPreview(resetColumns = false) {
+    if (!pendingImport) return;
+    
+    const delimiter = document.getElementById('importDelimiter').value;
+    const decimalSeparator = document.getElementById('importDecimal').value;
+    const rows = parseDelimitedText(pendingImport.text, delimiter);
+    const header = hasHeaderRow(rows, decimalSeparator);
+    const columnCount = calcMax(rows.map(row => row.cells.length));
+    const columnNames = [];
+    for (let c = 0; c < columnCount; c++) {
+        columnNames.push(header && rows[0].cells[c] ? rows[0].cells[c] : t('ui.import.column', { number: c + 1 }));
+    }
+    
+    pendingImport.rows = header ? rows.slice(1) : rows;
+    
+    const valueSelect = document.getElementById('importValueColumn');
+    const labelSelect = document.getElementById('importLabelColumn');
+    const previousValue = valueSelect.value;
+    const previousLabel = labelSelect.value;
+    
+    valueSelect.innerHTML = '';
+    labelSelect.innerHTML = '';
+    labelSelect.appendChild(new Option(t('ui.import.noLabel'), '-1'));
+    columnNames.forEach((name, c) => {
+        valueSelect.appendChild(new Option(name, c));
+        labelSelect.appendChild(new Option(name, c));
+    });
+    
+    if (resetColumns || previousValue === '' || previousValue >= columnCount) {
+        // Sugerencia: la primera columna numérica es la variable y la primera de texto la etiqueta
+        const sample = pendingImport.rows[0] ? pendingImport.rows[0].cells : [];
+        const numericColumn = sample.findIndex(cell => !isNaN(parseNumericCell(cell, decimalSeparator)));
+        const textColumn = sample.findIndex(cell => isNaN(parseNumericCell(cell, decimalSeparator)));
+        valueSelect.value = Math.max(numericColumn, 0);
+        labelSelect.value = textColumn;
+    } else {
+        valueSelect.value = previousValue;
+        labelSelect.value = previousLabel < columnCount ? previousLabel : '-1';
+    }
+    
+    // Tabla de vista previa con las primeras filas
+    const table = document.createElement('table');
+    table.className = 'frequency-table';
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    [t('ui.import.line'), ...columnNames].forEach(headerText => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = headerText;
+        headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+    
+    const tbody = document.createElement('tbody');
+    pendingImport.rows.slice(0, 5).forEach(row => {
+        const tr = document.createElement('tr');
+        [row.line, ...columnNames.map((name, c) => row.cells[c] || '')].forEach(cellValue => {
+            const td = document.createElement('td');
+            td.textContent = cellValue;
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    
+    const preview = document.getElementById('importPreviewTable');
+    preview.innerHTML = '';
+    preview.appendChild(table);
+    
+    document.getElementById('importFileName').textContent =
+        t(header ? 'ui.import.rowsWithHeader' : 'ui.import.rows', { file: pendingImport.fileName, count: formatNumber(pendingImport.rows.length) });
+    document.getElementById('importPreview').style.display = 'block';
+}
+
+/**
+ * Importa las columnas elegidas al área de datos y procesa
+ */
+function applyImport() {
+    if (!pendingImport) return;
+    
+    const valueColumn = parseInt(document.getElementById('importValueColumn').value);
+    const labelColumn = parseInt(document.getElementById('importLabelColumn').value);
+    const decimalSeparator = document.getElementById('importDecimal').value;
+    
+    try {
+        const records = importRowsToRecords(pendingImport.rows, valueColumn, labelColumn, decimalSeparator, currentStudy);
+        document.getElementById('dataInput').value = recordsToInputText(records, labelColumn >= 0);
+        cancelImport();
+        validateAndProcess();
+    } catch (error) {
+        renderValidationMessage('error', error.message);
+    }
+}
+
+/**
+ * Descarta el archivo pendiente y oculta la vista previa
+ */
+function cancelImport() {
+    pendingImport = null;
+    document.getElementById('importPreview').style.display = 'none';
+    document.getElementById('importFile').value = '';
+}
+
+/**
+ * Conecta la zona de arrastrar y soltar con la importación
+ */
+function setupFileImport() {
+    const dropZone = document.getElementById('dropZone');
+    if (!dropZone) return;
+    
+    ['dragenter', 'dragover'].forEach(eventName => {
+        dropZone.addEventListener(eventName, event => {
+            event.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+    });
+    
+    ['dragleave', 'drop'].forEach(eventName => {
+        dropZone.addEventListener(eventName, event => {
+            event.preventDefault();
+            dropZone.classList.remove('drag-over');
+        });
+    });
+    
+    dropZone.addEventListener('drop', event => {
+        handleImportFile(event.dataTransfer.files[0]);
+    });
+}
+
+document.addEventListener('DOMContentLoaded', setupFileImport);
+
+// ===========================
+// FUNCIONES DE COMPARACIÓN ENTRE SPRINTS
+// ===========================
+
+// Datasets guardados para comparar, en el orden en que se agregaron
+let comparisonDatasets = [];
+let comparisonChart = null;
+
+/**
+ * Construye la tabla comparativa: una columna por dataset
+ * @param {Object[]} datasets - Resúmenes de summarizeDataset
+ * @param {string} containerId - ID del contenedor donde insertar la tabla
+ */
+function buildComparisonTableDOM(datasets, containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    const table = document.createElement('table');
+    table.className = 'frequency-table';
+    
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    const measureHeader = document.createElement('th');
+    measureHeader.scope = 'col';
+    measureHeader.textContent = t('export.measure');
+    headerRow.appendChild(measureHeader);
+    
+    datasets.forEach((dataset, i) => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = dataset.name + ' ';
+        const removeButton = document.createElement('button');
+        removeButton.className = 'remove-dataset';
+        removeButton.title = t('ui.comparison.remove', { name: dataset.name });
+        removeButton.textContent = '×';
+        removeButton.addEventListener('click', () => removeFromComparison(i));
+        th.appendChild(removeButton);
+        headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+    
+    const measures = [
+        [`${toTitleCase(currentStudy.observationPlural)} (n)`, dataset => formatNumber(dataset.n)],
+        [t('summary.mean'), dataset => formatNumber(dataset.mean, 2)],
+        [t('summary.median'), dataset => formatNumber(dataset.median)],
+        [t('ui.comparison.stdDev'), dataset => formatNumber(dataset.stdDev, 2)],
+        [t('ui.comparison.cv'), dataset => formatNumber(dataset.cv, 2) + '%'],
+        [t('summary.min'), dataset => formatNumber(dataset.min)],
+        [t('summary.max'), dataset => formatNumber(dataset.max)],
+        [t('summary.iqr'), dataset => formatNumber(dataset.iqr, null, 2)]
+    ];
+    
+    const tbody = document.createElement('tbody');
+    measures.forEach(([label, getValue]) => {
+        const tr = document.createElement('tr');
+        [label, ...datasets.map(getValue)].forEach(cellValue => {
+            const td = document.createElement('td');
+            td.textContent = cellValue;
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    
+    container.innerHTML = '';
+    container.appendChild(table);
+}
+
+/**
+ * Dibuja barras agrupadas con la frecuencia relativa de cada valor en cada dataset
+ * @param {string} canvasId - ID del canvas
+ * @param {Object[]} datasets - Resúmenes de summarizeDataset
+ */
+function drawComparisonChart(canvasId, datasets) {
+    // Eje x común: todos los valores observados en algún dataset
+    const allValues = [...new Set(datasets.flatMap(dataset => dataset.freqTable.map(row => row.value)))]
+        .sort((a, b) => a - b);
+    const colors = generateColors(datasets.length);
+    
+    comparisonChart = renderChart(comparisonChart, canvasId, {
+        type: 'bar',
+        data: {
+            labels: allValues.map(value => formatQuantity(value, currentStudy)),
+            datasets: datasets.map((dataset, i) => ({
+                label: dataset.name,
+                data: allValues.map(value => {
+                    const row = dataset.freqTable.find(freqRow => freqRow.value === value);
+                    return row ? row.fr : 0;
+                }),
+                backgroundColor: colors.background[i],
+                borderColor: colors.border[i],
+                borderWidth: 1
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                title: {
+                    display: true,
+                    text: t('ui.comparison.chartTitle'),
+                    font: {
+                        size: 16,
+                        weight: 'bold'
+                    }
+                },
+                legend: {
+                    position: 'bottom'
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: t('ui.frequency.relative')
+                    }
+                },
+                x: {
+                    title: {
+                        display: true,
+                        text: t('ui.chart.quantity', { variable: toTitleCase(currentStudy.variable) })
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Muestra la sección de comparación con los datasets guardados
+ */
+function renderComparison() {
+    const section = document.getElementById('comparisonSection');
+    
+    if (comparisonDatasets.length === 0) {
+        section.style.display = 'none';
+        return;
+    }
+    
+    section.style.display = 'block';
+    buildComparisonTableDOM(comparisonDatasets, 'comparisonTableContainer');
+    drawComparisonChart('comparisonChart', comparisonDatasets);
+    
+    renderConclusions(compareDatasets(comparisonDatasets, currentStudy), 'comparisonConclusions', t('ui.comparison.empty'));
+}
+
+/**
+ * Guarda el análisis actual como dataset para comparar.
+ * Si ya existe un dataset con el mismo nombre, se reemplaza
+ */
+function addCurrentToComparison() {
+    if (!window.currentData) return;
+    
+    const nameInput = document.getElementById('datasetName');
+    const name = nameInput.value.trim() || t('ui.comparison.defaultName', { number: comparisonDatasets.length + 1 });
+    const dataset = summarizeDataset(name, window.currentData.values, window.currentData.stats.population);
+    
+    const existing = comparisonDatasets.findIndex(saved => saved.name === name);
+    if (existing >= 0) {
+        comparisonDatasets[existing] = dataset;
+    } else {
+        comparisonDatasets.push(dataset);
+    }
+    
+    nameInput.value = '';
+    renderComparison();
+}
+
+/**
+ * Quita un dataset de la comparación
+ * @param {number} index - Posición del dataset
+ */
+function removeFromComparison(index) {
+    comparisonDatasets.splice(index, 1);
+    renderComparison();
+}
+
+// ===========================
+// FUNCIONES DE EXPORTACIÓN
+// ===========================
+
+// Dataset del caso de prueba verificado del README
+const EXAMPLE_DATA = '13,9,14,11,8,11,10,8,4,11';
+
+/**
+ * Descarga contenido como archivo
+ * @param {string} content - Contenido o URL de datos
+ * @param {string} fileName - Nombre del archivo
+ * @param {string} mimeType - Tipo MIME; null si content ya es una URL de datos
+ */
+function downloadFile(content, fileName, mimeType) {
+    const url = mimeType ? URL.createObjectURL(new Blob([content], { type: mimeType })) : content;
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    if (mimeType) URL.revokeObjectURL(url);
+}
+
+/**
+ * Exporta el resumen y la tabla de frecuencias como CSV
+ */
+function downloadCSV() {
+    if (!window.currentData) return;
+    // BOM para que las hojas de cálculo reconozcan los acentos en UTF-8
+    downloadFile('\uFEFF' + buildCSV(window.currentData), `${exportFileBase()}.csv`, 'text/csv;charset=utf-8');
+}
+
+/**
+ * Exporta el análisis completo como JSON
+ */
+function downloadJSON() {
+    if (!window.currentData) return;
+    downloadFile(buildJSON(window.currentData), `${exportFileBase()}.json`, 'application/json');
+}
+
+/**
+ * Nombre base de los archivos exportados según la unidad del estudio
+ * @returns {string} Por ejemplo "analisis-errores"
+ */
+function exportFileBase() {
+    const slug = currentStudy.unitPlural
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+    return `analisis-${slug || 'datos'}`;
+}
+
+/**
+ * Descarga un gráfico como imagen PNG
+ * @param {string} canvasId - ID del canvas del gráfico
+ */
+function downloadChartPNG(canvasId) {
+    const chart = typeof Chart === 'undefined' ? fallbackCharts.get(canvasId) : Chart.getChart(canvasId);
+    if (!chart) return;
+    downloadFile(chart.toBase64Image('image/png', 1), `${canvasId}.png`, null);
+}
+
+/**
+ * Abre el diálogo de impresión con la hoja de estilos de informe
+ */
+function printReport() {
+    if (!window.currentData) return;
+    window.print();
+}
+
+/**
+ * Carga el dataset del caso de prueba verificado y lo procesa.
+ * El caso corresponde al estudio por defecto del idioma actual, que se restablece
+ */
+function loadExample() {
+    setCurrentStudy(getDefaultStudy());
+    document.getElementById('dataInput').value = EXAMPLE_DATA;
+    validateAndProcess();
+}
+
+// ===========================
+// FUNCIONES DE IDIOMA
+// ===========================
+
+const LOCALE_STORAGE_KEY = 'programa-estadistica:idioma';
+
+/**
+ * Idioma inicial: el elegido antes en este navegador o, si no hay ninguno, el del navegador
+ * cuando está disponible (inglés si empieza por "en") y si no DEFAULT_LOCALE
+ * @returns {string} Código del idioma
+ */
+function detectInitialLocale() {
+    let stored = null;
+    try {
+        stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+    } catch (error) {
+        stored = null;
+    }
+    if (stored && LOCALES[stored]) return stored;
+    
+    const browserLocale = (navigator.language || '').toLowerCase();
+    return browserLocale.startsWith('en') ? 'en' : DEFAULT_LOCALE;
+}
+
+/**
+ * Traduce los textos fijos de la página: el contenido de los elementos con data-i18n y los
+ * atributos de los que tienen data-i18n-placeholder o data-i18n-title
+ */
+function applyTranslations() {
+    document.documentElement.lang = getLocale();
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    document.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = t(element.dataset.i18nTitle);
+    });
+    
+    const select = document.getElementById('languageSelect');
+    if (select) select.value = getLocale();
+}
+
+/**
+ * Cambia el idioma de la página, lo recuerda en el navegador y vuelve a mostrar el análisis.
+ * Si el estudio actual es el de por defecto, se reemplaza por el del nuevo idioma
+ * @param {string} locale - Código del idioma
+ */
+function changeLanguage(locale) {
+    const previousLocale = getLocale();
+    setLocale(locale);
+    try {
+        localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    } catch (error) {
+        // Sin almacenamiento el idioma solo dura hasta recargar la página
+    }
+    
+    applyTranslations();
+    if (isDefaultStudy(currentStudy, previousLocale)) {
+        setCurrentStudy(getDefaultStudy());
+    } else {
+        applyStudyLabels();
+        renderStudyPresets();
+    }
+    renderHistory();
+    renderComparison();
+    refreshAnalysisForStudy();
+}
+
+/**
+ * Aplica el idioma inicial antes de restaurar el estudio, para que el estudio por defecto
+ * sea el de ese idioma
+ */
+function initLanguage() {
+    setLocale(detectInitialLocale());
+    applyTranslations();
+}
+
+document.addEventListener('DOMContentLoaded', initLanguage);
+
+// ===========================
+// FUNCIONES DE LA PALETA DE LOS GRÁFICOS
+// ===========================
+
+const PALETTE_STORAGE_KEY = 'programa-estadistica:paleta';
+
+// Paleta de CHART_PALETTES con la que se dibujan los gráficos
+let chartPalette = 'default';
+
+/**
+ * Cambia la paleta de los gráficos, la recuerda en el navegador y vuelve a dibujarlos
+ * @param {string} palette - Clave de CHART_PALETTES
+ */
+function changePalette(palette) {
+    getPalette(palette);
+    chartPalette = palette;
+    try {
+        localStorage.setItem(PALETTE_STORAGE_KEY, palette);
+    } catch (error) {
+        // Sin almacenamiento la paleta solo dura hasta recargar la página
+    }
+    
+    document.getElementById('chartPalette').value = palette;
+    renderComparison();
+    refreshAnalysisForStudy();
+}
+
+/**
+ * Restaura la paleta elegida antes en este navegador
+ */
+function initPalette() {
+    let stored = null;
+    try {
+        stored = localStorage.getItem(PALETTE_STORAGE_KEY);
+    } catch (error) {
+        stored = null;
+    }
+    if (stored && CHART_PALETTES[stored]) chartPalette = stored;
+    document.getElementById('chartPalette').value = chartPalette;
+}
+
+document.addEventListener('DOMContentLoaded', initPalette);
+
+// ===========================
+// FUNCIONES DEL CONTEXTO DEL ESTUDIO
+// ===========================
+
+const STUDY_STORAGE_KEY = 'programa-estadistica:estudio';
+const STUDY_PRESETS_STORAGE_KEY = 'programa-estadistica:preajustes';
+
+// Estudio que definen las etiquetas, la validación y las conclusiones
+let currentStudy = getDefaultStudy();
+
+// Campos de texto y numéricos del formulario por propiedad del estudio
+const STUDY_FIELD_IDS = {
+    variable: 'studyVariable',
+    unit: 'studyUnit',
+    unitPlural: 'studyUnitPlural',
+    observation: 'studyObservation',
+    observationPlural: 'studyObservationPlural',
+    expectedN: 'studyExpectedN',
+    expectedNMode: 'studyExpectedNMode',
+    min: 'studyMin',
+    max: 'studyMax',
+    missing: 'studyMissing'
+};
+const STUDY_NUMERIC_FIELDS = ['expectedN', 'min', 'max'];
+
+// Textos de la página que dependen del estudio, por valor de data-study-text
+const STUDY_TEXTS = {
+    subtitle: study => t('ui.study.subtitle', { variable: study.variable, observation: study.observation }),
+    inputLabel: study => {
+        const count = study.expectedN === null || study.expectedNMode === 'none'
+            ? '' : t(study.expectedNMode === 'minimum' ? 'ui.study.countMinimum' : 'ui.study.count', { n: study.expectedN });
+        return t('ui.study.inputLabel', {
+            variable: study.variable, observation: study.observation, count: count,
+            values: t(study.allowDecimals ? 'ui.study.values' : 'ui.study.integerValues')
+        });
+    },
+    personHeading: study => t('ui.study.personHeading', { observation: toTitleCase(study.observation) }),
+    stackedHeading: study => t('ui.study.stackedHeading', { observation: toTitleCase(study.observation) }),
+    frequencyHeading: study => t('ui.study.frequencyHeading', { variable: toTitleCase(study.variable) }),
+    barHeading: study => t('ui.study.barHeading', { units: toTitleCase(study.unitPlural) })
+};
+
+/**
+ * Indica si un estudio coincide con el de por defecto de un idioma
+ * @param {Object} study - Estudio
+ * @param {string} locale - Código del idioma; por defecto el actual
+ * @returns {boolean} true si todas sus propiedades coinciden con las de getDefaultStudy
+ */
+function isDefaultStudy(study, locale = getLocale()) {
+    const defaultStudy = getDefaultStudy(locale);
+    return Object.keys(defaultStudy).every(key => study[key] === defaultStudy[key]);
+}
+
+/**
+ * Lee el formulario de definición del estudio
+ * @returns {Object} Estudio validado
+ * @throws {Error} Si la definición no es válida
+ */
+function readStudyForm() {
+    const study = {
+        observationFeminine: document.getElementById('studyFeminine').checked,
+        allowDecimals: document.getElementById('studyAllowDecimals').checked
+    };
+    Object.entries(STUDY_FIELD_IDS).forEach(([key, id]) => {
+        const value = document.getElementById(id).value.trim();
+        study[key] = STUDY_NUMERIC_FIELDS.includes(key) ? (value === '' ? null : Number(value)) : value;
+    });
+    return normalizeStudy(study);
+}
+
+/**
+ * Muestra un estudio en el formulario de definición
+ * @param {Object} study - Estudio
+ */
+function fillStudyForm(study) {
+    Object.entries(STUDY_FIELD_IDS).forEach(([key, id]) => {
+        document.getElementById(id).value = study[key] === null ? '' : study[key];
+    });
+    document.getElementById('studyFeminine').checked = study.observationFeminine;
+    document.getElementById('studyAllowDecimals').checked = study.allowDecimals;
+}
+
+/**
+ * Actualiza los textos de la página con los nombres del estudio actual.
+ * El contexto del problema describe el estudio por defecto y se oculta con otros estudios
+ */
+function applyStudyLabels() {
+    document.querySelectorAll('[data-study-text]').forEach(element => {
+        const template = STUDY_TEXTS[element.dataset.studyText];
+        if (template) element.textContent = template(currentStudy);
+    });
+    
+    const problemContext = document.querySelector('.problem-context');
+    if (problemContext) {
+        problemContext.style.display = isDefaultStudy(currentStudy) ? '' : 'none';
+    }
+}
+
+/**
+ * Cambia el estudio actual, actualiza la página y lo recuerda en el navegador
+ * @param {Object} study - Definición del estudio
+ * @throws {Error} Si la definición no es válida
+ */
+function setCurrentStudy(study) {
+    currentStudy = normalizeStudy(study);
+    fillStudyForm(currentStudy);
+    applyStudyLabels();
+    renderStudyPresets();
+    
+    try {
+        localStorage.setItem(STUDY_STORAGE_KEY, JSON.stringify(currentStudy));
+    } catch (error) {
+        // Sin almacenamiento el estudio solo dura hasta recargar la página
+    }
+}
+
+/**
+ * Vuelve a procesar el análisis mostrado para reflejar el estudio actual
+ */
+function refreshAnalysisForStudy() {
+    if (document.getElementById('resultsSection').style.display !== 'none') {
+        validateAndProcess({ saveToHistory: false });
+    }
+}
+
+/**
+ * Aplica la definición escrita en el formulario
+ */
+function applyStudyForm() {
+    const errorContainer = document.getElementById('errorContainer');
+    try {
+        setCurrentStudy(readStudyForm());
+        errorContainer.style.display = 'none';
+        refreshAnalysisForStudy();
+    } catch (error) {
+        renderValidationMessage('error', error.message);
+    }
+}
+
+/**
+ * Carga los preajustes guardados por el usuario
+ * @returns {Object} Estudios por nombre
+ */
+function loadUserStudyPresets() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STUDY_PRESETS_STORAGE_KEY));
+        return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Guarda los preajustes del usuario en el navegador
+ * @param {Object} presets - Estudios por nombre
+ * @throws {Error} Si el navegador no permite guardar
+ */
+function saveUserStudyPresets(presets) {
+    try {
+        localStorage.setItem(STUDY_PRESETS_STORAGE_KEY, JSON.stringify(presets));
+    } catch (error) {
+        throw new Error(t('ui.presets.storage'));
+    }
+}
+
+/**
+ * Llena el selector de estudios con los predefinidos y los del usuario,
+ * marcando el que coincide con el estudio actual
+ */
+function renderStudyPresets() {
+    const select = document.getElementById('studyPreset');
+    if (!select) return;
+    
+    const groups = [[t('ui.presets.builtIn'), getStudyPresets()], [t('ui.presets.saved'), loadUserStudyPresets()]];
+    const current = JSON.stringify(currentStudy);
+    select.innerHTML = '';
+    
+    const custom = document.createElement('option');
+    custom.value = '';
+    custom.textContent = t('ui.presets.custom');
+    select.appendChild(custom);
+    
+    groups.forEach(([label, presets]) => {
+        const names = Object.keys(presets);
+        if (names.length === 0) return;
+        
+        const group = document.createElement('optgroup');
+        group.label = label;
+        names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            if (JSON.stringify(normalizeStudy(presets[name])) === current) option.selected = true;
+            group.appendChild(option);
+        });
+        select.appendChild(group);
+    });
+}
+
+/**
+ * Aplica un estudio predefinido o guardado
+ * @param {string} name - Nombre del preajuste ('' para seguir con el actual)
+ */
+function selectStudyPreset(name) {
+    const presets = { ...getStudyPresets(), ...loadUserStudyPresets() };
+    if (!presets[name]) return;
+    
+    setCurrentStudy(presets[name]);
+    refreshAnalysisForStudy();
+}
+
+/**
+ * Guarda la definición del formulario como preajuste reutilizable
+ */
+function saveStudyPreset() {
+    const errorContainer = document.getElementById('errorContainer');
+    try {
+        const study = readStudyForm();
+        const suggestion = toTitleCase(t('ui.presets.suggestion', { variable: study.variable, observation: study.observation }));
+        const name = (prompt(t('ui.presets.prompt'), suggestion) || '').trim();
+        if (name === '') return;
+        if (getStudyPresets()[name]) {
+            throw new Error(t('ui.presets.builtInName', { name: name }));
+        }
+        
+        const presets = loadUserStudyPresets();
+        presets[name] = study;
+        saveUserStudyPresets(presets);
+        setCurrentStudy(study);
+        errorContainer.style.display = 'none';
+        refreshAnalysisForStudy();
+    } catch (error) {
+        renderValidationMessage('error', error.message);
+    }
+}
+
+/**
+ * Elimina el preajuste del usuario seleccionado
+ */
+function deleteStudyPreset() {
+    const name = document.getElementById('studyPreset').value;
+    const presets = loadUserStudyPresets();
+    if (!presets[name] || !confirm(t('ui.presets.confirmDelete', { name: name }))) return;
+    
+    delete presets[name];
+    saveUserStudyPresets(presets);
+    renderStudyPresets();
+}
+
+/**
+ * Restaura el último estudio usado en este navegador
  */
-function renderSummary(stats, containerId) {
-    const container = document.getElementById(containerId);
-    if (!container) return;
+function initStudy() {
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(STUDY_STORAGE_KEY));
+    } catch (error) {
+        stored = null;
+    }
     
-    container.innerHTML = '';
+    try {
+        setCurrentStudy(stored || getDefaultStudy());
+    } catch (error) {
+        // Un estudio guardado inválido se descarta
+        setCurrentStudy(getDefaultStudy());
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initStudy);
+
+// ===========================
+// FUNCIONES DE HISTORIAL DE SESIONES
+// ===========================
+
+const HISTORY_STORAGE_KEY = 'programa-estadistica:historial';
+const HISTORY_LIMIT = 50;
+
+// Controles cuyo valor forma parte de la configuración de un análisis
+const ANALYSIS_OPTION_IDS = [
+    'analysisMode', 'classRule', 'classWidth', 'estimatorType', 'percentileMethod',
+    'percentileK', 'confidenceLevel', 'targetMean', 'testAlternative', 'binomialTrials',
+    'cvBalanced', 'cvUnbalanced', 'symmetryTolerance', 'giniBalanced', 'giniUnbalanced',
+    'topShareUnbalanced'
+];
+
+/**
+ * Lee la configuración actual de los controles de análisis
+ * @returns {Object} Valores de los controles por ID
+ */
+function readAnalysisOptions() {
+    const options = {};
+    ANALYSIS_OPTION_IDS.forEach(id => {
+        options[id] = document.getElementById(id).value;
+    });
+    return options;
+}
+
+/**
+ * Indica si un valor guardado se puede poner en un control de análisis: una de las opciones
+ * de una lista, o un número dentro de los límites (min, max y step="1") de un campo numérico,
+ * que también puede quedar vacío
+ * @param {HTMLElement} control - Lista (select) o campo numérico
+ * @param {*} value - Valor guardado
+ * @returns {boolean} true si el valor es válido para el control
+ */
+function isValidOptionValue(control, value) {
+    if (typeof value !== 'string' && typeof value !== 'number') return false;
+    const text = String(value);
+    if (control.tagName === 'SELECT') return Array.from(control.options).some(option => option.value === text);
+    if (text === '') return true;
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return false;
     
-    const statsData = [
-        { label: 'Programadores evaluados', value: stats.n },
-        { label: 'Total errores corregidos', value: stats.sum },
-        { label: 'Mínimo errores (programador)', value: stats.min },
-        { label: 'Máximo errores (programador)', value: stats.max },
-        { label: 'Media de errores', value: stats.mean.toFixed(2) },
-        { label: 'Mediana de errores', value: stats.median },
-        { label: 'Moda de errores', value: stats.modeText }
-    ];
+    const number = parseFloat(text);
+    if (!Number.isFinite(number)) return false;
+    if (control.min !== '' && number < parseFloat(control.min)) return false;
+    if (control.max !== '' && number > parseFloat(control.max)) return false;
+    return control.step !== '1' || Number.isInteger(number);
+}
+
+/**
+ * Deja de una configuración guardada (historial o enlace permanente) solo los controles de
+ * ANALYSIS_OPTION_IDS con un valor válido para ellos; el resto conserva su valor actual
+ * @param {*} options - Valores de los controles por ID
+ * @returns {Object} Valores válidos por ID
+ */
+function filterAnalysisOptions(options) {
+    const valid = {};
+    if (!options || typeof options !== 'object') return valid;
     
-    statsData.forEach(stat => {
-        const card = document.createElement('div');
-        card.className = 'stat-card';
+    ANALYSIS_OPTION_IDS.forEach(id => {
+        if (options[id] !== undefined && isValidOptionValue(document.getElementById(id), options[id])) {
+            valid[id] = String(options[id]);
+        }
+    });
+    return valid;
+}
+
+/**
+ * Aplica una configuración guardada a los controles de análisis; los valores que no son
+ * válidos para su control se ignoran (ver filterAnalysisOptions)
+ * @param {Object} options - Valores de los controles por ID
+ */
+function applyAnalysisOptions(options) {
+    const valid = filterAnalysisOptions(options);
+    Object.keys(valid).forEach(id => {
+        document.getElementById(id).value = valid[id];
+    });
+    updateGroupingOptions();
+}
+
+/**
+ * Indica si una entrada tiene la forma de las que guarda addHistoryEntry, para que se pueda
+ * mostrar y restaurar. Las entradas anteriores al contexto configurable no tienen estudio
+ * @param {*} entry - Entrada guardada o importada
+ * @returns {boolean} true si la entrada es válida
+ */
+function isValidHistoryEntry(entry) {
+    if (!entry || typeof entry.id !== 'string' || typeof entry.input !== 'string') return false;
+    if (typeof entry.timestamp !== 'string' || Number.isNaN(Date.parse(entry.timestamp))) return false;
+    if (!Number.isFinite(entry.n) || !Number.isFinite(entry.mean)) return false;
+    if (entry.label !== undefined && typeof entry.label !== 'string') return false;
+    if (entry.options !== undefined && (typeof entry.options !== 'object' || entry.options === null || Array.isArray(entry.options))) {
+        return false;
+    }
+    if (entry.study === undefined || entry.study === null) return true;
+    
+    try {
+        normalizeStudy(entry.study);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Carga el historial guardado en el navegador; las entradas que no son válidas se omiten
+ * @returns {Object[]} Entradas del historial, la más reciente primero
+ */
+function loadHistory() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY));
+        return Array.isArray(stored) ? stored.filter(isValidHistoryEntry) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Guarda el historial en el navegador
+ * @param {Object[]} entries - Entradas del historial
+ * @throws {Error} Si el navegador no permite guardar
+ */
+function saveHistory(entries) {
+    try {
+        localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(entries.slice(0, HISTORY_LIMIT)));
+    } catch (error) {
+        throw new Error(t('ui.history.storage'));
+    }
+}
+
+/**
+ * Agrega un análisis al historial. Si coincide con el último guardado
+ * solo se actualiza su fecha
+ * @param {string} input - Texto del área de datos
+ * @param {Object} options - Configuración de readAnalysisOptions
+ * @param {Object} stats - Estadísticas calculadas, para mostrar un resumen
+ */
+function addHistoryEntry(input, options, stats) {
+    const entries = loadHistory();
+    const latest = entries[0];
+    
+    if (latest && latest.input === input && JSON.stringify(latest.options) === JSON.stringify(options) &&
+        JSON.stringify(latest.study) === JSON.stringify(stats.study)) {
+        latest.timestamp = new Date().toISOString();
+    } else {
+        entries.unshift({
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            timestamp: new Date().toISOString(),
+            label: '',
+            input: input,
+            options: options,
+            study: stats.study,
+            n: stats.n,
+            mean: parseFloat(stats.mean.toFixed(2))
+        });
+    }
+    
+    saveHistory(entries);
+    renderHistory();
+}
+
+/**
+ * Restaura un análisis del historial y lo vuelve a procesar
+ * @param {string} id - ID de la entrada
+ */
+function restoreHistoryEntry(id) {
+    const entry = loadHistory().find(saved => saved.id === id);
+    if (!entry) return;
+    
+    // El estudio se valida primero: si falla, la página queda como estaba.
+    // Las entradas anteriores al contexto configurable usan el estudio por defecto
+    try {
+        setCurrentStudy(entry.study || getDefaultStudy());
+    } catch (error) {
+        renderValidationMessage('error', t('ui.history.restoreFailed', { message: error.message }));
+        return;
+    }
+    document.getElementById('dataInput').value = entry.input;
+    applyAnalysisOptions(entry.options);
+    validateAndProcess({ saveToHistory: false });
+}
+
+/**
+ * Cambia la etiqueta de un análisis del historial
+ * @param {string} id - ID de la entrada
+ */
+function renameHistoryEntry(id) {
+    const entries = loadHistory();
+    const entry = entries.find(saved => saved.id === id);
+    if (!entry) return;
+    
+    const label = prompt(t('ui.history.labelPrompt'), entry.label);
+    if (label === null) return;
+    
+    entry.label = label.trim();
+    saveHistory(entries);
+    renderHistory();
+}
+
+/**
+ * Elimina un análisis del historial
+ * @param {string} id - ID de la entrada
+ */
+function deleteHistoryEntry(id) {
+    if (!confirm(t('ui.history.confirmDelete'))) return;
+    
+    saveHistory(loadHistory().filter(saved => saved.id !== id));
+    renderHistory();
+}
+
+/**
+ * Descarga todo el historial como archivo JSON
+ */
+function exportHistory() {
+    downloadFile(JSON.stringify(loadHistory(), null, 2), 'historial-analisis.json', 'application/json');
+}
+
+/**
+ * Valida y combina las entradas de un historial importado con el actual
+ * @param {Object[]} current - Historial actual
+ * @param {*} imported - Contenido del archivo importado
+ * @returns {Object[]} Historial combinado, ordenado del más reciente al más antiguo
+ * @throws {Error} Si el archivo no tiene el formato del historial
+ */
+function mergeHistory(current, imported) {
+    if (!Array.isArray(imported) || !imported.every(isValidHistoryEntry)) {
+        throw new Error(t('ui.history.invalid'));
+    }
+    
+    const ids = new Set(current.map(entry => entry.id));
+    const merged = [...current, ...imported.filter(entry => !ids.has(entry.id))];
+    return merged.sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+}
+
+/**
+ * Importa un historial desde un archivo JSON y lo combina con el actual
+ * @param {File} file - Archivo seleccionado
+ */
+function importHistory(file) {
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            saveHistory(mergeHistory(loadHistory(), JSON.parse(reader.result)));
+            renderHistory();
+        } catch (error) {
+            const message = error instanceof SyntaxError
+                ? t('ui.history.invalid')
+                : error.message;
+            renderValidationMessage('error', message);
+        }
+        document.getElementById('historyImportFile').value = '';
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Muestra la lista del historial
+ */
+function renderHistory() {
+    const list = document.getElementById('historyList');
+    if (!list) return;
+    
+    const entries = loadHistory();
+    list.innerHTML = '';
+    
+    if (entries.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'section-hint';
+        empty.textContent = t('ui.history.empty');
+        list.appendChild(empty);
+        return;
+    }
+    
+    entries.forEach(entry => {
+        const item = document.createElement('div');
+        item.className = 'history-item';
         
-        const title = document.createElement('h3');
-        title.textContent = stat.label;
+        const info = document.createElement('div');
+        info.className = 'history-info';
+        const title = document.createElement('strong');
+        title.textContent = entry.label || t('ui.history.noLabel');
+        const details = document.createElement('span');
+        details.textContent = t('ui.history.details', {
+            date: new Date(entry.timestamp).toLocaleString(LOCALES[getLocale()].intl),
+            n: formatNumber(entry.n), mean: formatNumber(entry.mean)
+        });
+        info.appendChild(title);
+        info.appendChild(details);
+        item.appendChild(info);
         
-        const value = document.createElement('div');
-        value.className = 'value';
-        value.textContent = stat.value;
+        const actions = [
+            ['fa-undo', t('ui.history.restore'), () => restoreHistoryEntry(entry.id)],
+            ['fa-pen', t('ui.history.rename'), () => renameHistoryEntry(entry.id)],
+            ['fa-trash', t('ui.history.delete'), () => deleteHistoryEntry(entry.id)]
+        ];
+        actions.forEach(([icon, label, handler]) => {
+            const button = document.createElement('button');
+            button.className = 'secondary-btn history-action';
+            button.title = label;
+            const iconElement = document.createElement('i');
+            iconElement.className = `fas ${icon}`;
+            button.appendChild(iconElement);
+            button.appendChild(document.createTextNode(label));
+            button.addEventListener('click', handler);
+            item.appendChild(button);
+        });
         
-        card.appendChild(title);
-        card.appendChild(value);
-        container.appendChild(card);
+        list.appendChild(item);
     });
 }
 
+document.addEventListener('DOMContentLoaded', renderHistory);
+
+// ===========================
+// FUNCIONES DE ENLACES PERMANENTES
+// ===========================
+
+/**
+ * Copia al portapapeles un enlace con los datos, la configuración y el estudio actuales
+ * (ver buildPermalink). La barra de direcciones también queda con el enlace, por si el
+ * navegador no permite copiar
+ */
+async function copyPermalink() {
+    const status = document.getElementById('permalinkStatus');
+    let url;
+    try {
+        url = await buildPermalink(location.href.split('#')[0], {
+            input: document.getElementById('dataInput').value,
+            options: readAnalysisOptions(),
+            // El estudio por defecto no viaja: quien abre el enlace ve el de su idioma
+            study: isDefaultStudy(currentStudy) ? null : currentStudy
+        });
+    } catch (error) {
+        status.textContent = error.message;
+        return;
+    }
+    
+    history.replaceState(null, '', url);
+    try {
+        await navigator.clipboard.writeText(url);
+        status.textContent = t('ui.permalink.copied');
+    } catch (error) {
+        status.textContent = t('ui.permalink.manual');
+    }
+}
+
 /**
- * Genera conclusiones específicas para el análisis de errores funcionales críticos
- * @param {Array} freqRows - Datos de frecuencias
- * @param {Object} stats - Estadísticas calculadas
- * @returns {string} HTML con conclusiones
+ * Si la URL es un enlace permanente, carga sus datos, su configuración y su estudio y los
+ * analiza (sin guardarlos en el historial, para no repetirlos al recargar la página)
+ */
+async function openPermalink() {
+    let state;
+    try {
+        state = await readPermalinkHash(location.hash);
+    } catch (error) {
+        renderValidationMessage('error', error.message);
+        return;
+    }
+    if (!state) return;
+    
+    document.getElementById('dataInput').value = state.input;
+    applyAnalysisOptions(state.options);
+    setCurrentStudy(state.study);
+    validateAndProcess({ saveToHistory: false });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    openPermalink();
+    window.addEventListener('hashchange', openPermalink);
+});
+
+// ===========================
+// FUNCIONES SIN CONEXIÓN
+// ===========================
+
+/**
+ * Registra el service worker que guarda la página y sus bibliotecas para usarla sin conexión
+ * (service-worker.js). Abierta como archivo local no hay service worker, pero la página
+ * funciona igual y sin Chart.js dibuja los gráficos con createFallbackChart
  */
-function generateAutomaticConclusions(freqRows, stats) {
-    let conclusions = [];
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
     
-    // === CONCLUSIONES DEL GRÁFICO DE BARRAS ===
-    conclusions.push(`<i class="fas fa-chart-bar"></i> <strong>Análisis del Gráfico de Barras:</strong>`);
+    navigator.serviceWorker.register('service-worker.js').catch(() => {
+        // Sin service worker la página sigue funcionando, solo que necesita la red
+    });
+}
+
+document.addEventListener('DOMContentLoaded', registerServiceWorker);
+
+// ===========================
+// FUNCIONES DE ANÁLISIS EN VIVO
+// ===========================
+
+// Espera desde la última edición hasta repetir el análisis (ms)
+const LIVE_ANALYSIS_DELAY = 400;
+
+// Desde este largo de la entrada (en caracteres) el análisis se hace en un Web Worker
+const WORKER_INPUT_LENGTH = 100000;
+
+// Temporizador del análisis en vivo pendiente
+let liveAnalysisTimer = null;
+
+// Worker de análisis: undefined hasta el primer uso, null si el navegador no lo permite
+let analysisWorker;
+
+// Análisis enviado al worker cuya respuesta se espera ({ id, input, saveToHistory, thresholds })
+let pendingAnalysis = null;
+let analysisRequestId = 0;
+
+/**
+ * Devuelve el worker de análisis y lo crea la primera vez
+ * @returns {Worker|null} Worker, o null si no se puede crear (se analiza en la página)
+ */
+function getAnalysisWorker() {
+    if (analysisWorker !== undefined) return analysisWorker;
     
-    // Conclusión 1: Programadores que menos trabajo hicieron
-    const minErrorCount = Math.min(...freqRows.map(row => row.value));
-    const minErrorRow = freqRows.find(row => row.value === minErrorCount);
-    conclusions.push(`<i class="fas fa-arrow-down"></i> <strong>Programadores con menor carga de trabajo:</strong> Según el gráfico de barras, los programadores que menos errores corrigieron fueron aquellos que completaron <span class="highlight">${minErrorCount} errores</span>. Hay <span class="highlight">${minErrorRow.fa}</span> programador${minErrorRow.fa > 1 ? 'es' : ''} en este nivel de rendimiento.`);
+    try {
+        analysisWorker = new Worker('analysis-worker.js');
+        analysisWorker.addEventListener('message', handleAnalysisWorkerMessage);
+        analysisWorker.addEventListener('error', handleAnalysisWorkerFailure);
+    } catch (error) {
+        // Abriendo index.html como archivo local algunos navegadores no permiten workers
+        analysisWorker = null;
+    }
+    return analysisWorker;
+}
+
+/**
+ * Muestra el resultado que devuelve el worker, si corresponde al último análisis pedido
+ * @param {MessageEvent} event - Mensaje { id, result } o { id, error }
+ */
+function handleAnalysisWorkerMessage(event) {
+    const { id, result, error } = event.data;
+    if (!pendingAnalysis || pendingAnalysis.id !== id) return;
     
-    // Conclusión 2: Programadores que más trabajo hicieron
-    const maxErrorCount = Math.max(...freqRows.map(row => row.value));
-    const maxErrorRow = freqRows.find(row => row.value === maxErrorCount);
-    conclusions.push(`<i class="fas fa-arrow-up"></i> <strong>Programadores con mayor carga de trabajo:</strong> El gráfico de barras muestra que los programadores que más errores corrigieron fueron aquellos que completaron <span class="highlight">${maxErrorCount} errores</span>. Hay <span class="highlight">${maxErrorRow.fa}</span> programador${maxErrorRow.fa > 1 ? 'es' : ''} en este nivel máximo de productividad.`);
+    const { input, saveToHistory, thresholds } = pendingAnalysis;
+    cancelPendingAnalysis();
     
-    // === CONCLUSIONES DEL GRÁFICO DE PASTEL ===
-    conclusions.push(`<i class="fas fa-chart-pie"></i> <strong>Análisis del Gráfico de Pastel:</strong>`);
+    try {
+        if (error) throwValidationError({ error: error.message, diagnostics: error.diagnostics });
+        showAnalysis(unpackAnalysis(result), input, saveToHistory, thresholds);
+    } catch (analysisError) {
+        showAnalysisError(analysisError);
+    }
+}
+
+/**
+ * Si el worker no se puede cargar se descarta y el análisis pendiente se repite en la página
+ * @param {ErrorEvent} event - Error del worker
+ */
+function handleAnalysisWorkerFailure(event) {
+    event.preventDefault();
+    analysisWorker.terminate();
+    analysisWorker = null;
     
-    // Conclusión 1: Porcentaje de programadores que menos trabajo hicieron
-    conclusions.push(`<i class="fas fa-percentage"></i> <strong>Distribución porcentual - menor rendimiento:</strong> En el gráfico de pastel se observa que los programadores con menor carga de trabajo (${minErrorCount} errores) representan el <span class="highlight">${minErrorRow.percentage}%</span> del equipo total. Este sector muestra la proporción del equipo que tuvo el rendimiento más bajo en la corrección de errores.`);
+    const pending = pendingAnalysis;
+    cancelPendingAnalysis();
+    if (pending) validateAndProcess({ saveToHistory: pending.saveToHistory });
+}
+
+/**
+ * Descarta la respuesta esperada del worker (los datos cambiaron o se pidió otro análisis)
+ */
+function cancelPendingAnalysis() {
+    pendingAnalysis = null;
+    setAnalysisStatus('');
+}
+
+/**
+ * Muestra junto al botón de análisis el estado del análisis en segundo plano
+ * @param {string} text - Texto de estado (vacío para ocultarlo)
+ */
+function setAnalysisStatus(text) {
+    const status = document.getElementById('analysisStatus');
+    if (status) status.textContent = text;
+}
+
+/**
+ * Programa un nuevo análisis tras una pausa en la escritura, si el análisis en vivo está activo.
+ * Estos análisis no se guardan en el historial
+ */
+function scheduleLiveAnalysis() {
+    clearTimeout(liveAnalysisTimer);
+    cancelPendingAnalysis();
     
-    // Conclusión 2: Porcentaje de programadores que más trabajo hicieron
-    conclusions.push(`<i class="fas fa-percentage"></i> <strong>Distribución porcentual - mayor rendimiento:</strong> El gráfico de pastel indica que los programadores con mayor carga de trabajo (${maxErrorCount} errores) constituyen el <span class="highlight">${maxErrorRow.percentage}%</span> del equipo. Este sector representa la proporción del equipo que alcanzó el nivel más alto de productividad en la corrección de errores funcionales.`);
+    const live = document.getElementById('liveAnalysis');
+    if (!live || !live.checked) return;
+    if (document.getElementById('dataInput').value.trim() === '') return;
     
-    return conclusions.map(conclusion => `<p>${conclusion}</p>`).join('');
+    liveAnalysisTimer = setTimeout(() => validateAndProcess({ saveToHistory: false }), LIVE_ANALYSIS_DELAY);
 }
 
+document.addEventListener('DOMContentLoaded', () => {
+    const input = document.getElementById('dataInput');
+    if (input) input.addEventListener('input', scheduleLiveAnalysis);
+});
+
 // ===========================
 // FUNCIONES PRINCIPALES Y UTILIDADES
 // ===========================
 
 /**
- * Función principal que valida y procesa los datos
+ * Lee un campo numérico opcional de las opciones
+ * @param {string} id - ID del campo
+ * @returns {number|null} Número ingresado, o null si el campo está vacío
+ */
+function readOptionalNumber(id) {
+    const value = document.getElementById(id).value;
+    return value.trim() === '' ? null : parseFloat(value);
+}
+
+/**
+ * Lee de la página las opciones del análisis para analyzeInput
+ * @returns {Object} study, opciones de computeStats y grouping (null sin agrupar)
+ */
+function readComputeOptions() {
+    const grouped = document.getElementById('analysisMode').value === 'grouped';
+    
+    return {
+        study: currentStudy,
+        population: document.getElementById('estimatorType').value === 'population',
+        percentileMethod: document.getElementById('percentileMethod').value,
+        percentileK: parseFloat(document.getElementById('percentileK').value),
+        confidenceLevel: parseFloat(document.getElementById('confidenceLevel').value),
+        targetMean: parseFloat(document.getElementById('targetMean').value),
+        alternative: document.getElementById('testAlternative').value,
+        binomialTrials: readOptionalNumber('binomialTrials'),
+        grouping: grouped
+            ? { rule: document.getElementById('classRule').value, customWidth: parseFloat(document.getElementById('classWidth').value) }
+            : null
+    };
+}
+
+/**
+ * Función principal que valida y procesa los datos. Las entradas largas se analizan en el
+ * worker y los resultados se muestran cuando llegan
+ * @param {Object} options - saveToHistory: false para no registrar el análisis en el historial
+ */
+function validateAndProcess({ saveToHistory = true } = {}) {
+    const input = document.getElementById('dataInput').value;
+    const options = readComputeOptions();
+    
+    clearTimeout(liveAnalysisTimer);
+    cancelPendingAnalysis();
+    
+    // Los umbrales se validan antes de analizar, para no dejar la página a medio actualizar
+    let thresholds;
+    try {
+        thresholds = readConclusionThresholds();
+    } catch (error) {
+        showAnalysisError(error);
+        return;
+    }
+    
+    const worker = input.length >= WORKER_INPUT_LENGTH ? getAnalysisWorker() : null;
+    if (worker) {
+        pendingAnalysis = { id: ++analysisRequestId, input: input, saveToHistory: saveToHistory, thresholds: thresholds };
+        setAnalysisStatus(t('ui.analysis.background'));
+        worker.postMessage({ id: pendingAnalysis.id, input: input, options: options, locale: getLocale() });
+        return;
+    }
+    
+    try {
+        showAnalysis(analyzeInput(input, options), input, saveToHistory, thresholds);
+    } catch (error) {
+        showAnalysisError(error);
+    }
+}
+
+/**
+ * Muestra los resultados de un análisis: paneles, tablas, gráficos y conclusiones
+ * @param {Object} result - Resultado de analyzeInput
+ * @param {string} input - Texto analizado (para el historial)
+ * @param {boolean} saveToHistory - true para registrar el análisis en el historial
+ * @param {Object} thresholds - Umbrales ya validados de readConclusionThresholds
  */
-function validateAndProcess() {
-    const inputElement = document.getElementById('dataInput');
+function showAnalysis(result, input, saveToHistory, thresholds) {
     const errorContainer = document.getElementById('errorContainer');
     const resultsSection = document.getElementById('resultsSection');
+    // Con demasiados valores distintos se agrupan los datos aunque no se haya pedido
+    const autoGrouped = groupLargeAnalysis(result);
+    const { records, values, stats, freqTable, groupedTable } = result;
     
-    // Limpiar errores previos
+    // Limpiar errores previos y marcar los avisos en el área de datos
     errorContainer.style.display = 'none';
     errorContainer.innerHTML = '';
+    highlightInputDiagnostics(result.diagnostics);
     
-    try {
-        // Parsear y validar datos
-        const values = parseInput(inputElement.value);
-        
-        // Calcular estadísticas
-        const stats = {
-            n: values.length,
-            sum: values.reduce((acc, val) => acc + val, 0),
-            min: Math.min(...values),
-            max: Math.max(...values),
-            mean: calcMean(values),
-            median: calcMedian(values),
-            modeInfo: calcMode(values),
-            range: calcRange(values),
-            variance: calcVariance(values, true),
-            stdDev: calcStdDev(values, true)
-        };
-        
-        // Formatear texto de moda
-        if (stats.modeInfo.type === 'ninguna') {
-            stats.modeText = 'No hay moda';
-        } else if (stats.modeInfo.modes.length === 1) {
-            stats.modeText = stats.modeInfo.modes[0].toString();
-        } else {
-            stats.modeText = stats.modeInfo.modes.join(', ');
-        }
-        
-        // Generar tabla de frecuencias
-        const freqTable = getFrequencyTable(values);
-        
-        // Mostrar resultados
-        renderSummary(stats, 'summaryContainer');
+    // Las filas de la tabla de frecuencias cambian con los datos: se quita el resaltado
+    hoveredFrequencyRow = null;
+    selectedFrequencyRow = null;
+    
+    // Mostrar resultados
+    renderSummary(stats, 'summaryContainer');
+    renderDispersionPanel(stats, 'dispersionContainer');
+    renderInequalityPanel(stats, 'inequalityContainer');
+    renderInferencePanel(stats, 'inferenceContainer');
+    renderDistributionFitPanel(stats, 'distributionFitContainer');
+    buildPersonTableDOM(stats.personRows, 'personTableContainer');
+    
+    // Desglose por categoría de error, solo si se ingresó
+    const categorySection = document.getElementById('categorySection');
+    if (stats.categoryStats.length > 0) {
+        categorySection.style.display = 'block';
+        buildCategoryTableDOM(stats.categoryStats, 'categoryTableContainer');
+        drawStackedBarChart('stackedBarChart', records);
+        drawCategoryPieChart('categoryPieChart', stats.categoryStats);
+    } else {
+        categorySection.style.display = 'none';
+    }
+    
+    const groupedComparison = document.getElementById('groupedComparisonSection');
+    if (groupedTable) {
+        buildGroupedFreqTableDOM(groupedTable, 'frequencyTableContainer');
+        if (autoGrouped) appendAutoGroupedNote(freqTable.length, groupedTable.length, 'frequencyTableContainer');
+        drawFrequencyChart('barChart', values, groupedTable);
+        drawPieChart('pieChart', groupedTable);
+        renderGroupedComparison(stats, stats.grouped, 'groupedComparisonContainer');
+        groupedComparison.style.display = 'block';
+    } else {
         buildFreqTableDOM(freqTable, 'frequencyTableContainer');
-        drawBarChart('barChart', freqTable);
+        drawFrequencyChart('barChart', values, freqTable);
         drawPieChart('pieChart', freqTable);
-        
-        // Generar conclusiones
-        const conclusions = generateAutomaticConclusions(freqTable, stats);
-        document.getElementById('conclusionsContainer').innerHTML = conclusions;
-        
-        // Mostrar sección de resultados
-        resultsSection.style.display = 'block';
-        
-        // Guardar datos para posible uso futuro
-        window.currentData = { values, stats, freqTable };
-        
-    } catch (error) {
-        // Mostrar error
-        errorContainer.innerHTML = `<strong><i class="fas fa-times-circle"></i> Error:</strong> ${error.message}`;
-        errorContainer.style.display = 'block';
-        
-        // Ocultar resultados
-        resultsSection.style.display = 'none';
+        groupedComparison.style.display = 'none';
+    }
+    drawBoxPlot('boxPlotChart', stats.boxPlot);
+    drawLorenzChart('lorenzChart', stats.inequality ? stats.inequality.lorenz : null);
+    
+    // Generar conclusiones
+    renderConclusions(evaluateConclusionRules(freqTable, stats, thresholds), 'conclusionsContainer');
+    
+    // Mostrar sección de resultados
+    resultsSection.style.display = 'block';
+    
+    // Guardar datos para posible uso futuro
+    window.currentData = { records, values, stats, freqTable, groupedTable, thresholds };
+    
+    // Los faltantes excluidos o imputados se avisan sin detener el análisis
+    const warnings = result.diagnostics.filter(diagnostic => diagnostic.severity === 'warning');
+    if (warnings.length > 0) {
+        renderValidationMessage('warning', t('ui.diagnostics.missing', { count: formatNumber(warnings.length) }), warnings);
+    }
+    
+    if (saveToHistory) {
+        try {
+            addHistoryEntry(input, readAnalysisOptions(), stats);
+        } catch (historyError) {
+            // El análisis es válido aunque no se haya podido guardar
+            renderValidationMessage('warning', historyError.message);
+        }
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Muestra un error de análisis con los diagnósticos por valor y oculta los resultados
+ * @param {Error} error - Error con la propiedad diagnostics si viene de la validación
+ */
+function showAnalysisError(error) {
+    const diagnostics = error.diagnostics || [];
+    highlightInputDiagnostics(diagnostics);
+    renderValidationMessage('error', error.message, diagnostics.filter(diagnostic => diagnostic.start !== null));
+    
+    // Ocultar resultados
+    document.getElementById('resultsSection').style.display = 'none';
+}
+
+/**
+ * Muestra u oculta las opciones de agrupación según el modo de análisis
+ */
+function updateGroupingOptions() {
+    const grouped = document.getElementById('analysisMode').value === 'grouped';
+    const customWidth = document.getElementById('classRule').value === 'width';
+    
+    document.getElementById('groupingOptions').style.display = grouped ? 'flex' : 'none';
+    document.getElementById('classWidthGroup').style.display = grouped && customWidth ? 'flex' : 'none';
+}
@@ -0,0 +1,61 @@
+// Service worker: guarda la página y sus recursos para que funcione sin conexión (por ejemplo,
+// en una sala de reuniones con mala señal) y se pueda instalar como aplicación.
+// Se registra desde script.js (registerServiceWorker) solo si la página se sirve por HTTP(S).
+
+// Cambiar la versión al publicar cambios descarta la copia anterior al activarse
+const CACHE_VERSION = 'v2';
+const CACHE_NAME = `programa-estadistica-${CACHE_VERSION}`;
+
+// Recursos de la página, incluidas las copias locales de Chart.js y Font Awesome (vendor/):
+// si alguno falta, la instalación falla y se reintenta
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'styles.css',
+    'messages.js',
+    'stats-core.js',
+    'script.js',
+    'analysis-worker.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'vendor/chart.umd.js',
+    'vendor/fontawesome/css/fontawesome.min.css',
+    'vendor/fontawesome/css/solid.min.css',
+    'vendor/fontawesome/webfonts/fa-solid-900.woff2',
+    'vendor/fontawesome/webfonts/fa-solid-900.ttf'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE_NAME)
+        .then(cache => cache.addAll(PRECACHE_URLS))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names
+            .filter(name => name.startsWith('programa-estadistica-') && name !== CACHE_NAME)
+            .map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+// Primero la copia guardada, para que la página abra al instante aunque la red no responda;
+// en paralelo se pide la versión actual y se guarda para la próxima visita
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(caches.open(CACHE_NAME).then(cache => cache.match(request).then(cached => {
+        const network = fetch(request)
+            .then(response => {
+                if (response.ok) cache.put(request, response.clone());
+                return response;
+            })
+            .catch(() => cached || Response.error());
+        if (cached) {
+            event.waitUntil(network);
+            return cached;
+        }
+        return network;
+    })));
+});
@@ -0,0 +1,4282 @@
+// Núcleo estadístico sin dependencias del DOM.
+// En el navegador se carga con <script> después de messages.js y antes de script.js, y sus
+// funciones quedan como globales;
+// en Node se importa con require('./stats-core.js') o import core from './stats-core.js'.
+
+// ===========================
+// INTERNACIONALIZACIÓN
+// ===========================
+
+// Catálogo de mensajes por idioma: en el navegador y en el worker messages.js se carga antes
+// que este archivo y MESSAGES ya es global; en Node se importa
+const MESSAGE_CATALOG = typeof MESSAGES !== 'undefined' ? MESSAGES : require('./messages.js');
+
+// Idiomas disponibles: nombre para el selector, locale de Intl y separador decimal
+const LOCALES = {
+    es: { name: 'Español', intl: 'es-ES', decimalSeparator: ',' },
+    en: { name: 'English', intl: 'en-US', decimalSeparator: '.' }
+};
+
+const DEFAULT_LOCALE = 'es';
+
+// Idioma de los mensajes y del formato de los números
+let currentLocale = DEFAULT_LOCALE;
+
+// Formateadores de Intl.NumberFormat ya creados, por idioma y cantidad de decimales
+const numberFormatters = new Map();
+
+/**
+ * Indica si una clave pertenece a un diccionario de opciones (LOCALES, TEST_ALTERNATIVES, …).
+ * Con el operador in también pasarían las claves heredadas, como "toString" o "constructor"
+ * @param {Object} object - Diccionario
+ * @param {*} key - Clave ingresada
+ * @returns {boolean} true si es una clave propia del diccionario
+ */
+function hasOwnKey(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Cambia el idioma de los mensajes y del formato de los números
+ * @param {string} locale - Clave de LOCALES
+ * @throws {Error} Si el idioma no existe
+ */
+function setLocale(locale) {
+    if (!hasOwnKey(LOCALES, locale)) {
+        throw new Error(t('locale.unknown', { locale: locale, locales: Object.keys(LOCALES).join(', ') }));
+    }
+    currentLocale = locale;
+}
+
+/**
+ * Devuelve el idioma actual
+ * @returns {string} Clave de LOCALES
+ */
+function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Traduce un mensaje del catálogo al idioma actual y reemplaza sus marcadores {nombre}.
+ * Si falta en el idioma actual se usa el de DEFAULT_LOCALE, y si tampoco existe, la clave
+ * @param {string} key - Clave del mensaje
+ * @param {Object} params - Valores de los marcadores
+ * @returns {string} Mensaje traducido
+ */
+function t(key, params = {}) {
+    const catalog = MESSAGE_CATALOG[currentLocale] || {};
+    const text = key in catalog ? catalog[key] : (MESSAGE_CATALOG[DEFAULT_LOCALE][key] ?? key);
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+/**
+ * Formatea un número con el separador decimal del idioma actual (Intl.NumberFormat). No se
+ * agrupan los miles, como en la salida anterior, para que los valores se puedan volver a leer
+ * @param {number} value - Número
+ * @param {number|null} decimals - Decimales fijos, como toFixed, o null para hasta maxDecimals
+ *   decimales sin ceros finales
+ * @param {number} maxDecimals - Máximo de decimales cuando decimals es null
+ * @returns {string} Por ejemplo "9,90" en español o "9.90" en inglés
+ */
+function formatNumber(value, decimals = null, maxDecimals = 4) {
+    const key = `${currentLocale}|${decimals}|${maxDecimals}`;
+    if (!numberFormatters.has(key)) {
+        const options = decimals === null
+            ? { maximumFractionDigits: maxDecimals, useGrouping: false }
+            : { minimumFractionDigits: decimals, maximumFractionDigits: decimals, useGrouping: false };
+        numberFormatters.set(key, new Intl.NumberFormat(LOCALES[currentLocale].intl, options));
+    }
+    return numberFormatters.get(key).format(value);
+}
+
+/**
+ * Formatea una lista de números. Si el separador decimal es la coma y algún valor tiene
+ * decimales, los valores se separan con punto y coma para no confundirlos
+ * @param {number[]} values - Números
+ * @returns {string} Por ejemplo "11, 13" o "2,5; 3"
+ */
+function formatNumberList(values) {
+    const ambiguous = getDecimalSeparator() === ',' && values.some(value => !Number.isInteger(value));
+    return values.map(value => formatNumber(value)).join(ambiguous ? '; ' : ', ');
+}
+
+/**
+ * Separador decimal del idioma actual
+ * @returns {string} "," o "."
+ */
+function getDecimalSeparator() {
+    return LOCALES[currentLocale].decimalSeparator;
+}
+
+// ===========================
+// CONTEXTO DEL ESTUDIO
+// ===========================
+
+// Cómo se compara el número de valores con el n esperado del estudio (clave → mensaje)
+const EXPECTED_N_MODES = {
+    exact: 'study.expectedNMode.exact',
+    minimum: 'study.expectedNMode.minimum',
+    none: 'study.expectedNMode.none'
+};
+
+// Tratamiento de los valores faltantes (campos vacíos o MISSING_MARKERS), clave → mensaje
+const MISSING_TREATMENTS = {
+    error: 'study.missing.error',
+    exclude: 'study.missing.exclude',
+    mean: 'study.missing.mean',
+    median: 'study.missing.median'
+};
+
+// Marcadores de valor faltante (sin distinguir mayúsculas); un campo vacío entre dos
+// comas o puntos y coma también es faltante
+const MISSING_MARKERS = ['NA', 'N/A', '-'];
+
+// Estudio por defecto: errores corregidos por programador en un sprint.
+// unit/unitPlural acompañan a los números ("1 error", "13 errores"); observationFeminine
+// concuerda artículos y adjetivos con la unidad de observación; expectedN, min y max
+// pueden ser null (sin restricción). expectedNMode es una clave de EXPECTED_N_MODES: por
+// defecto no se exige un n (el equipo, una importación o un conjunto grande pueden tener
+// cualquier tamaño) y el n exacto o mínimo se elige en el estudio. allowDecimals admite
+// variables continuas y missing es una clave de MISSING_TREATMENTS.
+const DEFAULT_STUDY = {
+    variable: 'errores corregidos',
+    unit: 'error',
+    unitPlural: 'errores',
+    observation: 'programador',
+    observationPlural: 'programadores',
+    observationFeminine: false,
+    expectedN: null,
+    expectedNMode: 'none',
+    min: 0,
+    max: null,
+    allowDecimals: false,
+    missing: 'error'
+};
+
+// Estudios predefinidos que se ofrecen junto a los guardados por el usuario
+const STUDY_PRESETS = {
+    'Errores corregidos por programador': DEFAULT_STUDY,
+    'Story points por desarrollador': {
+        ...DEFAULT_STUDY,
+        variable: 'story points completados', unit: 'punto', unitPlural: 'puntos',
+        observation: 'desarrollador', observationPlural: 'desarrolladores'
+    },
+    'Pull requests por persona': {
+        ...DEFAULT_STUDY,
+        variable: 'pull requests integrados', unit: 'PR', unitPlural: 'PR',
+        observation: 'persona', observationPlural: 'personas', observationFeminine: true
+    },
+    'Incidentes por turno de guardia': {
+        ...DEFAULT_STUDY,
+        variable: 'incidentes atendidos', unit: 'incidente', unitPlural: 'incidentes',
+        observation: 'turno de guardia', observationPlural: 'turnos de guardia'
+    },
+    'Horas de revisión por desarrollador': {
+        ...DEFAULT_STUDY,
+        variable: 'horas dedicadas a revisión', unit: 'hora', unitPlural: 'horas',
+        observation: 'desarrollador', observationPlural: 'desarrolladores',
+        allowDecimals: true, missing: 'exclude'
+    }
+};
+
+// Estudio por defecto y estudios predefinidos de cada idioma (clave de LOCALES)
+const DEFAULT_STUDIES = {
+    es: DEFAULT_STUDY,
+    en: {
+        ...DEFAULT_STUDY,
+        variable: 'bugs fixed', unit: 'bug', unitPlural: 'bugs',
+        observation: 'programmer', observationPlural: 'programmers'
+    }
+};
+
+const LOCALIZED_STUDY_PRESETS = {
+    es: STUDY_PRESETS,
+    en: {
+        'Bugs fixed per programmer': DEFAULT_STUDIES.en,
+        'Story points per developer': {
+            ...DEFAULT_STUDIES.en,
+            variable: 'story points completed', unit: 'point', unitPlural: 'points',
+            observation: 'developer', observationPlural: 'developers'
+        },
+        'Pull requests per person': {
+            ...DEFAULT_STUDIES.en,
+            variable: 'pull requests merged', unit: 'PR', unitPlural: 'PRs',
+            observation: 'person', observationPlural: 'people'
+        },
+        'Incidents per on-call shift': {
+            ...DEFAULT_STUDIES.en,
+            variable: 'incidents handled', unit: 'incident', unitPlural: 'incidents',
+            observation: 'on-call shift', observationPlural: 'on-call shifts'
+        },
+        'Review hours per developer': {
+            ...DEFAULT_STUDIES.en,
+            variable: 'hours spent on review', unit: 'hour', unitPlural: 'hours',
+            observation: 'developer', observationPlural: 'developers',
+            allowDecimals: true, missing: 'exclude'
+        }
+    }
+};
+
+/**
+ * Devuelve el estudio por defecto del idioma
+ * @param {string} locale - Clave de LOCALES (por defecto, el idioma actual)
+ * @returns {Object} Estudio por defecto
+ */
+function getDefaultStudy(locale = currentLocale) {
+    return DEFAULT_STUDIES[locale];
+}
+
+/**
+ * Devuelve los estudios predefinidos del idioma
+ * @param {string} locale - Clave de LOCALES (por defecto, el idioma actual)
+ * @returns {Object} Estudios por nombre
+ */
+function getStudyPresets(locale = currentLocale) {
+    return LOCALIZED_STUDY_PRESETS[locale];
+}
+
+/**
+ * Completa un estudio con los valores por defecto y valida sus campos
+ * @param {Object} study - Definición parcial del estudio
+ * @returns {Object} Estudio completo
+ * @throws {Error} Si falta un nombre, una opción es desconocida o el rango o el n esperado no son coherentes
+ */
+function normalizeStudy(study = {}) {
+    const normalized = { ...getDefaultStudy() };
+    Object.keys(DEFAULT_STUDY).forEach(key => {
+        const value = study[key];
+        if (value === undefined) return;
+        normalized[key] = typeof value === 'string' ? value.trim() : value;
+    });
+    
+    ['variable', 'unit', 'unitPlural', 'observation', 'observationPlural'].forEach(key => {
+        if (typeof normalized[key] !== 'string' || normalized[key] === '') {
+            throw new Error(t('study.error.names'));
+        }
+    });
+    ['expectedN', 'min', 'max'].forEach(key => {
+        if (normalized[key] === '' || (typeof normalized[key] === 'number' && isNaN(normalized[key]))) {
+            normalized[key] = null;
+        }
+        if (normalized[key] !== null && !Number.isInteger(normalized[key]) &&
+            !(key !== 'expectedN' && normalized.allowDecimals && Number.isFinite(normalized[key]))) {
+            throw new Error(t(normalized.allowDecimals ? 'study.error.limitsDecimal' : 'study.error.limitsInteger'));
+        }
+    });
+    if (!hasOwnKey(EXPECTED_N_MODES, normalized.expectedNMode)) {
+        throw new Error(t('study.error.expectedNMode', {
+            mode: normalized.expectedNMode, modes: Object.keys(EXPECTED_N_MODES).join(', ')
+        }));
+    }
+    if (!hasOwnKey(MISSING_TREATMENTS, normalized.missing)) {
+        throw new Error(t('study.error.missing', {
+            missing: normalized.missing, treatments: Object.keys(MISSING_TREATMENTS).join(', ')
+        }));
+    }
+    if (normalized.expectedN !== null && normalized.expectedN < 1) {
+        throw new Error(t('study.error.expectedN', { observations: normalized.observationPlural }));
+    }
+    if (normalized.min !== null && normalized.max !== null && normalized.min > normalized.max) {
+        throw new Error(t('study.error.range'));
+    }
+    normalized.observationFeminine = Boolean(normalized.observationFeminine);
+    normalized.allowDecimals = Boolean(normalized.allowDecimals);
+    
+    return normalized;
+}
+
+/**
+ * Elige la forma masculina o femenina según la unidad de observación.
+ * Con mensajes del catálogo se pasan los dos textos traducidos; en inglés suelen coincidir
+ * @param {Object} study - Estudio
+ * @param {string} masculine - Forma masculina
+ * @param {string} feminine - Forma femenina
+ * @returns {string} Forma concordada
+ */
+function studyAgree(study, masculine, feminine) {
+    return study.observationFeminine ? feminine : masculine;
+}
+
+/**
+ * Pone en mayúscula la primera letra
+ * @param {string} text - Texto
+ * @returns {string} Texto con inicial mayúscula
+ */
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Pone en mayúscula la inicial de cada palabra de más de dos letras (para títulos)
+ * @param {string} text - Texto
+ * @returns {string} Texto en formato de título
+ */
+function toTitleCase(text) {
+    return capitalize(text.replace(/\S{3,}/g, word => capitalize(word)));
+}
+
+/**
+ * Escribe una cantidad con la unidad del estudio en singular o plural
+ * @param {number} value - Cantidad
+ * @param {Object} study - Estudio
+ * @returns {string} Por ejemplo "1 error" o "13 errores"
+ */
+function formatQuantity(value, study = getDefaultStudy()) {
+    return `${formatNumber(value)} ${value === 1 ? study.unit : study.unitPlural}`;
+}
+
+/**
+ * Escribe una cantidad de unidades de observación en singular o plural
+ * @param {number} count - Cantidad
+ * @param {Object} study - Estudio
+ * @returns {string} Por ejemplo "1 programador" o "3 programadores"
+ */
+function formatObservations(count, study = getDefaultStudy()) {
+    return `${formatNumber(count)} ${count === 1 ? study.observation : study.observationPlural}`;
+}
+
+/**
+ * Indica si un valor está dentro del rango permitido del estudio
+ * @param {number} value - Valor
+ * @param {Object} study - Estudio
+ * @returns {boolean} true si respeta el mínimo y el máximo
+ */
+function isInStudyRange(value, study = getDefaultStudy()) {
+    return (study.min === null || value >= study.min) && (study.max === null || value <= study.max);
+}
+
+/**
+ * Describe los valores aceptados por el estudio para los mensajes de validación
+ * @param {Object} study - Estudio
+ * @returns {string} Por ejemplo "números enteros no negativos" o "números entre 0 y 7,5"
+ */
+function describeStudyRange(study = getDefaultStudy()) {
+    const kind = t(study.allowDecimals ? 'study.range.numbers' : 'study.range.integers');
+    const min = study.min === null ? null : formatNumber(study.min);
+    const max = study.max === null ? null : formatNumber(study.max);
+    if (min !== null && max !== null) return t('study.range.between', { kind: kind, min: min, max: max });
+    if (study.min === 0) return t('study.range.nonNegative', { kind: kind });
+    if (min !== null) return t('study.range.atLeast', { kind: kind, min: min });
+    if (max !== null) return t('study.range.atMost', { kind: kind, max: max });
+    return kind;
+}
+
+/**
+ * Compara el número de observaciones con el n esperado según expectedNMode
+ * @param {number} n - Observaciones válidas (después de excluir faltantes)
+ * @param {Object} study - Estudio
+ * @returns {string|null} Error, o null si se cumple o no hay n esperado
+ */
+function checkExpectedCount(n, study = getDefaultStudy()) {
+    if (study.expectedN === null || study.expectedNMode === 'none') return null;
+    
+    const fulfilled = study.expectedNMode === 'minimum' ? n >= study.expectedN : n === study.expectedN;
+    if (fulfilled) return null;
+    return t('study.error.expectedCount', {
+        mode: t(EXPECTED_N_MODES[study.expectedNMode]),
+        expected: formatObservations(study.expectedN, study),
+        n: formatNumber(n)
+    });
+}
+
+// ===========================
+// FUNCIONES DE VALIDACIÓN Y PARSING
+// ===========================
+
+/**
+ * Crea un diagnóstico de validación
+ * @param {string} severity - 'error' (impide el análisis) o 'warning' (solo avisa)
+ * @param {string} message - Descripción del problema
+ * @param {number|null} start - Posición inicial en la entrada, o null si afecta a todo el conjunto
+ * @param {number|null} end - Posición final (exclusiva)
+ * @returns {Object} Diagnóstico { severity, message, start, end }
+ */
+function createDiagnostic(severity, message, start = null, end = null) {
+    return { severity: severity, message: message, start: start, end: end };
+}
+
+/**
+ * Divide una línea en tokens con su posición. Los valores se separan por coma, punto y coma
+ * o espacios; un campo vacío entre dos comas o puntos y coma es un token vacío (faltante).
+ * Con decimalComma una coma entre dos dígitos es el separador decimal ("2,5") y no separa valores
+ * @param {string} line - Texto de la línea
+ * @param {number} offset - Posición de la línea en la entrada completa
+ * @param {number} lineNumber - Número de línea (base 1)
+ * @param {boolean} decimalComma - Si la coma puede ser separador decimal
+ * @returns {Object[]} Tokens { text, start, end, line }
+ */
+function tokenizeLine(line, offset = 0, lineNumber = 1, decimalComma = false) {
+    const tokens = [];
+    const fields = line.split(decimalComma ? /;|,(?!\d)|(?<!\d),/ : /[,;]/);
+    let fieldStart = 0;
+    
+    fields.forEach((field, f) => {
+        const words = [...field.matchAll(/\S+/g)];
+        if (words.length === 0 && f > 0 && f < fields.length - 1) {
+            const position = offset + fieldStart + Math.floor(field.length / 2);
+            tokens.push({ text: '', start: position, end: position, line: lineNumber });
+        }
+        words.forEach(word => {
+            const start = offset + fieldStart + word.index;
+            tokens.push({ text: word[0], start: start, end: start + word[0].length, line: lineNumber });
+        });
+        fieldStart += field.length + 1;
+    });
+    
+    return tokens;
+}
+
+/**
+ * Divide la entrada en líneas con su posición
+ * @param {string} inputString - String de entrada
+ * @returns {Object[]} Líneas { text, offset, number }
+ */
+function splitLines(inputString) {
+    const lines = [];
+    let offset = 0;
+    inputString.split(/(\r?\n)/).forEach((part, i) => {
+        if (i % 2 === 0) lines.push({ text: part, offset: offset, number: lines.length + 1 });
+        offset += part.length;
+    });
+    return lines;
+}
+
+/**
+ * Indica si un token representa un valor faltante (vacío o uno de MISSING_MARKERS)
+ * @param {string} text - Texto del token
+ * @returns {boolean} true si es faltante
+ */
+function isMissingToken(text) {
+    return text === '' || MISSING_MARKERS.includes(text.toUpperCase());
+}
+
+/**
+ * Interpreta un token como valor de la variable según las reglas del estudio.
+ * El punto decimal se acepta siempre; la coma, si es el separador decimal del idioma actual
+ * @param {string} text - Texto del token
+ * @param {Object} study - Estudio (decimales y rango permitido)
+ * @returns {Object} value (null si no es válido) y problem (motivo, o null)
+ */
+function parseValueToken(text, study = getDefaultStudy()) {
+    const decimalComma = getDecimalSeparator() === ',';
+    if (!(decimalComma ? /^-?(0|[1-9]\d*)([.,]\d+)?$/ : /^-?(0|[1-9]\d*)(\.\d+)?$/).test(text)) {
+        const commas = decimalComma && study.allowDecimals && (text.match(/,/g) || []).length > 1;
+        return { value: null, problem: t(commas ? 'validation.problem.commas' : 'validation.problem.notNumber') };
+    }
+    const value = Number(text.replace(',', '.'));
+    if (!Number.isInteger(value) && !study.allowDecimals) {
+        return { value: null, problem: t('validation.problem.decimals') };
+    }
+    if (!isInStudyRange(value, study)) {
+        return { value: null, problem: t('validation.problem.range', { range: describeStudyRange(study) }) };
+    }
+    return { value: value, problem: null };
+}
+
+/**
+ * Calcula el valor que reemplaza a los faltantes según el tratamiento del estudio.
+ * Con variables enteras la media o la mediana se redondean
+ * @param {number[]} values - Valores válidos
+ * @param {Object} study - Estudio
+ * @returns {number} Valor imputado
+ */
+function calcImputedValue(values, study = getDefaultStudy()) {
+    const value = study.missing === 'median' ? calcMedian(values) : calcMean(values);
+    return study.allowDecimals ? parseFloat(value.toFixed(4)) : Math.round(value);
+}
+
+/**
+ * Describe para los mensajes un token tal como se ingresó
+ * @param {Object} token - Token de tokenizeLine
+ * @returns {string} Texto entre comillas o "(vacío)"
+ */
+function describeToken(token) {
+    return token.text === '' ? t('validation.emptyToken') : `"${token.text}"`;
+}
+
+/**
+ * Valida la entrada con las reglas del estudio sin lanzar errores.
+ * Acepta la lista anónima de valores o líneas "Nombre: cantidad" (ver parseRecords).
+ * El n esperado se comprueba aparte con checkExpectedCount
+ * @param {string} inputString - String de entrada
+ * @param {Object} study - Estudio (rango, decimales y tratamiento de faltantes)
+ * @param {string} format - 'auto' (detecta registros con nombre), 'anonymous' o 'named'
+ * @returns {Object} records (registros válidos), diagnostics (por token, con su posición)
+ *   y error (mensaje que resume los errores, o null si la entrada es válida)
+ */
+function validateInput(inputString, study = getDefaultStudy(), format = 'auto') {
+    if (!inputString || inputString.trim() === '') {
+        const message = t('validation.empty', { variable: study.variable, observation: study.observation });
+        return { records: [], diagnostics: [createDiagnostic('error', message)], error: message };
+    }
+    
+    const named = format === 'auto' ? isNamedInput(inputString) : format === 'named';
+    const decimalComma = study.allowDecimals && getDecimalSeparator() === ',';
+    const lines = splitLines(inputString);
+    const entries = [];
+    const diagnostics = [];
+    const invalid = [];
+    
+    lines.forEach(line => {
+        if (line.text.trim() === '') return;
+        
+        if (!named) {
+            tokenizeLine(line.text, line.offset, line.number, decimalComma).forEach(token => entries.push({ token: token }));
+            return;
+        }
+        
+        const lineStart = line.offset + line.text.search(/\S/);
+        const lineEnd = line.offset + line.text.trimEnd().length;
+        const lineLabel = t('validation.lineLabel', { line: line.number, text: line.text.trim() });
+        const separator = line.text.search(/[:\t]/);
+        const name = separator >= 0 ? line.text.slice(0, separator).trim() : '';
+        if (name === '') {
+            invalid.push(lineLabel);
+            diagnostics.push(createDiagnostic('error',
+                t('validation.line.format', { line: line.number }), lineStart, lineEnd));
+            return;
+        }
+        
+        const rest = line.text.slice(separator + 1);
+        const tokens = tokenizeLine(rest, line.offset + separator + 1, line.number, decimalComma);
+        if (tokens.length === 0) {
+            // "Ana:" sin cantidad se trata como un valor faltante
+            tokens.push({ text: '', start: lineEnd, end: lineEnd, line: line.number });
+        }
+        const entry = { token: tokens[0], name: name, nameStart: lineStart, nameEnd: lineStart + name.length };
+        
+        if (tokens.length === 1) {
+            entries.push(entry);
+            return;
+        }
+        
+        // Desglose por categoría: una cantidad entera no negativa por categoría; la suma sigue el rango del estudio
+        const valueStart = tokens[0].start;
+        const valueEnd = tokens[tokens.length - 1].end;
+        if (tokens.length !== ERROR_CATEGORIES.length) {
+            invalid.push(lineLabel);
+            diagnostics.push(createDiagnostic('error',
+                t('validation.line.categoryCount', { line: line.number, categories: ERROR_CATEGORIES.length, count: tokens.length }),
+                valueStart, valueEnd));
+            return;
+        }
+        const badTokens = tokens.filter(token => !isValidCount(token.text));
+        badTokens.forEach(token => diagnostics.push(createDiagnostic('error',
+            t('validation.line.categoryValue', { line: line.number, token: describeToken(token) }),
+            token.start, token.end)));
+        const counts = tokens.map(token => parseInt(token.text));
+        const total = counts.reduce((acc, val) => acc + val, 0);
+        if (badTokens.length === 0 && !isInStudyRange(total, study)) {
+            diagnostics.push(createDiagnostic('error',
+                t('validation.line.sumRange', { line: line.number, total: formatNumber(total), range: describeStudyRange(study) }),
+                valueStart, valueEnd));
+        }
+        if (badTokens.length > 0 || !isInStudyRange(total, study)) {
+            invalid.push(lineLabel);
+            return;
+        }
+        entries.push({ ...entry, value: total, categories: counts });
+    });
+    
+    // Valores simples: válidos, faltantes o inválidos
+    const missingEntries = [];
+    entries.forEach(entry => {
+        if (entry.categories) return;
+        const token = entry.token;
+        const where = named
+            ? t('validation.where.line', { line: token.line })
+            : t('validation.where.value', { token: describeToken(token), line: token.line });
+        
+        if (isMissingToken(token.text)) {
+            if (study.missing === 'error') {
+                invalid.push(named
+                    ? t('validation.lineLabel', { line: token.line, text: lines[token.line - 1].text.trim() })
+                    : (token.text || t('validation.emptyToken')));
+                diagnostics.push(createDiagnostic('error', t('validation.missing.error', { where: where }),
+                    token.start, token.end));
+            } else {
+                missingEntries.push(entry);
+            }
+            return;
+        }
+        
+        const { value, problem } = parseValueToken(token.text, study);
+        if (problem) {
+            invalid.push(named ? t('validation.lineLabel', { line: token.line, text: lines[token.line - 1].text.trim() }) : token.text);
+            diagnostics.push(createDiagnostic('error', `${where}: ${named ? `${describeToken(token)} ` : ''}${problem}.`,
+                token.start, token.end));
+            return;
+        }
+        entry.value = value;
+    });
+    
+    let error = null;
+    if (invalid.length > 0) {
+        error = t(named ? 'validation.invalidLines' : 'validation.invalidValues', {
+            categories: ERROR_CATEGORIES.length,
+            variable: study.variable,
+            invalid: invalid.join(decimalComma ? '; ' : ', '),
+            range: describeStudyRange(study)
+        });
+        return { records: [], diagnostics: diagnostics, error: error };
+    }
+    
+    const validEntries = entries.filter(entry => entry.value !== undefined);
+    if (validEntries.length === 0) {
+        const message = t('validation.noValues', { variable: study.variable });
+        diagnostics.push(createDiagnostic('error', message));
+        return { records: [], diagnostics: diagnostics, error: message };
+    }
+    
+    // Faltantes: se excluyen o se reemplazan por la media o la mediana de los valores válidos
+    if (missingEntries.length > 0) {
+        const imputed = study.missing === 'exclude' ? null : calcImputedValue(validEntries.map(entry => entry.value), study);
+        missingEntries.forEach(entry => {
+            const where = named
+                ? t('validation.where.line', { line: entry.token.line })
+                : t('validation.where.value', { token: describeToken(entry.token), line: entry.token.line });
+            if (imputed === null) {
+                diagnostics.push(createDiagnostic('warning', t('validation.missing.excluded', { where: where }),
+                    entry.token.start, entry.token.end));
+            } else {
+                entry.value = imputed;
+                entry.imputed = true;
+                diagnostics.push(createDiagnostic('warning',
+                    t(study.missing === 'median' ? 'validation.missing.median' : 'validation.missing.mean', {
+                        where: where, value: formatNumber(imputed)
+                    }),
+                    entry.token.start, entry.token.end));
+            }
+        });
+    }
+    
+    const records = entries
+        .filter(entry => entry.value !== undefined)
+        .map((entry, i) => ({
+            name: named ? entry.name : `${capitalize(study.observation)} #${i + 1}`,
+            value: entry.value,
+            categories: entry.categories || null,
+            named: named,
+            imputed: Boolean(entry.imputed)
+        }));
+    
+    if (named) {
+        const withCategories = records.filter(record => record.categories !== null).length;
+        if (withCategories > 0 && withCategories < records.length) {
+            error = t('validation.mixedCategories', { observations: study.observationPlural, categories: ERROR_CATEGORIES.length });
+            diagnostics.push(createDiagnostic('error', error));
+        }
+        
+        const seen = new Set();
+        const duplicates = [];
+        entries.filter(entry => entry.value !== undefined).forEach(entry => {
+            if (!seen.has(entry.name)) {
+                seen.add(entry.name);
+                return;
+            }
+            if (!duplicates.includes(entry.name)) duplicates.push(entry.name);
+            diagnostics.push(createDiagnostic('error', t('validation.line.duplicate', { line: entry.token.line, name: entry.name }),
+                entry.nameStart, entry.nameEnd));
+        });
+        if (duplicates.length > 0 && !error) {
+            error = t('validation.duplicates', { names: duplicates.join(', '), observation: study.observation });
+        }
+    }
+    
+    return { records: error ? [] : records, diagnostics: diagnostics, error: error };
+}
+
+/**
+ * Lanza el error resumido de validateInput con los diagnósticos por token adjuntos
+ * @param {Object} result - Resultado de validateInput
+ * @throws {Error} Con la propiedad diagnostics
+ */
+function throwValidationError(result) {
+    const error = new Error(result.error);
+    error.diagnostics = result.diagnostics;
+    throw error;
+}
+
+/**
+ * Convierte string de entrada en array de valores válidos
+ * @param {string} inputString - String con datos separados por coma, espacio, punto y coma o salto de línea
+ * @param {Object} study - Estudio (nombres para los mensajes, rango, decimales y faltantes)
+ * @returns {number[]} Array de valores (enteros salvo que el estudio admita decimales)
+ * @throws {Error} Si hay valores inválidos; error.diagnostics indica cada token con su posición
+ */
+function parseInput(inputString, study = getDefaultStudy()) {
+    const result = validateInput(inputString, study, 'anonymous');
+    if (result.error) throwValidationError(result);
+    return result.records.map(record => record.value);
+}
+
+/**
+ * Indica si la entrada usa el formato de registros con nombre
+ * Cada línea con nombre separa el nombre o ID del valor con ":" o tabulador. Con tabulador
+ * solo hay nombre si la primera columna no es un número: los números separados por
+ * tabulador (celdas pegadas desde una hoja de cálculo) son la lista anónima de valores
+ * @param {string} inputString - String de entrada
+ * @returns {boolean} true si alguna línea tiene nombre
+ */
+function isNamedInput(inputString) {
+    return inputString
+        .split(/\r?\n/)
+        .some(line => {
+            const text = line.trim();
+            if (text.includes(':')) return true;
+            const tab = text.indexOf('\t');
+            return tab > 0 && !/^[-+]?(\d+([.,]\d*)?|[.,]\d+)$/.test(text.slice(0, tab).trim());
+        });
+}
+
+// Categorías de errores evaluadas en el contexto del problema, en el orden de entrada
+// (claves del catálogo de mensajes; el nombre se traduce con t)
+const ERROR_CATEGORIES = [
+    'category.validation',
+    'category.logic',
+    'category.database',
+    'category.ui',
+    'category.integration'
+];
+
+/**
+ * Indica si un token es una cantidad válida por categoría (entero no negativo)
+ * @param {string} token - Token a validar
+ * @returns {boolean} true si es válido
+ */
+function isValidCount(token) {
+    const parsed = parseInt(token);
+    return !isNaN(parsed) && parsed.toString() === token && parsed >= 0;
+}
+
+/**
+ * Convierte la entrada en registros { name, value } por unidad de observación
+ * Acepta líneas "Ana: 13", dos columnas pegadas desde una hoja de cálculo
+ * ("Ana<TAB>13") o la lista anónima de valores de parseInput.
+ * Una línea con nombre puede traer una cantidad por cada categoría de
+ * ERROR_CATEGORIES ("Ana: 3 2 4 1 3"); en ese caso value es la suma
+ * @param {string} inputString - String de entrada
+ * @param {Object} study - Estudio (nombres para los mensajes, rango, decimales y faltantes)
+ * @returns {Object[]} Array de registros con nombre, valor, cantidades por categoría (o null),
+ *   si el nombre fue ingresado y si el valor fue imputado
+ * @throws {Error} Si hay líneas o valores inválidos; error.diagnostics indica cada uno con su posición
+ */
+function parseRecords(inputString, study = getDefaultStudy()) {
+    const result = validateInput(inputString, study);
+    if (result.error) throwValidationError(result);
+    return result.records;
+}
+
+// ===========================
+// FUNCIONES DE ACUMULACIÓN EN UNA PASADA
+// ===========================
+
+// Amplitud máxima (máximo - mínimo) por valor distinto para ordenar enteros por conteo;
+// con datos más dispersos se ordenan los valores distintos por comparación
+const COUNTING_SORT_DENSITY = 8;
+
+/**
+ * Crea un acumulador vacío de estadísticas en una pasada
+ * @returns {Object} n, sum, mean, m2, m3 y m4 (sumas de las potencias de las desviaciones),
+ *   min, max, integers (si todos los valores son enteros) y counts (Map valor → frecuencia)
+ */
+function createAccumulator() {
+    return {
+        n: 0, sum: 0, mean: 0, m2: 0, m3: 0, m4: 0,
+        min: Infinity, max: -Infinity, integers: true, counts: new Map()
+    };
+}
+
+/**
+ * Agrega un valor al acumulador con la actualización de Welford, extendida a los momentos
+ * de orden 3 y 4 para la asimetría y la curtosis. No guarda los valores, solo sus frecuencias
+ * @param {Object} acc - Acumulador de createAccumulator (se modifica)
+ * @param {number} value - Valor a agregar
+ * @returns {Object} El mismo acumulador
+ */
+function accumulateValue(acc, value) {
+    const previousN = acc.n;
+    const n = previousN + 1;
+    const delta = value - acc.mean;
+    const deltaN = delta / n;
+    const deltaN2 = deltaN * deltaN;
+    const term = delta * deltaN * previousN;
+    
+    // El orden importa: m4 usa m3 y m2 anteriores, y m3 usa m2 anterior
+    acc.m4 += term * deltaN2 * (n * n - 3 * n + 3) + 6 * deltaN2 * acc.m2 - 4 * deltaN * acc.m3;
+    acc.m3 += term * deltaN * (n - 2) - 3 * deltaN * acc.m2;
+    acc.m2 += term;
+    acc.mean += deltaN;
+    acc.n = n;
+    acc.sum += value;
+    
+    if (value < acc.min) acc.min = value;
+    if (value > acc.max) acc.max = value;
+    if (acc.integers && !Number.isInteger(value)) acc.integers = false;
+    acc.counts.set(value, (acc.counts.get(value) || 0) + 1);
+    return acc;
+}
+
+/**
+ * Agrega todos los valores de un arreglo al acumulador
+ * @param {number[]} values - Array de valores
+ * @param {Object} acc - Acumulador (por defecto, uno nuevo)
+ * @returns {Object} Acumulador
+ */
+function accumulateValues(values, acc = createAccumulator()) {
+    for (let i = 0; i < values.length; i++) {
+        accumulateValue(acc, values[i]);
+    }
+    return acc;
+}
+
+/**
+ * Varianza a partir del acumulador
+ * @param {Object} acc - Acumulador
+ * @param {boolean} population - true para varianza poblacional, false para muestral
+ * @returns {number} Varianza (0 con menos de dos valores)
+ */
+function accumulatorVariance(acc, population = true) {
+    if (acc.n <= 1) return 0;
+    return acc.m2 / (population ? acc.n : acc.n - 1);
+}
+
+/**
+ * Asimetría de Fisher-Pearson a partir del acumulador
+ * @param {Object} acc - Acumulador
+ * @param {boolean} population - true para g1, false para G1
+ * @returns {number} Coeficiente de asimetría (0 sin valores)
+ */
+function accumulatorSkewness(acc, population = true) {
+    if (acc.n === 0) return 0;
+    return skewnessFromMoments(acc.n, acc.m2 / acc.n, acc.m3 / acc.n, population);
+}
+
+/**
+ * Curtosis en exceso a partir del acumulador
+ * @param {Object} acc - Acumulador
+ * @param {boolean} population - true para g2, false para G2
+ * @returns {number} Curtosis en exceso (0 sin valores)
+ */
+function accumulatorKurtosis(acc, population = true) {
+    if (acc.n === 0) return 0;
+    return kurtosisFromMoments(acc.n, acc.m2 / acc.n, acc.m4 / acc.n, population);
+}
+
+/**
+ * Ordena los valores distintos del acumulador junto con sus frecuencias. Los enteros poco
+ * dispersos se ordenan por conteo, recorriendo del mínimo al máximo sin comparar
+ * @param {Object} acc - Acumulador
+ * @returns {Object} n, values (valores distintos en orden creciente), counts (frecuencias)
+ *   y cumulative (frecuencias acumuladas)
+ */
+function getDistribution(acc) {
+    let distinct;
+    if (acc.n === 0) {
+        distinct = [];
+    } else if (acc.integers && acc.max - acc.min <= COUNTING_SORT_DENSITY * acc.counts.size) {
+        distinct = [];
+        for (let value = acc.min; value <= acc.max; value++) {
+            if (acc.counts.has(value)) distinct.push(value);
+        }
+    } else {
+        distinct = Array.from(acc.counts.keys()).sort((a, b) => a - b);
+    }
+    
+    const counts = distinct.map(value => acc.counts.get(value));
+    const cumulative = [];
+    counts.reduce((total, count) => {
+        cumulative.push(total + count);
+        return total + count;
+    }, 0);
+    
+    return { n: acc.n, values: distinct, counts: counts, cumulative: cumulative };
+}
+
+/**
+ * Valor que ocupa una posición en los datos ordenados, por búsqueda binaria en las
+ * frecuencias acumuladas
+ * @param {Object} distribution - Resultado de getDistribution
+ * @param {number} index - Posición en base 0
+ * @returns {number} Valor en esa posición
+ */
+function distributionValueAt(distribution, index) {
+    let low = 0;
+    let high = distribution.cumulative.length - 1;
+    while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        if (distribution.cumulative[middle] > index) {
+            high = middle;
+        } else {
+            low = middle + 1;
+        }
+    }
+    return distribution.values[low];
+}
+
+/**
+ * Calcula la mediana a partir de la distribución ordenada
+ * @param {Object} distribution - Resultado de getDistribution
+ * @returns {number} Mediana
+ */
+function calcMedianFromDistribution(distribution) {
+    const n = distribution.n;
+    if (n === 0) return 0;
+    
+    const middle = Math.floor(n / 2);
+    if (n % 2 === 0) {
+        return (distributionValueAt(distribution, middle - 1) + distributionValueAt(distribution, middle)) / 2;
+    }
+    return distributionValueAt(distribution, middle);
+}
+
+/**
+ * Calcula el percentil P_k a partir de la distribución ordenada (mismos métodos que calcPercentile)
+ * @param {Object} distribution - Resultado de getDistribution
+ * @param {number} k - Percentil deseado (0 a 100)
+ * @param {string} method - 'inclusive', 'exclusive' o 'nearest'
+ * @returns {number} Valor del percentil
+ */
+function calcPercentileFromDistribution(distribution, k, method = 'inclusive') {
+    const n = distribution.n;
+    if (n === 0) return 0;
+    
+    const p = Math.min(Math.max(k, 0), 100) / 100;
+    
+    if (method === 'nearest') {
+        const rank = Math.max(1, Math.ceil(p * n));
+        return distributionValueAt(distribution, rank - 1);
+    }
+    
+    // Posición (base 0) dentro de los datos ordenados
+    let position = method === 'exclusive' ? (n + 1) * p - 1 : (n - 1) * p;
+    position = Math.min(Math.max(position, 0), n - 1);
+    
+    const lowerIndex = Math.floor(position);
+    const fraction = position - lowerIndex;
+    const lower = distributionValueAt(distribution, lowerIndex);
+    const upper = distributionValueAt(distribution, Math.ceil(position));
+    
+    return lower + fraction * (upper - lower);
+}
+
+/**
+ * Calcula los cuartiles a partir de la distribución ordenada
+ * @param {Object} distribution - Resultado de getDistribution
+ * @param {string} method - Método de cálculo de percentiles
+ * @returns {Object} Objeto con q1, q2 y q3
+ */
+function calcQuartilesFromDistribution(distribution, method = 'inclusive') {
+    return {
+        q1: calcPercentileFromDistribution(distribution, 25, method),
+        q2: calcPercentileFromDistribution(distribution, 50, method),
+        q3: calcPercentileFromDistribution(distribution, 75, method)
+    };
+}
+
+/**
+ * Calcula la moda a partir de las frecuencias de la distribución
+ * @param {Object} distribution - Resultado de getDistribution
+ * @returns {Object} Objeto con moda(s) y información adicional (como calcMode)
+ */
+function calcModeFromDistribution(distribution) {
+    if (distribution.n === 0) return { modes: [], frequency: 0, type: 'ninguna' };
+    
+    const maxFreq = calcMax(distribution.counts);
+    const modes = distribution.values.filter((value, i) => distribution.counts[i] === maxFreq);
+    
+    let type;
+    if (maxFreq === 1) {
+        type = 'ninguna';
+    } else if (modes.length === 1) {
+        type = 'unimodal';
+    } else if (modes.length === 2) {
+        type = 'bimodal';
+    } else {
+        type = 'multimodal';
+    }
+    
+    return {
+        modes: modes,
+        frequency: maxFreq,
+        type: type
+    };
+}
+
+/**
+ * Calcula la desviación media absoluta a partir de la distribución: cada valor distinto
+ * cuenta tantas veces como se repite
+ * @param {Object} distribution - Resultado de getDistribution
+ * @param {number} mean - Media de los valores
+ * @returns {number} Desviación media
+ */
+function calcMeanAbsDevFromDistribution(distribution, mean) {
+    if (distribution.n === 0) return 0;
+    return distribution.values.reduce(
+        (total, value, i) => total + distribution.counts[i] * Math.abs(value - mean), 0) / distribution.n;
+}
+
+// ===========================
+// FUNCIONES DE CÁLCULOS ESTADÍSTICOS
+// ===========================
+
+/**
+ * Calcula la media aritmética
+ * @param {number[]} values - Array de valores
+ * @returns {number} Media aritmética
+ */
+function calcMean(values) {
+    if (values.length === 0) return 0;
+    const sum = values.reduce((acc, val) => acc + val, 0);
+    return sum / values.length;
+}
+
+/**
+ * Calcula la mediana (con las frecuencias de los valores, sin ordenar una copia del arreglo)
+ * @param {number[]} values - Array de valores
+ * @returns {number} Mediana
+ */
+function calcMedian(values) {
+    return calcMedianFromDistribution(getDistribution(accumulateValues(values)));
+}
+
+/**
+ * Calcula la moda (valor o valores más frecuentes)
+ * @param {number[]} values - Array de valores
+ * @returns {Object} Objeto con moda(s) y información adicional
+ */
+function calcMode(values) {
+    return calcModeFromDistribution(getDistribution(accumulateValues(values)));
+}
+
+/**
+ * Calcula el valor mínimo
+ * Recorre el arreglo en lugar de usar Math.min(...values), que desborda la pila con arreglos grandes
+ * @param {number[]} values - Array de valores
+ * @returns {number} Mínimo (Infinity si no hay valores)
+ */
+function calcMin(values) {
+    let min = Infinity;
+    for (let i = 0; i < values.length; i++) {
+        if (values[i] < min) min = values[i];
+    }
+    return min;
+}
+
+/**
+ * Calcula el valor máximo
+ * @param {number[]} values - Array de valores
+ * @returns {number} Máximo (-Infinity si no hay valores)
+ */
+function calcMax(values) {
+    let max = -Infinity;
+    for (let i = 0; i < values.length; i++) {
+        if (values[i] > max) max = values[i];
+    }
+    return max;
+}
+
+/**
+ * Calcula el rango
+ * @param {number[]} values - Array de valores
+ * @returns {number} Rango (máximo - mínimo)
+ */
+function calcRange(values) {
+    if (values.length === 0) return 0;
+    return calcMax(values) - calcMin(values);
+}
+
+/**
+ * Calcula la varianza
+ * @param {number[]} values - Array de valores
+ * @param {boolean} population - true para varianza poblacional, false para muestral
+ * @returns {number} Varianza
+ */
+function calcVariance(values, population = true) {
+    if (values.length === 0) return 0;
+    if (values.length === 1) return 0;
+    
+    const mean = calcMean(values);
+    const sumSquaredDiffs = values.reduce((acc, val) => acc + Math.pow(val - mean, 2), 0);
+    
+    const divisor = population ? values.length : values.length - 1;
+    return sumSquaredDiffs / divisor;
+}
+
+/**
+ * Calcula la desviación estándar
+ * @param {number[]} values - Array de valores
+ * @param {boolean} population - true para desviación poblacional, false para muestral
+ * @returns {number} Desviación estándar
+ */
+function calcStdDev(values, population = true) {
+    return Math.sqrt(calcVariance(values, population));
+}
+
+// ===========================
+// FUNCIONES DE DISPERSIÓN Y FORMA
+// ===========================
+
+/**
+ * Calcula el coeficiente de variación en porcentaje
+ * @param {number[]} values - Array de valores
+ * @param {boolean} population - true para usar la desviación poblacional, false para la muestral
+ * @returns {number} Coeficiente de variación (%)
+ */
+function calcCoefficientOfVariation(values, population = true) {
+    const mean = calcMean(values);
+    if (mean === 0) return 0;
+    return (calcStdDev(values, population) / Math.abs(mean)) * 100;
+}
+
+/**
+ * Calcula la desviación media absoluta respecto a la media
+ * @param {number[]} values - Array de valores
+ * @returns {number} Desviación media
+ */
+function calcMeanAbsoluteDeviation(values) {
+    const acc = accumulateValues(values);
+    return calcMeanAbsDevFromDistribution(getDistribution(acc), acc.sum / acc.n);
+}
+
+/**
+ * Calcula el momento central de orden k
+ * @param {number[]} values - Array de valores
+ * @param {number} order - Orden del momento
+ * @returns {number} Momento central
+ */
+function calcCentralMoment(values, order) {
+    if (values.length === 0) return 0;
+    const mean = calcMean(values);
+    return values.reduce((acc, val) => acc + Math.pow(val - mean, order), 0) / values.length;
+}
+
+/**
+ * Calcula el coeficiente de asimetría de Fisher-Pearson
+ * Poblacional: g1 = m3 / m2^(3/2)
+ * Muestral (ajustado): G1 = g1 · √(n(n-1)) / (n-2), requiere n ≥ 3
+ * @param {number[]} values - Array de valores
+ * @param {boolean} population - true para g1, false para el estimador ajustado G1
+ * @returns {number} Coeficiente de asimetría
+ */
+function calcSkewness(values, population = true) {
+    return accumulatorSkewness(accumulateValues(values), population);
+}
+
+/**
+ * Asimetría de Fisher-Pearson a partir de los momentos centrales
+ * @param {number} n - Número de valores
+ * @param {number} m2 - Momento central de orden 2
+ * @param {number} m3 - Momento central de orden 3
+ * @param {boolean} population - true para g1, false para G1
+ * @returns {number} Coeficiente de asimetría
+ */
+function skewnessFromMoments(n, m2, m3, population = true) {
+    if (m2 === 0) return 0;
+    
+    const g1 = m3 / Math.pow(m2, 1.5);
+    if (population || n < 3) return g1;
+    return g1 * Math.sqrt(n * (n - 1)) / (n - 2);
+}
+
+/**
+ * Calcula la curtosis en exceso (0 para la distribución normal)
+ * Poblacional: g2 = m4 / m2² - 3
+ * Muestral (ajustado): G2 = ((n+1)·g2 + 6) · (n-1) / ((n-2)(n-3)), requiere n ≥ 4
+ * @param {number[]} values - Array de valores
+ * @param {boolean} population - true para g2, false para el estimador ajustado G2
+ * @returns {number} Curtosis en exceso
+ */
+function calcKurtosis(values, population = true) {
+    return accumulatorKurtosis(accumulateValues(values), population);
+}
+
+/**
+ * Curtosis en exceso a partir de los momentos centrales
+ * @param {number} n - Número de valores
+ * @param {number} m2 - Momento central de orden 2
+ * @param {number} m4 - Momento central de orden 4
+ * @param {boolean} population - true para g2, false para G2
+ * @returns {number} Curtosis en exceso
+ */
+function kurtosisFromMoments(n, m2, m4, population = true) {
+    if (m2 === 0) return 0;
+    
+    const g2 = m4 / Math.pow(m2, 2) - 3;
+    if (population || n < 4) return g2;
+    return ((n + 1) * g2 + 6) * (n - 1) / ((n - 2) * (n - 3));
+}
+
+// ===========================
+// FUNCIONES DE MEDIDAS DE POSICIÓN
+// ===========================
+
+/**
+ * Calcula el percentil P_k
+ * Métodos disponibles:
+ * - 'inclusive': interpolación lineal sobre (n - 1)·k/100 (PERCENTIL.INC de Excel)
+ * - 'exclusive': interpolación lineal sobre (n + 1)·k/100 (PERCENTIL.EXC de Excel)
+ * - 'nearest': rango más cercano, sin interpolación
+ * @param {number[]} values - Array de valores
+ * @param {number} k - Percentil deseado (0 a 100)
+ * @param {string} method - Método de cálculo
+ * @returns {number} Valor del percentil
+ */
+function calcPercentile(values, k, method = 'inclusive') {
+    return calcPercentileFromDistribution(getDistribution(accumulateValues(values)), k, method);
+}
+
+/**
+ * Calcula los cuartiles Q1, Q2 y Q3
+ * @param {number[]} values - Array de valores
+ * @param {string} method - Método de cálculo de percentiles
+ * @returns {Object} Objeto con q1, q2 y q3
+ */
+function calcQuartiles(values, method = 'inclusive') {
+    return calcQuartilesFromDistribution(getDistribution(accumulateValues(values)), method);
+}
+
+/**
+ * Calcula el rango intercuartílico
+ * @param {number[]} values - Array de valores
+ * @param {string} method - Método de cálculo de percentiles
+ * @returns {number} Rango intercuartílico (Q3 - Q1)
+ */
+function calcIQR(values, method = 'inclusive') {
+    const quartiles = calcQuartiles(values, method);
+    return quartiles.q3 - quartiles.q1;
+}
+
+/**
+ * Calcula las vallas de Tukey
+ * @param {number} q1 - Primer cuartil
+ * @param {number} q3 - Tercer cuartil
+ * @param {number} factor - Multiplicador del RIC (1.5 para atípicos, 3 para extremos)
+ * @returns {Object} Objeto con valla inferior y superior
+ */
+function calcTukeyFences(q1, q3, factor = 1.5) {
+    const iqr = q3 - q1;
+    return {
+        lower: q1 - factor * iqr,
+        upper: q3 + factor * iqr
+    };
+}
+
+/**
+ * Detecta los valores atípicos que quedan fuera de las vallas de Tukey
+ * @param {number[]} values - Array de valores en el orden de entrada
+ * @param {string} method - Método de cálculo de percentiles
+ * @param {Object} fences - Vallas ya calculadas (por defecto se calculan a partir de los cuartiles)
+ * @returns {Array} Array de objetos con posición (base 1), valor y lado de la valla
+ */
+function detectOutliers(values, method = 'inclusive', fences = null) {
+    if (!fences) {
+        const quartiles = calcQuartiles(values, method);
+        fences = calcTukeyFences(quartiles.q1, quartiles.q3);
+    }
+    const outliers = [];
+    
+    values.forEach((val, i) => {
+        if (val < fences.lower) {
+            outliers.push({ position: i + 1, value: val, side: 'inferior' });
+        } else if (val > fences.upper) {
+            outliers.push({ position: i + 1, value: val, side: 'superior' });
+        }
+    });
+    
+    return outliers;
+}
+
+/**
+ * Calcula los cinco números del diagrama de caja con bigotes de Tukey
+ * Los bigotes llegan hasta el último valor que no es atípico
+ * @param {number[]} values - Array de valores
+ * @param {string} method - Método de cálculo de percentiles
+ * @param {Object} distribution - Distribución ordenada de los valores (por defecto se calcula)
+ * @returns {Object} Objeto con bigotes, cuartiles, mediana y atípicos
+ */
+function calcBoxPlotData(values, method = 'inclusive', distribution = getDistribution(accumulateValues(values))) {
+    const quartiles = calcQuartilesFromDistribution(distribution, method);
+    const fences = calcTukeyFences(quartiles.q1, quartiles.q3);
+    const inside = distribution.values.filter(val => val >= fences.lower && val <= fences.upper);
+    
+    return {
+        whiskerLow: calcMin(inside),
+        q1: quartiles.q1,
+        median: quartiles.q2,
+        q3: quartiles.q3,
+        whiskerHigh: calcMax(inside),
+        outliers: detectOutliers(values, method, fences)
+    };
+}
+
+// ===========================
+// FUNCIONES POR PROGRAMADOR
+// ===========================
+
+/**
+ * Calcula la puntuación z de cada valor
+ * @param {number[]} values - Array de valores
+ * @param {boolean} population - true para usar la desviación poblacional, false para la muestral
+ * @returns {number[]} Puntuaciones z en el mismo orden que values
+ */
+function calcZScores(values, population = true) {
+    const mean = calcMean(values);
+    const stdDev = calcStdDev(values, population);
+    return values.map(val => stdDev === 0 ? 0 : (val - mean) / stdDev);
+}
+
+/**
+ * Calcula el rango percentil de un valor: porcentaje de datos por debajo,
+ * contando la mitad de los empates
+ * @param {number[]} values - Array de valores
+ * @param {number} value - Valor a ubicar
+ * @returns {number} Rango percentil (0 a 100)
+ */
+function calcPercentileRank(values, value) {
+    if (values.length === 0) return 0;
+    const below = values.filter(val => val < value).length;
+    const equal = values.filter(val => val === value).length;
+    return ((below + 0.5 * equal) / values.length) * 100;
+}
+
+/**
+ * Genera la tabla por programador con puntuación z y rango percentil
+ * @param {Object[]} records - Registros { name, value } de parseRecords
+ * @param {boolean} population - Estimador de la desviación estándar para z
+ * @returns {Array} Filas con posición, nombre, valor, z y rango percentil
+ */
+function getPersonTable(records, population = true) {
+    const values = records.map(record => record.value);
+    const zScores = calcZScores(values, population);
+    
+    // Rango percentil de cada valor distinto con las frecuencias acumuladas, en lugar de
+    // recorrer todos los valores para cada registro
+    const distribution = getDistribution(accumulateValues(values));
+    const percentileRanks = new Map();
+    distribution.values.forEach((value, i) => {
+        const below = distribution.cumulative[i] - distribution.counts[i];
+        const rank = ((below + 0.5 * distribution.counts[i]) / distribution.n) * 100;
+        percentileRanks.set(value, parseFloat(rank.toFixed(1)));
+    });
+    
+    return records.map((record, i) => ({
+        position: i + 1,
+        name: record.name,
+        value: record.value,
+        z: parseFloat(zScores[i].toFixed(3)),
+        percentileRank: percentileRanks.get(record.value)
+    }));
+}
+
+// ===========================
+// FUNCIONES POR CATEGORÍA DE ERROR
+// ===========================
+
+/**
+ * Calcula las estadísticas descriptivas de cada categoría de error
+ * @param {Object[]} records - Registros con cantidades por categoría
+ * @param {boolean} population - Estimador para la desviación estándar y el CV
+ * @returns {Array} Una fila por categoría con total, participación, media, mediana, moda, σ y CV
+ */
+function getCategoryStats(records, population = true) {
+    if (records.length === 0 || records[0].categories === null) return [];
+    
+    const grandTotal = records.reduce((acc, record) => acc + record.value, 0);
+    
+    return ERROR_CATEGORIES.map((category, c) => {
+        const values = records.map(record => record.categories[c]);
+        const total = values.reduce((acc, val) => acc + val, 0);
+        const modeInfo = calcMode(values);
+        
+        return {
+            category: t(category),
+            total: total,
+            share: grandTotal === 0 ? 0 : parseFloat(((total / grandTotal) * 100).toFixed(2)),
+            mean: calcMean(values),
+            median: calcMedian(values),
+            modeText: modeInfo.type === 'ninguna' ? t('stats.noMode') : formatNumberList(modeInfo.modes),
+            stdDev: calcStdDev(values, population),
+            cv: calcCoefficientOfVariation(values, population)
+        };
+    });
+}
+
+// ===========================
+// FUNCIONES DE TABLA DE FRECUENCIAS
+// ===========================
+
+/**
+ * Genera la tabla de frecuencias
+ * @param {number[]} values - Array de valores
+ * @returns {Array} Array de objetos con información de frecuencias
+ */
+function getFrequencyTable(values) {
+    if (values.length === 0) return [];
+    
+    // Frecuencias absolutas de los valores únicos, ya ordenados
+    const distribution = getDistribution(accumulateValues(values));
+    
+    const n = values.length;
+    let cumulativeFreq = 0;
+    let cumulativeRelFreq = 0;
+    
+    // Crear tabla de frecuencias
+    const freqTable = distribution.values.map((value, i) => {
+        const fa = distribution.counts[i]; // Frecuencia absoluta
+        const fr = fa / n; // Frecuencia relativa
+        cumulativeFreq += fa; // Frecuencia absoluta acumulada
+        cumulativeRelFreq += fr; // Frecuencia relativa acumulada
+        const percentage = fr * 100; // Porcentaje
+        
+        return {
+            value: value,
+            fa: fa,
+            fr: parseFloat(fr.toFixed(4)),
+            Fa: cumulativeFreq,
+            Fr: parseFloat(cumulativeRelFreq.toFixed(4)),
+            percentage: parseFloat(percentage.toFixed(2))
+        };
+    });
+    
+    return freqTable;
+}
+
+// ===========================
+// FUNCIONES DE DATOS AGRUPADOS
+// ===========================
+
+// Clases como máximo: un ancho elegido muy chico daría millones de clases
+const MAX_CLASS_COUNT = 500;
+
+/**
+ * Calcula los intervalos de clase para agrupar los datos
+ * @param {number[]} values - Array de valores
+ * @param {string} rule - 'sturges', 'sqrt' o 'width' (ancho elegido por el usuario)
+ * @param {number} customWidth - Ancho de clase cuando rule es 'width'
+ * @returns {Object} Objeto con número de clases, ancho y límites de cada clase
+ * @throws {Error} Si el ancho personalizado no es válido o da más de MAX_CLASS_COUNT clases
+ */
+function calcClassIntervals(values, rule = 'sturges', customWidth = null) {
+    if (values.length === 0) return { k: 0, width: 0, classes: [] };
+    
+    const n = values.length;
+    const min = calcMin(values);
+    const range = calcRange(values);
+    const allIntegers = values.every(val => Number.isInteger(val));
+    
+    let width;
+    if (rule === 'width') {
+        if (!(customWidth > 0)) {
+            throw new Error(t('grouping.error.width'));
+        }
+        width = customWidth;
+        const count = Math.ceil(range / width);
+        if (count > MAX_CLASS_COUNT) {
+            throw new Error(t('grouping.error.classCount', {
+                width: formatNumber(width), count: formatNumber(count), max: formatNumber(MAX_CLASS_COUNT)
+            }));
+        }
+    } else {
+        // Regla de Sturges: k = 1 + 3.322·log10(n); raíz cuadrada: k = √n
+        const suggestedK = rule === 'sqrt'
+            ? Math.round(Math.sqrt(n))
+            : Math.round(1 + 3.322 * Math.log10(n));
+        const k = Math.min(MAX_CLASS_COUNT, Math.max(1, suggestedK));
+        width = range / k;
+        // Con datos discretos la amplitud se redondea hacia arriba
+        if (allIntegers) width = Math.ceil(width);
+        if (width === 0) width = 1;
+    }
+    
+    // Número de clases necesario para cubrir todo el rango
+    const k = Math.max(1, Math.ceil(range / width));
+    
+    const classes = [];
+    for (let i = 0; i < k; i++) {
+        const lower = min + i * width;
+        const upper = min + (i + 1) * width;
+        classes.push({
+            lower: parseFloat(lower.toFixed(4)),
+            upper: parseFloat(upper.toFixed(4)),
+            mark: parseFloat(((lower + upper) / 2).toFixed(4))
+        });
+    }
+    
+    return { k, width, classes };
+}
+
+/**
+ * Genera la tabla de frecuencias para datos agrupados en intervalos [Li, Ls)
+ * La última clase es cerrada para incluir el valor máximo
+ * @param {number[]} values - Array de valores
+ * @param {Object} intervals - Resultado de calcClassIntervals
+ * @returns {Array} Array de objetos con información de frecuencias por clase
+ */
+function getGroupedFrequencyTable(values, intervals) {
+    if (values.length === 0 || intervals.classes.length === 0) return [];
+    
+    const n = values.length;
+    const classes = intervals.classes;
+    const lastIndex = classes.length - 1;
+    const counts = new Array(classes.length).fill(0);
+    
+    values.forEach(val => {
+        // La clase se calcula con el ancho y se corrige con los límites redondeados de la tabla,
+        // para que un valor en un límite caiga en la misma clase que muestra la tabla
+        let index = Math.min(lastIndex, Math.max(0, Math.floor((val - classes[0].lower) / intervals.width)));
+        while (index < lastIndex && val >= classes[index].upper) index++;
+        while (index > 0 && val < classes[index].lower) index--;
+        counts[index]++;
+    });
+    
+    let cumulativeFreq = 0;
+    let cumulativeRelFreq = 0;
+    
+    return intervals.classes.map((cls, i) => {
+        const fa = counts[i];
+        const fr = fa / n;
+        cumulativeFreq += fa;
+        cumulativeRelFreq += fr;
+        
+        return {
+            lower: cls.lower,
+            upper: cls.upper,
+            value: cls.mark,
+            label: `[${formatNumber(cls.lower)} - ${formatNumber(cls.upper)}${i === lastIndex ? ']' : ')'}`,
+            fa: fa,
+            fr: parseFloat(fr.toFixed(4)),
+            Fa: cumulativeFreq,
+            Fr: parseFloat(cumulativeRelFreq.toFixed(4)),
+            percentage: parseFloat((fr * 100).toFixed(2))
+        };
+    });
+}
+
+/**
+ * Calcula la media para datos agrupados usando las marcas de clase
+ * @param {Array} groupedRows - Tabla de frecuencias agrupada
+ * @returns {number} Media aritmética agrupada
+ */
+function calcGroupedMean(groupedRows) {
+    const n = groupedRows.reduce((acc, row) => acc + row.fa, 0);
+    if (n === 0) return 0;
+    return groupedRows.reduce((acc, row) => acc + row.fa * row.value, 0) / n;
+}
+
+/**
+ * Calcula la mediana interpolada para datos agrupados
+ * Me = Li + ((n/2 - Fa anterior) / fa) · A
+ * @param {Array} groupedRows - Tabla de frecuencias agrupada
+ * @returns {number} Mediana agrupada
+ */
+function calcGroupedMedian(groupedRows) {
+    const n = groupedRows.reduce((acc, row) => acc + row.fa, 0);
+    if (n === 0) return 0;
+    
+    const half = n / 2;
+    const index = groupedRows.findIndex(row => row.Fa >= half);
+    const row = groupedRows[index];
+    const previousFa = index > 0 ? groupedRows[index - 1].Fa : 0;
+    const width = row.upper - row.lower;
+    
+    return row.lower + ((half - previousFa) / row.fa) * width;
+}
+
+/**
+ * Calcula la moda para datos agrupados mediante la fórmula de Czuber
+ * Mo = Li + (d1 / (d1 + d2)) · A
+ * @param {Array} groupedRows - Tabla de frecuencias agrupada
+ * @returns {Object} Objeto con la(s) moda(s) y la(s) clase(s) modal(es)
+ */
+function calcGroupedMode(groupedRows) {
+    if (groupedRows.length === 0) return { modes: [], classes: [] };
+    
+    const maxFreq = calcMax(groupedRows.map(row => row.fa));
+    const modes = [];
+    const classes = [];
+    
+    groupedRows.forEach((row, i) => {
+        if (row.fa !== maxFreq) return;
+        
+        const previousFa = i > 0 ? groupedRows[i - 1].fa : 0;
+        const nextFa = i < groupedRows.length - 1 ? groupedRows[i + 1].fa : 0;
+        const d1 = row.fa - previousFa;
+        const d2 = row.fa - nextFa;
+        const width = row.upper - row.lower;
+        
+        // Si d1 + d2 = 0 la clase es plana y se toma la marca de clase
+        modes.push(d1 + d2 === 0 ? row.value : row.lower + (d1 / (d1 + d2)) * width);
+        classes.push(row.label);
+    });
+    
+    return { modes, classes };
+}
+
+/**
+ * Calcula la varianza para datos agrupados usando las marcas de clase
+ * @param {Array} groupedRows - Tabla de frecuencias agrupada
+ * @param {boolean} population - true para varianza poblacional, false para muestral
+ * @returns {number} Varianza agrupada
+ */
+function calcGroupedVariance(groupedRows, population = true) {
+    const n = groupedRows.reduce((acc, row) => acc + row.fa, 0);
+    if (n <= 1) return 0;
+    
+    const mean = calcGroupedMean(groupedRows);
+    const sumSquaredDiffs = groupedRows.reduce((acc, row) => acc + row.fa * Math.pow(row.value - mean, 2), 0);
+    
+    const divisor = population ? n : n - 1;
+    return sumSquaredDiffs / divisor;
+}
+
+// ===========================
+// FUNCIONES DE VISTAS DE LA DISTRIBUCIÓN
+// ===========================
+
+// Con más valores el diagrama de tallo y hojas y el de puntos dejan de ser legibles
+const SMALL_SAMPLE_PLOT_LIMIT = 100;
+
+// Series que puede mostrar el gráfico de frecuencias, con el mensaje de su eje vertical
+const FREQUENCY_SERIES = {
+    absolute: 'frequency.series.absolute',
+    relative: 'frequency.series.relative',
+    cumulative: 'frequency.series.cumulative'
+};
+
+/**
+ * Valores de una serie de la tabla de frecuencias para graficarla
+ * @param {Array} freqRows - Tabla de frecuencias, simple o agrupada
+ * @param {string} type - Clave de FREQUENCY_SERIES
+ * @returns {number[]} fa, porcentaje o Fr en porcentaje, fila por fila
+ * @throws {Error} Si la serie no existe
+ */
+function getFrequencySeries(freqRows, type) {
+    switch (type) {
+        case 'absolute':
+            return freqRows.map(row => row.fa);
+        case 'relative':
+            return freqRows.map(row => row.percentage);
+        case 'cumulative':
+            return freqRows.map(row => parseFloat((row.Fr * 100).toFixed(2)));
+        default:
+            throw new Error(t('frequency.error.series', { type: type }));
+    }
+}
+
+/**
+ * Busca la fila de la tabla de frecuencias que contiene un valor. En la tabla agrupada las
+ * clases son [Li, Ls) salvo la última, que incluye su límite superior
+ * @param {Array} freqRows - Tabla de frecuencias ordenada, simple o agrupada
+ * @param {number} value - Valor observado
+ * @returns {number} Índice de la fila, o -1 si ninguna lo contiene
+ */
+function findFrequencyRowIndex(freqRows, value) {
+    const grouped = freqRows.length > 0 && freqRows[0].lower !== undefined;
+    const lastIndex = freqRows.length - 1;
+    let low = 0;
+    let high = lastIndex;
+    
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        const start = grouped ? freqRows[mid].lower : freqRows[mid].value;
+        const end = grouped ? freqRows[mid].upper : freqRows[mid].value;
+        
+        if (value < start) {
+            high = mid - 1;
+        } else if (value > end || (grouped && value === end && mid < lastIndex)) {
+            low = mid + 1;
+        } else {
+            return mid;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Puntos de la ojiva (polígono de frecuencias relativas acumuladas). Con datos agrupados cada
+ * punto está en el límite superior de su clase y la curva parte de 0 en el primer límite inferior
+ * @param {Array} freqRows - Tabla de frecuencias, simple o agrupada
+ * @returns {Object[]} Puntos { x, y (Fr en %), row (índice de la fila, null en el origen) }
+ */
+function getOgivePoints(freqRows) {
+    if (freqRows.length === 0) return [];
+    
+    const grouped = freqRows[0].lower !== undefined;
+    const points = freqRows.map((row, i) => ({
+        x: grouped ? row.upper : row.value,
+        y: parseFloat((row.Fr * 100).toFixed(2)),
+        row: i
+    }));
+    
+    return grouped ? [{ x: freqRows[0].lower, y: 0, row: null }, ...points] : points;
+}
+
+/**
+ * Puntos del diagrama de puntos: cada observación es un punto apilado sobre su valor
+ * @param {number[]} values - Array de valores
+ * @param {Array} freqRows - Tabla de frecuencias con la que se relaciona cada punto
+ * @returns {Object[]} Puntos { x (valor), y (altura en la pila), row (fila de freqRows) }
+ */
+function buildDotPlotPoints(values, freqRows = getFrequencyTable(values)) {
+    const distribution = getDistribution(accumulateValues(values));
+    const points = [];
+    
+    distribution.values.forEach((value, i) => {
+        const row = findFrequencyRowIndex(freqRows, value);
+        for (let height = 1; height <= distribution.counts[i]; height++) {
+            points.push({ x: value, y: height, row: row });
+        }
+    });
+    
+    return points;
+}
+
+/**
+ * Construye el diagrama de tallo y hojas. La hoja es la segunda cifra significativa del mayor
+ * valor absoluto (las siguientes se truncan) y, con datos enteros, nunca es menor que la unidad.
+ * Los tallos negativos se nombran "-0", "-1", … para no confundir -3 con 3
+ * @param {number[]} values - Array de valores
+ * @returns {Object} leafUnit (valor de una hoja) y rows: { stem, leaves } de todos los tallos
+ *   entre el menor y el mayor, incluidos los vacíos
+ */
+function buildStemAndLeaf(values) {
+    if (values.length === 0) return { leafUnit: 1, rows: [] };
+    
+    const largest = Math.max(Math.abs(calcMin(values)), Math.abs(calcMax(values)));
+    let leafUnit = largest === 0 ? 1 : Math.pow(10, Math.floor(Math.log10(largest)) - 1);
+    if (leafUnit < 1 && values.every(Number.isInteger)) leafUnit = 1;
+    
+    // Índice de tallo: 0, 1, … para los no negativos y -1 ("-0"), -2 ("-1"), … para los negativos
+    const leavesByStem = new Map();
+    values.forEach(value => {
+        const magnitude = Math.trunc(Math.round(Math.abs(value) / leafUnit * 1e6) / 1e6);
+        const stem = Math.floor(magnitude / 10);
+        const index = value < 0 ? -stem - 1 : stem;
+        if (!leavesByStem.has(index)) leavesByStem.set(index, []);
+        leavesByStem.get(index).push(magnitude % 10);
+    });
+    
+    const indexes = [...leavesByStem.keys()];
+    const rows = [];
+    for (let index = Math.min(...indexes); index <= Math.max(...indexes); index++) {
+        rows.push({
+            stem: index < 0 ? `-${-index - 1}` : String(index),
+            leaves: (leavesByStem.get(index) || []).sort((a, b) => a - b)
+        });
+    }
+    
+    return { leafUnit: leafUnit, rows: rows };
+}
+
+/**
+ * Convierte el diagrama de tallo y hojas en texto con su clave de lectura
+ * @param {Object} display - Resultado de buildStemAndLeaf
+ * @returns {string} Una línea por tallo ("1 | 0 1 1 3") y la clave
+ */
+function stemAndLeafToText(display) {
+    if (display.rows.length === 0) return '';
+    
+    const width = Math.max(...display.rows.map(row => row.stem.length));
+    const lines = display.rows.map(row => `${row.stem.padStart(width)} | ${row.leaves.join(' ')}`.trimEnd());
+    
+    const example = display.rows.find(row => row.leaves.length > 0);
+    const leaf = example.leaves[0];
+    const magnitude = (Math.abs(parseInt(example.stem, 10)) * 10 + leaf) * display.leafUnit;
+    const decimals = Math.max(0, -Math.round(Math.log10(display.leafUnit)));
+    const value = `${example.stem.startsWith('-') ? '-' : ''}${formatNumber(magnitude, decimals)}`;
+    
+    return [...lines, t('stemLeaf.key', { stem: example.stem, leaf: leaf, value: value })].join('\n');
+}
+
+// ===========================
+// FUNCIONES DE ACCESIBILIDAD DE LOS GRÁFICOS
+// ===========================
+
+// Filas que se muestran como máximo en la tabla de datos que acompaña a cada gráfico
+const CHART_TABLE_LIMIT = 200;
+
+// Tramas que distinguen las porciones de un gráfico de pastel sin depender del color
+const CHART_PATTERNS = ['diagonal', 'dots', 'horizontal', 'crosshatch', 'vertical', 'zigzag'];
+
+// Paletas de los gráficos (colores RGB). roles son los colores de las series fijas (la principal,
+// la secundaria, la de énfasis, la neutra y la de cada modelo ajustado) y colors los de las
+// porciones y categorías. alpha es la opacidad del relleno, outline el color del borde (null
+// para usar el del relleno) y patterns indica si cada porción lleva además su trama
+const CHART_PALETTES = {
+    default: {
+        name: 'palette.default',
+        alpha: 0.8,
+        outline: null,
+        patterns: false,
+        roles: {
+            primary: [102, 126, 234], secondary: [118, 75, 162], accent: [245, 87, 108],
+            neutral: [74, 85, 104], poisson: [245, 101, 101], binomial: [72, 187, 120]
+        },
+        colors: [
+            [102, 126, 234], [245, 87, 108], [79, 172, 254], [240, 147, 251], [129, 236, 236],
+            [255, 195, 18], [255, 107, 107], [130, 88, 159], [54, 215, 183], [255, 159, 67]
+        ]
+    },
+    // Paleta de Okabe e Ito, distinguible con los tipos más comunes de daltonismo
+    colorblind: {
+        name: 'palette.colorblind',
+        alpha: 0.85,
+        outline: null,
+        patterns: true,
+        roles: {
+            primary: [0, 114, 178], secondary: [86, 180, 233], accent: [213, 94, 0],
+            neutral: [0, 0, 0], poisson: [213, 94, 0], binomial: [0, 158, 115]
+        },
+        colors: [
+            [230, 159, 0], [86, 180, 233], [0, 158, 115], [240, 228, 66],
+            [0, 114, 178], [213, 94, 0], [204, 121, 167], [0, 0, 0]
+        ]
+    },
+    highContrast: {
+        name: 'palette.highContrast',
+        alpha: 1,
+        outline: [0, 0, 0],
+        patterns: true,
+        roles: {
+            primary: [0, 60, 180], secondary: [120, 0, 120], accent: [200, 0, 0],
+            neutral: [0, 0, 0], poisson: [200, 0, 0], binomial: [0, 110, 0]
+        },
+        colors: [[0, 0, 0], [0, 60, 180], [200, 0, 0], [0, 110, 0], [120, 0, 120], [220, 120, 0]]
+    }
+};
+
+/**
+ * Busca una paleta de CHART_PALETTES
+ * @param {string} palette - Clave de la paleta
+ * @returns {Object} Paleta
+ * @throws {Error} Si la paleta no existe
+ */
+function getPalette(palette) {
+    if (!CHART_PALETTES[palette]) {
+        throw new Error(t('palette.error.unknown', { palette: palette, palettes: Object.keys(CHART_PALETTES).join(', ') }));
+    }
+    return CHART_PALETTES[palette];
+}
+
+/**
+ * Color CSS de una serie fija de la paleta
+ * @param {string} palette - Clave de la paleta
+ * @param {string} role - 'primary', 'secondary', 'accent', 'neutral' o un modelo de DISTRIBUTION_MODELS
+ * @param {number} alpha - Opacidad
+ * @returns {string} Por ejemplo "rgba(102, 126, 234, 0.8)"
+ */
+function getPaletteRoleColor(palette, role, alpha = 1) {
+    return `rgba(${getPalette(palette).roles[role].join(', ')}, ${alpha})`;
+}
+
+/**
+ * Colores de relleno y borde y trama de cada porción. Los colores se repiten cuando hay más
+ * porciones que colores; en las paletas sin tramas, las porciones que repiten color llevan una
+ * trama para seguir siendo distinguibles
+ * @param {string} palette - Clave de la paleta
+ * @param {number} count - Número de porciones
+ * @returns {Object} { background, border, patterns }; patterns tiene una clave de
+ *   CHART_PATTERNS o null (relleno liso) por porción
+ * @throws {Error} Si la paleta no existe
+ */
+function getPaletteColors(palette, count) {
+    const { alpha, outline, patterns, colors } = getPalette(palette);
+    const background = [];
+    const border = [];
+    const fills = [];
+    
+    for (let i = 0; i < count; i++) {
+        const color = colors[i % colors.length];
+        const cycle = Math.floor(i / colors.length);
+        background.push(`rgba(${color.join(', ')}, ${alpha})`);
+        border.push(`rgba(${(outline || color).join(', ')}, 1)`);
+        if (patterns) {
+            fills.push(CHART_PATTERNS[i % CHART_PATTERNS.length]);
+        } else {
+            fills.push(cycle === 0 ? null : CHART_PATTERNS[(cycle - 1) % CHART_PATTERNS.length]);
+        }
+    }
+    
+    return { background: background, border: border, patterns: fills };
+}
+
+/**
+ * Texto de una celda de la tabla de datos de un gráfico
+ * @param {*} value - Número, intervalo [desde, hasta] de una barra flotante o texto
+ * @returns {string} Valor formateado en el idioma actual ('' si no hay dato)
+ */
+function formatChartCell(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) {
+        return t('ui.interval', { lower: formatNumber(value[0]), upper: formatNumber(value[1]) });
+    }
+    return typeof value === 'number' ? formatNumber(value) : String(value);
+}
+
+/**
+ * Tabla de datos equivalente a un gráfico, para lectores de pantalla y para quien no distingue
+ * sus colores. En los gráficos con etiquetas hay una fila por etiqueta (sin las vacías que
+ * cierran un polígono) y una columna por serie; en los de ejes lineales, una fila por punto
+ * @param {Object} config - Configuración de Chart.js (type, data y options)
+ * @returns {Object} { caption, headers, rows, total }: celdas ya formateadas, como máximo
+ *   CHART_TABLE_LIMIT filas, y total con el número de filas completo
+ */
+function chartConfigToTable(config) {
+    const options = config.options || {};
+    const plugins = options.plugins || {};
+    const scales = options.scales || {};
+    const caption = plugins.title && plugins.title.text ? plugins.title.text : '';
+    const axisTitle = axis => (scales[axis] && scales[axis].title ? scales[axis].title.text : '');
+    const datasets = config.data.datasets;
+    let headers;
+    let rows;
+    
+    if (config.data.labels) {
+        // Con barras horizontales (indexAxis 'y') las etiquetas están en el eje vertical
+        const indexAxis = options.indexAxis || 'x';
+        const valueAxis = indexAxis === 'x' ? 'y' : 'x';
+        headers = [
+            axisTitle(indexAxis) || t('ui.a11y.label'),
+            ...datasets.map(dataset => dataset.label || axisTitle(valueAxis) || t('ui.a11y.value'))
+        ];
+        rows = config.data.labels
+            .map((label, i) => ({ label: label, i: i }))
+            .filter(({ label }) => label !== '')
+            .map(({ label, i }) => [String(label), ...datasets.map(dataset => {
+                // Una serie de puntos (como los atípicos del diagrama de caja) se lista por etiqueta
+                const points = dataset.data.filter(point => point !== null && typeof point === 'object' && !Array.isArray(point));
+                if (points.length > 0) {
+                    return formatNumberList(points.filter(point => point[indexAxis] === label).map(point => point[valueAxis]));
+                }
+                return formatChartCell(dataset.data[i]);
+            })]);
+    } else {
+        const series = datasets.length > 1;
+        headers = [...(series ? [t('ui.a11y.series')] : []), axisTitle('x') || 'x', axisTitle('y') || 'y'];
+        rows = datasets.flatMap(dataset => dataset.data.map(point => [
+            ...(series ? [dataset.label] : []), formatChartCell(point.x), formatChartCell(point.y)
+        ]));
+    }
+    
+    return { caption: caption, headers: headers, rows: rows.slice(0, CHART_TABLE_LIMIT), total: rows.length };
+}
+
+// ===========================
+// FUNCIONES DE GRÁFICOS SIN CHART.JS
+// ===========================
+
+/**
+ * Marcas "redondas" de un eje (1, 2 o 5 por una potencia de 10) que cubren un rango
+ * @param {number} min - Mínimo del rango
+ * @param {number} max - Máximo del rango
+ * @param {number} count - Cantidad aproximada de intervalos
+ * @returns {number[]} Marcas en orden: la primera ≤ min y la última ≥ max
+ */
+function calcAxisTicks(min, max, count = 5) {
+    if (min === max) {
+        min -= 1;
+        max += 1;
+    }
+    
+    const rough = (max - min) / count;
+    const power = Math.pow(10, Math.floor(Math.log10(rough)));
+    const step = [1, 2, 5, 10].map(factor => factor * power).find(candidate => candidate >= rough);
+    // Redondear quita los restos de coma flotante que deja sumar el paso (0.1 + 0.2)
+    const round = value => parseFloat(value.toFixed(12));
+    
+    let value = round(Math.floor(min / step) * step);
+    const ticks = [value];
+    while (value < max) {
+        value = round(value + step);
+        ticks.push(value);
+    }
+    return ticks;
+}
+
+/**
+ * Rango de los ejes de un gráfico de Chart.js, para dibujarlo sin la biblioteca. En los
+ * gráficos con etiquetas el eje de las etiquetas (indexAxis) no tiene rango; las barras y
+ * las escalas con beginAtZero incluyen el 0, las barras apiladas suman sus valores y los
+ * min y max de las escalas tienen prioridad
+ * @param {Object} config - Configuración de Chart.js (type, data y options)
+ * @returns {Object} { indexAxis, categorical, x, y }: x e y son { min, max } o null
+ */
+function getChartAxisRanges(config) {
+    const options = config.options || {};
+    const scales = options.scales || {};
+    const categorical = Boolean(config.data.labels);
+    const indexAxis = options.indexAxis || 'x';
+    const valueAxis = indexAxis === 'x' ? 'y' : 'x';
+    const stacked = categorical && Boolean(scales[valueAxis] && scales[valueAxis].stacked);
+    const values = { x: [], y: [] };
+    const stackTotals = [];
+    let hasBars = false;
+    
+    config.data.datasets.forEach(dataset => {
+        const isBar = (dataset.type || config.type) === 'bar';
+        hasBars = hasBars || isBar;
+        dataset.data.forEach((point, i) => {
+            if (point === null || point === undefined) return;
+            if (typeof point === 'object' && !Array.isArray(point)) {
+                ['x', 'y'].forEach(axis => {
+                    if (typeof point[axis] === 'number') values[axis].push(point[axis]);
+                });
+            } else if (stacked && isBar) {
+                stackTotals[i] = (stackTotals[i] || 0) + point;
+            } else {
+                values[valueAxis].push(...[].concat(point));
+            }
+        });
+    });
+    values[valueAxis].push(...stackTotals.filter(total => total !== undefined));
+    
+    const range = axis => {
+        if (categorical && axis === indexAxis) return null;
+        const scale = scales[axis] || {};
+        let min = values[axis].reduce((a, b) => Math.min(a, b), Infinity);
+        let max = values[axis].reduce((a, b) => Math.max(a, b), -Infinity);
+        if (min === Infinity) {
+            min = 0;
+            max = 1;
+        }
+        if (scale.beginAtZero || (hasBars && axis === valueAxis)) {
+            min = Math.min(min, 0);
+            max = Math.max(max, 0);
+        }
+        return {
+            min: scale.min !== undefined ? scale.min : min,
+            max: scale.max !== undefined ? scale.max : max
+        };
+    };
+    
+    return { indexAxis: indexAxis, categorical: categorical, x: range('x'), y: range('y') };
+}
+
+// ===========================
+// FUNCIONES DE DESIGUALDAD DE LA CARGA
+// ===========================
+
+// Fracción del equipo con más errores corregidos que se usa en la participación superior
+const TOP_SHARE_FRACTION = 0.2;
+
+// Puntos de la curva de Lorenz que se conservan para el gráfico en conjuntos grandes
+const LORENZ_MAX_POINTS = 500;
+
+/**
+ * Ordena una copia de los valores de menor a mayor. Un arreglo tipado se ordena numéricamente
+ * sin función de comparación, bastante más rápido con cientos de miles de valores
+ * @param {number[]} values - Array de valores
+ * @returns {Float64Array} Copia ordenada
+ */
+function sortedCopy(values) {
+    return Float64Array.from(values).sort();
+}
+
+/**
+ * Calcula la curva de Lorenz: fracción acumulada del equipo frente a fracción acumulada del total
+ * @param {number[]} values - Array de valores
+ * @param {number} maxPoints - Máximo de puntos (además del origen); con más valores se conserva
+ *   uno de cada tantos, siempre incluido el último (1, 1)
+ * @returns {Object[]} Puntos { population, share } entre 0 y 1, empezando en (0, 0)
+ */
+function calcLorenzCurve(values, maxPoints = Infinity) {
+    const sorted = sortedCopy(values);
+    const total = sorted.reduce((acc, val) => acc + val, 0);
+    const n = sorted.length;
+    const step = Math.max(1, Math.ceil(n / maxPoints));
+    const points = [{ population: 0, share: 0 }];
+    
+    let cumulative = 0;
+    sorted.forEach((value, i) => {
+        cumulative += value;
+        if ((i + 1) % step !== 0 && i !== n - 1) return;
+        points.push({
+            population: (i + 1) / n,
+            share: total > 0 ? cumulative / total : (i + 1) / n
+        });
+    });
+    
+    return points;
+}
+
+/**
+ * Calcula el coeficiente de Gini (0 = reparto igualitario, cerca de 1 = un solo programador hace todo)
+ * @param {number[]} values - Array de valores
+ * @returns {number} Coeficiente de Gini
+ */
+function calcGini(values) {
+    const n = values.length;
+    const total = values.reduce((acc, val) => acc + val, 0);
+    if (n === 0 || total === 0) return 0;
+    
+    const sorted = sortedCopy(values);
+    const weighted = sorted.reduce((acc, val, i) => acc + (2 * (i + 1) - n - 1) * val, 0);
+    return weighted / (n * total);
+}
+
+/**
+ * Calcula la participación en el total del grupo de programadores con más errores corregidos
+ * @param {number[]} values - Array de valores
+ * @param {number} fraction - Fracción del equipo (0.2 para el 20% superior)
+ * @returns {Object} fraction, count (programadores incluidos) y share (% del total)
+ */
+function calcTopShare(values, fraction = TOP_SHARE_FRACTION) {
+    const total = values.reduce((acc, val) => acc + val, 0);
+    const count = Math.max(1, Math.ceil(values.length * fraction));
+    const top = sortedCopy(values).slice(-count);
+    
+    return {
+        fraction: fraction,
+        count: values.length === 0 ? 0 : count,
+        share: total > 0 ? (top.reduce((acc, val) => acc + val, 0) / total) * 100 : 0
+    };
+}
+
+/**
+ * Calcula el índice de Theil (0 = reparto igualitario, máximo ln n)
+ * @param {number[]} values - Array de valores
+ * @returns {number} Índice de Theil
+ */
+function calcTheilIndex(values) {
+    const mean = calcMean(values);
+    if (mean === 0) return 0;
+    
+    // Por convención 0 · ln 0 = 0
+    const sum = values.reduce((acc, val) => {
+        const ratio = val / mean;
+        return ratio > 0 ? acc + ratio * Math.log(ratio) : acc;
+    }, 0);
+    return sum / values.length;
+}
+
+/**
+ * Calcula las medidas de desigualdad de la carga
+ * @param {number[]} values - Array de valores
+ * @returns {Object|null} gini, theil, theilMax (ln n), topShare y lorenz (a lo sumo
+ *   LORENZ_MAX_POINTS puntos), o null si hay valores negativos (las participaciones en el
+ *   total dejan de tener sentido)
+ */
+function computeInequality(values) {
+    if (values.some(value => value < 0)) return null;
+    
+    return {
+        gini: calcGini(values),
+        theil: calcTheilIndex(values),
+        theilMax: values.length > 0 ? Math.log(values.length) : 0,
+        topShare: calcTopShare(values),
+        lorenz: calcLorenzCurve(values, LORENZ_MAX_POINTS)
+    };
+}
+
+// ===========================
+// FUNCIONES DE INFERENCIA
+// ===========================
+
+// Coeficientes de la aproximación de Lanczos (g = 7, n = 9) para el logaritmo de la función gamma
+const LANCZOS_COEFFICIENTS = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+    1.5056327351493116e-7
+];
+
+// Remuestreos del intervalo bootstrap y semilla fija para que el resultado sea reproducible
+const BOOTSTRAP_ITERATIONS = 2000;
+const BOOTSTRAP_SEED = 20240601;
+
+// Con más valores el remuestreo es demasiado lento y la mediana se acota por rangos
+const BOOTSTRAP_MAX_N = 2000;
+
+// Método del intervalo de la mediana (clave → mensaje), para etiquetas y conclusiones
+const MEDIAN_INTERVAL_METHODS = {
+    bootstrap: 'inference.method.bootstrap',
+    ranks: 'inference.method.ranks'
+};
+
+// Hipótesis alternativas de la prueba t (clave → mensaje)
+const TEST_ALTERNATIVES = {
+    'two-sided': 'inference.alternative.twoSided',
+    'greater': 'inference.alternative.greater',
+    'less': 'inference.alternative.less'
+};
+
+/**
+ * Logaritmo natural de la función gamma (aproximación de Lanczos)
+ * @param {number} x - Argumento positivo
+ * @returns {number} ln Γ(x)
+ */
+function logGamma(x) {
+    if (x < 0.5) {
+        // Fórmula de reflexión
+        return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    }
+    
+    x -= 1;
+    let sum = LANCZOS_COEFFICIENTS[0];
+    for (let i = 1; i < LANCZOS_COEFFICIENTS.length; i++) {
+        sum += LANCZOS_COEFFICIENTS[i] / (x + i);
+    }
+    const t = x + 7.5;
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+/**
+ * Fracción continua de la función beta incompleta (método de Lentz)
+ * @param {number} x - Punto de evaluación entre 0 y 1
+ * @param {number} a - Primer parámetro
+ * @param {number} b - Segundo parámetro
+ * @returns {number} Valor de la fracción continua
+ */
+function betaContinuedFraction(x, a, b) {
+    const tiny = 1e-300;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < tiny) d = tiny;
+    d = 1 / d;
+    let result = d;
+    
+    for (let m = 1; m <= 300; m++) {
+        const m2 = 2 * m;
+        
+        // Término par
+        let numerator = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+        d = 1 + numerator * d;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = 1 + numerator / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        result *= d * c;
+        
+        // Término impar
+        numerator = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+        d = 1 + numerator * d;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = 1 + numerator / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        result *= delta;
+        
+        if (Math.abs(delta - 1) < 1e-15) break;
+    }
+    
+    return result;
+}
+
+/**
+ * Función beta incompleta regularizada I_x(a, b)
+ * @param {number} x - Punto de evaluación entre 0 y 1
+ * @param {number} a - Primer parámetro
+ * @param {number} b - Segundo parámetro
+ * @returns {number} Probabilidad acumulada de la distribución beta
+ */
+function regularizedIncompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    
+    // La fracción continua converge rápido solo a un lado de la media de la beta
+    if (x < (a + 1) / (a + b + 2)) {
+        return front * betaContinuedFraction(x, a, b) / a;
+    }
+    return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+/**
+ * Probabilidad de cola superior de la t de Student: P(T > t)
+ * @param {number} t - Valor del estadístico
+ * @param {number} df - Grados de libertad
+ * @returns {number} Probabilidad de la cola superior
+ */
+function tTailProbability(t, df) {
+    const halfTail = 0.5 * regularizedIncompleteBeta(df / (df + t * t), df / 2, 0.5);
+    return t >= 0 ? halfTail : 1 - halfTail;
+}
+
+/**
+ * Función de distribución acumulada de la t de Student: P(T ≤ t)
+ * @param {number} t - Valor del estadístico
+ * @param {number} df - Grados de libertad
+ * @returns {number} Probabilidad acumulada
+ */
+function tCDF(t, df) {
+    return 1 - tTailProbability(t, df);
+}
+
+/**
+ * Cuantil de la t de Student (inversa de tCDF por bisección)
+ * @param {number} p - Probabilidad acumulada entre 0 y 1
+ * @param {number} df - Grados de libertad
+ * @returns {number} Valor t tal que P(T ≤ t) = p
+ */
+function tQuantile(p, df) {
+    if (p === 0.5) return 0;
+    if (p < 0.5) return -tQuantile(1 - p, df);
+    
+    // Ampliar el intervalo hasta contener el cuantil
+    let low = 0;
+    let high = 1;
+    while (tCDF(high, df) < p) {
+        low = high;
+        high *= 2;
+    }
+    
+    for (let i = 0; i < 100; i++) {
+        const middle = (low + high) / 2;
+        if (tCDF(middle, df) < p) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+    
+    return (low + high) / 2;
+}
+
+/**
+ * Generador pseudoaleatorio con semilla (mulberry32)
+ * @param {number} seed - Semilla entera
+ * @returns {Function} Función que devuelve números uniformes en [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Intervalo de confianza t para la media, con la varianza muestral
+ * @param {number[]} values - Array de valores (al menos dos)
+ * @param {number} level - Nivel de confianza en porcentaje (por ejemplo 95)
+ * @returns {Object} mean, standardError, df, tCritical, lower, upper y level
+ */
+function calcMeanConfidenceInterval(values, level = 95) {
+    const n = values.length;
+    const mean = calcMean(values);
+    const standardError = Math.sqrt(calcVariance(values, false) / n);
+    const df = n - 1;
+    const tCritical = tQuantile(1 - (1 - level / 100) / 2, df);
+    
+    return {
+        level: level,
+        mean: mean,
+        standardError: standardError,
+        df: df,
+        tCritical: tCritical,
+        lower: mean - tCritical * standardError,
+        upper: mean + tCritical * standardError
+    };
+}
+
+/**
+ * Prueba t para una muestra contra un valor hipotético de la media
+ * @param {number[]} values - Array de valores (al menos dos)
+ * @param {number} targetMean - Media bajo la hipótesis nula (μ₀)
+ * @param {string} alternative - 'two-sided', 'greater' o 'less'
+ * @returns {Object} t, df, pValue, mean, targetMean y alternative
+ */
+function oneSampleTTest(values, targetMean, alternative = 'two-sided') {
+    const n = values.length;
+    const mean = calcMean(values);
+    const standardError = Math.sqrt(calcVariance(values, false) / n);
+    const df = n - 1;
+    
+    // Sin variabilidad el estadístico es 0 o infinito según la media coincida con μ₀
+    let t;
+    if (standardError === 0) {
+        t = mean === targetMean ? 0 : (mean > targetMean ? Infinity : -Infinity);
+    } else {
+        t = (mean - targetMean) / standardError;
+    }
+    
+    let pValue;
+    if (alternative === 'greater') {
+        pValue = tTailProbability(t, df);
+    } else if (alternative === 'less') {
+        pValue = tTailProbability(-t, df);
+    } else {
+        pValue = Math.min(1, 2 * tTailProbability(Math.abs(t), df));
+    }
+    
+    return { t: t, df: df, pValue: pValue, mean: mean, targetMean: targetMean, alternative: alternative };
+}
+
+/**
+ * Intervalo de confianza bootstrap (percentil) para la mediana
+ * @param {number[]} values - Array de valores
+ * @param {number} level - Nivel de confianza en porcentaje
+ * @param {number} iterations - Número de remuestreos
+ * @param {Function} random - Generador uniforme en [0, 1); por defecto uno con semilla fija
+ * @returns {Object} median, lower, upper, level, iterations y method ('bootstrap')
+ */
+function bootstrapMedianCI(values, level = 95, iterations = BOOTSTRAP_ITERATIONS, random = createSeededRandom(BOOTSTRAP_SEED)) {
+    const n = values.length;
+    const sample = new Float64Array(n);
+    const medians = new Array(iterations);
+    
+    for (let b = 0; b < iterations; b++) {
+        for (let i = 0; i < n; i++) {
+            sample[i] = values[Math.floor(random() * n)];
+        }
+        sample.sort();
+        medians[b] = n % 2 === 0 ? (sample[n / 2 - 1] + sample[n / 2]) / 2 : sample[(n - 1) / 2];
+    }
+    
+    const alpha = 1 - level / 100;
+    return {
+        level: level,
+        iterations: iterations,
+        method: 'bootstrap',
+        median: calcMedian(values),
+        lower: calcPercentile(medians, (alpha / 2) * 100, 'inclusive'),
+        upper: calcPercentile(medians, (1 - alpha / 2) * 100, 'inclusive')
+    };
+}
+
+/**
+ * Intervalo de confianza para la mediana por rangos (estadísticos de orden): la cantidad de
+ * valores por debajo de la mediana es binomial (n, 1/2), que con n grande se aproxima por la
+ * normal. Los límites son los valores que ocupan los rangos n/2 ± z·√n / 2
+ * @param {number[]} values - Array de valores
+ * @param {number} level - Nivel de confianza en porcentaje
+ * @returns {Object} median, lower, upper, level, iterations (null) y method ('ranks')
+ */
+function calcMedianRankInterval(values, level = 95) {
+    const n = values.length;
+    const sorted = sortedCopy(values);
+    // Con n grande la t de Student coincide en la práctica con la normal
+    const z = tQuantile(1 - (1 - level / 100) / 2, Math.max(1, n - 1));
+    const halfWidth = z * Math.sqrt(n) / 2;
+    const lowerRank = Math.max(1, Math.floor(n / 2 - halfWidth));
+    const upperRank = Math.min(n, Math.ceil(n / 2 + halfWidth) + 1);
+    
+    return {
+        level: level,
+        iterations: null,
+        method: 'ranks',
+        median: n % 2 === 0 ? (sorted[n / 2 - 1] + sorted[n / 2]) / 2 : sorted[(n - 1) / 2],
+        lower: sorted[lowerRank - 1],
+        upper: sorted[upperRank - 1]
+    };
+}
+
+/**
+ * Calcula la sección de inferencia: IC de la media, prueba t opcional e IC de la mediana
+ * (bootstrap hasta BOOTSTRAP_MAX_N valores, por rangos con más)
+ * @param {number[]} values - Array de valores
+ * @param {Object} options - level, targetMean (null para omitir la prueba) y alternative
+ * @returns {Object|null} Resultados, o null si hay menos de dos valores
+ * @throws {Error} Si el nivel de confianza o la hipótesis alternativa no son válidos
+ */
+function computeInference(values, options = {}) {
+    const { level = 95, targetMean = null, alternative = 'two-sided' } = options;
+    
+    if (isNaN(level) || level <= 0 || level >= 100) {
+        throw new Error(t('inference.error.level'));
+    }
+    if (!hasOwnKey(TEST_ALTERNATIVES, alternative)) {
+        throw new Error(t('inference.error.alternative', { alternative: alternative }));
+    }
+    if (values.length < 2) return null;
+    
+    const hasTarget = targetMean !== null && !isNaN(targetMean);
+    return {
+        level: level,
+        meanInterval: calcMeanConfidenceInterval(values, level),
+        tTest: hasTarget ? oneSampleTTest(values, targetMean, alternative) : null,
+        medianInterval: values.length <= BOOTSTRAP_MAX_N
+            ? bootstrapMedianCI(values, level)
+            : calcMedianRankInterval(values, level)
+    };
+}
+
+/**
+ * Formatea un valor p para mostrarlo
+ * @param {number} pValue - Valor p
+ * @returns {string} Valor con tres decimales o "< 0.001"
+ */
+function formatPValue(pValue) {
+    return pValue < 0.001 ? `< ${formatNumber(0.001, 3)}` : formatNumber(pValue, 3);
+}
+
+// ===========================
+// FUNCIONES DE AJUSTE DE DISTRIBUCIONES
+// ===========================
+
+// Nombre de cada modelo teórico para tablas y conclusiones
+const DISTRIBUTION_MODELS = {
+    poisson: 'Poisson',
+    binomial: 'Binomial'
+};
+
+// Frecuencia esperada mínima por clase en la prueba chi-cuadrado
+const MIN_EXPECTED_FREQUENCY = 5;
+
+// Con valores mayores no se ajustan modelos de conteo: la prueba recorre cada valor desde 0
+const MAX_FIT_VALUE = 100000;
+
+/**
+ * Función de probabilidad de Poisson
+ * @param {number} k - Cantidad de eventos (entero no negativo)
+ * @param {number} lambda - Media de la distribución
+ * @returns {number} P(X = k)
+ */
+function poissonPMF(k, lambda) {
+    if (lambda === 0) return k === 0 ? 1 : 0;
+    return Math.exp(k * Math.log(lambda) - lambda - logGamma(k + 1));
+}
+
+/**
+ * Función de probabilidad binomial
+ * @param {number} k - Cantidad de éxitos
+ * @param {number} trials - Número de ensayos (m)
+ * @param {number} p - Probabilidad de éxito
+ * @returns {number} P(X = k)
+ */
+function binomialPMF(k, trials, p) {
+    if (k < 0 || k > trials) return 0;
+    if (p === 0) return k === 0 ? 1 : 0;
+    if (p === 1) return k === trials ? 1 : 0;
+    return Math.exp(logGamma(trials + 1) - logGamma(k + 1) - logGamma(trials - k + 1) +
+        k * Math.log(p) + (trials - k) * Math.log(1 - p));
+}
+
+/**
+ * Función gamma incompleta superior regularizada Q(s, x)
+ * @param {number} s - Parámetro de forma
+ * @param {number} x - Punto de evaluación
+ * @returns {number} Q(s, x) = 1 - P(s, x)
+ */
+function regularizedUpperGamma(s, x) {
+    if (x <= 0) return 1;
+    
+    const front = Math.exp(-x + s * Math.log(x) - logGamma(s));
+    
+    if (x < s + 1) {
+        // Serie de P(s, x)
+        let term = 1 / s;
+        let sum = term;
+        for (let n = 1; n < 500; n++) {
+            term *= x / (s + n);
+            sum += term;
+            if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+        }
+        return Math.max(0, 1 - front * sum);
+    }
+    
+    // Fracción continua de Q(s, x) (método de Lentz)
+    const tiny = 1e-300;
+    let b = x + 1 - s;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let result = d;
+    for (let i = 1; i < 500; i++) {
+        const a = -i * (i - s);
+        b += 2;
+        d = a * d + b;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = b + a / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        result *= delta;
+        if (Math.abs(delta - 1) < 1e-15) break;
+    }
+    return front * result;
+}
+
+/**
+ * Probabilidad de cola superior de la chi-cuadrado: P(χ² > x)
+ * @param {number} x - Valor del estadístico
+ * @param {number} df - Grados de libertad
+ * @returns {number} Valor p
+ */
+function chiSquareTailProbability(x, df) {
+    return regularizedUpperGamma(df / 2, x / 2);
+}
+
+/**
+ * Ajusta una distribución de Poisson con λ igual a la media
+ * @param {number[]} values - Array de valores
+ * @returns {Object} Modelo ajustado { model, label, lambda, estimatedParameters }
+ */
+function fitPoisson(values) {
+    const lambda = calcMean(values);
+    return {
+        model: 'poisson',
+        label: `Poisson (λ = ${formatNumber(lambda)})`,
+        lambda: lambda,
+        estimatedParameters: 1
+    };
+}
+
+/**
+ * Ajusta una distribución binomial con m ensayos y p = media / m
+ * @param {number[]} values - Array de valores
+ * @param {number} trials - Número de ensayos (m), al menos el máximo observado
+ * @returns {Object} Modelo ajustado { model, label, trials, p, estimatedParameters }
+ * @throws {Error} Si m no es un entero mayor o igual que el máximo observado
+ */
+function fitBinomial(values, trials) {
+    const max = calcMax(values);
+    if (!Number.isInteger(trials) || trials < Math.max(1, max)) {
+        throw new Error(t('fit.error.trials', { max: formatNumber(Math.max(1, max)) }));
+    }
+    
+    const p = calcMean(values) / trials;
+    return {
+        model: 'binomial',
+        label: `Binomial (m = ${formatNumber(trials)}, p = ${formatNumber(p)})`,
+        trials: trials,
+        p: p,
+        estimatedParameters: 1
+    };
+}
+
+/**
+ * Probabilidad de un valor bajo un modelo ajustado
+ * @param {Object} fit - Modelo de fitPoisson o fitBinomial
+ * @param {number} k - Valor de la variable
+ * @returns {number} P(X = k)
+ */
+function distributionPMF(fit, k) {
+    return fit.model === 'binomial' ? binomialPMF(k, fit.trials, fit.p) : poissonPMF(k, fit.lambda);
+}
+
+/**
+ * Prueba chi-cuadrado de bondad de ajuste; une clases contiguas hasta que cada una
+ * tenga una frecuencia esperada mínima
+ * @param {number[]} values - Array de valores
+ * @param {Object} fit - Modelo ajustado
+ * @param {number} minExpected - Frecuencia esperada mínima por clase
+ * @returns {Object} classes, statistic, df, pValue (null si df < 1) y merged
+ */
+function chiSquareGoodnessOfFit(values, fit, minExpected = MIN_EXPECTED_FREQUENCY) {
+    const n = values.length;
+    // El modelo de Poisson no tiene máximo: la última clase acumula la cola (≥ máximo observado)
+    const last = fit.model === 'binomial' ? fit.trials : calcMax(values);
+    
+    // Conteos por valor distinto: la memoria depende de n, no del máximo
+    const observed = new Map();
+    values.forEach(value => {
+        observed.set(value, (observed.get(value) || 0) + 1);
+    });
+    
+    // Unir clases de izquierda a derecha; el resto final se suma a la clase anterior. Cuando la
+    // frecuencia esperada que queda ya no alcanza para cerrar otra clase, los valores restantes
+    // y la cola forman una sola clase sin recorrerlos uno por uno
+    const classes = [];
+    let current = null;
+    let cumulative = 0;
+    for (let k = 0; k <= last; k++) {
+        if (!current) current = { lower: k, upper: k, observed: 0, expected: 0 };
+        const remaining = n * Math.max(0, 1 - cumulative);
+        
+        if (k === last || current.expected + remaining < minExpected) {
+            current.upper = last;
+            observed.forEach((count, value) => {
+                if (value >= k) current.observed += count;
+            });
+            current.expected += remaining;
+            if (current.expected >= minExpected) {
+                classes.push(current);
+                current = null;
+            }
+            break;
+        }
+        
+        const probability = distributionPMF(fit, k);
+        cumulative += probability;
+        current.upper = k;
+        current.observed += observed.get(k) || 0;
+        current.expected += n * probability;
+        if (current.expected >= minExpected) {
+            classes.push(current);
+            current = null;
+        }
+    }
+    if (current) {
+        if (classes.length > 0) {
+            const previous = classes[classes.length - 1];
+            previous.upper = current.upper;
+            previous.observed += current.observed;
+            previous.expected += current.expected;
+        } else {
+            classes.push(current);
+        }
+    }
+    
+    classes.forEach((cls, i) => {
+        const openEnded = fit.model === 'poisson' && i === classes.length - 1;
+        if (openEnded) {
+            cls.label = `≥ ${formatNumber(cls.lower)}`;
+        } else {
+            cls.label = cls.lower === cls.upper ? formatNumber(cls.lower) : `${formatNumber(cls.lower)} - ${formatNumber(cls.upper)}`;
+        }
+        cls.contribution = cls.expected > 0 ? Math.pow(cls.observed - cls.expected, 2) / cls.expected : 0;
+    });
+    
+    const statistic = classes.reduce((acc, cls) => acc + cls.contribution, 0);
+    const df = classes.length - 1 - fit.estimatedParameters;
+    
+    return {
+        classes: classes,
+        statistic: statistic,
+        df: df,
+        pValue: df >= 1 ? chiSquareTailProbability(statistic, df) : null,
+        merged: classes.length < last + 1
+    };
+}
+
+/**
+ * Ajusta Poisson y, si se indica m, binomial; incluye el índice de dispersión s² / media
+ * @param {number[]} values - Array de valores
+ * @param {Object} options - binomialTrials (null para omitir el modelo binomial)
+ * @returns {Object|null} dispersionIndex y fits (cada uno con su prueba), o null sin valores
+ *   o si no son conteos (enteros no negativos de hasta MAX_FIT_VALUE)
+ * @throws {Error} Si binomialTrials no es un entero positivo o es menor que el máximo observado
+ */
+function computeDistributionFit(values, options = {}) {
+    const { binomialTrials = null } = options;
+    if (binomialTrials !== null && !(Number.isInteger(binomialTrials) && binomialTrials >= 1)) {
+        throw new Error(t('fit.error.trialsInteger'));
+    }
+    if (values.length === 0 || !values.every(value => Number.isInteger(value) && value >= 0)) return null;
+    if (calcMax(values) > MAX_FIT_VALUE) return null;
+    
+    const fits = [fitPoisson(values)];
+    if (binomialTrials !== null) {
+        fits.push(fitBinomial(values, binomialTrials));
+    }
+    fits.forEach(fit => {
+        fit.test = chiSquareGoodnessOfFit(values, fit);
+    });
+    
+    const mean = calcMean(values);
+    return {
+        dispersionIndex: mean > 0 ? calcVariance(values, false) / mean : null,
+        fits: fits
+    };
+}
+
+/**
+ * Añade a la tabla de frecuencias las frecuencias esperadas de cada modelo ajustado
+ * @param {Array} freqRows - Tabla de getFrequencyTable
+ * @param {number} n - Número de observaciones
+ * @param {Object|null} distributionFit - Resultado de computeDistributionFit
+ * @returns {Array} Filas con la propiedad expected { poisson, binomial }
+ */
+function addExpectedFrequencies(freqRows, n, distributionFit) {
+    if (!distributionFit) return freqRows;
+    
+    return freqRows.map(row => {
+        const expected = {};
+        distributionFit.fits.forEach(fit => {
+            expected[fit.model] = parseFloat((n * distributionPMF(fit, row.value)).toFixed(4));
+        });
+        return { ...row, expected: expected };
+    });
+}
+
+// ===========================
+// FUNCIONES DE ANÁLISIS COMPLETO
+// ===========================
+
+/**
+ * Calcula todas las estadísticas del análisis a partir de los registros. Las medidas básicas,
+ * de dispersión, de forma y de posición salen de un acumulador de una sola pasada y de la
+ * distribución ordenada de los valores distintos, sin ordenar copias del arreglo completo
+ * @param {Object[]} records - Registros { name, value, categories } de parseRecords
+ * @param {Object} options - population (estimador), percentileMethod, percentileK,
+ *   confidenceLevel, targetMean (null para omitir la prueba t), alternative, binomialTrials
+ *   (null para omitir el modelo binomial) y study (contexto del estudio)
+ * @returns {Object} Objeto con estadísticas calculadas (incluye boxPlot para el diagrama de caja)
+ * @throws {Error} Si el percentil, el nivel de confianza, la hipótesis alternativa o los ensayos
+ *   del modelo binomial no son válidos
+ */
+function computeStats(records, options = {}) {
+    const {
+        population = true, percentileMethod = 'inclusive', percentileK = 90,
+        confidenceLevel = 95, targetMean = null, alternative = 'two-sided', binomialTrials = null,
+        study = getDefaultStudy()
+    } = options;
+    const values = records.map(record => record.value);
+    
+    if (isNaN(percentileK) || percentileK < 0 || percentileK > 100) {
+        throw new Error(t('stats.error.percentile'));
+    }
+    
+    const acc = accumulateValues(values);
+    const distribution = getDistribution(acc);
+    const n = acc.n;
+    
+    const stats = {
+        n: n,
+        sum: acc.sum,
+        min: acc.min,
+        max: acc.max,
+        mean: n === 0 ? 0 : acc.sum / n,
+        median: calcMedianFromDistribution(distribution),
+        modeInfo: calcModeFromDistribution(distribution),
+        range: n === 0 ? 0 : acc.max - acc.min,
+        variance: accumulatorVariance(acc, true),
+        stdDev: Math.sqrt(accumulatorVariance(acc, true))
+    };
+    
+    // Contexto del estudio para etiquetas y conclusiones
+    stats.study = study;
+    
+    // Medidas de dispersión y forma según el estimador elegido
+    stats.population = population;
+    stats.sampleVariance = accumulatorVariance(acc, false);
+    stats.sampleStdDev = Math.sqrt(stats.sampleVariance);
+    stats.meanAbsDev = calcMeanAbsDevFromDistribution(distribution, stats.mean);
+    stats.cv = stats.mean === 0 ? 0 : ((population ? stats.stdDev : stats.sampleStdDev) / Math.abs(stats.mean)) * 100;
+    stats.skewness = accumulatorSkewness(acc, population);
+    stats.kurtosis = accumulatorKurtosis(acc, population);
+    
+    // Medidas de posición y detección de atípicos
+    stats.boxPlot = calcBoxPlotData(values, percentileMethod, distribution);
+    stats.quartiles = { q1: stats.boxPlot.q1, q2: stats.boxPlot.median, q3: stats.boxPlot.q3 };
+    stats.iqr = stats.quartiles.q3 - stats.quartiles.q1;
+    stats.fences = calcTukeyFences(stats.quartiles.q1, stats.quartiles.q3);
+    stats.outliers = stats.boxPlot.outliers;
+    stats.percentile = { k: percentileK, value: calcPercentileFromDistribution(distribution, percentileK, percentileMethod) };
+    stats.outliersText = stats.outliers.length === 0
+        ? t('stats.noOutliers')
+        : stats.outliers.map(outlier => `${records[outlier.position - 1].name}: ${formatNumber(outlier.value)}`).join(', ');
+    
+    // Desigualdad del reparto de la carga
+    stats.inequality = computeInequality(values);
+    
+    // Inferencia sobre la media y la mediana
+    stats.inference = computeInference(values, { level: confidenceLevel, targetMean: targetMean, alternative: alternative });
+    
+    // Ajuste de modelos de conteo (Poisson y binomial)
+    stats.distributionFit = computeDistributionFit(values, { binomialTrials: binomialTrials });
+    
+    // Tabla por unidad de observación y desglose por categoría
+    stats.records = records;
+    stats.personRows = getPersonTable(records, population);
+    stats.categoryStats = getCategoryStats(records, population);
+    
+    // Formatear texto de moda
+    stats.modeText = stats.modeInfo.type === 'ninguna' ? t('stats.noMode') : formatNumberList(stats.modeInfo.modes);
+    
+    return stats;
+}
+
+/**
+ * Agrupa los valores en intervalos de clase y calcula las medidas agrupadas
+ * @param {number[]} values - Array de valores
+ * @param {string} rule - 'sturges', 'sqrt' o 'width'
+ * @param {number} customWidth - Ancho de clase cuando rule es 'width'
+ * @returns {Object} Tabla agrupada (groupedTable) y sus medidas (groupedStats)
+ */
+function computeGroupedStats(values, rule = 'sturges', customWidth = null) {
+    const intervals = calcClassIntervals(values, rule, customWidth);
+    const groupedTable = getGroupedFrequencyTable(values, intervals);
+    
+    return {
+        groupedTable: groupedTable,
+        groupedStats: {
+            k: intervals.k,
+            width: intervals.width,
+            mean: calcGroupedMean(groupedTable),
+            median: calcGroupedMedian(groupedTable),
+            modeInfo: calcGroupedMode(groupedTable),
+            variance: calcGroupedVariance(groupedTable, true)
+        }
+    };
+}
+
+/**
+ * Valida la entrada y calcula el análisis completo. Es el mismo recorrido en la página (en el
+ * hilo principal o en el worker), en la CLI y en las pruebas
+ * @param {string} inputString - Datos en cualquier formato aceptado por validateInput
+ * @param {Object} options - study, checkExpectedN (false para no exigir el n esperado),
+ *   grouping ({ rule, customWidth } para agrupar en intervalos, o null) y las opciones de computeStats
+ * @returns {Object} records, values, stats, freqTable (con las frecuencias esperadas de los
+ *   modelos ajustados), groupedTable (null sin agrupar) y diagnostics (avisos de validación)
+ * @throws {Error} Con el mensaje de validateInput (y sus diagnostics), de checkExpectedCount
+ *   o de computeStats
+ */
+function analyzeInput(inputString, options = {}) {
+    const { study = getDefaultStudy(), checkExpectedN = true, grouping = null } = options;
+    
+    const validation = validateInput(inputString, study);
+    if (validation.error) throwValidationError(validation);
+    
+    const records = validation.records;
+    const countError = checkExpectedN ? checkExpectedCount(records.length, study) : null;
+    if (countError) throwValidationError({ error: countError, diagnostics: validation.diagnostics });
+    
+    const values = records.map(record => record.value);
+    const stats = computeStats(records, { ...options, study: study });
+    const freqTable = addExpectedFrequencies(getFrequencyTable(values), values.length, stats.distributionFit);
+    
+    let groupedTable = null;
+    if (grouping) {
+        const grouped = computeGroupedStats(values, grouping.rule, grouping.customWidth);
+        groupedTable = grouped.groupedTable;
+        stats.grouped = grouped.groupedStats;
+    }
+    
+    return {
+        records: records,
+        values: values,
+        stats: stats,
+        freqTable: freqTable,
+        groupedTable: groupedTable,
+        diagnostics: validation.diagnostics
+    };
+}
+
+// Valores distintos que se muestran como máximo en la tabla y los gráficos sin agrupar
+const FREQUENCY_VALUE_LIMIT = 100;
+
+/**
+ * Agrupa en clases (regla de Sturges) un análisis sin agrupar con más de FREQUENCY_VALUE_LIMIT
+ * valores distintos: una fila o una barra por valor no se podría leer ni dibujar con rapidez
+ * @param {Object} result - Resultado de analyzeInput; se completan groupedTable y stats.grouped
+ * @returns {boolean} true si se agruparon los datos
+ */
+function groupLargeAnalysis(result) {
+    if (result.groupedTable || result.freqTable.length <= FREQUENCY_VALUE_LIMIT) return false;
+    
+    const grouped = computeGroupedStats(result.values);
+    result.groupedTable = grouped.groupedTable;
+    result.stats.grouped = grouped.groupedStats;
+    return true;
+}
+
+// ===========================
+// FUNCIONES DE ANÁLISIS EN SEGUNDO PLANO
+// ===========================
+
+/**
+ * Prepara el resultado de analyzeInput para enviarlo desde el worker con postMessage.
+ * Clonar un objeto por registro es lo más lento de la transferencia, así que los registros y
+ * la tabla por unidad de observación viajan como columnas en arreglos tipados, que se
+ * transfieren sin copiar; solo los nombres ingresados por el usuario se envían como texto
+ * @param {Object} result - Resultado de analyzeInput
+ * @returns {Object} message (datos para postMessage) y transfer (buffers transferibles)
+ */
+function packAnalysis(result) {
+    const { records, stats } = result;
+    const n = records.length;
+    const categoryCount = ERROR_CATEGORIES.length;
+    const withCategories = n > 0 && records[0].categories !== null;
+    
+    const columns = {
+        values: new Float64Array(n),
+        imputed: new Uint8Array(n),
+        categories: withCategories ? new Float64Array(n * categoryCount) : null,
+        z: new Float64Array(n),
+        percentileRank: new Float64Array(n)
+    };
+    records.forEach((record, i) => {
+        columns.values[i] = record.value;
+        columns.imputed[i] = record.imputed ? 1 : 0;
+        if (withCategories) columns.categories.set(record.categories, i * categoryCount);
+    });
+    stats.personRows.forEach((row, i) => {
+        columns.z[i] = row.z;
+        columns.percentileRank[i] = row.percentileRank;
+    });
+    
+    const summary = { ...stats };
+    delete summary.records;
+    delete summary.personRows;
+    
+    return {
+        message: {
+            stats: summary,
+            freqTable: result.freqTable,
+            groupedTable: result.groupedTable,
+            diagnostics: result.diagnostics,
+            names: n > 0 && records[0].named ? records.map(record => record.name) : null,
+            columns: columns
+        },
+        transfer: Object.values(columns).filter(column => column !== null).map(column => column.buffer)
+    };
+}
+
+/**
+ * Reconstruye en la página el resultado que envió el worker con packAnalysis
+ * @param {Object} message - Datos recibidos del worker
+ * @returns {Object} Resultado con la misma forma que el de analyzeInput
+ */
+function unpackAnalysis(message) {
+    const { columns, names } = message;
+    const n = columns.values.length;
+    const categoryCount = ERROR_CATEGORIES.length;
+    const observation = capitalize(getStudy(message.stats).observation);
+    
+    const records = new Array(n);
+    const personRows = new Array(n);
+    for (let i = 0; i < n; i++) {
+        const name = names ? names[i] : `${observation} #${i + 1}`;
+        const value = columns.values[i];
+        records[i] = {
+            name: name,
+            value: value,
+            categories: columns.categories
+                ? Array.from(columns.categories.subarray(i * categoryCount, (i + 1) * categoryCount))
+                : null,
+            named: names !== null,
+            imputed: columns.imputed[i] === 1
+        };
+        personRows[i] = { position: i + 1, name: name, value: value, z: columns.z[i], percentileRank: columns.percentileRank[i] };
+    }
+    
+    return {
+        records: records,
+        values: records.map(record => record.value),
+        stats: { ...message.stats, records: records, personRows: personRows },
+        freqTable: message.freqTable,
+        groupedTable: message.groupedTable,
+        diagnostics: message.diagnostics
+    };
+}
+
+// ===========================
+// MOTOR DE REGLAS DE CONCLUSIONES
+// ===========================
+
+/**
+ * Umbrales por defecto del motor de conclusiones
+ * - cvBalanced: CV (%) por debajo del cual la carga se considera equilibrada
+ * - cvUnbalanced: CV (%) por encima del cual la carga se considera desigual
+ * - symmetryTolerance: |media - mediana| / σ por debajo del cual la distribución es simétrica
+ * - kurtosisTolerance: |curtosis en exceso| por debajo del cual la forma es mesocúrtica
+ * - zScoreFlag: |z| a partir del cual un programador se señala como sub o sobrecargado
+ * - categoryDominance: participación (%) a partir de la cual una categoría domina la carga
+ */
+const CONCLUSION_THRESHOLDS = {
+    cvBalanced: 15,
+    cvUnbalanced: 30,
+    symmetryTolerance: 0.1,
+    kurtosisTolerance: 0.5,
+    zScoreFlag: 1.5,
+    categoryDominance: 40,
+    fitSignificance: 0.05,
+    giniBalanced: 0.2,
+    giniUnbalanced: 0.35,
+    topShareUnbalanced: 40
+};
+
+// El texto de las conclusiones es texto enriquecido: un arreglo de fragmentos { type, text }
+// donde type es 'text' o 'highlight'. Nunca se interpreta como HTML: la página crea un nodo de
+// texto por fragmento y la exportación los concatena, así que un nombre como "<b>Ana</b>" se
+// muestra tal cual se escribió
+
+/**
+ * Une partes de texto simple o enriquecido en un solo texto enriquecido; los fragmentos de
+ * texto contiguos se fusionan y los vacíos se descartan
+ * @param {...(string|number|Object[])} parts - Partes en orden
+ * @returns {Object[]} Texto enriquecido
+ */
+function concatRichText(...parts) {
+    const fragments = [];
+    parts.forEach(part => {
+        const items = Array.isArray(part) ? part : [{ type: 'text', text: String(part) }];
+        items.forEach(fragment => {
+            if (fragment.text === '') return;
+            const last = fragments[fragments.length - 1];
+            if (fragment.type === 'text' && last && last.type === 'text') {
+                last.text += fragment.text;
+            } else {
+                fragments.push({ type: fragment.type, text: fragment.text });
+            }
+        });
+    });
+    return fragments;
+}
+
+/**
+ * Une textos enriquecidos con un separador, como Array.prototype.join
+ * @param {Array} items - Textos simples o enriquecidos
+ * @param {string} separator - Separador
+ * @returns {Object[]} Texto enriquecido
+ */
+function joinRichText(items, separator) {
+    return concatRichText(...items.flatMap((item, i) => (i === 0 ? [item] : [separator, item])));
+}
+
+/**
+ * Mensaje del catálogo como texto enriquecido: cada marcador {nombre} se reemplaza por su
+ * parámetro, que puede ser texto simple o enriquecido
+ * @param {string} key - Clave del mensaje
+ * @param {Object} params - Valores de los marcadores
+ * @returns {Object[]} Texto enriquecido
+ */
+function tRich(key, params = {}) {
+    // Con un grupo de captura, split deja el texto fijo en las posiciones pares y los nombres
+    // de los marcadores en las impares
+    return concatRichText(...t(key).split(/\{(\w+)\}/).map((part, i) => {
+        if (i % 2 === 0) return part;
+        return params[part] !== undefined ? params[part] : `{${part}}`;
+    }));
+}
+
+/**
+ * Pone en mayúscula la inicial de un texto enriquecido
+ * @param {Object[]} fragments - Texto enriquecido
+ * @returns {Object[]} Texto enriquecido
+ */
+function capitalizeRichText(fragments) {
+    return fragments.map((fragment, i) => (i === 0 ? { type: fragment.type, text: capitalize(fragment.text) } : fragment));
+}
+
+/**
+ * Texto simple de un texto enriquecido
+ * @param {Object[]} fragments - Texto enriquecido
+ * @returns {string} Texto sin marcas
+ */
+function richTextToPlainText(fragments) {
+    return fragments.map(fragment => fragment.text).join('');
+}
+
+/**
+ * Resalta un valor dentro de una conclusión
+ * @param {string|number} value - Valor a resaltar
+ * @returns {Object[]} Texto enriquecido con el valor resaltado
+ */
+function highlight(value) {
+    return [{ type: 'highlight', text: String(value) }];
+}
+
+/**
+ * Devuelve el contexto del estudio de un análisis (el de por defecto si no se indicó)
+ * @param {Object} stats - Estadísticas calculadas
+ * @returns {Object} Estudio
+ */
+function getStudy(stats) {
+    return stats.study || getDefaultStudy();
+}
+
+/**
+ * Regla: interpretación de la media
+ * @param {Object} stats - Estadísticas calculadas
+ * @returns {Object} Conclusión
+ */
+function ruleMean(stats) {
+    const study = getStudy(stats);
+    return {
+        icon: 'fa-calculator',
+        title: t('rule.mean.title'),
+        text: tRich('rule.mean.text', {
+            the: studyAgree(study, t('word.theMasculine'), t('word.theFeminine')),
+            n: highlight(formatNumber(stats.n)),
+            observations: study.observationPlural,
+            variable: study.variable,
+            sum: highlight(formatNumber(stats.sum)),
+            mean: highlight(formatNumber(stats.mean, 2)),
+            units: study.unitPlural,
+            observation: study.observation
+        })
+    };
+}
+
+/**
+ * Regla: unidades de observación en los extremos de la distribución
+ * @param {Object} stats - Estadísticas calculadas
+ * @param {Array} freqRows - Datos de frecuencias
+ * @returns {Object|null} Conclusión o null si todos corrigieron lo mismo
+ */
+function ruleExtremes(stats, freqRows) {
+    if (freqRows.length < 2) return null;
+    
+    const minRow = freqRows[0];
+    const maxRow = freqRows[freqRows.length - 1];
+    const study = getStudy(stats);
+    
+    // Con registros con nombre se indica quiénes están en cada extremo
+    const named = stats.records && stats.records.some(record => record.named);
+    const whoAt = value => named
+        ? ': ' + stats.records.filter(record => record.value === value).map(record => record.name).join(', ')
+        : '';
+    
+    return {
+        icon: 'fa-arrows-alt-v',
+        title: t('rule.extremes.title'),
+        text: tRich('rule.extremes.text', {
+            min: highlight(formatQuantity(minRow.value, study)),
+            minCount: formatObservations(minRow.fa, study),
+            minShare: highlight(formatNumber(minRow.percentage) + '%'),
+            minWho: whoAt(minRow.value),
+            max: highlight(formatQuantity(maxRow.value, study)),
+            maxCount: formatObservations(maxRow.fa, study),
+            maxShare: highlight(formatNumber(maxRow.percentage) + '%'),
+            maxWho: whoAt(maxRow.value)
+        })
+    };
+}
+
+/**
+ * Regla: tipo de moda, con advertencia ante distribuciones bimodales o multimodales
+ * @param {Object} stats - Estadísticas calculadas
+ * @returns {Object} Conclusión
+ */
+function ruleMode(stats) {
+    const modeInfo = stats.modeInfo;
+    const study = getStudy(stats);
+    
+    if (modeInfo.type === 'ninguna') {
+        return {
+            icon: 'fa-equals',
+            title: t('rule.mode.title'),
+            text: tRich('rule.mode.none', { units: study.unitPlural, observation: study.observation })
+        };
+    }
+    
+    if (modeInfo.type === 'unimodal') {
+        return {
+            icon: 'fa-star',
+            title: t('rule.mode.title'),
+            text: tRich('rule.mode.unimodal', {
+                mode: highlight(formatQuantity(modeInfo.modes[0], study)),
+                count: formatObservations(modeInfo.frequency, study)
+            })
+        };
+    }
+    
+    return {
+        icon: 'fa-exclamation-triangle',
+        title: t('rule.mode.warningTitle', { type: t(`mode.${modeInfo.type}`) }),
+        text: tRich('rule.mode.multimodal', {
+            modes: highlight(formatNumberList(modeInfo.modes)),
+            frequency: formatNumber(modeInfo.frequency),
+            type: t(`mode.${modeInfo.type}`),
+            the: studyAgree(study, t('word.theMasculine'), t('word.theFeminine')),
+            observations: study.observationPlural
+        })
+    };
+}
+
+/**
+ * Regla: equilibrio de la carga según el coeficiente de variación
+ * @param {Object} stats - Estadísticas calculadas
+ * @param {Array} freqRows - Datos de frecuencias
+ * @param {Object} thresholds - Umbrales del motor
+ * @returns {Object} Conclusión
+ */
+function ruleDispersion(stats, freqRows, thresholds) {
+    const estimatorLabel = t(stats.population ? 'word.population' : 'word.sample');
+    const cvText = highlight(formatNumber(stats.cv, 2) + '%');
+    const limits = { balanced: formatNumber(thresholds.cvBalanced), unbalanced: formatNumber(thresholds.cvUnbalanced) };
+    
+    let verdict;
+    if (stats.cv < thresholds.cvBalanced) {
+        verdict = tRich('rule.dispersion.balanced', { label: highlight(t('rule.dispersion.balancedLabel')), ...limits });
+    } else if (stats.cv <= thresholds.cvUnbalanced) {
+        verdict = tRich('rule.dispersion.moderate', { label: highlight(t('rule.dispersion.moderateLabel')), ...limits });
+    } else {
+        verdict = tRich('rule.dispersion.unbalanced', { label: highlight(t('rule.dispersion.unbalancedLabel')), ...limits });
+    }
+    
+    return {
+        icon: 'fa-balance-scale',
+        title: t('rule.dispersion.title'),
+        text: tRich('rule.dispersion.text', { estimator: estimatorLabel, cv: cvText, verdict: verdict })
+    };
+}
+
+/**
+ * Regla: dirección del sesgo comparando media y mediana
+ * @param {Object} stats - Estadísticas calculadas
+ * @param {Array} freqRows - Datos de frecuencias
+ * @param {Object} thresholds - Umbrales del motor
+ * @returns {Object} Conclusión
+ */
+function ruleSymmetry(stats, freqRows, thresholds) {
+    const difference = stats.mean - stats.median;
+    const stdDev = stats.population ? stats.stdDev : stats.sampleStdDev;
+    const relative = stdDev === 0 ? 0 : difference / stdDev;
+    const study = getStudy(stats);
+    const few = `${studyAgree(study, t('word.fewMasculine'), t('word.fewFeminine'))} ${study.observationPlural}`;
+    
+    let shape;
+    if (Math.abs(relative) < thresholds.symmetryTolerance) {
+        shape = tRich('rule.symmetry.symmetric');
+    } else if (relative > 0) {
+        shape = tRich('rule.symmetry.right', { label: highlight(t('rule.symmetry.rightLabel')), few: few, units: study.unitPlural });
+    } else {
+        shape = tRich('rule.symmetry.left', { label: highlight(t('rule.symmetry.leftLabel')), few: few, units: study.unitPlural });
+    }
+    
+    return {
+        icon: 'fa-wave-square',
+        title: t('rule.symmetry.title'),
+        text: tRich('rule.symmetry.text', {
+            mean: highlight(formatNumber(stats.mean, 2)),
+            median: highlight(formatNumber(stats.median)),
+            skewness: formatNumber(stats.skewness, 3),
+            shape: shape
+        })
+    };
+}
+
+/**
+ * Regla: apuntamiento de la distribución según la curtosis en exceso
+ * @param {Object} stats - Estadísticas calculadas
+ * @param {Array} freqRows - Datos de frecuencias
+ * @param {Object} thresholds - Umbrales del motor
+ * @returns {Object|null} Conclusión o null si no hay variabilidad
+ */
+function ruleKurtosis(stats, freqRows, thresholds) {
+    if (stats.variance === 0) return null;
+    
+    const study = getStudy(stats);
+    let shape;
+    if (Math.abs(stats.kurtosis) < thresholds.kurtosisTolerance) {
+        shape = tRich('rule.kurtosis.mesokurtic');
+    } else if (stats.kurtosis > 0) {
+        shape = tRich('rule.kurtosis.leptokurtic', { observations: study.observationPlural });
+    } else {
+        shape = tRich('rule.kurtosis.platykurtic');
+    }
+    
+    return {
+        icon: 'fa-mountain',
+        title: t('rule.kurtosis.title'),
+        text: tRich('rule.kurtosis.text', { kurtosis: highlight(formatNumber(stats.kurtosis, 3)), shape: shape })
+    };
+}
+
+/**
+ * Regla: señala los valores atípicos detectados con las vallas de Tukey
+ * @param {Object} stats - Estadísticas calculadas
+ * @returns {Object} Conclusión
+ */
+function ruleOutliers(stats) {
+    const study = getStudy(stats);
+    const fences = tRich('rule.outliers.fences', {
+        lower: formatNumber(stats.fences.lower, null, 2), upper: formatNumber(stats.fences.upper, null, 2), units: study.unitPlural
+    });
+    
+    if (stats.outliers.length === 0) {
+        return {
+            icon: 'fa-check-circle',
+            title: t('rule.outliers.title'),
+            text: tRich('rule.outliers.none', {
+                none: studyAgree(study, t('word.noneMasculine'), t('word.noneFeminine')),
+                observation: study.observation,
+                fences: fences
+            })
+        };
+    }
+    
+    const callouts = stats.outliers.map(outlier => tRich('rule.outliers.callout', {
+        who: describeProgrammer(stats, outlier.position),
+        value: highlight(formatQuantity(outlier.value, study)),
+        load: outlier.side === 'superior'
+            ? studyAgree(study, t('word.overloaded'), t('word.overloadedFeminine'))
+            : studyAgree(study, t('word.underloaded'), t('word.underloadedFeminine'))
+    }));
+    
+    return {
+        icon: 'fa-exclamation-circle',
+        title: t('rule.outliers.title'),
+        text: tRich('rule.outliers.text', { fences: fences, callouts: joinRichText(callouts, '; ') })
+    };
+}
+
+/**
+ * Regla: nombra a las unidades de observación cuya puntuación z las señala como sub o sobrecargadas
+ * @param {Object} stats - Estadísticas calculadas
+ * @param {Array} freqRows - Datos de frecuencias
+ * @param {Object} thresholds - Umbrales del motor
+ * @returns {Object|null} Conclusión o null si nadie supera el umbral
+ */
+function ruleLoadFlags(stats, freqRows, thresholds) {
+    if (!stats.personRows) return null;
+    
+    const flagged = stats.personRows.filter(row => Math.abs(row.z) >= thresholds.zScoreFlag);
+    if (flagged.length === 0) return null;
+    
+    const study = getStudy(stats);
+    const describe = rows => joinRichText(
+        rows.map(row => concatRichText(highlight(row.name), ` (${formatQuantity(row.value, study)}, z = ${formatNumber(row.z)})`)),
+        ', '
+    );
+    const overloaded = flagged.filter(row => row.z > 0);
+    const underloaded = flagged.filter(row => row.z < 0);
+    
+    const parts = [];
+    if (overloaded.length > 0) {
+        parts.push(concatRichText(studyAgree(study, t('word.overloadedPlural'), t('word.overloadedFemininePlural')), ': ', describe(overloaded)));
+    }
+    if (underloaded.length > 0) {
+        parts.push(concatRichText(studyAgree(study, t('word.underloadedPlural'), t('word.underloadedFemininePlural')), ': ', describe(underloaded)));
+    }
+    
+    return {
+        icon: 'fa-user-clock',
+        title: capitalize(t('rule.loadFlags.title', {
+            observations: study.observationPlural,
+            flagged: studyAgree(study, t('word.flagged'), t('word.flaggedFeminine'))
+        })),
+        text: tRich('rule.loadFlags.text', { threshold: formatNumber(thresholds.zScoreFlag), parts: joinRichText(parts, '; ') })
+    };
+}
+
+/**
+ * Regla: categoría que domina la carga
+ * @param {Object} stats - Estadísticas calculadas
+ * @param {Array} freqRows - Datos de frecuencias
+ * @param {Object} thresholds - Umbrales del motor
+ * @returns {Object|null} Conclusión o null si no hay desglose por categoría
+ */
+function ruleCategories(stats, freqRows, thresholds) {
+    if (!stats.categoryStats || stats.categoryStats.length === 0) return null;
+    
+    const byShare = [...stats.categoryStats].sort((a, b) => b.share - a.share);
+    const top = byShare[0];
+    const mostUneven = [...stats.categoryStats].sort((a, b) => b.cv - a.cv)[0];
+    const study = getStudy(stats);
+    
+    const verdict = top.share >= thresholds.categoryDominance
+        ? tRich('rule.categories.dominant', {
+            category: highlight(top.category),
+            share: highlight(formatNumber(top.share) + '%'),
+            variable: study.variable,
+            total: formatNumber(top.total)
+        })
+        : tRich('rule.categories.noDominant', {
+            category: highlight(top.category),
+            share: highlight(formatNumber(top.share) + '%'),
+            total: formatQuantity(top.total, study),
+            next: byShare[1].category,
+            nextShare: formatNumber(byShare[1].share)
+        });
+    
+    return {
+        icon: 'fa-layer-group',
+        title: t('rule.categories.title'),
+        text: tRich('rule.categories.text', {
+            verdict: capitalizeRichText(verdict),
+            observations: study.observationPlural,
+            category: highlight(mostUneven.category),
+            cv: formatNumber(mostUneven.cv, 2)
+        })
+    };
+}
+
+/**
+ * Regla: veredicto de equilibrio según el coeficiente de Gini y la participación del 20% superior
+ * @param {Object} stats - Estadísticas calculadas
+ * @param {Array} freqRows - Datos de frecuencias
+ * @param {Object} thresholds - Umbrales del motor
+ * @returns {Object|null} Conclusión o null si el total es 0
+ */
+function ruleInequality(stats, freqRows, thresholds) {
+    if (!stats.inequality || stats.sum === 0) return null;
+    
+    const { gini, theil, topShare } = stats.inequality;
+    const study = getStudy(stats);
+    const topPercent = Math.round(topShare.fraction * 100);
+    
+    const params = {
+        the: studyAgree(study, t('word.theMasculine'), t('word.theFeminine')),
+        observations: study.observationPlural,
+        balanced: formatNumber(thresholds.giniBalanced),
+        unbalanced: formatNumber(thresholds.giniUnbalanced),
+        topPercent: formatNumber(topPercent),
+        topUnbalanced: formatNumber(thresholds.topShareUnbalanced)
+    };
+    
+    let verdict;
+    if (gini >= thresholds.giniUnbalanced || topShare.share >= thresholds.topShareUnbalanced) {
+        verdict = tRich('rule.inequality.unbalanced', { label: highlight(t('rule.inequality.unbalancedLabel')), ...params });
+    } else if (gini < thresholds.giniBalanced) {
+        verdict = tRich('rule.inequality.balanced', { label: highlight(t('rule.inequality.balancedLabel')), ...params });
+    } else {
+        verdict = tRich('rule.inequality.moderate', { label: highlight(t('rule.inequality.moderateLabel')), ...params });
+    }
+    
+    return {
+        icon: 'fa-users-cog',
+        title: t('rule.inequality.title'),
+        text: tRich('rule.inequality.text', {
+            gini: highlight(formatNumber(gini, 3)),
+            topPercent: formatNumber(topPercent),
+            observations: study.observationPlural,
+            topCount: formatNumber(topShare.count),
+            topShare: highlight(formatNumber(topShare.share, null, 2) + '%'),
+            variable: study.variable,
+            theil: formatNumber(theil, 3),
+            verdict: verdict
+        })
+    };
+}
+
+/**
+ * Regla: ajuste al modelo de Poisson (llegada aleatoria) y, si se pidió, al binomial
+ * @param {Object} stats - Estadísticas calculadas
+ * @param {Array} freqRows - Datos de frecuencias
+ * @param {Object} thresholds - Umbrales del motor
+ * @returns {Object|null} Conclusión o null si no hay ajuste o la media es 0
+ */
+function ruleDistributionFit(stats, freqRows, thresholds) {
+    const fit = stats.distributionFit;
+    if (!fit || fit.dispersionIndex === null) return null;
+    
+    const alpha = thresholds.fitSignificance;
+    const dispersion = tRich('rule.fit.dispersion', { index: highlight(formatNumber(fit.dispersionIndex, 2)) });
+    const describeTest = test => tRich('rule.fit.test', {
+        statistic: formatNumber(test.statistic, 2),
+        df: formatNumber(test.df),
+        p: test.pValue < 0.001 ? `p < ${formatNumber(0.001, 3)}` : 'p = ' + formatPValue(test.pValue)
+    });
+    const [poisson, ...others] = fit.fits;
+    const study = getStudy(stats);
+    
+    const params = { model: poisson.label, dispersion: dispersion, units: study.unitPlural };
+    
+    let text;
+    if (poisson.test.pValue === null) {
+        text = tRich('rule.fit.insufficient', {
+            ...params, count: formatObservations(stats.n, study), minimum: formatNumber(MIN_EXPECTED_FREQUENCY)
+        });
+    } else if (poisson.test.pValue >= alpha) {
+        text = tRich('rule.fit.random', {
+            ...params, label: highlight(t('rule.fit.randomLabel', { units: study.unitPlural })), test: describeTest(poisson.test)
+        });
+    } else if (fit.dispersionIndex > 1) {
+        text = tRich('rule.fit.overdispersed', {
+            ...params,
+            label: highlight(t('rule.fit.overdispersedLabel')),
+            test: describeTest(poisson.test),
+            some: studyAgree(study, t('word.someMasculine'), t('word.someFeminine')),
+            observations: study.observationPlural
+        });
+    } else {
+        text = tRich('rule.fit.underdispersed', {
+            ...params, label: highlight(t('rule.fit.underdispersedLabel')), test: describeTest(poisson.test)
+        });
+    }
+    
+    others.forEach(other => {
+        if (other.test.pValue === null) {
+            text = concatRichText(text, ' ', tRich('rule.fit.otherInsufficient', { model: other.label }));
+        } else {
+            text = concatRichText(text, ' ', tRich(other.test.pValue >= alpha ? 'rule.fit.otherCompatible' : 'rule.fit.otherRejected', {
+                model: other.label, test: describeTest(other.test)
+            }));
+        }
+    });
+    
+    return {
+        icon: 'fa-dice',
+        title: t('rule.fit.title'),
+        text: text
+    };
+}
+
+/**
+ * Regla: intervalos de confianza y, si se indicó un valor hipotético, resultado de la prueba t
+ * @param {Object} stats - Estadísticas calculadas
+ * @returns {Object|null} Conclusión o null si no hay inferencia (menos de dos valores)
+ */
+function ruleInference(stats) {
+    if (!stats.inference) return null;
+    
+    const { level, meanInterval, medianInterval, tTest } = stats.inference;
+    const study = getStudy(stats);
+    let text = tRich('rule.inference.text', {
+        level: formatNumber(level),
+        units: study.unitPlural,
+        observation: study.observation,
+        lower: highlight(formatNumber(meanInterval.lower, 2)),
+        upper: highlight(formatNumber(meanInterval.upper, 2)),
+        tCritical: formatNumber(meanInterval.tCritical, 3),
+        df: formatNumber(meanInterval.df),
+        method: medianInterval.method === 'bootstrap'
+            ? tRich('rule.inference.bootstrap', { iterations: formatNumber(medianInterval.iterations) })
+            : tRich('rule.inference.ranks'),
+        medianLower: formatNumber(medianInterval.lower),
+        medianUpper: formatNumber(medianInterval.upper)
+    });
+    
+    if (tTest) {
+        const alpha = 1 - level / 100;
+        const claim = tRich('rule.inference.claim', {
+            alternative: t(TEST_ALTERNATIVES[tTest.alternative]),
+            target: formatNumber(tTest.targetMean),
+            units: study.unitPlural,
+            observation: study.observation
+        });
+        const tText = Number.isFinite(tTest.t) ? formatNumber(tTest.t, 3) : (tTest.t > 0 ? '∞' : '-∞');
+        const pText = tTest.pValue < 0.001 ? `p < ${formatNumber(0.001, 3)}` : `p = ${formatPValue(tTest.pValue)}`;
+        const verdict = tTest.pValue < alpha
+            ? tRich('rule.inference.significant', { alpha: formatNumber(alpha), label: highlight(t('rule.inference.significantLabel')), claim: claim })
+            : tRich('rule.inference.notSignificant', { alpha: formatNumber(alpha), label: highlight(t('rule.inference.notSignificantLabel')), claim: claim });
+        text = concatRichText(text, ' ', tRich('rule.inference.test', {
+            target: formatNumber(tTest.targetMean), t: tText, df: formatNumber(tTest.df), p: pText, verdict: verdict
+        }));
+    }
+    
+    return {
+        icon: 'fa-balance-scale',
+        title: t('rule.inference.title'),
+        text: text
+    };
+}
+
+/**
+ * Describe a una unidad de observación por su nombre o, sin registros, por su posición
+ * @param {Object} stats - Estadísticas calculadas
+ * @param {number} position - Posición en la entrada (base 1)
+ * @returns {string} Descripción de la unidad de observación
+ */
+function describeProgrammer(stats, position) {
+    return stats.records ? stats.records[position - 1].name : `${getStudy(stats).observation} #${position}`;
+}
+
+// Reglas evaluadas en orden por evaluateConclusionRules
+const CONCLUSION_RULES = [
+    ruleMean,
+    ruleExtremes,
+    ruleMode,
+    ruleDispersion,
+    ruleInequality,
+    ruleSymmetry,
+    ruleKurtosis,
+    ruleOutliers,
+    ruleLoadFlags,
+    ruleCategories,
+    ruleDistributionFit,
+    ruleInference
+];
+
+/**
+ * Evalúa las reglas de interpretación sobre las estadísticas calculadas
+ * @param {Array} freqRows - Datos de frecuencias
+ * @param {Object} stats - Estadísticas calculadas
+ * @param {Object} thresholds - Umbrales del motor (se combinan con CONCLUSION_THRESHOLDS)
+ * @param {Function[]} rules - Reglas a evaluar
+ * @returns {Array} Conclusiones { icon, title, text } emitidas por las reglas aplicables; title
+ *   es texto simple y text, texto enriquecido (ver concatRichText)
+ */
+function evaluateConclusionRules(freqRows, stats, thresholds = {}, rules = CONCLUSION_RULES) {
+    const config = { ...CONCLUSION_THRESHOLDS, ...thresholds };
+    return rules
+        .map(rule => rule(stats, freqRows, config))
+        .filter(conclusion => conclusion !== null);
+}
+
+// ===========================
+// FUNCIONES DE IMPORTACIÓN DE ARCHIVOS
+// ===========================
+
+// Separadores de columna reconocidos al importar
+const IMPORT_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Divide texto delimitado en filas respetando campos entre comillas dobles
+ * @param {string} text - Contenido del archivo
+ * @param {string} delimiter - Separador de columnas
+ * @returns {Array} Filas { line, cells } con el número de línea (base 1) donde empieza cada fila
+ */
+function parseDelimitedText(text, delimiter) {
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+    
+    const pushRow = () => {
+        cells.push(cell.trim());
+        if (cells.some(value => value !== '')) {
+            rows.push({ line: rowLine, cells });
+        }
+        cells = [];
+        cell = '';
+    };
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            cells.push(cell.trim());
+            cell = '';
+        } else if (char === '\n') {
+            pushRow();
+            line++;
+            rowLine = line;
+        } else if (char !== '\r') {
+            cell += char;
+        }
+    }
+    pushRow();
+    
+    return rows;
+}
+
+/**
+ * Detecta el separador de columnas: el que aparece la misma cantidad de veces
+ * (y al menos una) en las primeras líneas
+ * @param {string} text - Contenido del archivo
+ * @returns {string} Separador detectado (coma si no hay uno claro)
+ */
+function detectDelimiter(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '').slice(0, 10);
+    
+    let best = ',';
+    let bestScore = 0;
+    
+    IMPORT_DELIMITERS.forEach(delimiter => {
+        const counts = lines.map(line => {
+            const rows = parseDelimitedText(line, delimiter);
+            return rows.length > 0 ? rows[0].cells.length - 1 : 0;
+        });
+        const consistent = counts.every(count => count === counts[0]);
+        // Se prefiere el separador presente en todas las líneas con la misma cantidad de columnas
+        const score = counts[0] > 0 ? (consistent ? 1000 : 0) + counts[0] : 0;
+        if (score > bestScore) {
+            best = delimiter;
+            bestScore = score;
+        }
+    });
+    
+    return best;
+}
+
+/**
+ * Detecta el separador decimal de las celdas numéricas.
+ * Con ";" como separador de columnas se asume la convención latinoamericana (coma decimal)
+ * salvo que los datos muestren puntos decimales
+ * @param {Array} rows - Filas de parseDelimitedText
+ * @param {string} delimiter - Separador de columnas detectado
+ * @returns {string} ',' o '.'
+ */
+function detectDecimalSeparator(rows, delimiter) {
+    const cells = rows.flatMap(row => row.cells);
+    const commaDecimals = cells.filter(cell => /^-?\d+,\d+$/.test(cell)).length;
+    const dotDecimals = cells.filter(cell => /^-?\d+\.\d+$/.test(cell)).length;
+    
+    if (commaDecimals > dotDecimals) return ',';
+    if (dotDecimals > commaDecimals) return '.';
+    return delimiter === ';' ? ',' : '.';
+}
+
+/**
+ * Convierte una celda en número según el separador decimal
+ * @param {string} cell - Celda de texto
+ * @param {string} decimalSeparator - ',' o '.'
+ * @returns {number} Número o NaN si la celda no es numérica
+ */
+function parseNumericCell(cell, decimalSeparator) {
+    const normalized = decimalSeparator === ',' ? cell.replace(',', '.') : cell;
+    return /^-?\d+(\.\d+)?$/.test(normalized) ? parseFloat(normalized) : NaN;
+}
+
+/**
+ * Indica si la primera fila es un encabezado: tiene alguna celda no numérica
+ * en una columna que en la segunda fila sí es numérica
+ * @param {Array} rows - Filas de parseDelimitedText
+ * @param {string} decimalSeparator - ',' o '.'
+ * @returns {boolean} true si la primera fila es encabezado
+ */
+function hasHeaderRow(rows, decimalSeparator) {
+    if (rows.length < 2) return false;
+    return rows[0].cells.some((cell, c) =>
+        isNaN(parseNumericCell(cell, decimalSeparator)) &&
+        !isNaN(parseNumericCell(rows[1].cells[c] || '', decimalSeparator)));
+}
+
+/**
+ * Convierte las filas importadas en registros { name, value }
+ * @param {Array} rows - Filas de datos (sin encabezado)
+ * @param {number} valueColumn - Índice de la columna de la variable
+ * @param {number} labelColumn - Índice de la columna de etiquetas, o -1 si no hay
+ * @param {string} decimalSeparator - ',' o '.'
+ * @param {Object} study - Estudio (nombres para los mensajes, rango, decimales y faltantes)
+ * @returns {Object[]} Registros válidos; con un tratamiento de faltantes distinto de 'error'
+ *   las celdas faltantes dan registros con value null, que recordsToInputText escribe como NA
+ * @throws {Error} Con el número de línea de cada fila inválida
+ */
+function importRowsToRecords(rows, valueColumn, labelColumn, decimalSeparator, study = getDefaultStudy()) {
+    const records = [];
+    const invalidRows = [];
+    
+    rows.forEach(row => {
+        const cell = row.cells[valueColumn] || '';
+        const value = parseNumericCell(cell, decimalSeparator);
+        const label = labelColumn >= 0 ? (row.cells[labelColumn] || '') : '';
+        
+        // Mismas reglas que parseInput: número (entero salvo que el estudio admita decimales) dentro del rango
+        const missing = study.missing !== 'error' && isMissingToken(cell.trim());
+        if (!missing && (isNaN(value) || (!Number.isInteger(value) && !study.allowDecimals) || !isInStudyRange(value, study))) {
+            invalidRows.push(t('validation.lineLabel', { line: row.line, text: cell }));
+        } else if (labelColumn >= 0 && label === '') {
+            invalidRows.push(t('import.noLabel', { line: row.line }));
+        } else {
+            records.push({ name: label, value: missing ? null : value });
+        }
+    });
+    
+    if (invalidRows.length > 0) {
+        throw new Error(t('import.error.invalidRows', {
+            variable: study.variable, rows: invalidRows.join(', '), range: describeStudyRange(study)
+        }));
+    }
+    
+    if (records.every(record => record.value === null)) {
+        throw new Error(t('import.error.empty', { variable: study.variable }));
+    }
+    
+    return records;
+}
+
+/**
+ * Convierte registros importados en texto para el área de datos
+ * @param {Object[]} records - Registros { name, value }; value null se escribe como NA
+ * @param {boolean} named - true para escribir líneas "Nombre: cantidad"
+ * @returns {string} Texto que parseRecords acepta
+ */
+function recordsToInputText(records, named) {
+    const format = value => value === null ? MISSING_MARKERS[0] : value;
+    if (!named) {
+        return records.map(record => format(record.value)).join(', ');
+    }
+    // Los ":" y tabuladores en la etiqueta se reemplazan para no romper el formato
+    return records.map(record => `${record.name.replace(/[:\t]/g, ' ')}: ${format(record.value)}`).join('\n');
+}
+
+// ===========================
+// FUNCIONES DE COMPARACIÓN ENTRE SPRINTS
+// ===========================
+
+/**
+ * Resume un dataset con las medidas usadas en la comparación
+ * @param {string} name - Nombre del dataset (por ejemplo "Sprint 12")
+ * @param {number[]} values - Array de valores
+ * @param {boolean} population - Estimador para la desviación estándar y el CV
+ * @returns {Object} Resumen del dataset
+ */
+function summarizeDataset(name, values, population = true) {
+    return {
+        name: name,
+        values: [...values],
+        n: values.length,
+        mean: calcMean(values),
+        median: calcMedian(values),
+        stdDev: calcStdDev(values, population),
+        cv: calcCoefficientOfVariation(values, population),
+        min: calcMin(values),
+        max: calcMax(values),
+        iqr: calcIQR(values),
+        freqTable: getFrequencyTable(values)
+    };
+}
+
+/**
+ * Compara cada dataset con el anterior: evolución de la media y de la dispersión (CV)
+ * @param {Object[]} datasets - Resúmenes de summarizeDataset en orden cronológico
+ * @param {Object} study - Estudio (unidad de la media)
+ * @returns {Array} Conclusiones con el mismo formato que las reglas de interpretación
+ */
+function compareDatasets(datasets, study = getDefaultStudy()) {
+    const conclusions = [];
+    
+    for (let i = 1; i < datasets.length; i++) {
+        const previous = datasets[i - 1];
+        const current = datasets[i];
+        const meanChange = current.mean - previous.mean;
+        const cvChange = current.cv - previous.cv;
+        
+        let meanText;
+        if (Math.abs(meanChange) < 0.005) {
+            meanText = tRich('compare.meanSame', { mean: highlight(formatNumber(current.mean, 2)), units: study.unitPlural });
+        } else {
+            const percent = previous.mean === 0
+                ? ''
+                : ` (${meanChange > 0 ? '+' : ''}${formatNumber((meanChange / previous.mean) * 100, 1)}%)`;
+            meanText = tRich(meanChange > 0 ? 'compare.meanUp' : 'compare.meanDown', {
+                previous: formatNumber(previous.mean, 2),
+                mean: highlight(formatNumber(current.mean, 2)),
+                units: study.unitPlural,
+                percent: percent
+            });
+        }
+        
+        const cv = { previous: formatNumber(previous.cv, 2), current: formatNumber(current.cv, 2) };
+        let cvText;
+        if (Math.abs(cvChange) < 0.005) {
+            cvText = tRich('compare.cvSame', cv);
+        } else if (cvChange < 0) {
+            cvText = tRich('compare.cvDown', { label: highlight(t('compare.cvDownLabel')), ...cv });
+        } else {
+            cvText = tRich('compare.cvUp', { label: highlight(t('compare.cvUpLabel')), ...cv });
+        }
+        
+        conclusions.push({
+            icon: cvChange <= 0 ? 'fa-compress-alt' : 'fa-expand-alt',
+            title: `${previous.name} → ${current.name}`,
+            text: tRich('compare.text', { mean: meanText, cv: cvText })
+        });
+    }
+    
+    return conclusions;
+}
+
+// ===========================
+// FUNCIONES DE EXPORTACIÓN
+// ===========================
+
+/**
+ * Genera las filas del resumen estadístico para exportar. El id no cambia con el idioma ni con
+ * el estudio y es la clave del resumen en el JSON; label es solo el texto que se muestra
+ * @param {Object} stats - Objeto con estadísticas calculadas
+ * @returns {Object[]} Filas { id, label, value }
+ */
+function getSummaryRows(stats) {
+    const round = value => parseFloat(value.toFixed(4));
+    const row = (id, label, value) => ({ id: id, label: label, value: value });
+    const study = getStudy(stats);
+    
+    const rows = [
+        row('n', t('summary.n', {
+            observations: capitalize(study.observationPlural),
+            evaluated: studyAgree(study, t('word.evaluated'), t('word.evaluatedFeminine'))
+        }), stats.n),
+        row('sum', t('summary.total', { variable: study.variable }), stats.sum),
+        row('min', t('summary.min'), stats.min),
+        row('max', t('summary.max'), stats.max),
+        row('mean', t('summary.mean'), round(stats.mean)),
+        row('median', t('summary.median'), stats.median),
+        row('mode', t('summary.mode'), stats.modeText),
+        row('range', t('summary.range'), stats.range),
+        row('populationVariance', t('summary.populationVariance'), round(stats.variance)),
+        row('populationStdDev', t('summary.populationStdDev'), round(stats.stdDev)),
+        row('sampleVariance', t('summary.sampleVariance'), round(stats.sampleVariance)),
+        row('sampleStdDev', t('summary.sampleStdDev'), round(stats.sampleStdDev)),
+        row('meanAbsDev', t('summary.meanAbsDev'), round(stats.meanAbsDev)),
+        row('cv', t('summary.cv', { estimator: t(stats.population ? 'word.population' : 'word.sample') }), round(stats.cv)),
+        row('skewness', t('summary.skewness'), round(stats.skewness)),
+        row('kurtosis', t('summary.kurtosis'), round(stats.kurtosis)),
+        row('q1', 'Q1', round(stats.quartiles.q1)),
+        row('q3', 'Q3', round(stats.quartiles.q3)),
+        row('iqr', t('summary.iqr'), round(stats.iqr)),
+        row('percentile', t('summary.percentile', { k: formatNumber(stats.percentile.k) }), round(stats.percentile.value)),
+        row('lowerFence', t('summary.lowerFence'), round(stats.fences.lower)),
+        row('upperFence', t('summary.upperFence'), round(stats.fences.upper)),
+        row('outliers', t('summary.outliers'), stats.outliersText)
+    ];
+    
+    if (stats.inequality) {
+        rows.push(
+            row('giniIndex', t('summary.gini'), round(stats.inequality.gini)),
+            row('theilIndex', t('summary.theil'), round(stats.inequality.theil)),
+            row('topShare', t('summary.topShare', { percent: Math.round(stats.inequality.topShare.fraction * 100) }), round(stats.inequality.topShare.share))
+        );
+    }
+    
+    if (stats.distributionFit && stats.distributionFit.dispersionIndex !== null) {
+        rows.push(row('dispersionIndex', t('summary.dispersionIndex'), round(stats.distributionFit.dispersionIndex)));
+        stats.distributionFit.fits.forEach(fit => {
+            const name = DISTRIBUTION_MODELS[fit.model];
+            // Sin clases suficientes no hay prueba: el estadístico y los gl quedan vacíos
+            const tested = fit.test.pValue !== null;
+            rows.push(
+                row(`${fit.model}Model`, t('summary.model', { name: name }), fit.label),
+                row(`${fit.model}ChiSquare`, `χ² ${name}`, tested ? round(fit.test.statistic) : ''),
+                row(`${fit.model}Df`, t('summary.chiSquareDf', { name: name }), tested ? fit.test.df : ''),
+                row(`${fit.model}PValue`, t('summary.chiSquarePValue', { name: name }),
+                    fit.test.pValue === null ? t('summary.insufficientClasses') : parseFloat(fit.test.pValue.toPrecision(4)))
+            );
+        });
+    }
+    
+    if (stats.inference) {
+        const { level, meanInterval, medianInterval, tTest } = stats.inference;
+        const interval = { level: formatNumber(level), method: t(MEDIAN_INTERVAL_METHODS[medianInterval.method]) };
+        rows.push(
+            row('meanLower', t('summary.meanLower', interval), round(meanInterval.lower)),
+            row('meanUpper', t('summary.meanUpper', interval), round(meanInterval.upper)),
+            row('medianLower', t('summary.medianLower', interval), medianInterval.lower),
+            row('medianUpper', t('summary.medianUpper', interval), medianInterval.upper)
+        );
+        if (tTest) {
+            rows.push(
+                row('tTestTargetMean', t('summary.tTest', { alternative: t(TEST_ALTERNATIVES[tTest.alternative]) }), tTest.targetMean),
+                row('tStatistic', t('summary.tStatistic'), Number.isFinite(tTest.t) ? round(tTest.t) : String(tTest.t)),
+                row('tTestDf', t('summary.df'), tTest.df),
+                row('tTestPValue', t('summary.pValue'), parseFloat(tTest.pValue.toPrecision(4)))
+            );
+        }
+    }
+    
+    return rows;
+}
+
+/**
+ * Conclusión en texto plano, para exportarla o mostrarla en la terminal
+ * @param {Object} conclusion - Conclusión emitida por una regla
+ * @returns {string} Título y texto sin resaltados
+ */
+function conclusionToPlainText(conclusion) {
+    return `${conclusion.title}: ${richTextToPlainText(conclusion.text)}`;
+}
+
+/**
+ * Escapa un campo CSV: se encierra entre comillas si contiene separador, comillas o saltos de línea
+ * @param {string|number} value - Valor del campo
+ * @returns {string} Campo escapado
+ */
+function escapeCSVField(value) {
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Construye el CSV con el resumen estadístico y la tabla de frecuencias
+ * @param {Object} data - Datos del análisis actual (window.currentData)
+ * @returns {string} Contenido CSV
+ */
+function buildCSV(data) {
+    const lines = [];
+    const addRow = cells => lines.push(cells.map(escapeCSVField).join(','));
+    
+    addRow([t('export.summary')]);
+    addRow([t('export.measure'), t('export.value')]);
+    getSummaryRows(data.stats).forEach(row => addRow([row.label, row.value]));
+    
+    lines.push('');
+    addRow([t('export.frequencyTable')]);
+    const models = data.freqTable.length > 0 && data.freqTable[0].expected ? Object.keys(data.freqTable[0].expected) : [];
+    addRow([`${capitalize(getStudy(data.stats).variable)} (xi)`, 'fa', 'fr', 'Fa', 'Fr', t('export.percentage'),
+        ...models.map(model => t('frequency.expected', { model: DISTRIBUTION_MODELS[model] }))]);
+    data.freqTable.forEach(row => addRow([row.value, row.fa, row.fr, row.Fa, row.Fr, row.percentage,
+        ...models.map(model => row.expected[model])]));
+    
+    if (data.groupedTable) {
+        lines.push('');
+        addRow([t('export.groupedTable')]);
+        addRow([t('grouping.class'), t('grouping.mark'), 'fa', 'fr', 'Fa', 'Fr', t('export.percentage')]);
+        data.groupedTable.forEach(row => addRow([row.label, row.value, row.fa, row.fr, row.Fa, row.Fr, row.percentage]));
+    }
+    
+    return lines.join('\r\n');
+}
+
+/**
+ * Construye el informe exportable con datos, resumen, tablas y conclusiones
+ * @param {Object} data - Datos del análisis actual (window.currentData)
+ * @returns {Object} Informe serializable
+ */
+function buildReport(data) {
+    const summary = {};
+    getSummaryRows(data.stats).forEach(row => {
+        summary[row.id] = row.value;
+    });
+    
+    return {
+        generatedAt: new Date().toISOString(),
+        study: getStudy(data.stats),
+        records: data.records.map(record => ({ name: record.name, value: record.value, categories: record.categories })),
+        summary: summary,
+        frequencyTable: data.freqTable,
+        groupedFrequencyTable: data.groupedTable,
+        categoryStats: data.stats.categoryStats,
+        conclusions: evaluateConclusionRules(data.freqTable, data.stats, data.thresholds).map(conclusionToPlainText)
+    };
+}
+
+/**
+ * Construye el JSON con datos, resumen, tablas y conclusiones
+ * @param {Object} data - Datos del análisis actual (window.currentData)
+ * @returns {string} Contenido JSON
+ */
+function buildJSON(data) {
+    return JSON.stringify(buildReport(data), null, 2);
+}
+
+// ===========================
+// FUNCIONES DE ENLACES PERMANENTES
+// ===========================
+
+// Fragmento de la URL que lleva el análisis (#a=…); el fragmento no se envía al servidor, así
+// que el enlace también funciona con la página abierta como archivo local
+const PERMALINK_PREFIX = '#a=';
+
+// Largo máximo del enlace completo: más largo, algunos navegadores y programas de chat lo recortan
+const PERMALINK_MAX_LENGTH = 8000;
+
+// Versión del formato del estado; los enlaces de otra versión se rechazan
+const PERMALINK_VERSION = 1;
+
+/**
+ * Codifica bytes en base64url (base64 sin relleno y con "-" y "_", seguro dentro de una URL)
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Texto base64url
+ */
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    // Por bloques, para no superar el máximo de argumentos de String.fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodifica texto base64url
+ * @param {string} text - Texto base64url
+ * @returns {Uint8Array} Bytes
+ * @throws {Error} Si el texto no es base64 válido
+ */
+function base64UrlToBytes(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Pasa bytes por un flujo de transformación (CompressionStream o DecompressionStream)
+ * @param {Uint8Array} bytes - Bytes de entrada
+ * @param {TransformStream} stream - Flujo de transformación
+ * @returns {Promise<Uint8Array>} Bytes transformados
+ */
+async function transformBytes(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Codifica el estado de un análisis para la URL: JSON comprimido con deflate y en base64url.
+ * CompressionStream viene con el navegador (y con Node 18+), así que no hace falta conexión;
+ * sin él, el JSON va sin comprimir. La primera letra indica cuál de los dos es: 'z' o 'j'
+ * @param {Object} state - { input, options, study } (study null para el estudio por defecto)
+ * @returns {Promise<string>} Estado codificado
+ */
+async function encodePermalinkState(state) {
+    const bytes = new TextEncoder().encode(JSON.stringify({ v: PERMALINK_VERSION, ...state }));
+    if (typeof CompressionStream === 'undefined') return 'j' + bytesToBase64Url(bytes);
+    return 'z' + bytesToBase64Url(await transformBytes(bytes, new CompressionStream('deflate')));
+}
+
+/**
+ * Decodifica el estado de encodePermalinkState y valida el estudio
+ * @param {string} payload - Estado codificado
+ * @returns {Promise<Object>} { input, options, study }
+ * @throws {Error} Si el estado está incompleto o es de otra versión, o si el estudio no es válido
+ */
+async function decodePermalinkState(payload) {
+    let state;
+    try {
+        let bytes = base64UrlToBytes(payload.slice(1));
+        if (payload[0] === 'z') {
+            bytes = await transformBytes(bytes, new DecompressionStream('deflate'));
+        } else if (payload[0] !== 'j') {
+            throw new Error(payload[0]);
+        }
+        state = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+        throw new Error(t('permalink.error.invalid'));
+    }
+    
+    if (!state || state.v !== PERMALINK_VERSION || typeof state.input !== 'string') {
+        throw new Error(t('permalink.error.invalid'));
+    }
+    return {
+        input: state.input,
+        options: state.options || {},
+        study: state.study ? normalizeStudy(state.study) : getDefaultStudy()
+    };
+}
+
+/**
+ * Construye el enlace permanente de un análisis
+ * @param {string} baseUrl - Dirección de la página sin fragmento
+ * @param {Object} state - { input, options, study }
+ * @returns {Promise<string>} Enlace
+ * @throws {Error} Si el enlace supera PERMALINK_MAX_LENGTH caracteres
+ */
+async function buildPermalink(baseUrl, state) {
+    const url = baseUrl + PERMALINK_PREFIX + await encodePermalinkState(state);
+    if (url.length > PERMALINK_MAX_LENGTH) {
+        throw new Error(t('permalink.error.tooLong', { length: formatNumber(url.length), limit: formatNumber(PERMALINK_MAX_LENGTH) }));
+    }
+    return url;
+}
+
+/**
+ * Lee el estado de un enlace permanente desde el fragmento de la URL
+ * @param {string} hash - Fragmento, como location.hash
+ * @returns {Promise<Object|null>} Estado, o null si el fragmento no es de un enlace permanente
+ * @throws {Error} Como decodePermalinkState
+ */
+async function readPermalinkHash(hash) {
+    if (!hash.startsWith(PERMALINK_PREFIX)) return null;
+    return decodePermalinkState(hash.slice(PERMALINK_PREFIX.length));
+}
+
+// Exportación para Node (en el navegador las declaraciones anteriores ya son globales)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LOCALES, DEFAULT_LOCALE, hasOwnKey, setLocale, getLocale, t, formatNumber, formatNumberList,
+        getDecimalSeparator, DEFAULT_STUDY, STUDY_PRESETS, DEFAULT_STUDIES, LOCALIZED_STUDY_PRESETS,
+        getDefaultStudy, getStudyPresets, EXPECTED_N_MODES, MISSING_TREATMENTS, MISSING_MARKERS,
+        normalizeStudy, studyAgree, capitalize, toTitleCase, formatQuantity, formatObservations,
+        isInStudyRange, describeStudyRange, checkExpectedCount, createDiagnostic, tokenizeLine,
+        splitLines, isMissingToken, parseValueToken, calcImputedValue, describeToken, validateInput,
+        throwValidationError, parseInput, isNamedInput, ERROR_CATEGORIES, isValidCount,
+        parseRecords, COUNTING_SORT_DENSITY, createAccumulator, accumulateValue, accumulateValues,
+        accumulatorVariance, accumulatorSkewness, accumulatorKurtosis, getDistribution,
+        distributionValueAt, calcMedianFromDistribution, calcPercentileFromDistribution,
+        calcQuartilesFromDistribution, calcModeFromDistribution, calcMeanAbsDevFromDistribution,
+        calcMean, calcMedian, calcMode, calcMin, calcMax, calcRange, calcVariance, calcStdDev,
+        calcCoefficientOfVariation, calcMeanAbsoluteDeviation, calcCentralMoment, calcSkewness,
+        skewnessFromMoments, calcKurtosis, kurtosisFromMoments, calcPercentile, calcQuartiles,
+        calcIQR, calcTukeyFences, detectOutliers, calcBoxPlotData, calcZScores, calcPercentileRank,
+        getPersonTable, getCategoryStats, getFrequencyTable, MAX_CLASS_COUNT, calcClassIntervals,
+        getGroupedFrequencyTable, calcGroupedMean, calcGroupedMedian, calcGroupedMode,
+        calcGroupedVariance, SMALL_SAMPLE_PLOT_LIMIT, FREQUENCY_SERIES, getFrequencySeries,
+        findFrequencyRowIndex, getOgivePoints, buildDotPlotPoints, buildStemAndLeaf,
+        stemAndLeafToText, CHART_TABLE_LIMIT, CHART_PATTERNS, CHART_PALETTES, getPalette,
+        getPaletteRoleColor, getPaletteColors, formatChartCell, chartConfigToTable, calcAxisTicks,
+        getChartAxisRanges, TOP_SHARE_FRACTION, LORENZ_MAX_POINTS, sortedCopy, calcLorenzCurve,
+        calcGini, calcTopShare, calcTheilIndex, computeInequality, LANCZOS_COEFFICIENTS,
+        BOOTSTRAP_ITERATIONS, BOOTSTRAP_SEED, BOOTSTRAP_MAX_N, MEDIAN_INTERVAL_METHODS,
+        TEST_ALTERNATIVES, logGamma, betaContinuedFraction, regularizedIncompleteBeta,
+        tTailProbability, tCDF, tQuantile, createSeededRandom, calcMeanConfidenceInterval,
+        oneSampleTTest, bootstrapMedianCI, calcMedianRankInterval, computeInference, formatPValue,
+        DISTRIBUTION_MODELS, MIN_EXPECTED_FREQUENCY, MAX_FIT_VALUE, poissonPMF, binomialPMF,
+        regularizedUpperGamma, chiSquareTailProbability, fitPoisson, fitBinomial, distributionPMF,
+        chiSquareGoodnessOfFit, computeDistributionFit, addExpectedFrequencies, computeStats,
+        computeGroupedStats, analyzeInput, FREQUENCY_VALUE_LIMIT, groupLargeAnalysis, packAnalysis,
+        unpackAnalysis, CONCLUSION_THRESHOLDS, concatRichText, joinRichText, tRich,
+        capitalizeRichText, richTextToPlainText, highlight, getStudy, ruleMean, ruleExtremes,
+        ruleMode, ruleDispersion, ruleSymmetry, ruleKurtosis, ruleOutliers, ruleLoadFlags,
+        ruleCategories, ruleInequality, ruleDistributionFit, ruleInference, describeProgrammer,
+        CONCLUSION_RULES, evaluateConclusionRules, IMPORT_DELIMITERS, parseDelimitedText,
+        detectDelimiter, detectDecimalSeparator, parseNumericCell, hasHeaderRow,
+        importRowsToRecords, recordsToInputText, summarizeDataset, compareDatasets, getSummaryRows,
+        conclusionToPlainText, escapeCSVField, buildCSV, buildReport, buildJSON, PERMALINK_PREFIX,
+        PERMALINK_MAX_LENGTH, PERMALINK_VERSION, bytesToBase64Url, base64UrlToBytes, transformBytes,
+        encodePermalinkState, decodePermalinkState, buildPermalink, readPermalinkHash
+    };
+}
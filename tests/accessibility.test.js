@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../stats-core.js');
+
+describe('Paletas de los gráficos', () => {
+    it('la paleta por defecto conserva los colores de siempre y traza las porciones que repiten color', () => {
+        const colors = core.getPaletteColors('default', 12);
+        assert.equal(colors.background[0], 'rgba(102, 126, 234, 0.8)');
+        assert.equal(colors.border[0], 'rgba(102, 126, 234, 1)');
+        assert.equal(colors.background[10], colors.background[0]);
+        assert.deepEqual(colors.patterns.slice(9), [null, 'diagonal', 'diagonal']);
+        assert.equal(core.getPaletteRoleColor('default', 'primary', 0.2), 'rgba(102, 126, 234, 0.2)');
+    });
+
+    it('las paletas accesibles dan una trama distinta a cada porción y el alto contraste usa bordes negros', () => {
+        const colors = core.getPaletteColors('highContrast', 3);
+        assert.deepEqual(colors.patterns, core.CHART_PATTERNS.slice(0, 3));
+        assert.ok(colors.border.every(border => border === 'rgba(0, 0, 0, 1)'));
+        assert.equal(new Set(core.getPaletteColors('colorblind', 8).background).size, 8);
+    });
+
+    it('todas las paletas definen los mismos colores de serie', () => {
+        const roles = Object.keys(core.CHART_PALETTES.default.roles).sort();
+        Object.values(core.CHART_PALETTES).forEach(palette => assert.deepEqual(Object.keys(palette.roles).sort(), roles));
+        assert.throws(() => core.getPalette('neon'), /Paleta desconocida: "neon"/);
+    });
+});
+
+describe('Tabla de datos de un gráfico', () => {
+    it('un gráfico con etiquetas da una fila por etiqueta y una columna por serie', () => {
+        const table = core.chartConfigToTable({
+            type: 'bar',
+            data: {
+                labels: ['1 error', '2 errores', ''],
+                datasets: [{ label: 'fa', data: [3, 1.5, null] }, { label: 'Rango', data: [[1, 4], [2, 3], null] }]
+            },
+            options: { plugins: { title: { text: 'Frecuencias' } }, scales: { x: { title: { text: 'Errores' } } } }
+        });
+        assert.equal(table.caption, 'Frecuencias');
+        assert.deepEqual(table.headers, ['Errores', 'fa', 'Rango']);
+        assert.deepEqual(table.rows, [['1 error', '3', '1 a 4'], ['2 errores', '1,5', '2 a 3']]);
+        assert.equal(table.total, 2);
+    });
+
+    it('las series de puntos se listan por etiqueta en los gráficos horizontales', () => {
+        const table = core.chartConfigToTable({
+            type: 'bar',
+            data: {
+                labels: ['Errores'],
+                datasets: [{ label: 'Caja', data: [[2, 8]] }, { label: 'Atípicos', data: [{ x: 20, y: 'Errores' }, { x: 25, y: 'Errores' }] }]
+            },
+            options: { indexAxis: 'y' }
+        });
+        assert.deepEqual(table.headers, ['Etiqueta', 'Caja', 'Atípicos']);
+        assert.deepEqual(table.rows, [['Errores', '2 a 8', '20, 25']]);
+    });
+
+    it('un gráfico de ejes lineales da una fila por punto y limita las filas', () => {
+        const points = Array.from({ length: core.CHART_TABLE_LIMIT + 5 }, (_, i) => ({ x: i, y: i / 2 }));
+        const table = core.chartConfigToTable({
+            type: 'line',
+            data: { datasets: [{ label: 'Curva', data: points }, { label: 'Igualdad', data: [{ x: 0, y: 0 }] }] },
+            options: {}
+        });
+        assert.deepEqual(table.headers, ['Serie', 'x', 'y']);
+        assert.deepEqual(table.rows[1], ['Curva', '1', '0,5']);
+        assert.equal(table.rows.length, core.CHART_TABLE_LIMIT);
+        assert.equal(table.total, core.CHART_TABLE_LIMIT + 6);
+    });
+});
@@ -0,0 +1,136 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../stats-core.js');
+
+const TOLERANCE = 1e-9;
+
+/**
+ * Genera valores enteros pseudoaleatorios reproducibles
+ * @param {number} n - Cantidad de valores
+ * @param {number} max - Valor máximo
+ * @returns {number[]} Valores entre 0 y max
+ */
+function randomCounts(n, max) {
+    const random = core.createSeededRandom(7);
+    return Array.from({ length: n }, () => Math.floor(random() * (max + 1)));
+}
+
+/**
+ * Registros anónimos para computeStats
+ * @param {number[]} values - Valores
+ * @returns {Object[]} Registros { name, value, categories }
+ */
+function toRecords(values) {
+    return values.map((value, i) => ({ name: `Programador #${i + 1}`, value: value, categories: null }));
+}
+
+describe('Acumulador de una pasada', () => {
+    it('la actualización de Welford coincide con los cálculos de dos pasadas', () => {
+        const values = [13, 9, 14, 11, 8, 11, 10, 8, 4, 11, 2.5, 30];
+        const acc = core.accumulateValues(values);
+
+        assert.equal(acc.n, values.length);
+        assert.equal(acc.sum, values.reduce((total, value) => total + value, 0));
+        assert.ok(Math.abs(core.accumulatorVariance(acc, true) - core.calcVariance(values, true)) < TOLERANCE);
+        assert.ok(Math.abs(core.accumulatorVariance(acc, false) - core.calcVariance(values, false)) < TOLERANCE);
+        assert.ok(Math.abs(acc.m3 / acc.n - core.calcCentralMoment(values, 3)) < 1e-6);
+        assert.ok(Math.abs(acc.m4 / acc.n - core.calcCentralMoment(values, 4)) < 1e-6);
+        assert.equal(acc.integers, false);
+    });
+
+    it('agregar los valores de a uno da el mismo resultado que agregarlos juntos', () => {
+        const values = randomCounts(500, 20);
+        const streamed = core.createAccumulator();
+        values.forEach(value => core.accumulateValue(streamed, value));
+        const batch = core.accumulateValues(values);
+
+        assert.equal(streamed.m2, batch.m2);
+        assert.deepEqual([...streamed.counts], [...batch.counts]);
+    });
+
+    it('getDistribution ordena por conteo los enteros y por comparación los datos dispersos', () => {
+        const dense = core.getDistribution(core.accumulateValues([3, 1, 3, 2, 1, 3]));
+        assert.deepEqual(dense, { n: 6, values: [1, 2, 3], counts: [2, 1, 3], cumulative: [2, 3, 6] });
+
+        const sparse = core.getDistribution(core.accumulateValues([1000000, -5, 2.5, -5]));
+        assert.deepEqual(sparse.values, [-5, 2.5, 1000000]);
+        assert.equal(core.distributionValueAt(sparse, 1), -5);
+        assert.equal(core.distributionValueAt(sparse, 2), 2.5);
+    });
+
+    it('la mediana, la moda y la tabla de frecuencias conservan los decimales', () => {
+        const values = [2.5, 1.5, 2.5, 4];
+        assert.equal(core.calcMedian(values), 2.5);
+        assert.deepEqual(core.calcMode(values).modes, [2.5]);
+        assert.deepEqual(core.getFrequencyTable(values).map(row => row.value), [1.5, 2.5, 4]);
+    });
+});
+
+describe('Conjuntos de datos grandes', () => {
+    it('computeStats procesa un millón de valores sin desbordar la pila ni remuestrear', () => {
+        const values = randomCounts(1000000, 40);
+        const stats = core.computeStats(toRecords(values));
+
+        assert.equal(stats.n, 1000000);
+        assert.equal(stats.min, 0);
+        assert.equal(stats.max, 40);
+        assert.ok(Math.abs(stats.mean - 20) < 0.1);
+        assert.equal(stats.inference.medianInterval.method, 'ranks');
+        assert.equal(stats.inference.medianInterval.iterations, null);
+        assert.ok(stats.inequality.lorenz.length <= core.LORENZ_MAX_POINTS + 1);
+        assert.deepEqual(stats.inequality.lorenz[stats.inequality.lorenz.length - 1], { population: 1, share: 1 });
+        assert.equal(stats.personRows[0].percentileRank, parseFloat(core.calcPercentileRank(values, values[0]).toFixed(1)));
+    });
+
+    it('hasta BOOTSTRAP_MAX_N valores la mediana sigue usando bootstrap', () => {
+        const stats = core.computeStats(toRecords(randomCounts(core.BOOTSTRAP_MAX_N, 10)));
+        assert.equal(stats.inference.medianInterval.method, 'bootstrap');
+        assert.match(core.getSummaryRows(stats).map(row => row.label).join('\n'), /IC bootstrap 95% de la mediana/);
+    });
+
+    it('el intervalo por rangos contiene la mediana y se nombra en el resumen', () => {
+        const values = randomCounts(5000, 100);
+        const interval = core.calcMedianRankInterval(values, 95);
+        assert.equal(interval.median, core.calcMedian(values));
+        assert.ok(interval.lower <= interval.median && interval.median <= interval.upper);
+
+        const stats = core.computeStats(toRecords(values));
+        assert.match(core.getSummaryRows(stats).map(row => row.label).join('\n'), /IC por rangos 95% de la mediana/);
+    });
+});
+
+describe('Análisis para el worker', () => {
+    it('analyzeInput valida, exige el n esperado y agrupa si se pide', () => {
+        const exact = { ...core.DEFAULT_STUDY, expectedN: 10, expectedNMode: 'exact' };
+        assert.throws(() => core.analyzeInput('1 2 3', { study: exact }), /^Error: Se esperaban exactamente 10/);
+        assert.equal(core.analyzeInput('1 2 3').stats.n, 3);
+
+        const result = core.analyzeInput('1 2 3 4 5 6 7 8 9 10', { grouping: { rule: 'sqrt' } });
+        assert.equal(result.stats.n, 10);
+        assert.equal(result.groupedTable.length, result.stats.grouped.k);
+        assert.equal(result.freqTable[0].expected.poisson > 0, true);
+    });
+
+    it('packAnalysis y unpackAnalysis reconstruyen los registros y la tabla por unidad', () => {
+        const input = 'Ana: 1 0 2 0 0\nBea: 0 4 0 1 0\nCeci: 2 2 2 2 2';
+        const options = { study: { ...core.DEFAULT_STUDY, expectedNMode: 'none' } };
+        const result = core.analyzeInput(input, options);
+        const { message, transfer } = core.packAnalysis(result);
+
+        assert.ok(transfer.every(buffer => buffer instanceof ArrayBuffer));
+        assert.equal(message.stats.records, undefined);
+
+        const unpacked = core.unpackAnalysis(structuredClone(message, { transfer: transfer }));
+        assert.deepEqual(unpacked.records, result.records);
+        assert.deepEqual(unpacked.stats.personRows, result.stats.personRows);
+        assert.deepEqual(unpacked.values, result.values);
+        assert.equal(unpacked.stats.mean, result.stats.mean);
+    });
+
+    it('los registros anónimos recuperan su nombre sin enviarlo', () => {
+        const result = core.analyzeInput('4, 5, 6', { study: core.STUDY_PRESETS['Incidentes por turno de guardia'] });
+        const { message } = core.packAnalysis(result);
+        assert.equal(message.names, null);
+        assert.equal(core.unpackAnalysis(message).records[2].name, 'Turno de guardia #3');
+    });
+});
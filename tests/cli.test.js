@@ -0,0 +1,140 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const cli = require('../cli.js');
+
+/**
+ * Ejecuta la CLI con archivos simulados y captura la salida
+ * @param {string[]} args - Argumentos de la línea de comandos
+ * @param {Object} files - Contenido por ruta; "-" representa la entrada estándar
+ * @returns {Object} Código de salida, stdout y stderr
+ */
+function run(args, files = {}) {
+    let stdout = '';
+    let stderr = '';
+    const code = cli.main(args, {
+        stdout: text => { stdout += text; },
+        stderr: text => { stderr += text; },
+        read: file => {
+            if (!(file in files)) throw Object.assign(new Error(`ENOENT: ${file}`), { code: 'ENOENT' });
+            return files[file];
+        }
+    });
+    return { code, stdout, stderr };
+}
+
+const README_INPUT = '13,9,14,11,8,11,10,8,4,11';
+
+describe('CLI', () => {
+    it('lee la entrada estándar e imprime el informe en texto', () => {
+        const { code, stdout } = run([], { '-': README_INPUT });
+        assert.equal(code, 0);
+        assert.match(stdout, /^Media\s+9,9$/m);
+        assert.match(stdout, /^\s+11\s+3\s+0,3000\s+8\s+0,8000\s+30,00\s+1,13$/m);
+        assert.match(stdout, /^- Moda: La cantidad más frecuente es 11 errores/m);
+        assert.doesNotMatch(stdout, /<[^>]+>/);
+    });
+
+    it('alinea las columnas de la tabla de frecuencias', () => {
+        const { stdout } = run([], { '-': README_INPUT });
+        const lines = stdout.split('\n');
+        const header = lines.findIndex(line => line.startsWith('Errores (xi)'));
+        const widths = lines.slice(header, header + 9).map(line => line.length);
+        assert.equal(new Set(widths).size, 1);
+    });
+
+    it('alinea tablas de cientos de miles de filas sin desbordar la pila', () => {
+        const rows = [['x', 'fa'], ...Array.from({ length: 200000 }, (_, i) => [String(i), '1'])];
+        const lines = cli.formatAlignedTable(rows).split('\n');
+        assert.equal(lines.length, 200002);
+        assert.equal(lines[2], '     0   1');
+    });
+
+    it('exporta JSON con el resumen y conclusiones en texto plano', () => {
+        const { code, stdout } = run(['--format=json', 'sprint.txt'], { 'sprint.txt': 'Ana: 13\nLuis: 9' });
+        const report = JSON.parse(stdout);
+        assert.equal(code, 0);
+        assert.equal(report.source, 'sprint.txt');
+        assert.equal(report.summary.mean, 11);
+        assert.deepEqual(report.records.map(record => record.name), ['Ana', 'Luis']);
+        assert.ok(report.conclusions.every(text => !/<[^>]+>/.test(text)));
+    });
+
+    it('las claves del resumen JSON no cambian con el idioma', () => {
+        const keys = args => Object.keys(JSON.parse(run(['-f', 'json', ...args], { '-': README_INPUT }).stdout).summary);
+        const spanish = keys([]);
+        assert.deepEqual(keys(['--lang', 'en']), spanish);
+        assert.ok(['n', 'mean', 'q1', 'giniIndex', 'poissonPValue', 'meanLower'].every(key => spanish.includes(key)));
+    });
+
+    it('exporta CSV y antepone el archivo cuando hay varios', () => {
+        const { stdout } = run(['-f', 'csv', 'a.txt', 'b.txt'], { 'a.txt': '1 2 3', 'b.txt': '4 5' });
+        assert.match(stdout, /^a\.txt\r\nResumen estadístico\r\nMedida,Valor\r\n/);
+        assert.match(stdout, /\r\n\r\nb\.txt\r\nResumen estadístico/);
+    });
+
+    it('usa estimadores muestrales con --sample', () => {
+        const { stdout } = run(['-s', '-f', 'json'], { '-': '2 4 4 4 5 5 7 9' });
+        const { summary } = JSON.parse(stdout);
+        assert.equal(summary.sampleVariance, 4.5714);
+        assert.equal(summary.cv, 42.7618);
+    });
+
+    it('añade la columna del modelo binomial con --binomial', () => {
+        const { stdout } = run(['--binomial', '20'], { '-': README_INPUT });
+        assert.match(stdout, /E Poisson  E Binomial$/m);
+        assert.match(stdout, /El modelo Binomial \(m = 20, p = 0,495\)/);
+    });
+
+    it('termina con código 1 y el mensaje de parseInput ante datos inválidos', () => {
+        const { code, stdout, stderr } = run([], { '-': '1, -2, x' });
+        assert.equal(code, 1);
+        assert.equal(stdout, '');
+        assert.equal(stderr, 'Los siguientes valores no son cantidades válidas de errores corregidos: -2, x. Debe ingresar números enteros no negativos.\n');
+    });
+
+    it('indica el archivo con error cuando hay varios', () => {
+        const { code, stderr } = run(['a.txt', 'falta.txt'], { 'a.txt': '1 2' });
+        assert.equal(code, 1);
+        assert.match(stderr, /^falta\.txt: No se pudo leer el archivo/);
+    });
+
+    it('con --lang en escribe el informe y los errores en inglés con punto decimal', () => {
+        const { stdout } = run(['--lang', 'en'], { '-': README_INPUT });
+        assert.match(stdout, /^STATISTICAL SUMMARY$/m);
+        assert.match(stdout, /^Mean\s+9\.9$/m);
+        assert.match(stdout, /^- Mode: The most frequent amount is 11 bugs/m);
+
+        const invalid = run(['-l', 'en'], { '-': '1, x' });
+        assert.equal(invalid.stderr, 'The following values are not valid amounts of bugs fixed: x. Enter non-negative integers.\n');
+        assert.match(run(['--lang', 'fr']).stderr, /^Idioma desconocido: "fr"/);
+        assert.equal(run(['--lang', 'toString']).code, 2);
+    });
+
+    it('termina con código 2 ante opciones inválidas', () => {
+        const { code, stderr } = run(['--format', 'xml']);
+        assert.equal(code, 2);
+        assert.match(stderr, /Formato desconocido: "xml"/);
+        assert.match(stderr, /^Uso: /m);
+
+        ['abc', '150'].forEach(value => {
+            const percentile = run(['-p', value], { '-': README_INPUT });
+            assert.equal(percentile.code, 2, value);
+            assert.match(percentile.stderr, /^El percentil solicitado debe ser un número entre 0 y 100/);
+        });
+        ['abc', '150', '0'].forEach(value => {
+            const confidence = run(['-c', value], { '-': README_INPUT });
+            assert.equal(confidence.code, 2, value);
+            assert.match(confidence.stderr, /nivel de confianza/);
+        });
+        ['foo', 'constructor'].forEach(value => {
+            const alternative = run(['--alternative', value, '-t', '3'], { '-': README_INPUT });
+            assert.equal(alternative.code, 2, value);
+            assert.match(alternative.stderr, new RegExp(`^Hipótesis alternativa desconocida: "${value}"`));
+        });
+        ['abc', '2.5', '0'].forEach(value => {
+            const binomial = run(['-b', value], { '-': README_INPUT });
+            assert.equal(binomial.code, 2, value);
+            assert.match(binomial.stderr, /^El número de ensayos del modelo binomial debe ser un entero positivo/);
+        });
+    });
+});
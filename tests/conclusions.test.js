@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../stats-core.js');
+const { loadPage } = require('./helpers/page.js');
+
+/**
+ * Calcula estadísticas y tabla de frecuencias de una entrada de texto
+ * @param {string} input - Datos en cualquier formato aceptado por parseRecords
+ * @param {Object} options - Opciones de computeStats
+ * @returns {Object} stats y freqTable
+ */
+function analyze(input, options = {}) {
+    const records = core.parseRecords(input);
+    return {
+        stats: core.computeStats(records, options),
+        freqTable: core.getFrequencyTable(records.map(record => record.value))
+    };
+}
+
+describe('Reglas de interpretación', () => {
+    it('ruleDispersion califica la carga según los umbrales de CV', () => {
+        const { stats, freqTable } = analyze('10 11 10 12 9 11 10 11 10 12');
+        const balanced = core.ruleDispersion(stats, freqTable, core.CONCLUSION_THRESHOLDS);
+        assert.match(core.richTextToPlainText(balanced.text), /carga equilibrada/);
+
+        const strict = core.ruleDispersion(stats, freqTable, { ...core.CONCLUSION_THRESHOLDS, cvBalanced: 5, cvUnbalanced: 8 });
+        assert.match(core.richTextToPlainText(strict.text), /carga desigual/);
+    });
+
+    it('ruleSymmetry detecta sesgo a la derecha cuando la media supera a la mediana', () => {
+        const { stats, freqTable } = analyze('1 1 2 2 2 3 3 20');
+        assert.match(core.richTextToPlainText(core.ruleSymmetry(stats, freqTable, core.CONCLUSION_THRESHOLDS).text), /sesgo a la derecha/);
+    });
+
+    it('ruleMode advierte distribuciones bimodales', () => {
+        const { stats } = analyze('2 2 5 5 9');
+        const conclusion = core.ruleMode(stats);
+        assert.match(conclusion.title, /bimodal/);
+    });
+
+    it('ruleOutliers nombra a las personas fuera de las vallas', () => {
+        const { stats } = analyze('Ana: 10\nLuis: 11\nEva: 12\nJuan: 11\nSol: 10\nMax: 40');
+        assert.match(core.richTextToPlainText(core.ruleOutliers(stats).text), /Max con .*40 errores.*sobrecargado/);
+    });
+
+    it('ruleLoadFlags respeta el umbral de z configurado', () => {
+        const { stats, freqTable } = analyze('Ana: 2\nLuis: 10\nEva: 11\nJuan: 10\nSol: 12');
+        assert.match(core.richTextToPlainText(core.ruleLoadFlags(stats, freqTable, core.CONCLUSION_THRESHOLDS).text), /subcargados: .*Ana/);
+        assert.equal(core.ruleLoadFlags(stats, freqTable, { ...core.CONCLUSION_THRESHOLDS, zScoreFlag: 5 }), null);
+    });
+
+    it('ruleCategories no aplica sin desglose por categoría', () => {
+        const { stats, freqTable } = analyze('1 2 3');
+        assert.equal(core.ruleCategories(stats, freqTable, core.CONCLUSION_THRESHOLDS), null);
+    });
+
+    it('evaluateConclusionRules combina umbrales parciales con los valores por defecto', () => {
+        const { stats, freqTable } = analyze('13,9,14,11,8,11,10,8,4,11');
+        const conclusions = core.evaluateConclusionRules(freqTable, stats, { cvUnbalanced: 20 });
+        const dispersion = conclusions.find(conclusion => conclusion.title === 'Equilibrio de la carga');
+        assert.match(core.richTextToPlainText(dispersion.text), /carga desigual/);
+        assert.ok(conclusions.every(conclusion => conclusion.icon && conclusion.title && conclusion.text.length > 0));
+    });
+});
+
+describe('Comparación entre sprints', () => {
+    it('indica si la media subió y si el CV se redujo', () => {
+        const before = core.summarizeDataset('Sprint 12', [13, 9, 14, 11, 8, 11, 10, 8, 4, 11]);
+        const after = core.summarizeDataset('Sprint 13', [10, 11, 10, 12, 9, 11, 10, 11, 10, 12]);
+        const [conclusion] = core.compareDatasets([before, after]);
+        assert.equal(conclusion.title, 'Sprint 12 → Sprint 13');
+        assert.match(core.richTextToPlainText(conclusion.text), /la media subió/);
+        assert.match(core.richTextToPlainText(conclusion.text), /se redujo/);
+    });
+});
+
+describe('Umbrales de la página', () => {
+    const CONTROLS = {
+        dataInput: '13,9,14,11,8,11,10,8,4,11', analysisMode: 'discrete', classRule: 'sturges', classWidth: '',
+        estimatorType: 'population', percentileMethod: 'inclusive', percentileK: '90', confidenceLevel: '95',
+        targetMean: '', testAlternative: 'two-sided', binomialTrials: '', cvBalanced: '15', cvUnbalanced: '30',
+        symmetryTolerance: '0.1', giniBalanced: '0.2', giniUnbalanced: '0.35', topShareUnbalanced: '40'
+    };
+
+    /**
+     * Carga la página con los controles de análisis y registra qué se muestra al analizar
+     * @param {Object} values - Valores que reemplazan a los de CONTROLS
+     * @returns {Object} shown (umbrales recibidos por showAnalysis) y errors (mensajes de error)
+     */
+    function process(values) {
+        const controls = Object.fromEntries(Object.entries({ ...CONTROLS, ...values }).map(([id, value]) => [id, { value }]));
+        const page = loadPage({ clearTimeout, document: { addEventListener() {}, getElementById: id => controls[id] || null } });
+        const shown = [];
+        const errors = [];
+        page.showAnalysis = (result, input, saveToHistory, thresholds) => shown.push(thresholds);
+        page.showAnalysisError = error => errors.push(error.message);
+        page.validateAndProcess();
+        return { shown, errors };
+    }
+
+    it('un umbral inválido se informa antes de mostrar cualquier resultado', () => {
+        const { shown, errors } = process({ cvBalanced: '40' });
+        assert.equal(shown.length, 0);
+        assert.equal(errors.length, 1);
+        assert.equal(errors[0], core.t('ui.thresholds.cv'));
+    });
+
+    it('los umbrales válidos llegan a showAnalysis junto con el resultado', () => {
+        const { shown, errors } = process({});
+        assert.deepEqual(errors, []);
+        assert.equal(shown.length, 1);
+        assert.equal(shown[0].cvUnbalanced, 30);
+    });
+});
@@ -0,0 +1,130 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../stats-core.js');
+const { assertClose } = require('./helpers/assertions.js');
+
+/**
+ * Repite cada valor según su frecuencia
+ * @param {Object} counts - Frecuencia por valor
+ * @returns {number[]} Valores
+ */
+function expand(counts) {
+    return Object.entries(counts).flatMap(([value, count]) => new Array(count).fill(Number(value)));
+}
+
+// Conteos cercanos a una Poisson con λ ≈ 4 y errores concentrados en dos grupos
+const RANDOM_ARRIVAL = expand({ 0: 2, 1: 7, 2: 15, 3: 19, 4: 20, 5: 16, 6: 10, 7: 6, 8: 3, 9: 1, 10: 1 });
+const TWO_GROUPS = expand({ 0: 20, 1: 15, 2: 5, 12: 5, 13: 15, 14: 20 });
+
+describe('Funciones de probabilidad', () => {
+    it('Poisson y binomial coinciden con valores tabulados', () => {
+        assertClose(core.poissonPMF(2, 3), 0.224042, 1e-6);
+        assertClose(core.poissonPMF(0, 0), 1);
+        assertClose(core.binomialPMF(3, 10, 0.5), 0.1171875, 1e-12);
+        assert.equal(core.binomialPMF(11, 10, 0.5), 0);
+    });
+
+    it('la cola de la chi-cuadrado coincide con los valores críticos', () => {
+        assertClose(core.chiSquareTailProbability(3.841459, 1), 0.05, 1e-6);
+        assertClose(core.chiSquareTailProbability(11.070498, 5), 0.05, 1e-6);
+        assertClose(core.chiSquareTailProbability(23.209251, 10), 0.01, 1e-6);
+        assert.equal(core.chiSquareTailProbability(0, 4), 1);
+    });
+});
+
+describe('Prueba chi-cuadrado de bondad de ajuste', () => {
+    const fit = core.fitPoisson(RANDOM_ARRIVAL);
+    const test = core.chiSquareGoodnessOfFit(RANDOM_ARRIVAL, fit);
+
+    it('une clases hasta que cada una tenga frecuencia esperada ≥ 5', () => {
+        assert.ok(test.merged);
+        assert.ok(test.classes.every(cls => cls.expected >= core.MIN_EXPECTED_FREQUENCY));
+        assert.equal(test.classes.reduce((acc, cls) => acc + cls.observed, 0), RANDOM_ARRIVAL.length);
+        assertClose(test.classes.reduce((acc, cls) => acc + cls.expected, 0), RANDOM_ARRIVAL.length, 1e-9);
+        assert.equal(test.classes[0].lower, 0);
+        assert.match(test.classes[test.classes.length - 1].label, /^≥ \d+$/);
+    });
+
+    it('resta un grado de libertad por el parámetro estimado', () => {
+        assert.equal(test.df, test.classes.length - 2);
+    });
+
+    it('no rechaza Poisson con llegada aleatoria y lo rechaza con dos grupos', () => {
+        assert.ok(test.pValue > 0.05);
+        const imbalanced = core.chiSquareGoodnessOfFit(TWO_GROUPS, core.fitPoisson(TWO_GROUPS));
+        assert.ok(imbalanced.pValue < 0.001);
+    });
+
+    it('sin clases suficientes no calcula el valor p', () => {
+        assert.equal(core.chiSquareGoodnessOfFit([1, 2, 3], core.fitPoisson([1, 2, 3])).pValue, null);
+    });
+
+    it('sin prueba el resumen deja vacíos el estadístico y los grados de libertad', () => {
+        const rows = new Map(core.getSummaryRows(core.computeStats(core.parseRecords('13,9,14,11,8,11,10,8,4,11'))).map(row => [row.id, row.value]));
+        assert.equal(rows.get('poissonChiSquare'), '');
+        assert.equal(rows.get('poissonDf'), '');
+        assert.equal(rows.get('poissonPValue'), core.t('summary.insufficientClasses'));
+    });
+
+    it('el modelo binomial cubre de 0 a m', () => {
+        const binomial = core.chiSquareGoodnessOfFit(RANDOM_ARRIVAL, core.fitBinomial(RANDOM_ARRIVAL, 20));
+        assert.equal(binomial.classes[binomial.classes.length - 1].upper, 20);
+    });
+
+    it('un valor grande o un m muy grande no recorren cada valor hasta el máximo', () => {
+        assert.equal(core.computeDistributionFit([1, 2, 3, core.MAX_FIT_VALUE + 1]), null);
+        const test = core.chiSquareGoodnessOfFit(RANDOM_ARRIVAL, core.fitBinomial(RANDOM_ARRIVAL, 1e9));
+        const tail = test.classes[test.classes.length - 1];
+        assert.equal(tail.upper, 1e9);
+        assert.equal(test.classes.reduce((sum, cls) => sum + cls.observed, 0), RANDOM_ARRIVAL.length);
+    });
+
+    it('rechaza m menor que el máximo observado', () => {
+        assert.throws(() => core.fitBinomial(RANDOM_ARRIVAL, 8), /máximo observado \(10\)/);
+        assert.throws(() => core.computeStats(core.parseRecords('1 2 3'), { binomialTrials: 2.5 }), /ensayos del modelo binomial/);
+    });
+
+    it('rechaza un m que no es un entero positivo en vez de omitir el modelo binomial', () => {
+        [NaN, 2.5, 0, -3].forEach(binomialTrials => {
+            assert.throws(() => core.computeDistributionFit(RANDOM_ARRIVAL, { binomialTrials }), /debe ser un entero positivo/, String(binomialTrials));
+        });
+        assert.equal(core.computeDistributionFit(RANDOM_ARRIVAL, { binomialTrials: null }).fits.length, 1);
+    });
+});
+
+describe('Tabla de frecuencias con frecuencias esperadas', () => {
+    it('añade n · P(X = x) de cada modelo', () => {
+        const values = [1, 2, 2, 3];
+        const fit = core.computeDistributionFit(values, { binomialTrials: 4 });
+        const rows = core.addExpectedFrequencies(core.getFrequencyTable(values), values.length, fit);
+        assertClose(rows[1].expected.poisson, 4 * core.poissonPMF(2, 2), 1e-4);
+        assertClose(rows[1].expected.binomial, 4 * 0.375, 1e-4);
+        assert.equal(rows[1].fa, 2);
+    });
+
+    it('el CSV incluye una columna por modelo', () => {
+        const records = core.parseRecords('1 2 2 3');
+        const stats = core.computeStats(records);
+        const freqTable = core.addExpectedFrequencies(core.getFrequencyTable([1, 2, 2, 3]), 4, stats.distributionFit);
+        const csv = core.buildCSV({ stats, freqTable, groupedTable: null });
+        assert.match(csv, /Porcentaje \(%\),Esperada Poisson\r\n1,1,0\.25,1,0\.25,25,1\.0827\r\n/);
+    });
+});
+
+describe('Conclusión de ajuste', () => {
+    const conclude = values => core.conclusionToPlainText(
+        core.ruleDistributionFit(core.computeStats(core.parseRecords(values.join(' '))), [], core.CONCLUSION_THRESHOLDS)
+    );
+
+    it('llegada aleatoria', () => {
+        assert.match(conclude(RANDOM_ARRIVAL), /compatible con una llegada aleatoria de errores/);
+    });
+
+    it('desequilibrio estructural con sobredispersión', () => {
+        assert.match(conclude(TWO_GROUPS), /desequilibrio estructural.*p < 0,001/);
+    });
+
+    it('sin datos suficientes solo informa el índice de dispersión', () => {
+        assert.match(conclude([3, 4, 5]), /no quedan suficientes clases/);
+    });
+});
@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../stats-core.js');
+
+const EXAMPLE = [13, 9, 14, 11, 8, 11, 10, 8, 4, 11];
+
+describe('Series del gráfico de frecuencias', () => {
+    const freqRows = core.getFrequencyTable(EXAMPLE);
+
+    it('getFrequencySeries devuelve fa, porcentaje o Fr en porcentaje', () => {
+        assert.deepEqual(core.getFrequencySeries(freqRows, 'absolute'), [1, 2, 1, 1, 3, 1, 1]);
+        assert.deepEqual(core.getFrequencySeries(freqRows, 'relative'), [10, 20, 10, 10, 30, 10, 10]);
+        assert.deepEqual(core.getFrequencySeries(freqRows, 'cumulative'), [10, 30, 40, 50, 80, 90, 100]);
+        assert.throws(() => core.getFrequencySeries(freqRows, 'log'), /desconocida: "log"/);
+    });
+
+    it('la ojiva agrupada parte de 0 en el primer límite inferior y termina en 100%', () => {
+        const intervals = core.calcClassIntervals(EXAMPLE, 'width', 5);
+        const groupedRows = core.getGroupedFrequencyTable(EXAMPLE, intervals);
+        const points = core.getOgivePoints(groupedRows);
+        const lastIndex = groupedRows.length - 1;
+
+        assert.deepEqual(points[0], { x: groupedRows[0].lower, y: 0, row: null });
+        assert.deepEqual(points[points.length - 1], { x: groupedRows[lastIndex].upper, y: 100, row: lastIndex });
+        assert.deepEqual(core.getOgivePoints(freqRows).map(point => point.x), [4, 8, 9, 10, 11, 13, 14]);
+    });
+});
+
+describe('Agrupación automática', () => {
+    const study = { ...core.DEFAULT_STUDY, expectedNMode: 'none' };
+    const analyze = values => core.analyzeInput(values.join('\n'), { study });
+
+    it('agrupa con la regla de Sturges cuando hay más de FREQUENCY_VALUE_LIMIT valores distintos', () => {
+        const values = Array.from({ length: core.FREQUENCY_VALUE_LIMIT + 1 }, (_, i) => i);
+        const result = analyze(values);
+
+        assert.equal(core.groupLargeAnalysis(result), true);
+        assert.deepEqual(result.groupedTable, core.computeGroupedStats(values).groupedTable);
+        assert.equal(result.stats.grouped.k, result.groupedTable.length);
+        assert.equal(result.freqTable.length, values.length);
+    });
+
+    it('no cambia un análisis con pocos valores distintos ni uno ya agrupado', () => {
+        const few = analyze(EXAMPLE);
+        assert.equal(core.groupLargeAnalysis(few), false);
+        assert.equal(few.groupedTable, null);
+
+        const values = Array.from({ length: core.FREQUENCY_VALUE_LIMIT + 1 }, (_, i) => i);
+        const grouped = core.analyzeInput(values.join('\n'), { study, grouping: { rule: 'width', customWidth: 50 } });
+        const groupedTable = grouped.groupedTable;
+        assert.equal(core.groupLargeAnalysis(grouped), false);
+        assert.equal(grouped.groupedTable, groupedTable);
+    });
+});
+
+describe('Relación entre valores y filas', () => {
+    it('findFrequencyRowIndex encuentra el valor exacto en la tabla simple', () => {
+        const freqRows = core.getFrequencyTable([2.5, 1, 7, 1]);
+        assert.equal(core.findFrequencyRowIndex(freqRows, 2.5), 1);
+        assert.equal(core.findFrequencyRowIndex(freqRows, 7), 2);
+        assert.equal(core.findFrequencyRowIndex(freqRows, 3), -1);
+    });
+
+    it('en la tabla agrupada el límite superior pertenece a la clase siguiente, salvo en la última', () => {
+        const groupedRows = [
+            { lower: 0, upper: 5, value: 2.5 },
+            { lower: 5, upper: 10, value: 7.5 },
+            { lower: 10, upper: 15, value: 12.5 }
+        ];
+        assert.equal(core.findFrequencyRowIndex(groupedRows, 5), 1);
+        assert.equal(core.findFrequencyRowIndex(groupedRows, 4.9), 0);
+        assert.equal(core.findFrequencyRowIndex(groupedRows, 15), 2);
+        assert.equal(core.findFrequencyRowIndex(groupedRows, 15.5), -1);
+    });
+
+    it('buildDotPlotPoints apila un punto por observación sobre su valor', () => {
+        assert.deepEqual(core.buildDotPlotPoints([3, 1, 3, 3]), [
+            { x: 1, y: 1, row: 0 },
+            { x: 3, y: 1, row: 1 },
+            { x: 3, y: 2, row: 1 },
+            { x: 3, y: 3, row: 1 }
+        ]);
+    });
+});
+
+describe('Diagrama de tallo y hojas', () => {
+    it('con el ejemplo los tallos son las decenas y las hojas las unidades', () => {
+        const display = core.buildStemAndLeaf(EXAMPLE);
+        assert.equal(display.leafUnit, 1);
+        assert.equal(core.stemAndLeafToText(display), '0 | 4 8 8 9\n1 | 0 1 1 1 3 4\nClave: 0 | 4 = 4');
+    });
+
+    it('incluye los tallos vacíos y separa -0 de 0', () => {
+        const display = core.buildStemAndLeaf([-12, -3, 4, 31]);
+        assert.deepEqual(display.rows.map(row => row.stem), ['-1', '-0', '0', '1', '2', '3']);
+        assert.deepEqual(display.rows[1].leaves, [3]);
+        assert.deepEqual(display.rows[4].leaves, []);
+        assert.equal(core.stemAndLeafToText(display),
+            '-1 | 2\n-0 | 3\n 0 | 4\n 1 |\n 2 |\n 3 | 1\nClave: -1 | 2 = -12');
+    });
+
+    it('con decimales la hoja es la segunda cifra significativa y el resto se trunca', () => {
+        const display = core.buildStemAndLeaf([0.42, 0.478, 0.519, 0.3]);
+        assert.equal(display.leafUnit, 0.01);
+        assert.deepEqual(display.rows, [
+            { stem: '3', leaves: [0] },
+            { stem: '4', leaves: [2, 7] },
+            { stem: '5', leaves: [1] }
+        ]);
+        assert.match(core.stemAndLeafToText(display), /Clave: 3 \| 0 = 0,30$/);
+    });
+});
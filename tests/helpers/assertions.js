@@ -0,0 +1,17 @@
+// Aserciones compartidas por las pruebas numéricas.
+
+const assert = require('node:assert/strict');
+
+/**
+ * Compara dos números con tolerancia
+ * @param {number} actual - Valor obtenido
+ * @param {number} expected - Valor esperado
+ * @param {number} tolerance - Diferencia máxima aceptada
+ * @param {string} label - Medida comparada, para el mensaje de error
+ */
+function assertClose(actual, expected, tolerance = 1e-6, label = '') {
+    const prefix = label ? `${label}: ` : '';
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${prefix}${actual} no es aproximadamente ${expected}`);
+}
+
+module.exports = { assertClose };
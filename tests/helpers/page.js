@@ -0,0 +1,25 @@
+// Carga los scripts de la página en un contexto de vm, con el documento mínimo que necesita
+// cada prueba, para probar script.js sin navegador.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const PAGE_SCRIPTS = ['messages.js', 'stats-core.js', 'script.js'];
+
+/**
+ * Ejecuta messages.js, stats-core.js y script.js en un contexto nuevo, como los carga index.html
+ * (sin Chart.js: el contexto solo tiene las variables globales indicadas y console)
+ * @param {Object} globals - Variables globales del contexto, como document
+ * @returns {Object} Contexto con las funciones de la página; las variables declaradas con let o
+ *   const se leen con vm.runInContext(nombre, contexto)
+ */
+function loadPage(globals) {
+    const context = vm.createContext({ console, ...globals });
+    PAGE_SCRIPTS.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', '..', file), 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+module.exports = { PAGE_SCRIPTS, loadPage };
@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../stats-core.js');
+const { loadPage } = require('./helpers/page.js');
+
+const ENTRY = {
+    id: '1700000000000-abc123',
+    timestamp: '2024-03-01T10:00:00.000Z',
+    label: 'Sprint 12',
+    input: 'Ana: 13\nLuis: 9\nEva: 14',
+    options: { analysisMode: 'discrete', confidenceLevel: '0.95' },
+    study: core.DEFAULT_STUDY,
+    n: 3,
+    mean: 12
+};
+
+/**
+ * Carga la página con un localStorage en memoria y sin elementos en el documento
+ * @param {Object[]} stored - Historial guardado en el navegador
+ * @returns {Object} Contexto con las funciones de la página
+ */
+function loadHistoryPage(stored = []) {
+    const storage = new Map([['programa-estadistica:historial', JSON.stringify(stored)]]);
+    const localStorage = {
+        getItem: key => (storage.has(key) ? storage.get(key) : null),
+        setItem: (key, value) => storage.set(key, String(value))
+    };
+    const document = { addEventListener() {}, getElementById: () => null };
+    return loadPage({ document, localStorage });
+}
+
+describe('Historial importado', () => {
+    it('mergeHistory combina las entradas válidas, sin repetir, de la más reciente a la más antigua', () => {
+        const page = loadHistoryPage();
+        const older = { ...ENTRY, id: 'old', timestamp: '2024-01-01T10:00:00.000Z', study: undefined, label: undefined };
+        const merged = page.mergeHistory([ENTRY], [older, ENTRY]);
+        assert.deepEqual([...merged].map(entry => entry.id), [ENTRY.id, 'old']);
+    });
+
+    it('rechaza entradas sin media, con fecha, opciones o etiqueta inválidas o con un estudio malformado', () => {
+        const page = loadHistoryPage();
+        const invalid = [
+            { ...ENTRY, mean: undefined },
+            { ...ENTRY, n: '3' },
+            { ...ENTRY, timestamp: 'ayer' },
+            { ...ENTRY, options: [] },
+            { ...ENTRY, label: 7 },
+            { ...ENTRY, study: { ...core.DEFAULT_STUDY, expectedNMode: 'aproximado' } }
+        ];
+        invalid.forEach(entry => assert.throws(() => page.mergeHistory([], [entry]), /no es un historial válido/, JSON.stringify(entry)));
+    });
+
+    it('loadHistory omite las entradas guardadas que no son válidas', () => {
+        const page = loadHistoryPage([ENTRY, { ...ENTRY, id: 'sin-media', mean: null }]);
+        assert.deepEqual([...page.loadHistory()].map(entry => entry.id), [ENTRY.id]);
+    });
+});
@@ -0,0 +1,71 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../stats-core.js');
+const MESSAGES = require('../messages.js');
+
+/**
+ * Marcadores {nombre} de un mensaje, ordenados
+ * @param {string} message - Mensaje del catálogo
+ * @returns {string[]} Nombres de los marcadores
+ */
+function placeholders(message) {
+    return [...message.matchAll(/\{(\w+)\}/g)].map(match => match[1]).sort();
+}
+
+describe('Catálogos de mensajes', () => {
+    it('cada idioma tiene las mismas claves y los mismos marcadores', () => {
+        const keys = Object.keys(MESSAGES.es);
+        assert.deepEqual(Object.keys(MESSAGES.en).sort(), [...keys].sort());
+        keys.forEach(key => assert.deepEqual(placeholders(MESSAGES.en[key]), placeholders(MESSAGES.es[key]), key));
+    });
+
+    it('hay un catálogo por idioma de LOCALES', () => {
+        assert.deepEqual(Object.keys(MESSAGES).sort(), Object.keys(core.LOCALES).sort());
+    });
+});
+
+describe('Idioma actual', () => {
+    afterEach(() => core.setLocale(core.DEFAULT_LOCALE));
+
+    it('t reemplaza los marcadores y, sin traducción, devuelve la clave', () => {
+        assert.equal(core.t('ui.interval', { lower: 1, upper: 2 }), '1 a 2');
+        core.setLocale('en');
+        assert.equal(core.t('ui.interval', { lower: 1, upper: 2 }), '1 to 2');
+        assert.equal(core.t('no.existe'), 'no.existe');
+    });
+
+    it('setLocale rechaza un idioma desconocido y conserva el actual', () => {
+        core.setLocale('en');
+        assert.throws(() => core.setLocale('fr'), /Unknown language: "fr"/);
+        assert.throws(() => core.setLocale('toString'), /Unknown language: "toString"/);
+        assert.equal(core.getLocale(), 'en');
+    });
+
+    it('los mensajes de validación y el estudio por defecto siguen al idioma', () => {
+        core.setLocale('en');
+        assert.equal(core.getDefaultStudy().unitPlural, 'bugs');
+        assert.match(core.validateInput('3, x').error, /^The following values are not valid/);
+    });
+
+    it('formatNumber usa el separador decimal del idioma', () => {
+        assert.equal(core.formatNumber(1234.5, 2), '1234,50');
+        assert.equal(core.formatNumber(0.123456), '0,1235');
+        core.setLocale('en');
+        assert.equal(core.formatNumber(1234.5, 2), '1234.50');
+        assert.equal(core.formatNumberList([1.5, 2]), '1.5, 2');
+    });
+});
+
+describe('Coma decimal', () => {
+    const continuous = core.normalizeStudy({ ...core.DEFAULT_STUDY, allowDecimals: true, expectedNMode: 'none' });
+
+    it('en español la coma entre dígitos es decimal si la variable admite decimales', () => {
+        assert.deepEqual(core.parseInput('2,5; 3 4.25', continuous), [2.5, 3, 4.25]);
+        assert.deepEqual(core.parseInput('2,5', core.normalizeStudy({ ...core.DEFAULT_STUDY, expectedNMode: 'none' })), [2, 5]);
+    });
+
+    it('un valor con varias comas se informa con una pista', () => {
+        const result = core.validateInput('1,2,3', continuous);
+        assert.match(result.diagnostics[0].message, /coma/);
+    });
+});
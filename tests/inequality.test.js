@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../stats-core.js');
+const { assertClose } = require('./helpers/assertions.js');
+
+const README_DATA = [13, 9, 14, 11, 8, 11, 10, 8, 4, 11];
+
+/**
+ * Evalúa la regla de equidad con umbrales opcionales
+ * @param {number[]} values - Array de valores
+ * @param {Object} thresholds - Umbrales que reemplazan a los de por defecto
+ * @returns {string} Conclusión en texto plano
+ */
+function verdict(values, thresholds = {}) {
+    const stats = core.computeStats(core.parseRecords(values.join(' ')));
+    const conclusion = core.ruleInequality(stats, [], { ...core.CONCLUSION_THRESHOLDS, ...thresholds });
+    return core.conclusionToPlainText(conclusion);
+}
+
+describe('Medidas de desigualdad', () => {
+    it('Gini coincide con la media de diferencias absolutas / (2 · media)', () => {
+        // Σ|xi - xj| / (2 n² media) calculado aparte para el caso del README
+        assertClose(core.calcGini(README_DATA), 0.148484848484848, 1e-9);
+    });
+
+    it('Gini y Theil valen 0 con reparto igualitario y son máximos si uno hace todo', () => {
+        assert.equal(core.calcGini([5, 5, 5]), 0);
+        assert.equal(core.calcTheilIndex([5, 5, 5]), 0);
+        assertClose(core.calcGini([0, 0, 0, 10]), 0.75, 1e-9);
+        assertClose(core.calcTheilIndex([0, 0, 0, 10]), Math.log(4), 1e-9);
+    });
+
+    it('sin errores corregidos no hay desigualdad', () => {
+        assert.equal(core.calcGini([0, 0]), 0);
+        assert.equal(core.calcTheilIndex([0, 0]), 0);
+        assert.equal(core.calcTopShare([0, 0]).share, 0);
+    });
+
+    it('participación del 20% superior redondea hacia arriba el número de programadores', () => {
+        assert.deepEqual(core.calcTopShare(README_DATA), { fraction: 0.2, count: 2, share: 27 / 99 * 100 });
+        assert.equal(core.calcTopShare([1, 2, 3]).count, 1);
+    });
+
+    it('la curva de Lorenz va de (0, 0) a (1, 1) y queda bajo la diagonal', () => {
+        const curve = core.calcLorenzCurve(README_DATA);
+        assert.deepEqual(curve[0], { population: 0, share: 0 });
+        assert.deepEqual(curve[curve.length - 1], { population: 1, share: 1 });
+        assert.ok(curve.every(point => point.share <= point.population + 1e-12));
+        assertClose(curve[1].share, 4 / 99, 1e-9);
+    });
+});
+
+describe('Veredicto de equidad', () => {
+    it('equilibrado con los umbrales por defecto', () => {
+        assert.match(verdict(README_DATA), /Gini es 0,148 .* el esfuerzo está equilibrado/);
+    });
+
+    it('moderado entre los dos umbrales de Gini', () => {
+        assert.match(verdict(README_DATA, { giniBalanced: 0.1 }), /moderadamente equilibrado/);
+    });
+
+    it('desequilibrado por concentración en el 20% superior', () => {
+        assert.match(verdict([1, 1, 1, 1, 1, 1, 1, 1, 20, 20]), /no está equilibrado/);
+        assert.match(verdict(README_DATA, { topShareUnbalanced: 25 }), /no está equilibrado/);
+    });
+
+    it('forma parte de las conclusiones automáticas', () => {
+        const stats = core.computeStats(core.parseRecords(README_DATA.join(',')));
+        const conclusions = core.evaluateConclusionRules(core.getFrequencyTable(README_DATA), stats);
+        assert.ok(conclusions.some(conclusion => conclusion.title === 'Equidad del esfuerzo'));
+    });
+});
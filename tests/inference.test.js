@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../stats-core.js');
+const { assertClose } = require('./helpers/assertions.js');
+
+const README_DATA = [13, 9, 14, 11, 8, 11, 10, 8, 4, 11];
+
+describe('Distribución t de Student', () => {
+    it('cuantiles de las tablas publicadas', () => {
+        assertClose(core.tQuantile(0.975, 9), 2.262157, 1e-5);
+        assertClose(core.tQuantile(0.995, 1), 63.656741, 1e-4);
+        assertClose(core.tQuantile(0.95, 30), 1.697261, 1e-5);
+        assertClose(core.tQuantile(0.975, 1000), 1.962339, 1e-5);
+        assertClose(core.tQuantile(0.025, 9), -2.262157, 1e-5);
+    });
+
+    it('la distribución acumulada es simétrica y vale 0.5 en 0', () => {
+        assertClose(core.tCDF(0, 5), 0.5, 1e-12);
+        assertClose(core.tCDF(1.3, 7) + core.tCDF(-1.3, 7), 1, 1e-12);
+        assertClose(core.tCDF(1.812461, 10), 0.95, 1e-5);
+    });
+
+    it('logGamma coincide con factoriales y con Γ(1/2) = √π', () => {
+        assertClose(Math.exp(core.logGamma(5)), 24, 1e-9);
+        assertClose(Math.exp(core.logGamma(0.5)), Math.sqrt(Math.PI), 1e-12);
+    });
+});
+
+describe('Intervalo de confianza y prueba t', () => {
+    it('IC 95% de la media del caso del README', () => {
+        const interval = core.calcMeanConfidenceInterval(README_DATA, 95);
+        assertClose(interval.standardError, 0.9);
+        assert.equal(interval.df, 9);
+        assertClose(interval.lower, 7.864059, 1e-5);
+        assertClose(interval.upper, 11.935941, 1e-5);
+    });
+
+    it('valores p bilateral y unilaterales', () => {
+        const twoSided = core.oneSampleTTest(README_DATA, 8);
+        assertClose(twoSided.t, 2.111111, 1e-5);
+        assertClose(twoSided.pValue, 0.063954, 1e-5);
+        assertClose(core.oneSampleTTest(README_DATA, 8, 'greater').pValue, 0.031977, 1e-5);
+        assertClose(core.oneSampleTTest(README_DATA, 10, 'greater').pValue, 0.543017, 1e-5);
+        assertClose(core.oneSampleTTest(README_DATA, 10, 'less').pValue, 1 - 0.543017, 1e-5);
+    });
+
+    it('sin variabilidad el estadístico es 0 o infinito', () => {
+        assert.deepEqual([core.oneSampleTTest([5, 5, 5], 5).t, core.oneSampleTTest([5, 5, 5], 5).pValue], [0, 1]);
+        const above = core.oneSampleTTest([5, 5, 5], 4, 'greater');
+        assert.equal(above.t, Infinity);
+        assert.equal(above.pValue, 0);
+    });
+});
+
+describe('Bootstrap de la mediana', () => {
+    it('es reproducible con la semilla por defecto y contiene la mediana', () => {
+        const first = core.bootstrapMedianCI(README_DATA, 95);
+        const second = core.bootstrapMedianCI(README_DATA, 95);
+        assert.deepEqual(first, second);
+        assert.ok(first.lower <= first.median && first.median <= first.upper);
+    });
+
+    it('un nivel mayor produce un intervalo al menos igual de ancho', () => {
+        const narrow = core.bootstrapMedianCI(README_DATA, 80);
+        const wide = core.bootstrapMedianCI(README_DATA, 99);
+        assert.ok(wide.upper - wide.lower >= narrow.upper - narrow.lower);
+    });
+});
+
+describe('computeInference y regla de conclusiones', () => {
+    it('no calcula inferencia con menos de dos valores', () => {
+        assert.equal(core.computeInference([7]), null);
+        assert.equal(core.computeStats(core.parseRecords('7')).inference, null);
+    });
+
+    it('omite la prueba t sin valor hipotético', () => {
+        assert.equal(core.computeInference(README_DATA, { targetMean: NaN }).tTest, null);
+    });
+
+    it('valida el nivel de confianza y la hipótesis alternativa', () => {
+        assert.throws(() => core.computeInference(README_DATA, { level: 100 }), /nivel de confianza/);
+        assert.throws(() => core.computeInference(README_DATA, { alternative: 'mayor' }), /Hipótesis alternativa/);
+    });
+
+    it('rechaza como hipótesis alternativa las claves heredadas de Object', () => {
+        ['constructor', 'toString', '__proto__'].forEach(alternative => {
+            assert.throws(() => core.computeInference(README_DATA, { alternative, targetMean: 3 }), /Hipótesis alternativa/, alternative);
+        });
+    });
+
+    it('interpreta el valor p en español con el nivel de significancia del IC', () => {
+        const stats = core.computeStats(core.parseRecords(README_DATA.join(',')), { targetMean: 8, alternative: 'greater' });
+        const text = core.conclusionToPlainText(core.ruleInference(stats));
+        assert.match(text, /entre 7,86 y 11,94/);
+        assert.match(text, /p = 0,032: como p < 0,05, hay evidencia estadística de que la media es mayor que 8/);
+
+        const strict = core.computeStats(core.parseRecords(README_DATA.join(',')), { targetMean: 8, alternative: 'greater', confidenceLevel: 99 });
+        assert.match(core.conclusionToPlainText(core.ruleInference(strict)), /como p ≥ 0,01, no hay evidencia suficiente/);
+    });
+});
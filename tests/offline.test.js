@@ -0,0 +1,182 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const core = require('../stats-core.js');
+const { loadPage } = require('./helpers/page.js');
+
+const ROOT = path.join(__dirname, '..');
+const CATEGORY_INPUT = 'Ana: 3 1 0 2 1\nLuis: 1 0 0 1 0\nEva: 2 2 1 0 1\nJuan: 0 1 0 0 0\nSol: 4 2 1 1 2';
+
+/**
+ * Contexto 2D que registra las llamadas de dibujo ([método, ...argumentos]) y los cambios de
+ * estilo (['set', propiedad, valor])
+ * @param {Object} canvas - Canvas del contexto
+ * @returns {Object} Contexto con la lista calls
+ */
+function createRecordingContext(canvas) {
+    const calls = [];
+    const state = { canvas, calls, measureText: text => ({ width: String(text).length * 6 }) };
+    return new Proxy(state, {
+        get: (target, name) => (name in target ? target[name] : (...args) => calls.push([name, ...args])),
+        set: (target, name, value) => {
+            calls.push(['set', name, value]);
+            target[name] = value;
+            return true;
+        }
+    });
+}
+
+/**
+ * Elemento mínimo del DOM: lo justo para describeChart y los canvas de los gráficos
+ * @param {string} tagName - Etiqueta
+ * @returns {Object} Elemento
+ */
+function createElement(tagName) {
+    const element = {
+        tagName, style: {}, childNodes: [],
+        setAttribute() {},
+        appendChild: node => element.childNodes.push(node),
+        replaceChildren: (...nodes) => { element.childNodes = nodes; },
+        querySelector: () => null
+    };
+    if (tagName === 'canvas') {
+        const context = createRecordingContext(element);
+        Object.assign(element, {
+            width: 400, height: 300, parentElement: createElement('div'),
+            getContext: () => context,
+            toDataURL: type => `data:${type};base64,`
+        });
+    }
+    return element;
+}
+
+/**
+ * Carga la página (messages.js, stats-core.js y script.js) sin Chart.js, como sin conexión
+ * y sin la copia de vendor/
+ * @returns {Object} Contexto con las funciones de la página y los canvas por ID
+ */
+function loadOfflinePage() {
+    const canvases = {};
+    const document = {
+        addEventListener() {},
+        getElementById: id => {
+            if (!canvases[id]) canvases[id] = Object.assign(createElement('canvas'), { id });
+            return canvases[id];
+        },
+        createElement
+    };
+    return { page: loadPage({ document }), canvases };
+}
+
+/**
+ * Llamadas de dibujo de un canvas con un método dado
+ * @param {Object} canvas - Canvas de createElement
+ * @param {string} method - Método del contexto 2D
+ * @returns {Array[]} Llamadas
+ */
+function drawCalls(canvas, method) {
+    return canvas.getContext('2d').calls.filter(call => call[0] === method);
+}
+
+describe('Ejes de los gráficos sin Chart.js', () => {
+    it('calcAxisTicks da marcas redondas que cubren el rango', () => {
+        assert.deepEqual(core.calcAxisTicks(0, 9.5), [0, 2, 4, 6, 8, 10]);
+        assert.deepEqual(core.calcAxisTicks(0.1, 0.7), [0, 0.2, 0.4, 0.6, 0.8]);
+        assert.deepEqual(core.calcAxisTicks(3, 3), [2, 2.5, 3, 3.5, 4]);
+    });
+
+    it('getChartAxisRanges incluye el 0 en las barras, suma las apiladas y respeta min y max', () => {
+        const bars = core.getChartAxisRanges({
+            type: 'bar',
+            data: { labels: ['a', 'b'], datasets: [{ data: [3, 5] }, { data: [2, 4] }] },
+            options: { scales: { y: { stacked: true } } }
+        });
+        assert.equal(bars.x, null);
+        assert.deepEqual(bars.y, { min: 0, max: 9 });
+
+        const box = core.getChartAxisRanges({
+            type: 'bar',
+            data: { labels: ['Errores'], datasets: [{ data: [[2, 8]] }, { type: 'scatter', data: [{ x: 20, y: 'Errores' }] }] },
+            options: { indexAxis: 'y' }
+        });
+        assert.deepEqual(box.x, { min: 0, max: 20 });
+
+        const lorenz = core.getChartAxisRanges({
+            type: 'line',
+            data: { datasets: [{ data: [{ x: 10, y: 5 }, { x: 60, y: 30 }] }] },
+            options: { scales: { x: { min: 0, max: 100 } } }
+        });
+        assert.deepEqual(lorenz, { indexAxis: 'x', categorical: false, x: { min: 0, max: 100 }, y: { min: 5, max: 30 } });
+    });
+});
+
+describe('Página sin Chart.js', () => {
+    it('todos los gráficos se dibujan en el canvas sin fallar', () => {
+        const { page, canvases } = loadOfflinePage();
+        const study = { ...core.DEFAULT_STUDY, expectedNMode: 'none' };
+        const { records, values, stats, freqTable } = core.analyzeInput(CATEGORY_INPUT, { study });
+        const { groupedTable } = core.computeGroupedStats(values);
+
+        page.drawBarChart('barChart', freqTable);
+        page.drawOgive('ogive', freqTable);
+        page.drawDotPlot('dotPlot', values, freqTable);
+        page.drawHistogram('histogram', groupedTable);
+        page.drawPieChart('pieChart', freqTable);
+        page.drawBoxPlot('boxPlotChart', stats.boxPlot);
+        page.drawLorenzChart('lorenzChart', stats.inequality.lorenz);
+        page.drawStackedBarChart('stackedBarChart', records);
+        page.drawCategoryPieChart('categoryPieChart', stats.categoryStats);
+
+        ['barChart', 'histogram', 'boxPlotChart', 'stackedBarChart'].forEach(id => assert.ok(drawCalls(canvases[id], 'fillRect').length > 0, id));
+        ['ogive', 'dotPlot', 'pieChart', 'lorenzChart', 'categoryPieChart'].forEach(id => assert.ok(drawCalls(canvases[id], 'arc').length > 0, id));
+    });
+
+    it('el gráfico se actualiza en el lugar con su título, marca los elementos activos y se descarga como PNG', () => {
+        const { page, canvases } = loadOfflinePage();
+        const freqTable = core.getFrequencyTable([1, 2, 2, 3]);
+        page.drawBarChart('barChart', freqTable);
+        const chart = vm.runInContext('barChart', page);
+
+        page.drawBarChart('barChart', core.getFrequencyTable([1, 2, 3, 3]));
+        assert.equal(vm.runInContext('barChart', page), chart);
+        assert.ok(drawCalls(canvases.barChart, 'fillText').some(call => call[1] === chart.options.plugins.title.text));
+
+        const calls = canvases.barChart.getContext('2d').calls;
+        const activeBorder = () => calls.some(call => call[0] === 'set' && call[1] === 'lineWidth' && call[2] === 3);
+        assert.ok(!activeBorder());
+        chart.setActiveElements([{ datasetIndex: 0, index: 1 }]);
+        chart.update();
+        assert.ok(activeBorder());
+
+        assert.equal(vm.runInContext('fallbackCharts', page).get('barChart').toBase64Image('image/png', 1), 'data:image/png;base64,');
+    });
+});
+
+describe('Uso sin conexión', () => {
+    const context = vm.createContext({ self: { addEventListener() {} } });
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'service-worker.js'), 'utf8'), context);
+    const PRECACHE_URLS = vm.runInContext('PRECACHE_URLS', context);
+
+    it('el service worker guarda cada recurso local de la página y del worker de análisis', () => {
+        const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+        const worker = fs.readFileSync(path.join(ROOT, 'analysis-worker.js'), 'utf8');
+        const assets = [
+            ...[...html.matchAll(/(?:src|href)="([^"#]+)"/g)].map(match => match[1]),
+            ...[...worker.matchAll(/importScripts\(([^)]*)\)/g)].flatMap(match => match[1].match(/[\w.-]+\.js/g)),
+            'analysis-worker.js'
+        ];
+
+        assert.ok(!assets.some(asset => /^https?:/.test(asset)), 'la página no depende de un CDN');
+        assets.forEach(asset => assert.ok(PRECACHE_URLS.includes(asset), asset));
+        PRECACHE_URLS.filter(url => url !== './').forEach(url => assert.ok(fs.existsSync(path.join(ROOT, url)), url));
+    });
+
+    it('el manifiesto apunta a la página y a íconos guardados', () => {
+        const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.webmanifest'), 'utf8'));
+        assert.equal(manifest.display, 'standalone');
+        assert.ok(PRECACHE_URLS.includes(manifest.start_url));
+        manifest.icons.forEach(icon => assert.ok(PRECACHE_URLS.includes(icon.src), icon.src));
+    });
+});
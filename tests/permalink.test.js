@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const core = require('../stats-core.js');
+const { loadPage } = require('./helpers/page.js');
+
+const BASE_URL = 'file:///home/equipo/programa-estadistica/index.html';
+const STATE = {
+    input: 'Ana: 13\nLuis: 9\nEva: 14',
+    options: { analysisMode: 'ungrouped', confidenceLevel: '95' },
+    study: null
+};
+
+describe('Enlaces permanentes', () => {
+    it('el enlace guarda los datos, la configuración y el estudio', async () => {
+        const study = core.STUDY_PRESETS['Incidentes por turno de guardia'];
+        const url = await core.buildPermalink(BASE_URL, { ...STATE, study: study });
+        assert.ok(url.startsWith(`${BASE_URL}${core.PERMALINK_PREFIX}z`));
+
+        const state = await core.readPermalinkHash(url.slice(BASE_URL.length));
+        assert.equal(state.input, STATE.input);
+        assert.deepEqual(state.options, STATE.options);
+        assert.deepEqual(state.study, core.normalizeStudy(study));
+    });
+
+    it('sin estudio se usa el de por defecto y el fragmento de otra página se ignora', async () => {
+        const payload = await core.encodePermalinkState(STATE);
+        assert.deepEqual((await core.decodePermalinkState(payload)).study, core.getDefaultStudy());
+        assert.equal(await core.readPermalinkHash('#resultados'), null);
+        assert.equal(await core.readPermalinkHash(''), null);
+    });
+
+    it('también lee el estado sin comprimir', async () => {
+        const json = core.bytesToBase64Url(new TextEncoder().encode(JSON.stringify({ v: core.PERMALINK_VERSION, ...STATE })));
+        assert.equal((await core.decodePermalinkState(`j${json}`)).input, STATE.input);
+    });
+
+    it('un enlace recortado, alterado o de otra versión se rechaza con un mensaje claro', async () => {
+        const payload = await core.encodePermalinkState(STATE);
+        await assert.rejects(core.decodePermalinkState(payload.slice(0, 12)), /no contiene un análisis válido/);
+        await assert.rejects(core.decodePermalinkState(`x${payload.slice(1)}`), /no contiene un análisis válido/);
+
+        const other = core.bytesToBase64Url(new TextEncoder().encode(JSON.stringify({ ...STATE, v: 99 })));
+        await assert.rejects(core.decodePermalinkState(`j${other}`), /no contiene un análisis válido/);
+    });
+
+    it('mil valores caben en el enlace; un conjunto mucho mayor se informa con el límite', async () => {
+        const random = core.createSeededRandom(3);
+        const values = n => Array.from({ length: n }, () => Math.floor(random() * 30)).join(', ');
+
+        const url = await core.buildPermalink(BASE_URL, { ...STATE, input: values(1000) });
+        assert.ok(url.length < core.PERMALINK_MAX_LENGTH);
+        await assert.rejects(core.buildPermalink(BASE_URL, { ...STATE, input: values(50000) }), /el máximo es 8000/);
+    });
+});
+
+/**
+ * Carga la página con los controles de análisis de index.html: listas con sus opciones y
+ * campos numéricos con min, max y step
+ * @returns {Object} Contexto con las funciones de la página
+ */
+function loadOptionsPage() {
+    const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+    const attribute = (tag, name) => (tag.match(new RegExp(`\\s${name}="([^"]*)"`)) || [])[1] || '';
+    const controls = {};
+    for (const match of html.matchAll(/<select id="(\w+)"[^>]*>([\s\S]*?)<\/select>/g)) {
+        const options = [...match[2].matchAll(/<option value="([^"]*)"/g)].map(option => ({ value: option[1] }));
+        controls[match[1]] = { tagName: 'SELECT', options, value: '' };
+    }
+    for (const match of html.matchAll(/<input type="number"[^>]*>/g)) {
+        const tag = match[0];
+        controls[attribute(tag, 'id')] = { tagName: 'INPUT', min: attribute(tag, 'min'), max: attribute(tag, 'max'), step: attribute(tag, 'step'), value: '' };
+    }
+    const document = { addEventListener() {}, getElementById: id => controls[id] || null };
+    return loadPage({ document });
+}
+
+describe('Configuración de un enlace permanente', () => {
+    it('solo se aplican las opciones conocidas con un valor válido para su control', () => {
+        const page = loadOptionsPage();
+        const valid = page.filterAnalysisOptions({
+            analysisMode: 'grouped',
+            classRule: 'no-existe',
+            classWidth: '2.5',
+            percentileK: '150',
+            confidenceLevel: { value: '0.95' },
+            targetMean: '',
+            binomialTrials: '2.5',
+            giniBalanced: '0.3',
+            topShareUnbalanced: '1e400',
+            cvBalanced: '0x10',
+            onclick: 'alert(1)'
+        });
+        assert.deepEqual({ ...valid }, { analysisMode: 'grouped', classWidth: '2.5', targetMean: '', giniBalanced: '0.3' });
+        assert.deepEqual({ ...page.filterAnalysisOptions(null) }, {});
+    });
+});
@@ -0,0 +1,30 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../stats-core.js');
+const { assertClose } = require('./helpers/assertions.js');
+const fixtures = require('./fixtures/regression.json');
+
+const TOLERANCE = 1e-6;
+
+describe('Fixtures de regresión', () => {
+    fixtures.forEach(({ name, values, expected }) => {
+        it(name, () => {
+            const stats = core.computeStats(core.parseRecords(values.join(', ')));
+
+            ['n', 'sum', 'min', 'max', 'range'].forEach(key => assert.equal(stats[key], expected[key], key));
+            ['mean', 'median', 'variance', 'sampleVariance', 'skewness', 'kurtosis']
+                .forEach(key => assertClose(stats[key], expected[key], TOLERANCE, key));
+
+            assert.deepEqual(stats.modeInfo.type === 'ninguna' ? [] : stats.modeInfo.modes, expected.modes);
+
+            const inclusive = core.calcQuartiles(values, 'inclusive');
+            const exclusive = core.calcQuartiles(values, 'exclusive');
+            [inclusive.q1, inclusive.q2, inclusive.q3]
+                .forEach((q, i) => assertClose(q, expected.quartilesInclusive[i], TOLERANCE, `Q${i + 1} inclusivo`));
+            [exclusive.q1, exclusive.q2, exclusive.q3]
+                .forEach((q, i) => assertClose(q, expected.quartilesExclusive[i], TOLERANCE, `Q${i + 1} exclusivo`));
+
+            assert.deepEqual(stats.outliers.map(outlier => outlier.value), expected.outliers);
+        });
+    });
+});
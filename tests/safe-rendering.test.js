@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../stats-core.js');
+const cli = require('../cli.js');
+const { loadPage } = require('./helpers/page.js');
+
+const HOSTILE_NAME = '<img src=x onerror="alert(1)">';
+const HOSTILE_INPUT = `${HOSTILE_NAME}: 40\nAna: 10\nLuis: 11\nEva: 12\nJuan: 11\nSol: 10`;
+const STUDY = { ...core.DEFAULT_STUDY, expectedNMode: 'none' };
+
+/**
+ * Nodo mínimo del DOM: guarda sus hijos y su texto, y falla si se le asigna HTML
+ */
+class FakeNode {
+    constructor(tagName, text = '') {
+        this.tagName = tagName;
+        this.text = text;
+        this.childNodes = [];
+        this.style = {};
+        this.className = '';
+    }
+
+    appendChild(node) {
+        if (node.tagName === '#fragment') this.childNodes.push(...node.childNodes);
+        else this.childNodes.push(node);
+        return node;
+    }
+
+    get textContent() {
+        return this.tagName === '#text' ? this.text : this.childNodes.map(node => node.textContent).join('');
+    }
+
+    set textContent(text) {
+        this.childNodes = [new FakeNode('#text', String(text))];
+    }
+
+    set innerHTML(html) {
+        if (html !== '') throw new Error(`Se asignó HTML: ${html}`);
+        this.childNodes = [];
+    }
+}
+
+/**
+ * Carga la página (messages.js, stats-core.js y script.js) con un documento mínimo
+ * @returns {Object} Contexto con las funciones de la página, los contenedores y las etiquetas creadas
+ */
+function loadSafePage() {
+    const elements = { errorContainer: new FakeNode('div'), conclusionsContainer: new FakeNode('div') };
+    const created = [];
+    const document = {
+        addEventListener() {},
+        getElementById: id => elements[id] || null,
+        createElement: tagName => {
+            created.push(tagName);
+            return new FakeNode(tagName);
+        },
+        createTextNode: text => new FakeNode('#text', text),
+        createDocumentFragment: () => new FakeNode('#fragment')
+    };
+    return { page: loadPage({ document }), elements, created };
+}
+
+describe('Texto enriquecido', () => {
+    it('concatRichText fusiona el texto contiguo y conserva los resaltados', () => {
+        assert.deepEqual(core.concatRichText('a', '', core.highlight(1), 'b', 'c'), [
+            { type: 'text', text: 'a' },
+            { type: 'highlight', text: '1' },
+            { type: 'text', text: 'bc' }
+        ]);
+        assert.equal(core.richTextToPlainText(core.joinRichText([core.highlight('x'), 'y'], '; ')), 'x; y');
+    });
+
+    it('tRich no vuelve a interpretar los marcadores que llegan en los parámetros', () => {
+        const text = core.tRich('ui.interval', { lower: '{upper}', upper: core.highlight('<b>2</b>') });
+        assert.deepEqual(text, [{ type: 'text', text: '{upper} a ' }, { type: 'highlight', text: '<b>2</b>' }]);
+    });
+});
+
+describe('Entradas hostiles', () => {
+    const records = core.parseRecords(HOSTILE_INPUT, STUDY);
+    const stats = core.computeStats(records, { study: STUDY });
+    const freqTable = core.getFrequencyTable(records.map(record => record.value));
+
+    it('las conclusiones guardan el nombre tal cual como texto', () => {
+        const conclusion = core.ruleOutliers(stats);
+        assert.ok(conclusion.text.some(fragment => fragment.type === 'text' && fragment.text.includes(HOSTILE_NAME)));
+        assert.match(core.conclusionToPlainText(conclusion), /<img src=x onerror="alert\(1\)"> con 40 errores/);
+    });
+
+    it('la exportación JSON y la CLI muestran el nombre sin cambios', () => {
+        const report = core.buildReport({ records, stats, freqTable, groupedTable: null });
+        assert.ok(report.conclusions.some(conclusion => conclusion.includes(HOSTILE_NAME)));
+
+        let output = '';
+        cli.main([], { stdout: text => { output += text; }, stderr: () => {}, read: () => HOSTILE_INPUT });
+        assert.ok(output.includes(HOSTILE_NAME));
+    });
+
+    it('la página muestra conclusiones y errores como texto, sin crear otros elementos', () => {
+        const { page, elements, created } = loadSafePage();
+        page.renderConclusions(core.evaluateConclusionRules(freqTable, stats), 'conclusionsContainer');
+        assert.ok(elements.conclusionsContainer.textContent.includes(`${HOSTILE_NAME} con 40 errores`));
+
+        const error = core.validateInput(`3, ${HOSTILE_NAME}`).error;
+        page.renderValidationMessage('error', error);
+        assert.equal(elements.errorContainer.textContent, ` Error: ${error}`);
+        assert.ok(error.includes('<img'));
+
+        assert.deepEqual([...new Set(created)].sort(), ['i', 'p', 'span', 'strong']);
+    });
+});
@@ -0,0 +1,212 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../stats-core.js');
+const { assertClose } = require('./helpers/assertions.js');
+
+const README_DATA = [13, 9, 14, 11, 8, 11, 10, 8, 4, 11];
+
+describe('Caso de prueba verificado del README', () => {
+    const values = core.parseInput('13,9,14,11,8,11,10,8,4,11');
+
+    it('parsea los diez valores', () => {
+        assert.deepEqual(values, README_DATA);
+    });
+
+    it('calcula media, mediana, moda y rango', () => {
+        assert.equal(core.calcMean(values).toFixed(2), '9.90');
+        assert.equal(core.calcMedian(values), 10.5);
+        assert.deepEqual(core.calcMode(values), { modes: [11], frequency: 3, type: 'unimodal' });
+        assert.equal(core.calcRange(values), 10);
+    });
+
+    it('calcula varianza y desviación estándar poblacional', () => {
+        assert.equal(core.calcVariance(values, true).toFixed(2), '7.29');
+        assert.equal(core.calcStdDev(values, true).toFixed(2), '2.70');
+    });
+
+    it('calcula desviación media, asimetría y curtosis con los mismos valores que computeStats', () => {
+        const stats = core.computeStats(core.parseRecords(values.join(',')));
+        const m2 = core.calcCentralMoment(values, 2);
+        assertClose(core.calcMeanAbsoluteDeviation(values), 2.12);
+        assertClose(core.calcSkewness(values), core.calcCentralMoment(values, 3) / Math.pow(m2, 1.5));
+        assertClose(core.calcKurtosis(values), core.calcCentralMoment(values, 4) / (m2 * m2) - 3);
+        assert.equal(core.calcMeanAbsoluteDeviation(values), stats.meanAbsDev);
+        assert.equal(core.calcSkewness(values), stats.skewness);
+        assert.equal(core.calcKurtosis(values), stats.kurtosis);
+        assert.equal(core.calcSkewness([]), 0);
+        assert.equal(core.calcMeanAbsoluteDeviation([]), 0);
+    });
+
+    it('genera la tabla de frecuencias', () => {
+        const table = core.getFrequencyTable(values);
+        assert.deepEqual(table.map(row => row.value), [4, 8, 9, 10, 11, 13, 14]);
+        assert.deepEqual(table.map(row => row.fa), [1, 2, 1, 1, 3, 1, 1]);
+        assert.equal(table[table.length - 1].Fa, 10);
+        assert.equal(table[table.length - 1].Fr, 1);
+        assert.equal(table.find(row => row.value === 11).percentage, 30);
+    });
+});
+
+describe('parseInput y parseRecords', () => {
+    it('acepta coma, espacio, punto y coma y salto de línea', () => {
+        assert.deepEqual(core.parseInput('1, 2;3 4\n5\r\n6'), [1, 2, 3, 4, 5, 6]);
+    });
+
+    it('rechaza entrada vacía', () => {
+        assert.throws(() => core.parseInput('   '), /Por favor, ingrese/);
+    });
+
+    it('lista todos los valores inválidos en el mensaje', () => {
+        assert.throws(() => core.parseInput('1, -2, 3.5, abc'), /-2, 3\.5, abc/);
+    });
+
+    it('lee registros con nombre separados por dos puntos o tabulador', () => {
+        const records = core.parseRecords('Ana: 13\nLuis\t9');
+        assert.deepEqual(records.map(record => [record.name, record.value]), [['Ana', 13], ['Luis', 9]]);
+    });
+
+    it('los números separados por tabulador son valores anónimos', () => {
+        assert.deepEqual(core.parseInput('13\t9\n14\t11'), [13, 9, 14, 11]);
+        const records = core.parseRecords('13\t9\t14\t11\t8');
+        assert.deepEqual(records.map(record => record.value), [13, 9, 14, 11, 8]);
+        assert.ok(records.every(record => !record.named));
+    });
+
+    it('asigna nombres por posición a la lista anónima', () => {
+        assert.equal(core.parseRecords('4 5')[1].name, 'Programador #2');
+    });
+
+    it('informa las líneas inválidas por número', () => {
+        assert.throws(() => core.parseRecords('Ana: 3\nLuis: x'), /línea 2 \("Luis: x"\)/);
+    });
+
+    it('suma el desglose por categoría', () => {
+        const [record] = core.parseRecords('Ana: 3 2 4 1 3');
+        assert.equal(record.value, 13);
+        assert.deepEqual(record.categories, [3, 2, 4, 1, 3]);
+    });
+});
+
+describe('Casos límite', () => {
+    it('n = 1', () => {
+        const stats = core.computeStats(core.parseRecords('7'));
+        assert.equal(stats.mean, 7);
+        assert.equal(stats.median, 7);
+        assert.equal(stats.variance, 0);
+        assert.equal(stats.sampleVariance, 0);
+        assert.equal(stats.modeInfo.type, 'ninguna');
+        assert.deepEqual(stats.outliers, []);
+        assert.equal(stats.skewness, 0);
+    });
+
+    it('todos los valores iguales', () => {
+        const values = [5, 5, 5, 5];
+        assert.equal(core.calcStdDev(values), 0);
+        assert.equal(core.calcCoefficientOfVariation(values), 0);
+        assert.equal(core.calcKurtosis(values), 0);
+        assert.deepEqual(core.calcZScores(values), [0, 0, 0, 0]);
+        assert.deepEqual(core.calcMode(values), { modes: [5], frequency: 4, type: 'unimodal' });
+        const intervals = core.calcClassIntervals(values);
+        assert.equal(intervals.k, 1);
+        assert.equal(core.getGroupedFrequencyTable(values, intervals)[0].fa, 4);
+    });
+
+    it('distribución multimodal', () => {
+        assert.deepEqual(core.calcMode([1, 1, 2, 2, 3, 3, 4]), { modes: [1, 2, 3], frequency: 2, type: 'multimodal' });
+        assert.equal(core.calcMode([1, 1, 2, 2, 3]).type, 'bimodal');
+    });
+
+    it('sin valores', () => {
+        assert.equal(core.calcMean([]), 0);
+        assert.equal(core.calcMedian([]), 0);
+        assert.deepEqual(core.getFrequencyTable([]), []);
+    });
+
+    it('arreglos grandes no desbordan la pila', () => {
+        const size = 500000;
+        const values = new Array(size);
+        for (let i = 0; i < size; i++) values[i] = i % 151;
+        assert.equal(core.calcMin(values), 0);
+        assert.equal(core.calcMax(values), 150);
+        assert.equal(core.calcRange(values), 150);
+        assert.equal(core.getFrequencyTable(values).length, 151);
+        assert.equal(core.calcClassIntervals(values).classes[0].lower, 0);
+        assert.equal(core.calcBoxPlotData(values).whiskerHigh, 150);
+    });
+});
+
+describe('Medidas de posición', () => {
+    it('percentiles según el método', () => {
+        assertClose(core.calcPercentile(README_DATA, 25, 'inclusive'), 8.25);
+        assertClose(core.calcPercentile(README_DATA, 25, 'exclusive'), 8);
+        assert.equal(core.calcPercentile(README_DATA, 25, 'nearest'), 8);
+        assert.equal(core.calcPercentile(README_DATA, 100), 14);
+        assert.equal(core.calcPercentile(README_DATA, 0), 4);
+    });
+
+    it('vallas de Tukey y atípicos con su posición', () => {
+        assert.deepEqual(core.calcTukeyFences(10, 20), { lower: -5, upper: 35 });
+        assert.deepEqual(core.detectOutliers([10, 11, 12, 11, 10, 40]), [{ position: 6, value: 40, side: 'superior' }]);
+    });
+
+    it('rango percentil cuenta la mitad de los empates', () => {
+        assert.equal(core.calcPercentileRank([1, 2, 2, 3], 2), 50);
+    });
+});
+
+describe('Datos agrupados', () => {
+    const intervals = core.calcClassIntervals(README_DATA, 'sturges');
+    const table = core.getGroupedFrequencyTable(README_DATA, intervals);
+
+    it('regla de Sturges con amplitud entera', () => {
+        assert.equal(intervals.k, 4);
+        assert.equal(intervals.width, 3);
+        assert.deepEqual(table.map(row => row.fa), [1, 3, 4, 2]);
+        assert.equal(table[3].label, '[13 - 16]');
+    });
+
+    it('media, mediana, moda de Czuber y varianza agrupadas', () => {
+        assertClose(core.calcGroupedMean(table), 10.6);
+        assertClose(core.calcGroupedMedian(table), 10.75);
+        assertClose(core.calcGroupedMode(table).modes[0], 10 + (1 / 3) * 3);
+        assertClose(core.calcGroupedVariance(table), 7.29);
+    });
+
+    it('rechaza un ancho personalizado no positivo', () => {
+        assert.throws(() => core.calcClassIntervals(README_DATA, 'width', 0), /ancho de clase/);
+    });
+
+    it('rechaza un ancho que daría más de MAX_CLASS_COUNT clases', () => {
+        assert.throws(() => core.calcClassIntervals([1, 2, 3, 100000], 'width', 0.01), /máximo es 500/);
+        assert.equal(core.calcClassIntervals([1, 2, 3, 1 + core.MAX_CLASS_COUNT], 'width', 1).k, core.MAX_CLASS_COUNT);
+    });
+
+    it('asigna los valores en los límites a la clase que muestra la tabla', () => {
+        const values = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7];
+        const table = core.getGroupedFrequencyTable(values, core.calcClassIntervals(values, 'width', 0.1));
+        assert.deepEqual(table.map(row => row.fa), [1, 1, 1, 1, 1, 2]);
+        table.forEach((row, i) => assert.ok(i === table.length - 1
+            ? values.filter(v => v >= row.lower && v <= row.upper).length === row.fa
+            : values.filter(v => v >= row.lower && v < row.upper).length === row.fa));
+    });
+});
+
+describe('Importación de archivos', () => {
+    const text = 'Nombre;Errores\r\nAna;13\r\n"Pérez; Luis";9\r\n';
+
+    it('detecta el separador y respeta las comillas', () => {
+        assert.equal(core.detectDelimiter(text), ';');
+        const rows = core.parseDelimitedText(text, ';');
+        assert.deepEqual(rows[2], { line: 3, cells: ['Pérez; Luis', '9'] });
+    });
+
+    it('asume coma decimal con separador punto y coma', () => {
+        assert.equal(core.detectDecimalSeparator(core.parseDelimitedText(text, ';'), ';'), ',');
+        assert.equal(core.parseNumericCell('7,5', ','), 7.5);
+    });
+
+    it('informa filas inválidas con su número de línea', () => {
+        const rows = core.parseDelimitedText('Ana,1\nLuis,x\nEva,3', ',');
+        assert.throws(() => core.importRowsToRecords(rows, 1, 0, '.'), /línea 2 \("x"\)/);
+    });
+});
@@ -0,0 +1,147 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../stats-core.js');
+const cli = require('../cli.js');
+
+const INCIDENTS = core.STUDY_PRESETS['Incidentes por turno de guardia'];
+const PULL_REQUESTS = core.STUDY_PRESETS['Pull requests por persona'];
+
+/**
+ * Analiza una entrada con un estudio y devuelve las conclusiones en texto plano
+ * @param {string} input - Datos de entrada
+ * @param {Object} study - Estudio
+ * @returns {string[]} Conclusiones
+ */
+function conclude(input, study) {
+    const records = core.parseRecords(input, study);
+    const values = records.map(record => record.value);
+    const stats = core.computeStats(records, { study: study });
+    return core.evaluateConclusionRules(core.getFrequencyTable(values), stats, core.CONCLUSION_THRESHOLDS)
+        .map(core.conclusionToPlainText);
+}
+
+describe('Definición del estudio', () => {
+    it('normalizeStudy completa con el estudio por defecto y recorta los nombres', () => {
+        const study = core.normalizeStudy({ variable: ' horas extra ', unit: 'hora', unitPlural: 'horas', expectedN: '' });
+        assert.equal(study.variable, 'horas extra');
+        assert.equal(study.observation, 'programador');
+        assert.equal(study.expectedN, null);
+        assert.equal(study.min, 0);
+    });
+
+    it('normalizeStudy rechaza nombres vacíos, rangos invertidos y límites no enteros', () => {
+        assert.throws(() => core.normalizeStudy({ unit: '' }), /debe indicar la variable/);
+        assert.throws(() => core.normalizeStudy({ min: 10, max: 5 }), /no puede superar al máximo/);
+        assert.throws(() => core.normalizeStudy({ max: 2.5 }), /deben ser números enteros/);
+        assert.throws(() => core.normalizeStudy({ expectedN: 0 }), /al menos 1/);
+    });
+
+    it('los estudios predefinidos heredan el n esperado del estudio por defecto de su idioma', () => {
+        Object.entries(core.LOCALIZED_STUDY_PRESETS).forEach(([locale, presets]) => {
+            const defaults = core.DEFAULT_STUDIES[locale];
+            Object.values(presets).forEach(preset => {
+                assert.equal(preset.expectedN, defaults.expectedN);
+                assert.equal(preset.expectedNMode, defaults.expectedNMode);
+            });
+        });
+    });
+
+    it('normalizeStudy rechaza modos y tratamientos desconocidos, también los heredados de Object', () => {
+        assert.throws(() => core.normalizeStudy({ expectedNMode: 'toString' }), /Modo de n esperado desconocido: "toString"/);
+        assert.throws(() => core.normalizeStudy({ missing: 'constructor' }), /Tratamiento de faltantes desconocido: "constructor"/);
+        assert.throws(() => core.normalizeStudy({ missing: 'ignorar' }), /Tratamiento de faltantes desconocido/);
+    });
+
+    it('formatQuantity usa el singular solo para 1', () => {
+        assert.equal(core.formatQuantity(1, INCIDENTS), '1 incidente');
+        assert.equal(core.formatQuantity(0, INCIDENTS), '0 incidentes');
+        assert.equal(core.formatObservations(1, INCIDENTS), '1 turno de guardia');
+    });
+
+    it('checkExpectedCount exige el n exacto, un mínimo o nada según expectedNMode', () => {
+        const exact = { ...core.DEFAULT_STUDY, expectedN: 10, expectedNMode: 'exact' };
+        assert.equal(core.checkExpectedCount(10, exact), null);
+        assert.equal(core.checkExpectedCount(3, INCIDENTS), null);
+        assert.match(core.checkExpectedCount(3, exact),
+            /^Se esperaban exactamente 10 programadores y se ingresaron 3\./);
+        assert.equal(core.checkExpectedCount(3, core.DEFAULT_STUDY), null);
+        const minimum = { ...exact, expectedNMode: 'minimum' };
+        assert.equal(core.checkExpectedCount(12, minimum), null);
+        assert.match(core.checkExpectedCount(9, minimum), /^Se esperaban al menos 10 programadores/);
+        assert.equal(core.checkExpectedCount(3, { ...core.DEFAULT_STUDY, expectedNMode: 'none' }), null);
+    });
+});
+
+describe('Validación con el estudio', () => {
+    const bounded = core.normalizeStudy({ ...INCIDENTS, min: 1, max: 20 });
+
+    it('los mensajes de parseInput nombran la variable y el rango del estudio', () => {
+        assert.throws(() => core.parseInput('', INCIDENTS),
+            { message: 'Por favor, ingrese la cantidad de incidentes atendidos por cada turno de guardia.' });
+        assert.throws(() => core.parseInput('3, 0, 25', bounded),
+            { message: 'Los siguientes valores no son cantidades válidas de incidentes atendidos: 0, 25. Debe ingresar números enteros entre 1 y 20.' });
+    });
+
+    it('un rango sin mínimo acepta valores negativos', () => {
+        const signed = core.normalizeStudy({ ...INCIDENTS, min: null });
+        assert.deepEqual(core.parseInput('-2, 3', signed), [-2, 3]);
+    });
+
+    it('las líneas con nombre respetan el rango y los anónimos usan la unidad de observación', () => {
+        assert.throws(() => core.parseRecords('Ana: 3\nLuis: 30', bounded), /línea 2 \("Luis: 30"\)/);
+        assert.equal(core.parseRecords('4 5', INCIDENTS)[0].name, 'Turno de guardia #1');
+    });
+
+    it('importRowsToRecords aplica el rango del estudio', () => {
+        const rows = [{ line: 2, cells: ['Ana', '25'] }];
+        assert.throws(() => core.importRowsToRecords(rows, 1, 0, '.', bounded), /incidentes atendidos: línea 2 \("25"\)/);
+    });
+});
+
+describe('Conclusiones y exportación con el estudio', () => {
+    it('las conclusiones usan los nombres del estudio y no los de errores', () => {
+        const text = conclude('Ana: 1\nBea: 4\nCeci: 4\nDani: 5\nEli: 20', PULL_REQUESTS).join('\n');
+        assert.match(text, /Entre las 5 personas el total de pull requests integrados es 34/);
+        assert.match(text, /La menor carga fue de 1 PR \(1 persona/);
+        assert.match(text, /Eli con 20 PR \(sobrecargada\)/);
+        assert.doesNotMatch(text, /errores|programador/);
+    });
+
+    it('el resumen y el CSV llevan las etiquetas del estudio', () => {
+        const records = core.parseRecords('2 3 3', INCIDENTS);
+        const stats = core.computeStats(records, { study: INCIDENTS });
+        assert.deepEqual(core.getSummaryRows(stats).slice(0, 2), [
+            { id: 'n', label: 'Turnos de guardia evaluados (n)', value: 3 },
+            { id: 'sum', label: 'Total de incidentes atendidos', value: 8 }
+        ]);
+
+        const csv = core.buildCSV({ records, stats, freqTable: core.getFrequencyTable([2, 3, 3]), groupedTable: null });
+        assert.match(csv, /^Incidentes atendidos \(xi\),fa/m);
+    });
+
+    it('la CLI carga el estudio de --study y exige su n esperado', () => {
+        const files = {
+            'estudio.json': JSON.stringify({ ...INCIDENTS, expectedN: 3, expectedNMode: 'exact' }),
+            'turnos.txt': '2 3 3',
+            'cortos.txt': '2 3'
+        };
+        const run = args => {
+            let stdout = '';
+            let stderr = '';
+            const code = cli.main(args, {
+                stdout: text => { stdout += text; },
+                stderr: text => { stderr += text; },
+                read: file => files[file]
+            });
+            return { code, stdout, stderr };
+        };
+
+        const ok = run(['--study', 'estudio.json', 'turnos.txt']);
+        assert.equal(ok.code, 0);
+        assert.match(ok.stdout, /^Incidentes \(xi\)/m);
+
+        const short = run(['--study', 'estudio.json', 'cortos.txt']);
+        assert.equal(short.code, 1);
+        assert.match(short.stderr, /^Se esperaban exactamente 3 turnos de guardia y se ingresaron 2\./);
+    });
+});
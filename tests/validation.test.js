@@ -0,0 +1,124 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../stats-core.js');
+const cli = require('../cli.js');
+
+/**
+ * Crea un estudio con las reglas de validación indicadas
+ * @param {Object} rules - Propiedades que reemplazan a las del estudio por defecto
+ * @returns {Object} Estudio validado
+ */
+function study(rules) {
+    return core.normalizeStudy({ ...core.DEFAULT_STUDY, ...rules });
+}
+
+describe('Tokens con posición', () => {
+    it('tokenizeLine conserva la posición de cada valor y detecta campos vacíos', () => {
+        const tokens = core.tokenizeLine('4, 7,,9; NA', 10, 3);
+        assert.deepEqual(tokens.map(token => [token.text, token.start, token.end]),
+            [['4', 10, 11], ['7', 13, 14], ['', 15, 15], ['9', 16, 17], ['NA', 19, 21]]);
+        assert.ok(tokens.every(token => token.line === 3));
+    });
+
+    it('una coma al final de la línea no es un faltante', () => {
+        assert.deepEqual(core.tokenizeLine('1, 2,').map(token => token.text), ['1', '2']);
+    });
+});
+
+describe('Diagnósticos de validateInput', () => {
+    it('informa todos los valores inválidos con su motivo y posición, no solo el primero', () => {
+        const input = '3, x\n2.5 -1';
+        const result = core.validateInput(input);
+        assert.equal(result.records.length, 0);
+        assert.equal(result.error,
+            'Los siguientes valores no son cantidades válidas de errores corregidos: x, 2.5, -1. Debe ingresar números enteros no negativos.');
+        assert.deepEqual(result.diagnostics.map(d => input.slice(d.start, d.end)), ['x', '2.5', '-1']);
+        assert.match(result.diagnostics[1].message, /línea 2\): tiene decimales/);
+        assert.match(result.diagnostics[2].message, /fuera del rango permitido/);
+    });
+
+    it('parseRecords adjunta los diagnósticos al error', () => {
+        assert.throws(() => core.parseRecords('Ana: 3\nLuis: abc'), error => {
+            assert.match(error.message, /línea 2/);
+            assert.equal(error.diagnostics.length, 1);
+            assert.equal(error.diagnostics[0].start, 13);
+            return true;
+        });
+    });
+
+    it('los nombres repetidos se marcan en la línea donde se repiten', () => {
+        const input = 'Ana: 3\nLuis: 4\nAna: 5';
+        const result = core.validateInput(input);
+        assert.match(result.error, /repetidos: Ana/);
+        const duplicate = result.diagnostics.find(d => d.start !== null);
+        assert.equal(input.slice(duplicate.start, duplicate.end), 'Ana');
+        assert.equal(duplicate.start, 15);
+    });
+});
+
+describe('Decimales, negativos y límites', () => {
+    it('una variable continua admite decimales y, sin mínimo, negativos', () => {
+        const continuous = study({ allowDecimals: true, min: null });
+        assert.deepEqual(core.parseInput('2.5, -1.25 3', continuous), [2.5, -1.25, 3]);
+        assert.equal(core.describeStudyRange(continuous), 'números');
+    });
+
+    it('los límites decimales solo se aceptan si la variable admite decimales', () => {
+        assert.throws(() => study({ max: 7.5 }), /deben ser números enteros/);
+        assert.equal(study({ allowDecimals: true, max: 7.5 }).max, 7.5);
+    });
+
+    it('sin valores de conteo no se ajustan modelos ni se calcula la desigualdad con negativos', () => {
+        assert.equal(core.computeDistributionFit([1.5, 2, 3]), null);
+        assert.equal(core.computeInequality([-2, 3, 4]), null);
+        const records = core.parseRecords('-2 3 4', study({ min: null }));
+        const stats = core.computeStats(records);
+        assert.equal(stats.inequality, null);
+        assert.equal(core.ruleInequality(stats, [], core.CONCLUSION_THRESHOLDS), null);
+    });
+});
+
+describe('Valores faltantes', () => {
+    const input = '4, NA, 6,,8; -';
+
+    it('por defecto los faltantes impiden el análisis', () => {
+        assert.throws(() => core.parseInput(input), /: NA, \(vacío\), -\./);
+    });
+
+    it('se pueden excluir con un aviso por cada uno', () => {
+        const result = core.validateInput(input, study({ missing: 'exclude' }));
+        assert.equal(result.error, null);
+        assert.deepEqual(result.records.map(record => record.value), [4, 6, 8]);
+        assert.equal(result.diagnostics.length, 3);
+        assert.ok(result.diagnostics.every(d => d.severity === 'warning' && /excluido/.test(d.message)));
+    });
+
+    it('se pueden imputar con la media o la mediana, redondeada si la variable es entera', () => {
+        const mean = core.validateInput('4 NA 7', study({ missing: 'mean' }));
+        assert.deepEqual(mean.records.map(record => record.value), [4, 6, 7]);
+        assert.deepEqual(mean.records.map(record => record.imputed), [false, true, false]);
+
+        const median = core.validateInput('Ana: 1\nBea: -\nCeci: 2\nDani: 10', study({ missing: 'median', allowDecimals: true }));
+        assert.equal(median.records[1].value, 2);
+        assert.match(median.diagnostics[0].message, /^Línea 2: valor faltante reemplazado por la mediana \(2\)/);
+    });
+
+    it('la importación conserva las celdas faltantes como NA cuando se excluyen o imputan', () => {
+        const rows = [{ line: 2, cells: ['Ana', '3'] }, { line: 3, cells: ['Bea', ''] }];
+        assert.throws(() => core.importRowsToRecords(rows, 1, 0, '.'), /línea 3 \(""\)/);
+        const records = core.importRowsToRecords(rows, 1, 0, '.', study({ missing: 'exclude' }));
+        assert.equal(core.recordsToInputText(records, true), 'Ana: 3\nBea: NA');
+    });
+
+    it('la CLI escribe los avisos de faltantes en stderr y termina con éxito', () => {
+        let stderr = '';
+        const files = { 'estudio.json': JSON.stringify({ missing: 'exclude', expectedNMode: 'none' }), '-': '3 NA 5' };
+        const code = cli.main(['--study', 'estudio.json'], {
+            stdout: () => {},
+            stderr: text => { stderr += text; },
+            read: file => files[file]
+        });
+        assert.equal(code, 0);
+        assert.equal(stderr, 'Aviso: Valor "NA" (línea 1): valor faltante excluido del análisis.\n');
+    });
+});